@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { StatusEffects } from '../systems/StatusEffects.js';
+import { AnimalAI } from '../systems/AnimalAI.js';
 
 export class Animal {
   constructor(type, stats = {}) {
@@ -24,6 +26,7 @@ export class Animal {
     this.stamina = stats.stamina || defaultStats.stamina;
     this.maxStamina = this.stamina;
     this.behaviorType = stats.behaviorType || defaultStats.behaviorType;
+    this.meat = stats.meat || defaultStats.meat;
     
     // Position and movement
     this.position = new THREE.Vector3();
@@ -37,14 +40,33 @@ export class Animal {
     // AI properties
     this.aiState = 'idle';
     this.target = null;
-    this.detectionRadius = 25;
-    this.fleeDistance = 40;
+    this.detectionRadius = defaultStats.detectionRadius || 25;
+    this.fleeDistance = defaultStats.fleeDistance || 40;
+    this.hearingRadius = defaultStats.hearingRadius || 50; // How far off a noise of 1 is heard in the open
     this.attackRange = 3;
     
     // Timers
     this.stateTimer = 0;
     this.staminaRegenTimer = 0;
     
+    // Timed status effects (bleeding, enraged, ...)
+    this.statusEffects = new StatusEffects(this);
+    
+    // Utility AI choosing what to do from needs and perception (see SPECIES_AI)
+    this.ai = new AnimalAI(this);
+    this.herd = null; // Herd this animal moves with, if it spawned in a group
+    this.movementLocked = false; // Held in place, e.g. in a crocodile's jaws
+    this.identity = null; // TigerIdentity of a resident wild tiger
+    this.name = null;
+    this.age = 0; // In-game days since birth (see PopulationSystem)
+    this.perched = false; // Up a tree, out of reach of ground hunters
+    this.lastAttacker = null; // Whoever last struck it (see AnimalSystem's danger map)
+    this.melee = null; // Attack on the tiger being wound up (see AnimalSystem.updateMelee)
+    this.meleeStep = 0; // Position in its attack pattern (see ANIMAL_ATTACKS)
+    this.fight = null; // Territorial fight with the player under way (see AnimalSystem.updateTigerFights)
+    this.fightCooldown = 0; // Seconds of game time before it squares up to the player again
+    this.alarmCallCooldown = 0; // Seconds of game time before it gives another alarm call
+    
     // 3D model reference
     this.mesh = null;
     this.mixers = [];
@@ -60,42 +82,85 @@ export class Animal {
         speed: 10,
         power: 30, // deer damage 30
         stamina: 100,
-        behaviorType: 'prey'
+        behaviorType: 'prey',
+        meat: 100, // meat left on the carcass
+        hearingRadius: 60
       },
       rabbit: {
         health: 75, // Increased from 25
         speed: 15,
         power: 5, // rabbit damage 5
         stamina: 80,
-        behaviorType: 'prey'
+        behaviorType: 'prey',
+        meat: 20,
+        hearingRadius: 70 // Long ears
       },
       boar: {
         health: 200, // Increased from 80
         speed: 8,
         power: 20, // boar damage 20
         stamina: 120,
-        behaviorType: 'neutral'
+        behaviorType: 'neutral',
+        meat: 120
+      },
+      buffalo: {
+        health: 400,
+        speed: 9,
+        power: 45, // A charging bull hits almost as hard as a leopard
+        stamina: 150,
+        behaviorType: 'prey',
+        meat: 250
+      },
+      sambar: {
+        health: 200,
+        speed: 11,
+        power: 25,
+        stamina: 120,
+        behaviorType: 'prey',
+        meat: 150,
+        hearingRadius: 60
+      },
+      langur: {
+        health: 60,
+        speed: 13,
+        power: 8,
+        stamina: 100,
+        behaviorType: 'prey',
+        meat: 15
+      },
+      peafowl: {
+        health: 40,
+        speed: 18, // Fastest thing in the jungle over a short dash
+        power: 3,
+        stamina: 70,
+        behaviorType: 'prey',
+        meat: 10,
+        detectionRadius: 45, // Flighty - spots trouble early and bolts sooner
+        fleeDistance: 70
       },
       leopard: {
         health: 250, // Increased from 100
         speed: 12,
         power: 40, // leopard damage 40
         stamina: 150,
-        behaviorType: 'predator'
+        behaviorType: 'predator',
+        meat: 80
       },
       'male_tiger': {
         health: 300, // Strong and robust
         speed: 14,
         power: 60, // Very powerful
         stamina: 200,
-        behaviorType: 'territorial'
+        behaviorType: 'territorial',
+        meat: 140
       },
       'female_tiger': {
         health: 250, // Slightly less health but faster
         speed: 16,
         power: 45, // Less power than males
         stamina: 240, // More stamina
-        behaviorType: 'territorial'
+        behaviorType: 'territorial',
+        meat: 120
       }
     };
     
@@ -122,6 +187,14 @@ export class Animal {
         return new THREE.BoxGeometry(0.9, 0.7, 1.4); // Compact, rounded body
       case 'boar':
         return new THREE.BoxGeometry(2.0, 1.2, 2.8); // Wide, muscular body
+      case 'buffalo':
+        return new THREE.BoxGeometry(2.2, 1.6, 3.6); // Massive, deep-chested body
+      case 'sambar':
+        return new THREE.BoxGeometry(1.8, 1.6, 3.4); // Big, heavy deer
+      case 'langur':
+        return new THREE.BoxGeometry(0.7, 0.9, 0.9); // Slim, upright monkey
+      case 'peafowl':
+        return new THREE.BoxGeometry(0.6, 0.7, 1.0); // Small bird body
       case 'leopard':
         return new THREE.BoxGeometry(1.4, 0.9, 3.0); // Lean, athletic body
       case 'male_tiger':
@@ -162,6 +235,30 @@ export class Animal {
           transparent: false,
           opacity: 1.0
         });
+      case 'buffalo':
+        return new THREE.MeshLambertMaterial({ 
+          color: 0x2B2B2B, // Slate black hide
+          transparent: false,
+          opacity: 1.0
+        });
+      case 'sambar':
+        return new THREE.MeshLambertMaterial({ 
+          color: 0x6B4F3A, // Dark brown, coarse coat
+          transparent: false,
+          opacity: 1.0
+        });
+      case 'langur':
+        return new THREE.MeshLambertMaterial({ 
+          color: 0xB8B5A8, // Silver-grey fur
+          transparent: false,
+          opacity: 1.0
+        });
+      case 'peafowl':
+        return new THREE.MeshLambertMaterial({ 
+          color: 0x1F4FA0, // Iridescent blue
+          transparent: false,
+          opacity: 1.0
+        });
       case 'leopard':
         return new THREE.MeshLambertMaterial({ 
           color: 0xDAA520, // Goldenrod - more realistic leopard base
@@ -197,6 +294,14 @@ export class Animal {
         return new THREE.BoxGeometry(0.6, 0.6, 0.7); // Rounded head
       case 'boar':
         return new THREE.BoxGeometry(0.9, 0.7, 1.2); // Wide snout
+      case 'buffalo':
+        return new THREE.BoxGeometry(1.0, 0.9, 1.2); // Broad, heavy head
+      case 'sambar':
+        return new THREE.BoxGeometry(0.8, 0.8, 1.1); // Long deer head
+      case 'langur':
+        return new THREE.BoxGeometry(0.5, 0.5, 0.45); // Round monkey head
+      case 'peafowl':
+        return new THREE.BoxGeometry(0.25, 0.3, 0.35); // Small head on a long neck
       case 'leopard':
         return new THREE.BoxGeometry(0.7, 0.6, 0.9); // Sleek feline head
       case 'male_tiger':
@@ -216,6 +321,14 @@ export class Animal {
         return { x: 0, y: 0.2, z: 1.0 }; // Compact positioning
       case 'boar':
         return { x: 0, y: 0.1, z: 1.6 }; // Lower, forward position
+      case 'buffalo':
+        return { x: 0, y: 0.1, z: 2.1 }; // Low-slung, head carried forward
+      case 'sambar':
+        return { x: 0, y: 0.6, z: 1.9 }; // Raised on a thick neck
+      case 'langur':
+        return { x: 0, y: 0.7, z: 0.2 }; // On top of the upright body
+      case 'peafowl':
+        return { x: 0, y: 0.8, z: 0.5 }; // Perched on the long neck
       case 'leopard':
         return { x: 0, y: 0.3, z: 1.7 }; // Predator positioning
       case 'male_tiger':
@@ -247,6 +360,14 @@ export class Animal {
       this.addEars(head);
     } else if (this.type === 'boar') {
       this.addTusks(head);
+    } else if (this.type === 'buffalo') {
+      this.addHorns(head);
+    } else if (this.type === 'sambar') {
+      this.addSambarAntlers(head);
+    } else if (this.type === 'langur') {
+      this.addLangurFace(head);
+    } else if (this.type === 'peafowl') {
+      this.addPeafowlCrest(head);
     }
     
     // Add eyes to all animals
@@ -264,6 +385,14 @@ export class Animal {
       this.addBoarMuscles();
     }
     
+    // Add the peacock's train and the peafowl's long neck
+    if (this.type === 'peafowl') {
+      this.addPeafowlNeck();
+      if (this.gender === 'male') {
+        this.addPeacockTrain();
+      }
+    }
+    
     // Add tiger stripes
     if (this.type === 'male_tiger' || this.type === 'female_tiger') {
       this.addTigerStripes();
@@ -382,6 +511,14 @@ export class Animal {
         return { width: 0.15, height: 0.6, depth: 0.15 }; // Short, compact legs
       case 'boar':
         return { width: 0.25, height: 0.8, depth: 0.25 }; // Thick, sturdy legs
+      case 'buffalo':
+        return { width: 0.35, height: 1.0, depth: 0.35 }; // Thick, pillar-like legs
+      case 'sambar':
+        return { width: 0.22, height: 1.2, depth: 0.22 }; // Long, strong legs
+      case 'langur':
+        return { width: 0.12, height: 0.7, depth: 0.12 }; // Long, thin limbs
+      case 'peafowl':
+        return { width: 0.06, height: 0.8, depth: 0.06 }; // Thin bird legs
       case 'leopard':
         return { width: 0.20, height: 0.9, depth: 0.20 }; // Athletic legs
       case 'male_tiger':
@@ -416,6 +553,32 @@ export class Animal {
           [-0.7, -0.8, -1.0],  // Back left
           [0.7, -0.8, -1.0]    // Back right
         ];
+      case 'buffalo':
+        return [
+          [-0.8, -1.1, 1.3],   // Front left
+          [0.8, -1.1, 1.3],    // Front right
+          [-0.8, -1.1, -1.3],  // Back left
+          [0.8, -1.1, -1.3]    // Back right
+        ];
+      case 'sambar':
+        return [
+          [-0.7, -1.2, 1.3],   // Front left
+          [0.7, -1.2, 1.3],    // Front right
+          [-0.7, -1.2, -1.3],  // Back left
+          [0.7, -1.2, -1.3]    // Back right
+        ];
+      case 'langur':
+        return [
+          [-0.25, -0.6, 0.3],  // Front left (arm)
+          [0.25, -0.6, 0.3],   // Front right (arm)
+          [-0.25, -0.6, -0.3], // Back left
+          [0.25, -0.6, -0.3]   // Back right
+        ];
+      case 'peafowl':
+        return [
+          [-0.15, -0.7, 0],    // Left
+          [0.15, -0.7, 0]      // Right - birds stand on two legs
+        ];
       case 'leopard':
         return [
           [-0.5, -0.8, 1.1],   // Front left
@@ -473,6 +636,14 @@ export class Animal {
         return { width: 0.06, height: 0.06, length: 0.3 }; // Thin, curly tail
       case 'leopard':
         return { width: 0.12, height: 0.12, length: 1.2 }; // Long, thick tail
+      case 'buffalo':
+        return { width: 0.1, height: 0.1, length: 0.9 }; // Thin tail with a tuft
+      case 'sambar':
+        return { width: 0.15, height: 0.15, length: 0.5 }; // Short, bushy tail
+      case 'langur':
+        return { width: 0.08, height: 0.08, length: 1.8 }; // Tail longer than the body
+      case 'peafowl':
+        return { width: 0.3, height: 0.05, length: 0.5 }; // Short tail feathers (the train sits above)
       default:
         return { width: 0.1, height: 0.1, length: 0.6 };
     }
@@ -488,6 +659,14 @@ export class Animal {
         return { x: 0, y: 0.4, z: -1.6 }; // Slightly raised
       case 'leopard':
         return { x: 0, y: 0.2, z: -1.8 }; // Long tail positioning
+      case 'buffalo':
+        return { x: 0, y: 0.3, z: -2.1 };
+      case 'sambar':
+        return { x: 0, y: 0.5, z: -1.9 };
+      case 'langur':
+        return { x: 0, y: -0.2, z: -1.1 }; // Hanging from the rump
+      case 'peafowl':
+        return { x: 0, y: 0.1, z: -0.7 };
       default:
         return { x: 0, y: 0.2, z: -1.8 };
     }
@@ -503,6 +682,14 @@ export class Animal {
         return { x: 0.3, y: 0.2, z: 0 }; // Slightly curled
       case 'leopard':
         return { x: -0.1, y: 0, z: 0 }; // Slight downward curve
+      case 'buffalo':
+        return { x: -0.6, y: 0, z: 0 }; // Hangs down
+      case 'sambar':
+        return { x: 0.3, y: 0, z: 0 };
+      case 'langur':
+        return { x: -0.9, y: 0, z: 0 }; // Droops toward the ground
+      case 'peafowl':
+        return { x: 0.2, y: 0, z: 0 };
       default:
         return { x: 0, y: 0, z: 0 };
     }
@@ -522,6 +709,8 @@ export class Animal {
       eyeColor = 0x8B0000; // Dark red for boar
     } else if (this.type === 'leopard') {
       eyeColor = 0xFFD700; // Golden eyes for leopard
+    } else if (this.type === 'langur') {
+      eyeColor = 0x8B6914; // Amber eyes in the black face
     }
     
     const eyeMaterial = new THREE.MeshLambertMaterial({ color: eyeColor });
@@ -560,6 +749,26 @@ export class Animal {
           left: { x: -0.18, y: 0.12, z: 0.4 },
           right: { x: 0.18, y: 0.12, z: 0.4 }
         };
+      case 'buffalo':
+        return {
+          left: { x: -0.4, y: 0.2, z: 0.4 },
+          right: { x: 0.4, y: 0.2, z: 0.4 }
+        };
+      case 'sambar':
+        return {
+          left: { x: -0.25, y: 0.2, z: 0.45 },
+          right: { x: 0.25, y: 0.2, z: 0.45 }
+        };
+      case 'langur':
+        return {
+          left: { x: -0.1, y: 0.08, z: 0.26 },
+          right: { x: 0.1, y: 0.08, z: 0.26 }
+        };
+      case 'peafowl':
+        return {
+          left: { x: -0.1, y: 0.06, z: 0.1 },
+          right: { x: 0.1, y: 0.06, z: 0.1 }
+        };
       default:
         return {
           left: { x: -0.15, y: 0.1, z: 0.35 },
@@ -687,6 +896,109 @@ export class Animal {
     });
   }
   
+  addHorns(head) {
+    // Wide horns sweeping out and back from the crown
+    const hornGeometry = new THREE.BoxGeometry(1.1, 0.15, 0.2);
+    const hornMaterial = new THREE.MeshLambertMaterial({ color: 0x4A4236 }); // Weathered grey-brown
+    
+    const leftHorn = new THREE.Mesh(hornGeometry, hornMaterial);
+    leftHorn.position.set(-0.8, 0.45, -0.2);
+    leftHorn.rotation.set(0, -0.4, 0.35);
+    head.add(leftHorn);
+    
+    const rightHorn = new THREE.Mesh(hornGeometry, hornMaterial);
+    rightHorn.position.set(0.8, 0.45, -0.2);
+    rightHorn.rotation.set(0, 0.4, -0.35);
+    head.add(rightHorn);
+  }
+  
+  addSambarAntlers(head) {
+    // Thick beams with a brow tine and a forked tip - only stags carry them
+    if (this.gender !== 'male') return;
+    
+    const beamGeometry = new THREE.CylinderGeometry(0.05, 0.08, 1.2, 5);
+    const tineGeometry = new THREE.ConeGeometry(0.04, 0.4, 4);
+    const antlerMaterial = new THREE.MeshLambertMaterial({ color: 0x4B3621 });
+    
+    [-1, 1].forEach(side => {
+      const beam = new THREE.Mesh(beamGeometry, antlerMaterial);
+      beam.position.set(side * 0.3, 0.9, -0.1);
+      beam.rotation.z = -side * 0.3;
+      head.add(beam);
+      
+      const browTine = new THREE.Mesh(tineGeometry, antlerMaterial);
+      browTine.position.set(side * 0.15, 0.5, 0.2);
+      browTine.rotation.x = 0.8;
+      head.add(browTine);
+      
+      const tipTine = new THREE.Mesh(tineGeometry, antlerMaterial);
+      tipTine.position.set(side * 0.55, 1.5, 0);
+      tipTine.rotation.z = -side * 0.6;
+      head.add(tipTine);
+    });
+  }
+  
+  addLangurFace(head) {
+    // Black face and ears framed by the grey fur
+    const faceMaterial = new THREE.MeshLambertMaterial({ color: 0x111111 });
+    
+    const face = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.35, 0.05), faceMaterial);
+    face.position.set(0, 0, 0.23);
+    head.add(face);
+    
+    const earGeometry = new THREE.BoxGeometry(0.05, 0.15, 0.1);
+    [-1, 1].forEach(side => {
+      const ear = new THREE.Mesh(earGeometry, faceMaterial);
+      ear.position.set(side * 0.27, 0.05, 0);
+      head.add(ear);
+    });
+  }
+  
+  addPeafowlCrest(head) {
+    // Fan of thin feathers tipped with blue
+    const shaftGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.25, 3);
+    const tipGeometry = new THREE.SphereGeometry(0.03, 6, 6);
+    const shaftMaterial = new THREE.MeshLambertMaterial({ color: 0x2E2E2E });
+    const tipMaterial = new THREE.MeshLambertMaterial({ color: 0x1E90FF });
+    
+    for (let i = -2; i <= 2; i++) {
+      const shaft = new THREE.Mesh(shaftGeometry, shaftMaterial);
+      shaft.position.set(i * 0.04, 0.27, -0.05);
+      shaft.rotation.z = i * 0.15;
+      head.add(shaft);
+      
+      const tip = new THREE.Mesh(tipGeometry, tipMaterial);
+      tip.position.set(i * 0.06, 0.4, -0.05);
+      head.add(tip);
+    }
+  }
+  
+  addPeafowlNeck() {
+    const neck = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.6, 0.15), this.mesh.material);
+    neck.position.set(0, 0.5, 0.45);
+    neck.rotation.x = 0.2;
+    this.mesh.add(neck);
+  }
+  
+  addPeacockTrain() {
+    // Long green train with eye spots, trailing behind and raised slightly
+    const featherGeometry = new THREE.BoxGeometry(0.18, 0.03, 2.0);
+    const featherMaterial = new THREE.MeshLambertMaterial({ color: 0x2E8B57 }); // Sea green
+    const eyeGeometry = new THREE.SphereGeometry(0.07, 6, 6);
+    const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x00308F }); // Deep blue eye spot
+    
+    for (let i = -3; i <= 3; i++) {
+      const feather = new THREE.Mesh(featherGeometry, featherMaterial);
+      feather.position.set(i * 0.12, 0.15, -1.4);
+      feather.rotation.set(0.15, i * 0.08, 0);
+      this.mesh.add(feather);
+      
+      const eyeSpot = new THREE.Mesh(eyeGeometry, eyeMaterial);
+      eyeSpot.position.set(i * 0.2, 0.05, -2.3);
+      this.mesh.add(eyeSpot);
+    }
+  }
+  
   createHealthBar() {
     // Create health bar container
     const barWidth = 2.0;
@@ -748,10 +1060,18 @@ export class Animal {
   takeDamage(amount, attacker = null) {
     console.log(`🦌 ${this.type} taking ${amount} damage (health: ${this.health} -> ${Math.max(0, this.health - amount)})`);
     this.health = Math.max(0, this.health - amount);
+    if (attacker) {
+      this.lastAttacker = attacker;
+    }
     
     // Show health bar when attacked
     this.showHealthBar();
     
+    // Heavy blows open bleeding wounds
+    if (attacker && amount >= 25 && this.health > 0) {
+      this.statusEffects.apply('bleeding', { source: attacker.type || 'tiger' });
+    }
+    
     // React to being attacked
     if (attacker && this.isAlive()) {
       this.reactToAttack(attacker);
@@ -772,6 +1092,7 @@ export class Animal {
     
     // ALL prey fight back when attacked
     this.setAIState('aggressive');
+    this.statusEffects.apply('enraged');
     console.log(`🦌 ${this.type} becoming aggressive and fighting back!`);
   }
   
@@ -817,9 +1138,12 @@ export class Animal {
     }
   }
   
-  // AI behavior
+  // AI behavior - forcing a state runs its action for at least its minimum duration
   setAIState(newState) {
     this.aiState = newState;
+    if (this.ai) {
+      this.ai.force(newState);
+    }
   }
   
   setTarget(target) {
@@ -830,6 +1154,10 @@ export class Animal {
     this.target = null;
   }
   
+  setMovementLocked(locked) {
+    this.movementLocked = locked;
+  }
+  
   canDetect(threat) {
     return this.distanceTo(threat) <= this.detectionRadius;
   }
@@ -847,20 +1175,6 @@ export class Animal {
     return (this.behaviorType === 'predator' || this.type === 'boar') && this.distanceTo(target) <= this.attackRange;
   }
   
-  attack(target) {
-    if (!this.canAttack(target)) return false;
-    
-    console.log(`🦌 ${this.type} attacking ${target.constructor.name} with ${this.power} damage`);
-    
-    // Apply damage to target
-    if (target.takeDamage) {
-      target.takeDamage(this.power, this);
-      console.log(`🦌 ${this.type} dealt ${this.power} damage to tiger`);
-    }
-    
-    return true;
-  }
-  
   // Experience and rewards
   getExperienceReward() {
     switch (this.behaviorType) {
@@ -896,17 +1210,23 @@ export class Animal {
       }
     }
     
+    // Tick bleeding and other timed effects (bleeding out ends the update)
+    this.statusEffects.update(deltaTime);
+    if (!this.isAlive()) return;
+    
     // Regenerate stamina over time
     if (this.staminaRegenTimer >= 0.5) { // Every 0.5 seconds
-      this.restoreStamina(5);
+      this.restoreStamina(5 * this.statusEffects.getMultiplier('staminaRegen'));
       this.staminaRegenTimer = 0;
     }
     
-    // Update AI behavior
-    this.updateAI(deltaTime);
+    // Choose and carry out an action
+    this.ai.update(deltaTime);
     
     // Update position based on velocity
-    this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
+    if (!this.movementLocked) {
+      this.position.add(this.velocity.clone().multiplyScalar(deltaTime * this.statusEffects.getMultiplier('speed')));
+    }
     
     // Sync mesh position
     if (this.mesh) {
@@ -915,74 +1235,6 @@ export class Animal {
     }
   }
   
-  updateAI(deltaTime) {
-    // Basic AI state machine
-    switch (this.aiState) {
-      case 'idle':
-        this.handleIdleState(deltaTime);
-        break;
-      case 'grazing':
-        this.handleGrazingState(deltaTime);
-        break;
-      case 'moving':
-        this.handleMovingState(deltaTime);
-        break;
-      case 'alert':
-        this.handleAlertState(deltaTime);
-        break;
-      case 'fleeing':
-        this.handleFleeingState(deltaTime);
-        break;
-      case 'aggressive':
-        this.handleAggressiveState(deltaTime);
-        break;
-    }
-  }
-  
-  handleIdleState(deltaTime) {
-    // More frequent state changes
-    if (this.stateTimer > 1.0 && Math.random() < 0.3) {
-      const nextState = Math.random() < 0.6 ? 'grazing' : 'moving';
-      this.setAIState(nextState);
-    }
-  }
-  
-  handleGrazingState(deltaTime) {
-    // Graze for a while, then return to idle
-    if (this.stateTimer > 3.0) {
-      this.setAIState('idle');
-    }
-  }
-  
-  handleMovingState(deltaTime) {
-    // Move randomly for a while, then either idle or keep moving
-    if (this.stateTimer > 3.0) {
-      const nextState = Math.random() < 0.5 ? 'idle' : 'moving';
-      this.setAIState(nextState);
-    }
-  }
-  
-  handleAlertState(deltaTime) {
-    // Stay alert for a moment
-    if (this.stateTimer > 1.0) {
-      this.setAIState('idle');
-    }
-  }
-  
-  handleFleeingState(deltaTime) {
-    // Flee for a longer period
-    if (this.stateTimer > 4.0) {
-      this.setAIState('idle');
-    }
-  }
-  
-  handleAggressiveState(deltaTime) {
-    // Aggressive behavior for predators
-    if (this.stateTimer > 2.0) {
-      this.setAIState('idle');
-    }
-  }
-  
   // Cleanup
   dispose() {
     if (this.mesh) {
@@ -1046,10 +1298,29 @@ export class Animal {
     return {
       success: true,
       bonus: matingBonus,
+      parent: this.getParentInfo(),
       message: `Successfully mated with ${this.gender} tiger! Both tigers gained health and stamina.`
     };
   }
   
+  // Stats and fur traits passed on to cubs
+  getParentInfo() {
+    return {
+      gender: this.gender,
+      maxHealth: this.maxHealth,
+      maxStamina: this.maxStamina,
+      power: this.power,
+      traits: {
+        furColor: this.mesh && this.mesh.material ? this.mesh.material.color.getHex() : 0xff6600,
+        stripeColor: 0x000000
+      }
+    };
+  }
+  
+  /**
+   * Square up to the player tiger. The fight is played out blow by blow
+   * until one side gives up (see AnimalSystem.updateTigerFights).
+   */
   initiateFight(playerTiger) {
     console.log(`⚔️ ${this.gender} tiger challenging ${playerTiger.gender} player tiger to territorial fight`);
     
@@ -1058,18 +1329,33 @@ export class Animal {
     this.setTarget(playerTiger);
     this.stateTimer = 0;
     
-    // Calculate fight outcome based on stats
-    const playerPower = playerTiger.power + (playerTiger.level * 5);
-    const wildPower = this.power + Math.random() * 20; // Add some randomness
-    
-    const fightResult = {
-      playerWins: playerPower > wildPower,
-      powerDifference: Math.abs(playerPower - wildPower),
-      wildTigerPower: wildPower,
-      playerPower: playerPower
-    };
+    // Where it started, to tell which side broke off a fight
+    this.fight = { opponent: playerTiger, origin: this.position.clone() };
+    return this.fight;
+  }
+  
+  /**
+   * How a wild tiger answers the player's roar: a weaker one backs off,
+   * a stronger one comes to challenge
+   */
+  respondToRoar(playerTiger) {
+    // A rival the player beat soundly won't stand up to it again; one with a grudge will
+    const attitude = this.identity ? this.identity.getAttitude() : 'unknown';
+    if (attitude === 'avoid') return 'backOff';
+    if (attitude === 'rematch') return 'challenge';
     
-    return fightResult;
+    const playerPower = playerTiger.power + (playerTiger.level * 5);
+    return playerPower >= this.power ? 'backOff' : 'challenge';
+  }
+  
+  /**
+   * How a wild tiger answers the player's scent marks: the stronger the
+   * marks, the stronger a rival that will respect them
+   * @param {number} strength - Territory strength where the rival stands
+   */
+  respondToScent(playerTiger, strength) {
+    const playerPower = (playerTiger.power + (playerTiger.level * 5)) * (1 + Math.min(strength, 2) * 0.25);
+    return playerPower >= this.power ? 'respect' : 'challenge';
   }
   
   getInteractionType(playerTiger) {
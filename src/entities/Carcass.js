@@ -0,0 +1,118 @@
+/**
+ * Carcass - The meat left on a dead animal, which rots over time
+ *
+ * Meat starts at the species' meat value (see Animal.getDefaultStats) and is
+ * eaten in bites by the tiger or by scavengers. Fresh meat is fully
+ * nourishing; spoiling meat is less so and may make the eater sick; rotten
+ * meat is barely nourishing and always does.
+ *
+ * Tigers can drag a carcass and cache it; one left in dense vegetation
+ * rots more slowly and is harder for scavengers to find. A kill made by an
+ * AI predator is defended by it until it has eaten its fill.
+ */
+export class Carcass {
+  constructor(animal, options = {}) {
+    this.animal = animal;
+    this.type = animal.type;
+
+    this.maxMeat = options.maxMeat ?? animal.meat ?? 50;
+    this.meat = options.meat ?? this.maxMeat;
+    this.bitesTaken = options.bitesTaken || 0;
+
+    // Decay (seconds since death)
+    this.age = options.age || 0;
+    this.spoilAge = 90; // Meat starts spoiling
+    this.rotAge = 240; // Meat is fully rotten
+    this.maxAge = 480; // Remains are gone
+
+    // Caching in cover
+    this.inCover = options.inCover || false;
+    this.coverDecayRate = 0.5; // Rot speed while hidden in vegetation
+    this.carrier = null; // Tiger dragging this carcass, if any
+    this.carrierModel = null; // TigerModel holding the mesh in its jaw
+    this.killer = null; // AI predator that made the kill and defends it
+  }
+
+  update(deltaTime) {
+    this.age += deltaTime * (this.inCover ? this.coverDecayRate : 1);
+  }
+
+  /**
+   * Weight to drag - remaining meat plus bones and hide
+   */
+  getWeight() {
+    return this.meat + this.maxMeat * 0.2;
+  }
+
+  isCarried() {
+    return this.carrier !== null;
+  }
+
+  /**
+   * 1 while fresh, falling to 0 once fully rotten
+   */
+  getFreshness() {
+    if (this.age <= this.spoilAge) return 1;
+    return Math.max(0, 1 - (this.age - this.spoilAge) / (this.rotAge - this.spoilAge));
+  }
+
+  getDecayState() {
+    const freshness = this.getFreshness();
+    if (freshness >= 1) return 'fresh';
+    if (freshness > 0) return 'spoiling';
+    return 'rotten';
+  }
+
+  /**
+   * Share of each bite's meat that turns into hunger
+   */
+  getNutritionMultiplier() {
+    return 0.4 + 0.6 * this.getFreshness();
+  }
+
+  /**
+   * Chance that a bite makes the eater sick
+   */
+  getSicknessChance() {
+    return (1 - this.getFreshness()) * 0.5 + (this.getDecayState() === 'rotten' ? 0.5 : 0);
+  }
+
+  /**
+   * Eat up to `amount` meat
+   * @returns {number} Meat actually eaten
+   */
+  takeBite(amount) {
+    const eaten = Math.min(this.meat, amount);
+    this.meat -= eaten;
+    this.bitesTaken++;
+    return eaten;
+  }
+
+  getMeatRatio() {
+    return this.maxMeat > 0 ? this.meat / this.maxMeat : 0;
+  }
+
+  isDepleted() {
+    return this.meat <= 0;
+  }
+
+  isExpired() {
+    return this.age >= this.maxAge;
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      position: {
+        x: this.animal.position.x,
+        y: this.animal.position.y,
+        z: this.animal.position.z
+      },
+      meat: this.meat,
+      maxMeat: this.maxMeat,
+      age: this.age,
+      bitesTaken: this.bitesTaken,
+      inCover: this.inCover
+    };
+  }
+}
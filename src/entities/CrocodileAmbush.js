@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getEvolutionTier } from '../systems/EvolutionStages.js';
 
 /**
  * CrocodileAmbush - Water-based ambush predator
@@ -314,14 +315,15 @@ export class CrocodileAmbush {
   
   /**
    * Update crocodile behavior
+   * @param {Array} prey - Animals the crocodile can ambush besides the tiger
    */
-  update(deltaTime, tiger) {
+  update(deltaTime, tiger, prey = []) {
     if (!this.isAlive() || !tiger) return;
     
     this.stateTimer += deltaTime;
     
     // Update state machine
-    this.updateStateMachine(deltaTime, tiger);
+    this.updateStateMachine(deltaTime, tiger, prey);
     
     // Update position and animation
     this.updateMovement(deltaTime);
@@ -365,6 +367,14 @@ export class CrocodileAmbush {
       return;
     }
     
+    // Prey that dies in the jaws is dragged under - nothing left to hold
+    if (!tiger.isAlive()) {
+      console.log(`🐊 ${tiger.type || 'Tiger'} killed - dragging it under and retreating`);
+      this.releaseGrab();
+      this.setState('retreating');
+      return;
+    }
+    
     // Apply initial bite damage once
     if (!this.hasDealtInitialBite) {
       const biteDamage = this.getInitialBiteDamage(tiger);
@@ -391,24 +401,27 @@ export class CrocodileAmbush {
   /**
    * Update state machine
    */
-  updateStateMachine(deltaTime, tiger) {
-    const distanceToTiger = this.getDistanceToTiger(tiger);
+  updateStateMachine(deltaTime, tiger, prey = []) {
+    // While hidden the crocodile waits for whatever comes closest to the
+    // water; once it has picked a target it stays on it
+    const quarry = this.state === 'hidden' ? this.selectQuarry(tiger, prey) : (this.target || tiger);
+    const distanceToQuarry = this.getDistanceToTiger(quarry);
     
     switch (this.state) {
       case 'hidden':
-        this.handleHiddenState(tiger, distanceToTiger);
+        this.handleHiddenState(quarry, distanceToQuarry);
         break;
         
       case 'alert':
-        this.handleAlertState(tiger, distanceToTiger);
+        this.handleAlertState(quarry, distanceToQuarry);
         break;
         
       case 'attacking':
-        this.handleAttackingState(tiger, distanceToTiger);
+        this.handleAttackingState(quarry, distanceToQuarry);
         break;
         
       case 'grabbing':
-        this.handleGrabbingState(tiger, distanceToTiger);
+        this.handleGrabbingState(quarry, distanceToQuarry);
         break;
         
       case 'retreating':
@@ -422,12 +435,31 @@ export class CrocodileAmbush {
   }
   
   /**
-   * Handle hidden state - waiting for tiger to approach
+   * Nearest living animal, or the tiger if nothing is closer
+   */
+  selectQuarry(tiger, prey) {
+    let quarry = tiger;
+    let nearestDistance = this.getDistanceToTiger(tiger);
+    
+    for (const animal of prey) {
+      if (!animal.isAlive()) continue;
+      const distance = this.getDistanceToTiger(animal);
+      if (distance < nearestDistance) {
+        quarry = animal;
+        nearestDistance = distance;
+      }
+    }
+    
+    return quarry;
+  }
+  
+  /**
+   * Handle hidden state - waiting for tiger or prey to approach
    */
   handleHiddenState(tiger, distance) {
     // Simplified detection: attack if tiger is within detection radius
     if (distance <= this.detectionRadius) {
-      console.log(`🐊 Crocodile detected tiger at distance ${distance.toFixed(1)} - entering alert state`);
+      console.log(`🐊 Crocodile detected ${tiger.type || 'tiger'} at distance ${distance.toFixed(1)} - entering alert state`);
       this.setState('alert');
       this.target = tiger;
     }
@@ -803,6 +835,19 @@ export class CrocodileAmbush {
     return this.state;
   }
   
+  /**
+   * Startle out of hiding (e.g. by a roar) - the ambush is given away
+   * @returns {boolean} Whether the crocodile was startled
+   */
+  startle() {
+    if (this.state !== 'hidden' && this.state !== 'alert') return false;
+    
+    console.log(`🐊 Crocodile startled out of hiding!`);
+    this.setState('retreating');
+    this.target = null;
+    return true;
+  }
+  
   /**
    * Get detection radius
    */
@@ -830,6 +875,11 @@ export class CrocodileAmbush {
       tiger.setMovementLocked(true);
     }
     
+    // Jaws clamp onto a leg
+    if (tiger.injure) {
+      tiger.injure('legs', 0.4, this.type);
+    }
+    
     console.log(`🐊 Grab started - tiger movement locked for ${this.grabbingDuration} seconds`);
   }
   
@@ -852,24 +902,25 @@ export class CrocodileAmbush {
    * Get initial bite damage based on tiger stage
    */
   getInitialBiteDamage(tiger) {
-    const damageByStage = {
-      'Young': 30,
-      'Adult': 50,
-      'Alpha': 70
-    };
-    return damageByStage[tiger.evolutionStage] || 50;
+    const damageByTier = [30, 50, 70]; // Young, Adult, Alpha and beyond
+    return this.getDamageForTier(damageByTier, tiger, 50);
   }
   
   /**
    * Get hold damage per second based on tiger stage
    */
   getHoldDamagePerSecond(tiger) {
-    const damageByStage = {
-      'Young': 10,
-      'Adult': 15,
-      'Alpha': 20
-    };
-    return damageByStage[tiger.evolutionStage] || 15;
+    const damageByTier = [10, 15, 20]; // Young, Adult, Alpha and beyond
+    return this.getDamageForTier(damageByTier, tiger, 15);
+  }
+  
+  /**
+   * Pick a damage value by the tiger's evolution tier
+   */
+  getDamageForTier(damageByTier, tiger, fallback) {
+    const tier = getEvolutionTier(tiger.evolutionStage);
+    if (tier === null) return fallback;
+    return damageByTier[Math.min(tier, damageByTier.length - 1)];
   }
   
   /**
@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import { Tiger } from './Tiger.js';
+import { TigerModel } from './TigerModel.js';
+
+/**
+ * Cub - A tiger cub that follows its parent and grows into a playable heir
+ */
+export class Cub {
+  constructor(options = {}) {
+    this.name = options.name || 'Cub';
+    this.gender = options.gender || (Math.random() < 0.5 ? 'male' : 'female');
+    this.generation = options.generation || 2;
+
+    // Stats the cub will have as an adult (inherited from both parents)
+    this.inheritedStats = { ...options.inheritedStats };
+    this.traits = { ...options.traits };
+
+    // Growth
+    this.age = options.age || 0; // seconds
+    this.adultAge = 480; // 8 minutes of play to reach adulthood
+    this.minScale = 0.35;
+
+    // Position and movement
+    this.position = new THREE.Vector3();
+    this.rotation = new THREE.Euler(0, 0, 0);
+    this.followOffset = options.followOffset || new THREE.Vector3(0, 0, -4);
+    this.speed = 10;
+
+    // 3D model
+    this.model = new TigerModel(this.gender, this.traits);
+    this.updateScale();
+
+    console.log(`🐾 Cub ${this.name} (${this.gender}) created, generation ${this.generation}`);
+  }
+
+  /**
+   * Growth progress from 0 (newborn) to 1 (adult)
+   */
+  getGrowth() {
+    return Math.min(1, this.age / this.adultAge);
+  }
+
+  isAdult() {
+    return this.age >= this.adultAge;
+  }
+
+  updateScale() {
+    const growth = this.getGrowth();
+    this.model.setScaleFactor(this.minScale + (1 - this.minScale) * growth);
+  }
+
+  /**
+   * Follow the leader tiger, keeping to a slot behind it
+   */
+  update(deltaTime, leader, terrain) {
+    const wasAdult = this.isAdult();
+    this.age += deltaTime;
+    this.updateScale();
+
+    if (!wasAdult && this.isAdult()) {
+      console.log(`🐾 ${this.name} has grown into an adult!`);
+    }
+
+    if (leader) {
+      // Follow slot rotates with the leader so cubs trail behind it
+      const slot = this.followOffset.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), leader.rotation.y);
+      const target = new THREE.Vector3(leader.position.x + slot.x, 0, leader.position.z + slot.z);
+      const toTarget = new THREE.Vector3(target.x - this.position.x, 0, target.z - this.position.z);
+      const distance = toTarget.length();
+
+      if (distance > 0.5) {
+        // Cubs hurry to catch up when they fall far behind
+        const speed = distance > 15 ? this.speed * 1.8 : this.speed;
+        const step = Math.min(distance, speed * deltaTime);
+        toTarget.normalize();
+        this.position.x += toTarget.x * step;
+        this.position.z += toTarget.z * step;
+        this.rotation.y = Math.atan2(toTarget.x, toTarget.z);
+        this.model.playAnimation(distance > 15 ? 'running' : 'walking');
+      } else {
+        this.model.playAnimation('idle');
+      }
+    }
+
+    if (terrain) {
+      this.position.y = terrain.getHeightAt(this.position.x, this.position.z) + this.getGrowth() * 0.6 + 0.4;
+    }
+
+    this.model.setPosition(this.position.x, this.position.y, this.position.z);
+    this.model.setRotation(0, this.rotation.y, 0);
+    this.model.update(deltaTime);
+  }
+
+  /**
+   * Create a playable tiger from this cub
+   */
+  createTiger() {
+    const tiger = new Tiger(this.gender);
+
+    for (const [stat, value] of Object.entries(this.inheritedStats)) {
+      tiger[stat] = value;
+    }
+    tiger.health = tiger.maxHealth;
+    tiger.stamina = tiger.maxStamina;
+    tiger.traits = { ...this.traits };
+    tiger.position.copy(this.position);
+    tiger.rotation.y = this.rotation.y;
+
+    return tiger;
+  }
+
+  getMesh() {
+    return this.model.getMesh();
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      gender: this.gender,
+      generation: this.generation,
+      age: this.age,
+      inheritedStats: { ...this.inheritedStats },
+      traits: { ...this.traits },
+      position: { x: this.position.x, y: this.position.y, z: this.position.z },
+      followOffset: { x: this.followOffset.x, y: this.followOffset.y, z: this.followOffset.z }
+    };
+  }
+
+  static fromJSON(data) {
+    const cub = new Cub({
+      ...data,
+      followOffset: data.followOffset ?
+        new THREE.Vector3(data.followOffset.x, data.followOffset.y, data.followOffset.z) :
+        undefined
+    });
+    if (data.position) {
+      cub.position.set(data.position.x, data.position.y, data.position.z);
+    }
+    return cub;
+  }
+
+  dispose() {
+    this.model.dispose();
+  }
+}
@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+
+/**
+ * Herd - A group of prey that spawned together and moves as one
+ *
+ * The leader picks the way (AnimalSystem plans its heading around steep
+ * ground and water); the others follow it with boids-style flocking:
+ * cohesion pulls them toward nearby herd mates, separation keeps them from
+ * bunching up and alignment matches their heading. When one member bolts
+ * the whole herd is alarmed and flees the same way until the threat is gone.
+ */
+export class Herd {
+  constructor(id, type) {
+    this.id = id;
+    this.type = type;
+    this.members = [];
+    this.leader = null;
+
+    // Travel direction for the leader
+    this.heading = new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5).normalize();
+    this.headingTimer = 0;
+
+    // Shared alarm - { threat, direction, timer } while the herd is fleeing
+    this.alarm = null;
+    this.alarmDuration = 6; // Minimum seconds the herd keeps running
+    this.calmThreat = 0.3; // Members' threat below which the alarm can end
+
+    this.flocking = {
+      neighbourRadius: 25,
+      separationDistance: 4,
+      cohesion: 0.6,
+      separation: 1.5,
+      alignment: 0.5
+    };
+  }
+
+  addMember(animal) {
+    this.members.push(animal);
+    animal.herd = this;
+    if (!this.leader) {
+      this.leader = animal;
+    }
+  }
+
+  removeMember(animal) {
+    const index = this.members.indexOf(animal);
+    if (index !== -1) {
+      this.members.splice(index, 1);
+    }
+    animal.herd = null;
+    if (this.leader === animal) {
+      this.electLeader();
+    }
+  }
+
+  /**
+   * The healthiest living member leads
+   */
+  electLeader() {
+    this.leader = null;
+    for (const member of this.members) {
+      if (member.isAlive() && (!this.leader || member.health > this.leader.health)) {
+        this.leader = member;
+      }
+    }
+  }
+
+  isLeader(animal) {
+    return this.leader === animal;
+  }
+
+  isEmpty() {
+    return this.members.length === 0;
+  }
+
+  getLivingMembers() {
+    return this.members.filter(member => member.isAlive());
+  }
+
+  /**
+   * Average position of the living members, optionally leaving one out
+   */
+  getCenter(exclude = null) {
+    const center = new THREE.Vector3();
+    let count = 0;
+    for (const member of this.members) {
+      if (member === exclude || !member.isAlive()) continue;
+      center.add(member.position);
+      count++;
+    }
+    return count > 0 ? center.divideScalar(count) : null;
+  }
+
+  raiseAlarm(threat, direction) {
+    this.alarm = { threat: threat.clone(), direction: direction.clone(), timer: this.alarmDuration };
+  }
+
+  /**
+   * Count down the alarm; it ends once the minimum time is up and every member has calmed down
+   * @returns {boolean} True on the update the alarm ends
+   */
+  updateAlarm(elapsed) {
+    if (!this.alarm) return false;
+
+    this.alarm.timer -= elapsed;
+    if (this.alarm.timer > 0) return false;
+    if (this.getLivingMembers().some(member => member.ai.threat >= this.calmThreat)) return false;
+
+    this.alarm = null;
+    return true;
+  }
+
+  /**
+   * Boids steering for one member: cohesion + separation + alignment (flat, not normalized)
+   */
+  getFlockingForce(animal) {
+    const { neighbourRadius, separationDistance } = this.flocking;
+    const cohesion = new THREE.Vector3();
+    const separation = new THREE.Vector3();
+    const alignment = new THREE.Vector3();
+    let count = 0;
+
+    for (const member of this.members) {
+      if (member === animal || !member.isAlive()) continue;
+
+      const away = new THREE.Vector3(animal.position.x - member.position.x, 0, animal.position.z - member.position.z);
+      const distance = away.length();
+      if (distance > neighbourRadius) continue;
+
+      cohesion.add(member.position);
+      alignment.add(member.velocity);
+      if (distance > 0 && distance < separationDistance) {
+        separation.add(away.divideScalar(distance).multiplyScalar((separationDistance - distance) / separationDistance));
+      }
+      count++;
+    }
+
+    const force = new THREE.Vector3();
+    if (count === 0) return force;
+
+    // Pull harder the further the member is from its neighbours
+    cohesion.divideScalar(count).sub(animal.position).setY(0);
+    const spread = cohesion.length();
+    if (spread > 0) {
+      force.add(cohesion.multiplyScalar(Math.min(1, spread / neighbourRadius) / spread * this.flocking.cohesion));
+    }
+
+    alignment.setY(0);
+    if (alignment.lengthSq() > 0) {
+      force.add(alignment.normalize().multiplyScalar(this.flocking.alignment));
+    }
+
+    force.add(separation.multiplyScalar(this.flocking.separation));
+    return force;
+  }
+
+  /**
+   * Direction a member should move: its own desired direction blended with flocking
+   * @param {THREE.Vector3} desired - Normalized direction the member wants to go
+   */
+  steer(animal, desired) {
+    const direction = desired.clone().add(this.getFlockingForce(animal)).setY(0);
+    return direction.lengthSq() > 0 ? direction.normalize() : desired.clone();
+  }
+}
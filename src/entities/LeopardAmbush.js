@@ -574,9 +574,19 @@ export class LeopardAmbush {
     
     console.log(`🐆 Leopard pounce hit! Damage: ${this.power}, Knockdown: ${knockdownSuccess}`);
     
+    // Claws rake the tiger's face
+    if (tiger.injure) {
+      tiger.injure('eyes', 0.3, this.type);
+    }
+    
     if (knockdownSuccess) {
       // Apply knockdown effect to tiger (would be handled by game systems)
       console.log(`🐆 Tiger knocked down by leopard pounce!`);
+      
+      // Landing badly hurts the legs
+      if (tiger.injure) {
+        tiger.injure('legs', 0.2, this.type);
+      }
     }
     
     // This will be handled by the AmbushSystem
@@ -735,6 +745,23 @@ export class LeopardAmbush {
     return this.state;
   }
   
+  /**
+   * Startle out of hiding (e.g. by a roar) - the ambush is given away
+   * @returns {boolean} Whether the leopard was startled
+   */
+  startle() {
+    if (!['hidden', 'stalking', 'alert'].includes(this.state)) return false;
+    
+    console.log(`🐆 Leopard startled out of hiding!`);
+    
+    // Leap down from the canopy and flee on the ground
+    this.position.y = this.getGroundHeight() + 1;
+    this.isGrounded = true;
+    this.setState('retreating');
+    this.target = null;
+    return true;
+  }
+  
   /**
    * Get detection radius
    */
@@ -1,4 +1,11 @@
 import * as THREE from 'three';
+import { DEFAULT_FUR_TRAITS } from './TigerModel.js';
+import { SkillTree } from '../systems/SkillTree.js';
+import { Injuries } from '../systems/Injuries.js';
+import { StatusEffects } from '../systems/StatusEffects.js';
+import { Abilities } from '../systems/Abilities.js';
+import { Combat } from '../systems/Combat.js';
+import { INITIAL_EVOLUTION_STAGE, getEvolutionStage, getEvolutionTier, getNextEvolutionStage } from '../systems/EvolutionStages.js';
 
 export class Tiger {
   constructor(gender = 'male') {
@@ -30,6 +37,8 @@ export class Tiger {
     this.maxHealth = baseHealth;
     this.speed = 12; // units/second
     this.stealth = 60; // affects detection radius
+    this.noise = 0; // How loud the tiger is moving, set by MovementSystem
+    this.isMoving = false; // Whether the tiger is covering ground, set by MovementSystem
     this.hunger = 100;
     this.maxHunger = 100;
     
@@ -37,12 +46,43 @@ export class Tiger {
     this.thirst = 100;
     this.maxThirst = 100;
     this.thirstDecayRate = 0.5; // Thirst decrease per second
-    this.isMovementLocked = false; // For crocodile grab
     
     // Evolution system
     this.level = 1;
     this.experience = 0;
-    this.evolutionStage = 'Young';
+    this.evolutionStage = INITIAL_EVOLUTION_STAGE;
+    
+    // Inherited fur traits (see TigerModel.applyFurTraits)
+    this.traits = { ...DEFAULT_FUR_TRAITS };
+    
+    // Localized wounds (legs, jaw, eyes)
+    this.injuries = new Injuries();
+    
+    // Timed status effects (bleeding, soaked, grabbed, ...)
+    this.statusEffects = new StatusEffects(this);
+    
+    // Active abilities and their cooldowns (pounce, roar, ...)
+    this.abilities = new Abilities(this);
+    
+    // Melee moves under way and any animal held in a bite
+    this.combat = new Combat(this);
+    
+    // Skill tree (points are earned on level-up)
+    this.skillTree = new SkillTree();
+    this.skillPointsPerLevel = 1;
+    
+    // Carcass being dragged in the jaw (see AnimalSystem.pickUpCarcass)
+    this.carriedCarcass = null;
+    
+    // Sleep - fast recovery, but a tiger asleep in the open is easy prey
+    this.isSleeping = false;
+    this.sleepingInDen = false;
+    this.sleepHealRate = 3; // HP per second while asleep
+    this.sleepStaminaRate = 30; // Stamina per second while asleep
+    
+    // Territory - set each frame from the TerritorySystem
+    this.inOwnTerritory = false;
+    this.territoryHuntBonus = 0.5; // Extra share of XP for kills on marked ground
     
     // Position and movement
     this.position = new THREE.Vector3(0, 0, 0);
@@ -52,28 +92,155 @@ export class Tiger {
     // State management
     this.state = 'idle'; // idle, walking, running, crouching, attacking, etc.
     
-    // Evolution thresholds
+    // Lifetime stats (shown on the game-over screen)
+    this.huntsSuccessful = 0;
+    this.totalKills = 0;
+    this.totalDistance = 0;
+    this.timeAlive = 0;
+    this.lastDamageCause = null;
+    
+    // Level thresholds (evolution thresholds live in EvolutionStages.js)
     this.experienceToNextLevel = 100;
-    this.adultLevel = 10;
-    this.alphaLevel = 30;
     
     console.log(`🐅 ${this.gender} tiger stats: Health ${this.health}, Power ${this.power}, Stamina ${this.stamina}/${this.maxStamina}`);
   }
 
   // Health management
-  takeDamage(amount, attacker = null) {
-    console.log(`🐅 Tiger taking ${amount} damage from ${attacker ? attacker.type : 'unknown'} (health: ${this.health} -> ${Math.max(0, this.health - amount)})`);
+  takeDamage(amount, attacker = null, cause = null) {
+    const source = cause || (attacker ? attacker.type : 'unknown');
+    console.log(`🐅 Tiger taking ${amount} damage from ${source} (health: ${this.health} -> ${Math.max(0, this.health - amount)})`);
     this.health = Math.max(0, this.health - amount);
+    this.lastDamageCause = source;
+    
+    // Heavy blows open bleeding wounds
+    if (attacker && amount >= 25) {
+      this.applyStatusEffect('bleeding', { source: attacker.type });
+    }
+    
+    // Being attacked wakes the tiger; bleeding or hunger does not
+    if (attacker && this.isSleeping) {
+      this.wakeUp();
+    }
   }
 
   heal(amount) {
     this.health = Math.min(this.maxHealth, this.health + amount);
   }
 
+  // Localized injuries
+  injure(part, severity, source = 'unknown') {
+    this.injuries.addWound(part, severity, source);
+  }
+
+  getInjuryMultiplier(effect) {
+    return this.injuries.getMultiplier(effect);
+  }
+
+  // Status effects
+  applyStatusEffect(id, options = {}) {
+    return this.statusEffects.apply(id, options);
+  }
+
+  removeStatusEffect(id) {
+    return this.statusEffects.remove(id);
+  }
+
+  hasStatusEffect(id) {
+    return this.statusEffects.has(id);
+  }
+
+  getStatusMultiplier(name) {
+    return this.statusEffects.getMultiplier(name);
+  }
+
+  /**
+   * Resting lets wounds close: asleep, standing idle, or crouched without moving
+   */
+  isResting() {
+    if (this.isSleeping) return true;
+    return this.state === 'idle' || (this.state === 'crouching' && !this.isMoving);
+  }
+
+  // Sleep
+  /**
+   * Lie down to sleep
+   * @param {boolean} inDen - Whether the tiger is sheltered in a den
+   */
+  sleep(inDen = false) {
+    if (!this.isAlive()) return false;
+    
+    this.isSleeping = true;
+    this.sleepingInDen = inDen;
+    console.log(`💤 Tiger falls asleep ${inDen ? 'in its den' : 'in the open'}`);
+    return true;
+  }
+
+  wakeUp() {
+    if (!this.isSleeping) return;
+    
+    this.isSleeping = false;
+    this.sleepingInDen = false;
+    console.log('💤 Tiger wakes up');
+  }
+
   isAlive() {
     return this.health > 0;
   }
 
+  /**
+   * What dealt the final blow, for the game-over screen
+   */
+  getCauseOfDeath() {
+    if (this.isAlive()) return null;
+    
+    switch (this.lastDamageCause) {
+      case 'starvation':
+        return 'Starved to death';
+      case 'dehydration':
+        return 'Died of thirst';
+      case 'bleeding':
+        return 'Bled out';
+      case 'poison':
+        return 'Poisoned';
+      case null:
+      case 'unknown':
+        return 'Unknown causes';
+      default:
+        return `Killed by a ${this.lastDamageCause.replace('_', ' ')}`;
+    }
+  }
+
+  getLifetimeStats() {
+    return {
+      huntsSuccessful: this.huntsSuccessful,
+      totalKills: this.totalKills,
+      totalDistance: this.totalDistance,
+      timeAlive: this.timeAlive,
+      level: this.level,
+      evolutionStage: this.evolutionStage,
+      causeOfDeath: this.getCauseOfDeath()
+    };
+  }
+
+  /**
+   * Count a kill and earn the animal's experience, however it was killed
+   */
+  recordKill(target) {
+    this.totalKills++;
+    console.log(`🐅 Kill #${this.totalKills}: ${target.type}`);
+    
+    if (target.getExperienceReward) {
+      this.gainExperience(target.getExperienceReward());
+    }
+    
+    // Hunting on your own ground pays off
+    if (this.inOwnTerritory && target.getExperienceReward) {
+      const bonus = Math.round(target.getExperienceReward() * this.territoryHuntBonus);
+      this.gainExperience(bonus);
+      console.log(`🌳 Territory hunting bonus: +${bonus} XP`);
+    }
+  }
+
   // Stamina management
   consumeStamina(amount) {
     this.stamina = Math.max(0, this.stamina - amount);
@@ -90,6 +257,9 @@ export class Tiger {
 
   feed(amount) {
     this.hunger = Math.min(this.maxHunger, this.hunger + amount);
+    if (this.hunger >= this.maxHunger) {
+      this.applyStatusEffect('wellFed');
+    }
   }
 
   // Thirst management
@@ -105,12 +275,30 @@ export class Tiger {
     return restored;
   }
 
+  // Carrying kills
+  isCarrying() {
+    return this.carriedCarcass !== null;
+  }
+
+  /**
+   * Dragging a carcass slows the tiger; stronger tigers drag heavier kills faster
+   */
+  getCarryingSpeedMultiplier() {
+    if (!this.carriedCarcass) return 1.0;
+    return Math.max(0.35, 1 - this.carriedCarcass.getWeight() / (this.power * 4));
+  }
+
   // Movement lock for crocodile grab
+  get isMovementLocked() {
+    return this.statusEffects.has('grabbed');
+  }
+
   setMovementLocked(locked) {
-    this.isMovementLocked = locked;
     if (locked) {
+      this.applyStatusEffect('grabbed', { source: 'crocodile' });
       console.log(`🐅 Tiger movement LOCKED (crocodile grab)`);
     } else {
+      this.removeStatusEffect('grabbed');
       console.log(`🐅 Tiger movement UNLOCKED`);
     }
   }
@@ -128,67 +316,78 @@ export class Tiger {
   levelUp() {
     this.level++;
     
-    // Apply stat bonuses for each level up
-    this.maxHealth += 10;
-    this.health = Math.min(this.maxHealth, this.health + 10); // Gain 10 health but don't exceed max
-    this.maxHunger += 10;
-    this.hunger = Math.min(this.maxHunger, this.hunger + 10); // Gain 10 hunger but don't exceed max
-    this.power += 10; // Increase damage by 10
-    this.maxStamina = Math.max(100, this.maxStamina - 5); // Decrease max stamina by 5 every level but never below 100
-    this.stamina = Math.max(0, this.stamina - 5); // Lose 5 current stamina every level-up
-    
-    // Ensure current stamina doesn't exceed new max
-    this.stamina = Math.min(this.stamina, this.maxStamina);
+    // Level-ups grant skill points to spend in the skill tree
+    this.skillTree.addSkillPoints(this.skillPointsPerLevel);
     
-    console.log(`🐅 Tiger leveled up to ${this.level}! Stats: +10 health (${this.health}/${this.maxHealth}), +10 hunger (${this.hunger}/${this.maxHunger}), +10 damage (${this.power}), -5 max stamina (${this.maxStamina}), -5 stamina (${this.stamina})`);
+    console.log(`🐅 Tiger leveled up to ${this.level}! +${this.skillPointsPerLevel} skill point (${this.skillTree.skillPoints} available)`);
     
     this.evolve();
   }
 
-  evolve() {
-    const previousStage = this.evolutionStage;
+  // Skill tree
+  unlockSkill(skillId) {
+    const skill = this.skillTree.unlock(skillId);
+    if (!skill) {
+      return false;
+    }
     
-    if (this.level >= this.alphaLevel && this.evolutionStage !== 'Alpha') {
-      this.evolutionStage = 'Alpha';
-      this.evolveToAlpha();
-    } else if (this.level >= this.adultLevel && this.evolutionStage === 'Young') {
-      this.evolutionStage = 'Adult';
-      this.evolveToAdult();
+    // Flat stat skills apply immediately
+    if (skill.effects.maxStamina) {
+      this.maxStamina += skill.effects.maxStamina;
+      this.stamina += skill.effects.maxStamina;
+    }
+    if (skill.effects.maxHealth) {
+      this.maxHealth += skill.effects.maxHealth;
+      this.health += skill.effects.maxHealth;
     }
+    
+    return true;
   }
 
-  evolveToAdult() {
-    // Evolution bonuses (separate from level-up bonuses)
-    this.maxHealth += 10;
-    this.health = this.maxHealth; // Full heal on evolution
-    this.maxHunger += 10;
-    this.hunger = this.maxHunger; // Full hunger on evolution
-    this.maxStamina += 15; // +15 to compensate for the -5 from level-up, net +10
-    this.stamina = this.maxStamina - 5; // Full stamina but lose 5 for evolution
-    
-    // Ensure stamina doesn't go below 0
-    this.stamina = Math.max(0, this.stamina);
-    
-    console.log(`🐅 Tiger evolved to Adult! Evolution bonuses: Health +10, Hunger +10, Max Stamina +15, -5 evolution penalty`);
+  getSkillMultiplier(effectName) {
+    return this.skillTree.getMultiplier(effectName);
   }
 
-  evolveToAlpha() {
-    // Evolution bonuses (separate from level-up bonuses)
-    this.maxHealth += 10;
-    this.health = this.maxHealth; // Full heal on evolution
-    this.maxHunger += 10;
-    this.hunger = this.maxHunger; // Full hunger on evolution
-    this.maxStamina += 15; // +15 to compensate for the -5 from level-up, net +10
-    this.stamina = this.maxStamina - 5; // Full stamina but lose 5 for evolution
-    
-    // Ensure stamina doesn't go below 0
-    this.stamina = Math.max(0, this.stamina);
+  evolve() {
+    // Keep evolving while the next stage's level and requirements are met
+    let nextStage = getNextEvolutionStage(this);
+    while (nextStage) {
+      this.evolveTo(nextStage);
+      nextStage = getNextEvolutionStage(this);
+    }
+  }
+
+  evolveTo(stage) {
+    const previousStage = this.evolutionStage;
+    this.evolutionStage = stage.id;
+    
+    // Flat stat changes from the stage config
+    const stats = stage.stats;
+    this.maxHealth += stats.maxHealth || 0;
+    this.maxHunger += stats.maxHunger || 0;
+    this.maxStamina = Math.max(100, this.maxStamina + (stats.maxStamina || 0));
+    this.stealth += stats.stealth || 0;
+    this.power += stats.power || 0;
+    this.speed += stats.speed || 0;
+    if (stats.powerMultiplier) {
+      this.power *= stats.powerMultiplier;
+    }
     
-    // Alpha special abilities
-    this.power *= 2; // Double damage from current power
-    this.stealth += 20; // Enhanced stealth
+    // Full restore on evolution, minus a small stamina cost
+    this.health = this.maxHealth;
+    this.hunger = this.maxHunger;
+    this.stamina = Math.max(0, this.maxStamina - 5);
     
-    console.log(`🐅 Tiger evolved to Alpha! Evolution bonuses: Health +10, Hunger +10, Max Stamina +15, -5 evolution penalty, Power doubled!`);
+    console.log(`🐅 Tiger evolved from ${previousStage} to ${stage.name}${stage.mutation ? ' (mutation)' : ''}! Stats: Health ${this.maxHealth}, Power ${this.power}, Max Stamina ${this.maxStamina}, Stealth ${this.stealth}`);
+  }
+
+  getEvolutionStageConfig() {
+    return getEvolutionStage(this.evolutionStage);
+  }
+
+  hasAbility(abilityId) {
+    const stage = this.getEvolutionStageConfig();
+    return stage ? stage.abilities.includes(abilityId) : false;
   }
 
   // Position and movement
@@ -223,108 +422,30 @@ export class Tiger {
     }
   }
 
-  // Special abilities
-  hasLaserBreath() {
-    return this.evolutionStage === 'Alpha';
+  // Roar
+  /**
+   * Roar radius and stamina cost; both grow with each evolution tier
+   */
+  getRoarStats() {
+    const tier = getEvolutionTier(this.evolutionStage) ?? 0;
+    return {
+      radius: 30 + tier * 15,
+      staminaCost: 20 + tier * 10,
+      tier
+    };
   }
 
-  useLaserBreath(animals, tigerModel = null) {
-    if (!this.hasLaserBreath()) {
-      console.log(`🔴 Laser breath failed - tiger is not Alpha (current: ${this.evolutionStage})`);
-      return false;
-    }
-
-    console.log(`🔴 Alpha tiger using laser breath!`);
-    
-    // Find animals in front of the tiger within laser range
-    const laserRange = 20.0; // Laser can hit targets up to 20 units away
-    const laserAngle = Math.PI / 6; // 30 degree cone
-    let hitTargets = [];
-    let closestTarget = null;
-    let closestDistance = Infinity;
-
-    for (const animal of animals) {
-      if (!animal.isAlive()) continue;
-
-      // Calculate distance to animal
-      const distance = this.distanceTo(animal.position);
-      if (distance > laserRange) continue;
-
-      // Calculate angle between tiger's facing direction and animal
-      const tigerForwardX = Math.sin(this.rotation.y);
-      const tigerForwardZ = Math.cos(this.rotation.y);
-      
-      const toAnimalX = animal.position.x - this.position.x;
-      const toAnimalZ = animal.position.z - this.position.z;
-      const toAnimalLength = Math.sqrt(toAnimalX * toAnimalX + toAnimalZ * toAnimalZ);
-      
-      if (toAnimalLength === 0) continue;
-      
-      const toAnimalNormX = toAnimalX / toAnimalLength;
-      const toAnimalNormZ = toAnimalZ / toAnimalLength;
-      
-      // Dot product to get angle
-      const dotProduct = tigerForwardX * toAnimalNormX + tigerForwardZ * toAnimalNormZ;
-      const angle = Math.acos(Math.max(-1, Math.min(1, dotProduct)));
-
-      // Check if animal is within laser cone
-      if (angle <= laserAngle) {
-        hitTargets.push(animal);
-        
-        // Track closest target for visual beam
-        if (distance < closestDistance) {
-          closestDistance = distance;
-          closestTarget = animal;
-        }
-      }
-    }
-
-    // Create visual laser beam 
-    if (tigerModel) {
-      let targetPos;
-      
-      if (closestTarget) {
-        // Aim at closest target
-        targetPos = new THREE.Vector3(
-          closestTarget.position.x,
-          closestTarget.position.y + 1, // Aim slightly higher
-          closestTarget.position.z
-        );
-      } else {
-        // Fire forward if no targets (like Godzilla)
-        const tigerForwardX = Math.sin(this.rotation.y);
-        const tigerForwardZ = Math.cos(this.rotation.y);
-        const beamDistance = 15; // Fire 15 units forward
-        
-        targetPos = new THREE.Vector3(
-          this.position.x + (tigerForwardX * beamDistance),
-          this.position.y + 2, // Fire slightly upward
-          this.position.z + (tigerForwardZ * beamDistance)
-        );
-      }
-      
-      tigerModel.fireLaser(targetPos, 1.5); // 1.5 second beam duration
-    }
-
-    // Deal 400 damage to all targets hit by laser
-    let successfulHits = 0;
-    for (const target of hitTargets) {
-      console.log(`🔴 Laser hitting ${target.type} for 400 damage (health: ${target.health})`);
-      target.takeDamage(400, this);
-      successfulHits++;
-      
-      if (!target.isAlive()) {
-        console.log(`🔴 Laser killed ${target.type}!`);
-      }
-    }
+  // Special abilities (see Abilities.js)
+  hasLaserBreath() {
+    return this.hasAbility('laserBreath');
+  }
 
-    if (successfulHits > 0) {
-      console.log(`🔴 Laser breath hit ${successfulHits} targets with 400 damage each!`);
-      return true;
-    } else {
-      console.log(`🔴 Laser breath fired but hit no targets`);
-      return false;
-    }
+  /**
+   * Use an active ability
+   * @param {Object} context - candidates, tigerModel and systems for Abilities.use()
+   */
+  useAbility(abilityId, context = {}) {
+    return this.abilities.use(abilityId, context);
   }
 
   getDetectionRadius() {
@@ -336,106 +457,31 @@ export class Tiger {
       radius *= 0.5; // 50% reduction when crouching
     }
     
+    // Wounded eyes shrink what the tiger can spot
+    radius *= this.getInjuryMultiplier('detectionRadius');
+    
     return radius;
   }
 
   // Hunting mechanics
-  canAttack(target) {
-    const distance = this.distanceTo(target.position);
-    const attackRange = this.getAttackRange();
-    return distance <= attackRange;
-  }
-
-  getAttackRange() {
-    let range = 5.0; // Increased base attack range for easier hunting
-    
-    // Pouncing extends range when running
-    if (this.state === 'running') {
-      range *= 2.0; // Double range for pouncing
+  /**
+   * Land one blow. The multiplier comes from the combat move (see Combat.js),
+   * on top of power, skills, wounds and status effects. A killing blow counts
+   * the kill (see recordKill).
+   * @returns {number} Damage dealt
+   */
+  attack(target, multiplier = 1) {
+    const damage = this.power * multiplier * this.getSkillMultiplier('attackDamage') *
+      this.getInjuryMultiplier('attackDamage') * this.getStatusMultiplier('attackDamage');
+    
+    console.log(`🐅 Tiger hits ${target.type || target.constructor.name} for ${damage.toFixed(1)} (health: ${target.health})`);
+    target.takeDamage(damage, this);
+    
+    if (!target.isAlive()) {
+      this.recordKill(target);
     }
     
-    return range;
-  }
-
-  attack(target) {
-    if (!this.canAttack(target)) {
-      console.log(`🐅 Tiger attack failed - target out of range`);
-      return false;
-    }
-    
-    // Calculate damage based on power and tiger state
-    let damage = this.power;
-    
-    console.log(`🐅 Tiger attacking ${target.type} with base damage: ${damage}`);
-    
-    // Stealth attack bonus
-    if (this.state === 'crouching') {
-      damage *= 1.5; // 50% damage bonus for stealth attacks
-      console.log(`🐅 Stealth bonus applied! New damage: ${damage}`);
-    }
-    
-    // Pouncing attack bonus
-    if (this.state === 'running') {
-      damage *= 1.3; // 30% damage bonus for pouncing
-      console.log(`🐅 Pouncing bonus applied! New damage: ${damage}`);
-    }
-    
-    console.log(`🐅 Final damage: ${damage}, Target health before: ${target.health}`);
-    
-    // Apply damage to target
-    if (target.takeDamage) {
-      target.takeDamage(damage, this);
-      console.log(`🐅 Target health after: ${target.health}, Target alive: ${target.isAlive()}`);
-    } else {
-      console.log(`🐅 ERROR: Target has no takeDamage method!`);
-    }
-    
-    // Consume stamina for attack
-    this.consumeStamina(30);
-    
-    // Set attack state
-    this.setState('attacking');
-    
-    return true;
-  }
-
-  hunt(animal) {
-    if (!animal || !animal.isAlive()) {
-      console.log(`🐅 Hunt failed - animal is null or dead (animal: ${animal}, alive: ${animal ? animal.isAlive() : 'N/A'})`);
-      return false;
-    }
-    
-    console.log(`🐅 Starting hunt on ${animal.type} (health: ${animal.health})`);
-    
-    // Check if tiger can attack this animal
-    if (!this.canAttack(animal)) {
-      console.log(`🐅 Hunt failed - tiger cannot attack ${animal.type} (distance: ${this.distanceTo(animal.position).toFixed(1)}, attack range: ${this.getAttackRange()})`);
-      return false;
-    }
-    
-    // Simple collision damage - young stage prey loses 10 health
-    const damage = this.evolutionStage === 'Young' ? 10 : this.power;
-    
-    console.log(`🐅 Tiger (${this.evolutionStage}) dealing ${damage} damage to ${animal.type}`);
-    
-    // Apply damage to animal
-    animal.takeDamage(damage, this);
-    
-    if (!animal.isAlive()) {
-      // Successful hunt - gain experience and restore hunger
-      const xpReward = animal.getExperienceReward();
-      const hungerReward = animal.getHealthRestoration();
-      
-      this.gainExperience(xpReward);
-      this.feed(hungerReward);
-      
-      console.log(`🐅 Tiger successfully hunted ${animal.type}! +${xpReward} XP, +${hungerReward} hunger`);
-      
-      return true;
-    } else {
-      console.log(`🐅 Attack hit but animal survived (health: ${animal.health})`);
-      return true;
-    }
+    return damage;
   }
 
   getStealthEffectiveness() {
@@ -448,11 +494,17 @@ export class Tiger {
       effectiveness *= 0.7; // 30% less effective when running
     }
     
-    return effectiveness;
+    return effectiveness * this.getStatusMultiplier('stealth');
   }
 
   // Update method for game loop
   update(deltaTime) {
+    this.timeAlive += deltaTime;
+    this.abilities.update(deltaTime);
+    
+    // Tick bleeding, poison and other timed effects
+    this.statusEffects.update(deltaTime);
+    
     // Natural hunger decrease over time
     this.consumeHunger(deltaTime * .25); // 2 hunger per second
     
@@ -461,26 +513,45 @@ export class Tiger {
     if (this.state === 'running') {
       thirstRate *= 2; // Double thirst consumption when running
     }
-    this.consumeThirst(deltaTime * thirstRate);
+    this.consumeThirst(deltaTime * thirstRate * this.getStatusMultiplier('thirstDecay'));
     
     // Natural stamina regeneration when not exhausted
     if (this.stamina < this.maxStamina && this.state !== 'running') {
       // Reduced stamina regen when thirsty
       const regenRate = this.thirst < 30 ? 5 : 10;
-      this.restoreStamina(deltaTime * regenRate);
+      this.restoreStamina(deltaTime * regenRate * this.getStatusMultiplier('staminaRegen'));
+    }
+    
+    // Running out of stamina leaves the tiger exhausted for a while
+    if (this.stamina === 0) {
+      this.applyStatusEffect('exhausted');
+    }
+    
+    // Starvation drains health once hunger is empty
+    if (this.hunger === 0) {
+      this.applyStatusEffect('starving');
     }
     
     // Health regeneration when well-fed
     if (this.hunger > 50 && this.health < this.maxHealth) {
-      this.heal(deltaTime * 1); // 1 HP per 5 seconds (slow natural healing)
+      this.heal(deltaTime * 1 * this.getStatusMultiplier('healthRegen')); // 1 HP per 5 seconds (slow natural healing)
+    }
+    
+    // Sleep restores health and stamina quickly
+    if (this.isSleeping) {
+      this.heal(deltaTime * this.sleepHealRate * this.getStatusMultiplier('healthRegen'));
+      this.restoreStamina(deltaTime * this.sleepStaminaRate * this.getStatusMultiplier('staminaRegen'));
     }
     
+    // Wounds close while resting
+    this.injuries.heal(deltaTime, this.isResting());
+    
     // Low thirst effects
     if (this.thirst < 20) {
       // Severe thirst slows movement (handled in movement system)
       if (this.thirst === 0) {
-        // Take damage from dehydration
-        this.takeDamage(deltaTime * 2); // 2 damage per second when completely dehydrated
+        // Dehydration deals 2 damage per second for as long as thirst stays empty
+        this.applyStatusEffect('dehydrated');
       }
     }
   }
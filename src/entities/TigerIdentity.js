@@ -0,0 +1,123 @@
+// Names given to resident wild tigers, by gender
+const TIGER_NAMES = {
+  male: ['Raja', 'Sher Khan', 'Bagheera', 'Veer', 'Arjun', 'Bheem', 'Toofan', 'Zalim'],
+  female: ['Machli', 'Rani', 'Noor', 'Maya', 'Tara', 'Chandni', 'Lakshmi', 'Sundari']
+};
+
+/**
+ * TigerIdentity - A resident wild tiger that outlives any one encounter
+ *
+ * Each owns a home range (a centre and radius) that it patrols along a loop
+ * of waypoints, has a level that adds to its strength, and remembers its
+ * fights with the player. Beaten soundly, it avoids the player from then on;
+ * beaten narrowly, it bears a grudge, grows a level and comes back for a
+ * rematch. The Animal that represents it in the world comes and goes - the
+ * identity is what is saved.
+ */
+export class TigerIdentity {
+  constructor(data) {
+    this.id = data.id;
+    this.type = data.type; // 'male_tiger' or 'female_tiger'
+    this.name = data.name;
+    this.level = data.level || 1;
+    this.maxLevel = 5;
+
+    // Home range and the loop of waypoints patrolled around it
+    this.home = { ...data.home }; // { x, z, radius }
+    this.patrol = (data.patrol || []).map(point => ({ ...point }));
+    this.patrolIndex = data.patrolIndex || 0;
+
+    // Memory of fights with the player
+    this.fights = { won: 0, lost: 0, ...data.fights };
+    this.lastFight = data.lastFight || null; // 'won' or 'lost', from this tiger's side
+    this.grudge = data.grudge || false;
+    this.narrowLossMargin = 20; // Power difference under which a loss breeds a grudge
+
+    this.animal = null; // Animal standing in for this tiger while it is in the world
+  }
+
+  static create(id, type, home, patrol, usedNames = []) {
+    const gender = type === 'male_tiger' ? 'male' : 'female';
+    const free = TIGER_NAMES[gender].filter(name => !usedNames.includes(name));
+    const names = free.length > 0 ? free : TIGER_NAMES[gender];
+    const name = names[Math.floor(Math.random() * names.length)];
+    const level = 1 + Math.floor(Math.random() * 3);
+
+    return new TigerIdentity({ id, type, name, level, home, patrol });
+  }
+
+  /**
+   * Give a freshly created Animal this tiger's identity and level-scaled stats
+   */
+  applyTo(animal) {
+    animal.identity = this;
+    animal.name = this.name;
+
+    const scale = 1 + (this.level - 1) * 0.1;
+    animal.power = Math.round(animal.power * scale);
+    animal.maxHealth = Math.round(animal.maxHealth * scale);
+    animal.health = animal.maxHealth;
+    this.animal = animal;
+  }
+
+  /**
+   * How this tiger feels about the player, from its last fight
+   * @returns {string} 'avoid', 'rematch', 'dominant' or 'unknown'
+   */
+  getAttitude() {
+    if (this.lastFight === 'lost') return this.grudge ? 'rematch' : 'avoid';
+    if (this.lastFight === 'won') return 'dominant';
+    return 'unknown';
+  }
+
+  /**
+   * Remember a fight with the player
+   * @param {boolean} won - Whether this tiger won
+   * @param {number} powerDifference - How one-sided it was
+   */
+  recordFight(won, powerDifference) {
+    if (won) {
+      this.fights.won++;
+      this.lastFight = 'won';
+      this.grudge = false;
+      return;
+    }
+
+    this.fights.lost++;
+    this.lastFight = 'lost';
+    this.grudge = powerDifference < this.narrowLossMargin && this.level < this.maxLevel;
+    if (this.grudge) {
+      this.level++;
+      if (this.animal) {
+        this.animal.power = Math.round(this.animal.power * 1.1);
+      }
+    }
+  }
+
+  getNextWaypoint() {
+    return this.patrol.length > 0 ? this.patrol[this.patrolIndex % this.patrol.length] : this.home;
+  }
+
+  advancePatrol() {
+    this.patrolIndex = (this.patrolIndex + 1) % Math.max(1, this.patrol.length);
+  }
+
+  isInHomeRange(x, z) {
+    return Math.hypot(x - this.home.x, z - this.home.z) <= this.home.radius;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      name: this.name,
+      level: this.level,
+      home: { ...this.home },
+      patrol: this.patrol.map(point => ({ ...point })),
+      patrolIndex: this.patrolIndex,
+      fights: { ...this.fights },
+      lastFight: this.lastFight,
+      grudge: this.grudge
+    };
+  }
+}
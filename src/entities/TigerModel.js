@@ -1,14 +1,30 @@
 import * as THREE from 'three';
+import { getEvolutionStage } from '../systems/EvolutionStages.js';
+
+export const DEFAULT_FUR_TRAITS = {
+  furColor: 0xff6600,
+  stripeColor: 0x000000
+};
 
 export class TigerModel {
-  constructor(gender = 'male') {
+  constructor(gender = 'male', traits = null) {
     this.gender = gender;
     this.evolutionStage = 'Young';
+    this.abilities = [];
     this.currentAnimation = 'idle';
     this.isChargingLaser = false;
+    this.deathAnimation = null; // { elapsed, duration, startY }
+    this.roarAnimation = null; // { elapsed, duration }
+    this.combatAnimation = null; // { move, elapsed, windup, duration, side }
+    this.hitAnimation = null; // { kind, elapsed, duration }
+    this.isCloaked = false;
     
     this.createMesh();
     this.setupAnimations();
+    
+    if (traits) {
+      this.applyFurTraits(traits);
+    }
   }
 
   createMesh() {
@@ -18,6 +34,7 @@ export class TigerModel {
     
     // Set scale based on gender - females are smaller
     const baseScale = this.gender === 'female' ? 0.85 : 1.0; // Females 15% smaller
+    this.baseScale = baseScale;
     this.mesh.scale.set(baseScale, baseScale, baseScale);
     console.log(`🐅 Creating ${this.gender} tiger model with scale ${baseScale}`);
 
@@ -39,6 +56,12 @@ export class TigerModel {
     this.head.position.set(0, 0.2, 1.5); // Front of tiger (positive Z)
     this.mesh.add(this.head);
 
+    // Jaw anchor for carried carcasses (just below and ahead of the head)
+    this.jaw = new THREE.Object3D();
+    this.jaw.position.set(0, -0.3, 2.1);
+    this.mesh.add(this.jaw);
+    this.carriedMesh = null;
+
     // Eyes (two larger black spheres)
     const eyeGeometry = new THREE.SphereGeometry(0.15, 8, 8);
     const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
@@ -311,143 +334,159 @@ export class TigerModel {
     this.playAnimation('idle');
   }
 
-  // Evolution appearance changes
-  evolveToAdult() {
-    this.evolutionStage = 'Adult';
-    // Larger, more muscular model
-    this.mesh.scale.set(1.2, 1.2, 1.2);
-    // Could update material/texture here for adult appearance
-  }
-
-  evolveToAlpha() {
-    this.evolutionStage = 'Alpha';
-    console.log('🔴 Starting Alpha evolution...');
+  // Evolution appearance changes (driven by EvolutionStages.js)
+  applyEvolutionStage(stageId) {
+    const stage = getEvolutionStage(stageId);
+    if (!stage) {
+      console.warn(`⚠️ Unknown evolution stage: ${stageId}`);
+      return;
+    }
+    
+    this.evolutionStage = stage.id;
+    this.abilities = [...stage.abilities];
+    console.log(`🐅 Applying ${stage.name} appearance...`);
     
     try {
-      // Jet black fur with glowing blue stripes
-      this.mesh.scale.set(1.4, 1.4, 1.4);
+      const model = stage.model;
+      const scale = (model.scale || 1.0) * this.baseScale;
+      this.mesh.scale.set(scale, scale, scale);
       
-      // Change all orange materials to black
-      this.changeToBlackFur();
-      console.log('🖤 Changed fur to black');
+      if (model.fur !== undefined) {
+        this.changeFurColor(model.fur);
+      }
       
-      // Change all black stripes to blue
-      this.changeToBlueStripes();
-      console.log('🔵 Changed stripes to blue');
+      if (model.stripes !== undefined) {
+        this.changeStripeColor(model.stripes);
+      }
       
-      // Add particle effects for glowing stripes
-      this.addGlowEffects();
-      console.log('✨ Added glow effects');
+      if (model.glow !== undefined) {
+        this.addGlowEffects(model.glow);
+      } else {
+        this.removeGlowEffects();
+      }
       
-      console.log('🔴 Alpha evolution completed successfully!');
+      console.log(`🐅 ${stage.name} evolution completed successfully!`);
     } catch (error) {
-      console.error('❌ Error during Alpha evolution:', error);
+      console.error(`❌ Error during ${stage.name} evolution:`, error);
     }
   }
 
-  changeToBlackFur() {
+  evolveToAdult() {
+    this.applyEvolutionStage('Adult');
+  }
+
+  // Inherited fur colors (used for cubs and heirs)
+  applyFurTraits(traits) {
+    this.traits = { ...DEFAULT_FUR_TRAITS, ...traits };
+    
+    if (this.traits.furColor !== DEFAULT_FUR_TRAITS.furColor) {
+      this.changeFurColor(this.traits.furColor);
+    }
+    if (this.traits.stripeColor !== DEFAULT_FUR_TRAITS.stripeColor) {
+      this.changeStripeColor(this.traits.stripeColor);
+    }
+  }
+
+  // Scale relative to the gender base scale (used for growing cubs)
+  setScaleFactor(factor) {
+    const scale = this.baseScale * factor;
+    this.mesh.scale.set(scale, scale, scale);
+  }
+
+  evolveToAlpha() {
+    this.applyEvolutionStage('Alpha');
+  }
+
+  changeFurColor(color) {
     try {
-      // Create new black material to avoid corrupting existing uniforms
-      const blackMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0x0d0d0d // Very dark black
-      });
-      
-      // Change body to deep black
-      if (this.body && this.body.material) {
-        if (this.body.material.dispose) this.body.material.dispose();
-        this.body.material = blackMaterial.clone();
-      }
-      
-      // Change head to deep black
-      if (this.head && this.head.material) {
-        if (this.head.material.dispose) this.head.material.dispose();
-        this.head.material = blackMaterial.clone();
-      }
-      
-      // Change ears to deep black
-      if (this.leftEar && this.leftEar.material) {
-        if (this.leftEar.material.dispose) this.leftEar.material.dispose();
-        this.leftEar.material = blackMaterial.clone();
-      }
-      if (this.rightEar && this.rightEar.material) {
-        if (this.rightEar.material.dispose) this.rightEar.material.dispose();
-        this.rightEar.material = blackMaterial.clone();
-      }
+      // Create new material to avoid corrupting existing uniforms
+      const furMaterial = new THREE.MeshBasicMaterial({ color });
+      
+      const replaceFur = (part) => {
+        if (part && part.material) {
+          if (part.material.dispose) part.material.dispose();
+          part.material = furMaterial.clone();
+          part.userData.evolutionPart = 'fur';
+        }
+      };
       
-      // Change tail to deep black
-      if (this.tail && this.tail.material) {
-        if (this.tail.material.dispose) this.tail.material.dispose();
-        this.tail.material = blackMaterial.clone();
-      }
+      replaceFur(this.body);
+      replaceFur(this.head);
+      replaceFur(this.leftEar);
+      replaceFur(this.rightEar);
+      replaceFur(this.tail);
       
-      // Change leg materials to deep black
+      // Change leg materials, keep paws and stripes as they are
       const legNames = ['frontLeft', 'frontRight', 'backLeft', 'backRight'];
       legNames.forEach(legName => {
         const leg = this[legName];
         if (leg) {
           leg.traverse(child => {
             if (child.material && child.material.color) {
-              // Change orange leg materials to deep black, keep paws darker
-              if (child.material.color.r > 0.5) { // If it's orange-ish
-                if (child.material.dispose) child.material.dispose();
-                child.material = blackMaterial.clone();
+              // Orange-ish leg materials, or ones already recolored by an earlier stage
+              if (child.userData.evolutionPart === 'fur' || child.material.color.r > 0.5) {
+                replaceFur(child);
               }
             }
           });
         }
       });
       
-      console.log('🖤 Successfully changed fur to black with new materials');
+      console.log(`🎨 Changed fur color to #${color.toString(16).padStart(6, '0')}`);
     } catch (error) {
-      console.error('❌ Error changing fur to black:', error);
+      console.error('❌ Error changing fur color:', error);
     }
   }
 
-  changeToBlueStripes() {
+  changeStripeColor(color) {
     try {
-      // Create new blue stripe material to avoid corrupting existing uniforms
-      const blueStripeMaterial = new THREE.MeshBasicMaterial({
-        color: 0x3399ff, // Bright blue
-        emissive: 0x0066ff, // Blue glow
-        emissiveIntensity: 0.3
-      });
+      // Create new stripe material to avoid corrupting existing uniforms
+      const stripeMaterial = new THREE.MeshBasicMaterial({ color });
       
       // Specifically target stripe objects by checking their position/geometry
       // Avoid head parts (eyes, nose, ears)
       this.mesh.traverse(child => {
         if (child.material && child.material.color && child.geometry) {
-          // Skip head parts to prevent blue head
+          // Skip head parts
           if (child === this.head || child === this.leftEye || child === this.rightEye || 
               child === this.nose || child === this.leftEar || child === this.rightEar) {
-            return; // Don't change head parts
+            return;
           }
           
-          // If it's a very small black object (likely a stripe)
-          const isStripe = child.material.color.r === 0 && child.material.color.g === 0 && child.material.color.b === 0;
+          if (child.userData.evolutionPart === 'fur') return;
+          
+          // Stripes recolored by an earlier stage are tagged, original ones are very dark
+          const isTaggedStripe = child.userData.evolutionPart === 'stripe';
           const isVeryDark = child.material.color.r < 0.15 && child.material.color.g < 0.15 && child.material.color.b < 0.15;
           
-          if ((isStripe || isVeryDark)) {
+          if (isTaggedStripe || isVeryDark) {
             const boundingBox = new THREE.Box3().setFromObject(child);
             const size = boundingBox.getSize(new THREE.Vector3());
             const volume = size.x * size.y * size.z;
             
             // Only change very small objects (stripes) and avoid larger body parts
-            if (volume < 0.5) { // Even smaller threshold to avoid head parts
+            if (isTaggedStripe || volume < 0.5) {
               if (child.material.dispose) child.material.dispose();
-              child.material = blueStripeMaterial.clone();
-              console.log('🔵 Changed stripe to blue:', volume.toFixed(3));
+              child.material = stripeMaterial.clone();
+              child.userData.evolutionPart = 'stripe';
             }
           }
         }
       });
       
-      console.log('🔵 Successfully changed stripes to blue with new materials');
+      console.log(`🎨 Changed stripe color to #${color.toString(16).padStart(6, '0')}`);
     } catch (error) {
-      console.error('❌ Error changing stripes to blue:', error);
+      console.error('❌ Error changing stripe color:', error);
     }
   }
 
-  addGlowEffects() {
+  addGlowEffects(color = 0x0066ff) {
+    // Reuse existing particles when a later stage only changes the glow color
+    if (this.glowParticles) {
+      this.glowParticles.material.color.setHex(color);
+      return;
+    }
+    
     try {
       // Add particle system for glowing blue stripes
       const particleGeometry = new THREE.BufferGeometry();
@@ -461,7 +500,7 @@ export class TigerModel {
       particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
       
       const particleMaterial = new THREE.PointsMaterial({
-        color: 0x0066ff,
+        color,
         size: 0.08,
         transparent: true,
         opacity: 0.6,
@@ -477,6 +516,15 @@ export class TigerModel {
     }
   }
 
+  removeGlowEffects() {
+    if (!this.glowParticles) return;
+    
+    this.mesh.remove(this.glowParticles);
+    this.glowParticles.geometry.dispose();
+    this.glowParticles.material.dispose();
+    this.glowParticles = undefined;
+  }
+
   // Animation system
   playAnimation(animationName) {
     if (this.currentAnimation === animationName) return;
@@ -493,6 +541,193 @@ export class TigerModel {
     }
   }
 
+  /**
+   * Hold a carcass mesh in the jaw, hanging sideways
+   */
+  attachToJaw(object) {
+    this.detachFromJaw();
+    this.jaw.add(object);
+    object.position.set(0, -0.4, 0.6);
+    object.rotation.set(0, Math.PI / 2, Math.PI);
+    this.carriedMesh = object;
+  }
+
+  /**
+   * Release whatever is held in the jaw
+   * @returns {THREE.Object3D|null} The released object (no longer parented)
+   */
+  detachFromJaw() {
+    const object = this.carriedMesh;
+    if (!object) return null;
+    
+    this.jaw.remove(object);
+    this.carriedMesh = null;
+    return object;
+  }
+
+  /**
+   * Collapse onto one side; plays once and holds the final pose
+   */
+  playDeathAnimation(duration = 1.5) {
+    if (this.deathAnimation) return;
+    
+    this.playAnimation('idle');
+    this.deathAnimation = {
+      elapsed: 0,
+      duration,
+      startY: this.mesh.position.y
+    };
+    console.log('💀 Tiger death animation started');
+  }
+
+  isDeathAnimationFinished() {
+    return this.deathAnimation !== null && this.deathAnimation.elapsed >= this.deathAnimation.duration;
+  }
+
+  updateDeathAnimation(deltaTime) {
+    const death = this.deathAnimation;
+    death.elapsed = Math.min(death.duration, death.elapsed + deltaTime);
+    
+    // Ease out so the body slows as it hits the ground
+    const t = death.elapsed / death.duration;
+    const eased = 1 - Math.pow(1 - t, 3);
+    this.mesh.rotation.z = eased * Math.PI / 2;
+    this.mesh.position.y = death.startY - eased * 0.6;
+  }
+
+  /**
+   * Throw the head up and back down while roaring
+   */
+  playRoar(duration = 0.8) {
+    this.roarAnimation = { elapsed: 0, duration };
+  }
+
+  updateRoarAnimation(deltaTime) {
+    const roar = this.roarAnimation;
+    roar.elapsed = Math.min(roar.duration, roar.elapsed + deltaTime);
+    
+    const pulse = Math.sin((roar.elapsed / roar.duration) * Math.PI);
+    this.head.scale.setScalar(1 + pulse * 0.25);
+    this.head.rotation.x = -pulse * 0.4;
+    
+    if (roar.elapsed >= roar.duration) {
+      this.roarAnimation = null;
+    }
+  }
+
+  /**
+   * Act out a melee move (see Combat.js): draw back through the windup, then
+   * strike out and settle over the rest of the move
+   * @param {string} move - swipe, bite, pounce, dodge, or shake for a held bite
+   * @param {number} side - Dodge direction, 1 left, -1 right, 0 back
+   */
+  playCombatMove(move, windup = 0.1, duration = 0.5, side = 0) {
+    this.resetCombatPose();
+    this.combatAnimation = { move, elapsed: 0, windup, duration, side };
+  }
+
+  updateCombatAnimation(deltaTime) {
+    const anim = this.combatAnimation;
+    anim.elapsed = Math.min(anim.duration, anim.elapsed + deltaTime);
+    
+    // -0.5 fully drawn back at the end of the windup, 1 at full stretch
+    const pose = anim.elapsed < anim.windup ?
+      -0.5 * anim.elapsed / anim.windup :
+      Math.sin(Math.PI * (anim.elapsed - anim.windup) / Math.max(0.01, anim.duration - anim.windup));
+    
+    switch (anim.move) {
+      case 'swipe':
+        this.frontRight.rotation.x = -pose * 1.2;
+        this.frontRight.rotation.z = pose * 0.4;
+        break;
+      case 'bite':
+        this.head.position.z = 1.5 + pose * 0.4;
+        this.head.rotation.x = pose * 0.25;
+        break;
+      case 'shake':
+        this.head.rotation.y = Math.sin(anim.elapsed * 30) * 0.3 * (1 - anim.elapsed / anim.duration);
+        break;
+      case 'pounce':
+        this.frontLeft.rotation.x = -pose * 0.9;
+        this.frontRight.rotation.x = -pose * 0.9;
+        this.backLeft.rotation.x = pose * 0.9;
+        this.backRight.rotation.x = pose * 0.9;
+        this.mesh.rotation.x = -pose * 0.2;
+        this.mesh.position.y += Math.max(0, pose) * 1.2;
+        break;
+      case 'dodge':
+        this.mesh.rotation.z = -anim.side * pose * 0.35;
+        if (anim.side === 0) {
+          this.mesh.rotation.x = -pose * 0.2;
+        }
+        break;
+    }
+    
+    if (anim.elapsed >= anim.duration) {
+      this.resetCombatPose();
+      this.combatAnimation = null;
+    }
+  }
+
+  resetCombatPose() {
+    for (const leg of [this.frontLeft, this.frontRight, this.backLeft, this.backRight]) {
+      leg.rotation.x = 0;
+      leg.rotation.z = 0;
+    }
+    this.head.position.z = 1.5;
+    this.head.rotation.x = 0;
+    this.head.rotation.y = 0;
+  }
+
+  /**
+   * Jolt forward as a blow lands
+   */
+  playHitImpact(duration = 0.15) {
+    this.hitAnimation = { kind: 'impact', elapsed: 0, duration };
+  }
+
+  /**
+   * Flinch and shudder when struck
+   */
+  playHitReaction(duration = 0.3) {
+    this.hitAnimation = { kind: 'struck', elapsed: 0, duration };
+  }
+
+  updateHitAnimation(deltaTime) {
+    const hit = this.hitAnimation;
+    hit.elapsed = Math.min(hit.duration, hit.elapsed + deltaTime);
+    
+    const fade = 1 - hit.elapsed / hit.duration;
+    if (hit.kind === 'impact') {
+      this.mesh.rotation.x += fade * 0.1;
+    } else {
+      this.mesh.rotation.z += Math.sin(hit.elapsed * 40) * 0.12 * fade;
+      this.mesh.rotation.x += 0.1 * fade;
+    }
+    
+    if (hit.elapsed >= hit.duration) {
+      this.hitAnimation = null;
+    }
+  }
+
+  /**
+   * Fade the whole model while the stealth cloak is active
+   */
+  setCloaked(cloaked) {
+    if (this.isCloaked === cloaked) return;
+    this.isCloaked = cloaked;
+    
+    this.mesh.traverse((child) => {
+      if (!child.isMesh || !child.material) return;
+      if (child.material.userData.baseOpacity === undefined) {
+        child.material.userData.baseOpacity = child.material.opacity;
+        child.material.userData.baseTransparent = child.material.transparent;
+      }
+      child.material.transparent = cloaked || child.material.userData.baseTransparent;
+      child.material.opacity = cloaked ? 0.3 : child.material.userData.baseOpacity;
+    });
+  }
+
   // Position and rotation
   setPosition(x, y, z) {
     this.mesh.position.set(x, y, z);
@@ -520,20 +755,24 @@ export class TigerModel {
     return this.mesh.rotation;
   }
 
-  // Alpha tiger special abilities
+  // Stage abilities
+  hasAbility(abilityId) {
+    return this.abilities.includes(abilityId);
+  }
+
   hasGlowEffects() {
-    return this.evolutionStage === 'Alpha' && this.glowParticles !== undefined;
+    return this.glowParticles !== undefined;
   }
 
   startChargingLaser() {
-    if (this.evolutionStage === 'Alpha') {
+    if (this.hasAbility('laserBreath')) {
       this.isChargingLaser = true;
       // Visual charging effects would be added here
     }
   }
 
   fireLaser(targetPosition, duration = 1.0) {
-    if (this.evolutionStage === 'Alpha') {
+    if (this.hasAbility('laserBreath')) {
       console.log('🔴 Firing laser beam to target!');
       
       // Create laser beam from tiger's mouth to target
@@ -650,7 +889,23 @@ export class TigerModel {
       this.mixer.update(deltaTime);
     }
     
-    // Update glow effects for Alpha tiger
+    if (this.deathAnimation) {
+      this.updateDeathAnimation(deltaTime);
+    }
+    
+    if (this.roarAnimation) {
+      this.updateRoarAnimation(deltaTime);
+    }
+    
+    if (this.combatAnimation) {
+      this.updateCombatAnimation(deltaTime);
+    }
+    
+    if (this.hitAnimation) {
+      this.updateHitAnimation(deltaTime);
+    }
+    
+    // Update glow effects for glowing stages
     if (this.glowParticles) {
       this.glowParticles.rotation.y += deltaTime * 0.5; // Slow rotation
     }
@@ -658,6 +913,9 @@ export class TigerModel {
 
   // Cleanup
   dispose() {
+    // A carried carcass belongs to AnimalSystem, not to this model
+    this.detachFromJaw();
+    
     if (this.mesh) {
       // Dispose of all child components
       this.mesh.traverse((child) => {
@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+
+/**
+ * Ability definitions
+ *
+ * cost is stamina paid on use. targeting picks targets from the candidates
+ * passed to Abilities.use(): 'cone' (range, angle), 'ray' (range, width),
+ * 'area' (radius around the tiger) or 'self'. cost and targeting values may
+ * be functions of the tiger. unlock lists what the tiger needs: a minimum
+ * level and/or a stage ability from EvolutionStages.js. blocked(tiger), if
+ * given, says why the ability can't be used right now (or null).
+ * execute(tiger, targets, context) applies the ability; visual(tigerModel,
+ * tiger, targets) plays its effect on the TigerModel.
+ */
+export const ABILITIES = {
+  pounce: {
+    name: 'Pounce',
+    icon: '🐾',
+    description: 'The combat pounce from a standstill, without a run-up',
+    cooldown: 6,
+    cost: 0, // Paid by the combat move (see COMBAT_MOVES.pounce)
+    targeting: { type: 'self' }, // The combat move finds what it lands on
+    unlock: { level: 3 },
+    blocked: (tiger) => tiger.combat.getBlockReason('pounce'),
+    execute: (tiger, targets, context) => tiger.combat.start('pounce', context)
+  },
+  roar: {
+    name: 'Roar',
+    icon: '🐯',
+    description: 'Scare prey, face down rivals and flush out ambushers',
+    cooldown: 8,
+    cost: (tiger) => tiger.getRoarStats().staminaCost,
+    targeting: { type: 'area', radius: (tiger) => tiger.getRoarStats().radius },
+    unlock: {},
+    execute: (tiger, targets, context) => {
+      const { radius, tier } = tiger.getRoarStats();
+      const roar = { position: tiger.position.clone(), radius, tier };
+      tiger.wakeUp();
+
+      if (context.animalSystem) {
+        context.animalSystem.handleRoar(roar, tiger, targets);
+      }
+      if (context.ambushSystem) {
+        context.ambushSystem.handleRoar(roar);
+      }
+      return true;
+    },
+    visual: (tigerModel) => tigerModel.playRoar()
+  },
+  stealthCloak: {
+    name: 'Stealth Cloak',
+    icon: '👻',
+    description: 'Fade into the shadows, becoming far harder to spot',
+    cooldown: 30,
+    cost: 40,
+    targeting: { type: 'self' },
+    unlock: { level: 8 },
+    execute: (tiger) => tiger.applyStatusEffect('cloaked'),
+    visual: (tigerModel) => tigerModel.setCloaked(true)
+  },
+  laserBreath: {
+    name: 'Laser Breath',
+    icon: '🔴',
+    description: 'Burn everything in a narrow cone ahead for 400 damage',
+    cooldown: 5,
+    cost: 30,
+    targeting: { type: 'cone', range: 20, angle: Math.PI / 6 },
+    unlock: { stageAbility: 'laserBreath' },
+    execute: (tiger, targets) => {
+      for (const target of targets) {
+        console.log(`🔴 Laser hitting ${target.type} for 400 damage (health: ${target.health})`);
+        target.takeDamage(400, tiger);
+        if (!target.isAlive()) {
+          console.log(`🔴 Laser killed ${target.type}!`);
+          tiger.recordKill(target);
+        }
+      }
+      return true;
+    },
+    visual: (tigerModel, tiger, targets) => {
+      // Aim at the closest target, or fire straight ahead
+      const forward = getForward(tiger);
+      const targetPos = targets.length > 0 ?
+        new THREE.Vector3(targets[0].position.x, targets[0].position.y + 1, targets[0].position.z) :
+        new THREE.Vector3(tiger.position.x + forward.x * 15, tiger.position.y + 2, tiger.position.z + forward.z * 15);
+      tigerModel.fireLaser(targetPos, 1.5);
+    }
+  }
+};
+
+// Order of abilities on the HUD bar (bound to keys 1-4)
+export const ABILITY_BAR = ['pounce', 'roar', 'stealthCloak', 'laserBreath'];
+
+function resolve(value, tiger) {
+  return typeof value === 'function' ? value(tiger) : value;
+}
+
+function getForward(tiger) {
+  const rotationY = tiger.rotation ? tiger.rotation.y : 0;
+  return { x: Math.sin(rotationY), z: Math.cos(rotationY) };
+}
+
+/**
+ * Living candidates hit by a targeting shape, closest first
+ */
+function findTargets(tiger, targeting, candidates) {
+  if (targeting.type === 'self') return [];
+
+  const forward = getForward(tiger);
+  const range = resolve(targeting.range ?? targeting.radius, tiger);
+  const hits = [];
+
+  for (const candidate of candidates) {
+    if (!candidate.isAlive()) continue;
+
+    const dx = candidate.position.x - tiger.position.x;
+    const dz = candidate.position.z - tiger.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance > range || distance === 0) continue;
+
+    const along = dx * forward.x + dz * forward.z; // Distance ahead of the tiger
+    let hit = false;
+    switch (targeting.type) {
+      case 'area':
+        hit = true;
+        break;
+      case 'cone':
+        hit = Math.acos(Math.max(-1, Math.min(1, along / distance))) <= targeting.angle;
+        break;
+      case 'ray': {
+        const across = Math.abs(dx * forward.z - dz * forward.x); // Distance off the line
+        hit = along > 0 && across <= targeting.width / 2;
+        break;
+      }
+    }
+
+    if (hit) {
+      hits.push({ candidate, distance });
+    }
+  }
+
+  return hits.sort((a, b) => a.distance - b.distance).map(hit => hit.candidate);
+}
+
+/**
+ * Abilities - Cooldowns and use of one tiger's active abilities
+ */
+export class Abilities {
+  constructor(tiger) {
+    this.tiger = tiger;
+    this.cooldowns = new Map(); // id -> seconds remaining
+  }
+
+  isUnlocked(id) {
+    const ability = ABILITIES[id];
+    if (!ability) return false;
+
+    const { level, stageAbility } = ability.unlock;
+    if (level !== undefined && this.tiger.level < level) return false;
+    if (stageAbility !== undefined && !this.tiger.hasAbility(stageAbility)) return false;
+    return true;
+  }
+
+  getCost(id) {
+    return resolve(ABILITIES[id].cost, this.tiger);
+  }
+
+  getCooldownRemaining(id) {
+    return this.cooldowns.get(id) || 0;
+  }
+
+  /**
+   * Why an ability cannot be used right now, or null if it can
+   */
+  getBlockReason(id) {
+    if (!ABILITIES[id]) return 'unknown ability';
+    if (!this.isUnlocked(id)) return 'locked';
+    if (this.getCooldownRemaining(id) > 0) return `cooldown ${this.getCooldownRemaining(id).toFixed(1)}s`;
+    if (this.tiger.stamina < this.getCost(id)) return 'not enough stamina';
+    return ABILITIES[id].blocked ? ABILITIES[id].blocked(this.tiger) : null;
+  }
+
+  canUse(id) {
+    return this.getBlockReason(id) === null;
+  }
+
+  /**
+   * Use an ability: pick targets, pay the cost, start the cooldown and play the effect
+   * @param {Object} context - candidates (animals to target), tigerModel and any systems the ability needs
+   * @returns {Object|null} { id, targets } or null if the ability could not be used
+   */
+  use(id, context = {}) {
+    const reason = this.getBlockReason(id);
+    if (reason) {
+      console.log(`✨ ${ABILITIES[id] ? ABILITIES[id].name : id} failed - ${reason}`);
+      return null;
+    }
+
+    const ability = ABILITIES[id];
+    const targets = findTargets(this.tiger, ability.targeting, context.candidates || []);
+
+    this.tiger.consumeStamina(this.getCost(id));
+    this.cooldowns.set(id, ability.cooldown);
+    ability.execute(this.tiger, targets, context);
+
+    if (context.tigerModel && ability.visual) {
+      ability.visual(context.tigerModel, this.tiger, targets);
+    }
+
+    console.log(`✨ ${ability.name} used (${targets.length} target${targets.length === 1 ? '' : 's'})`);
+    return { id, targets };
+  }
+
+  update(deltaTime) {
+    for (const [id, remaining] of this.cooldowns) {
+      const next = remaining - deltaTime;
+      if (next <= 0) {
+        this.cooldowns.delete(id);
+      } else {
+        this.cooldowns.set(id, next);
+      }
+    }
+  }
+
+  /**
+   * State of each ability bar slot for the HUD
+   */
+  getBarState() {
+    return ABILITY_BAR.map((id, index) => ({
+      id,
+      key: `${index + 1}`,
+      name: ABILITIES[id].name,
+      icon: ABILITIES[id].icon,
+      unlocked: this.isUnlocked(id),
+      cooldown: ABILITIES[id].cooldown,
+      remaining: this.getCooldownRemaining(id),
+      ready: this.canUse(id)
+    }));
+  }
+}
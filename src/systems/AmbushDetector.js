@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getSoundDamping } from './Hearing.js';
 
 /**
  * AmbushDetector - Handles tiger awareness and threat detection mechanics
@@ -31,9 +32,16 @@ export class AmbushDetector {
       dayTime: 1.0,        // Normal detection during day
       nightTime: 0.8,      // Reduced detection at night (not implemented yet)
       nearWater: 1.2,      // Increased detection near water (crocodile territory)
-      denseVegetation: 0.9 // Slightly reduced detection in dense vegetation
+      denseVegetation: 0.9, // Slightly reduced detection in dense vegetation
+      downwind: 0.5 // Extra detection with the nearest ambusher straight downwind in a strong wind
     };
     
+    // Hearing - ambushers pick up the tiger's movement noise (see Hearing.js)
+    this.hearingRadius = 40.0; // How far off a noise of 1 is heard in the open
+    
+    // Carries the tiger's scent to ambushers (see WindSystem)
+    this.windSystem = null;
+    
     // Current awareness state
     this.currentAwareness = 0.0; // 0.0 (safe) to 1.0 (imminent danger)
     this.awarenessHistory = [];
@@ -61,7 +69,7 @@ export class AmbushDetector {
     
     // Calculate awareness components
     const proximityAwareness = this.calculateProximityAwareness(tiger, threats);
-    const movementAwareness = this.calculateMovementAwareness(tiger);
+    const movementAwareness = this.calculateMovementAwareness(tiger, threats);
     const stealthAwareness = this.calculateStealthAwareness(tiger);
     const environmentalAwareness = this.calculateEnvironmentalAwareness(tiger);
     
@@ -126,9 +134,10 @@ export class AmbushDetector {
   }
   
   /**
-   * Calculate awareness based on tiger's movement
+   * Calculate awareness based on tiger's movement - how it moves, or how
+   * clearly the ambushers can hear it, whichever gives it away more
    */
-  calculateMovementAwareness(tiger) {
+  calculateMovementAwareness(tiger, threats = []) {
     const tigerState = tiger.state || 'idle';
     const baseMultiplier = this.movementDetectionMultipliers[tigerState] || 1.0;
     
@@ -146,7 +155,29 @@ export class AmbushDetector {
     }
     
     // Convert to awareness (inverse relationship - more movement = more detectable = higher awareness)
-    return Math.min(movementMultiplier / 2.0, 1.0);
+    const stateAwareness = Math.min(movementMultiplier / 2.0, 1.0);
+    
+    return Math.max(stateAwareness, this.calculateHearingAwareness(tiger, threats));
+  }
+  
+  /**
+   * How clearly the best-placed ambusher hears the tiger's noise - fainter
+   * with distance and muffled by vegetation in between
+   */
+  calculateHearingAwareness(tiger, threats) {
+    if (!tiger.noise || !threats) return 0.0;
+    
+    let loudest = 0.0;
+    for (const threat of threats) {
+      if (!threat.isAlive() || threat.getState() === 'cooldown') continue;
+      
+      const distance = this.calculateDistance(tiger.position, threat.position);
+      const damping = getSoundDamping(tiger.position, threat.position, (x, z) => this.getVegetationDensity({ x, z }));
+      const range = this.hearingRadius * tiger.noise * damping;
+      loudest = Math.max(loudest, 1.0 - distance / range);
+    }
+    
+    return Math.min(loudest, 1.0);
   }
   
   /**
@@ -177,6 +208,12 @@ export class AmbushDetector {
       environmentalMultiplier *= this.environmentalFactors.denseVegetation;
     }
     
+    // Ambushers downwind of the tiger smell it coming; upwind they don't
+    if (this.windSystem && this.nearestThreat) {
+      const downwind = this.windSystem.getDownwindFactor(tiger.position, this.nearestThreat.position);
+      environmentalMultiplier *= 1 + this.environmentalFactors.downwind * this.windSystem.speed * downwind;
+    }
+    
     // Normalize environmental factor (it shouldn't exceed 1.0 for awareness)
     return Math.min(environmentalMultiplier / 2.0, 1.0);
   }
@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { AmbushDetector } from './AmbushDetector.js';
 import { CrocodileAmbush } from '../entities/CrocodileAmbush.js';
 import { LeopardAmbush } from '../entities/LeopardAmbush.js';
+import { getEvolutionTier } from './EvolutionStages.js';
 
 /**
  * AmbushSystem - Main orchestrator for predator ambush mechanics
@@ -30,6 +31,11 @@ export class AmbushSystem {
     this.ambushCooldown = 30.0; // 30 seconds between successful ambushes
     this.lastAmbushTime = 0;
     
+    // Sleeping in the open draws ambushers; a den keeps them away
+    this.sleepSpawnMultiplier = 3.0;
+    this.sleepAmbushChance = 0.35; // Chance per spawn check that a prowler finds the sleeping tiger
+    this.sleepAmbushRange = 80.0;
+    
     // Performance optimization
     this.updateTimer = 0;
     this.updateInterval = 1.0 / 30.0; // 30 FPS updates for ambush system
@@ -56,6 +62,10 @@ export class AmbushSystem {
     console.log(`🎯 AmbushSystem: Spawned ${this.crocodileAmbushers.length} crocodiles and ${this.leopardAmbushers.length} leopards`);
   }
   
+  setWindSystem(windSystem) {
+    this.ambushDetector.windSystem = windSystem;
+  }
+  
   /**
    * Spawn crocodile ambushers near water bodies
    */
@@ -288,13 +298,14 @@ export class AmbushSystem {
    * Update all active ambushers
    */
   updateAmbushers(deltaTime, tiger) {
-    // Update crocodiles
+    // Update crocodiles - animals coming to drink are fair game too
+    const prey = this.animalSystem ? this.animalSystem.getAnimals() : [];
     for (const crocodile of this.crocodileAmbushers) {
       if (crocodile.isAlive()) {
-        crocodile.update(deltaTime, tiger);
+        crocodile.update(deltaTime, tiger, prey);
         
         // Check for successful ambush
-        if (crocodile.isAttacking && crocodile.canHitTarget(tiger)) {
+        if (crocodile.isAttacking && crocodile.target === tiger && crocodile.canHitTarget(tiger)) {
           this.handleSuccessfulAmbush(crocodile, tiger);
         }
       }
@@ -369,6 +380,11 @@ export class AmbushSystem {
     const timeSinceLastAmbush = (Date.now() - this.lastAmbushTime) / 1000;
     if (timeSinceLastAmbush < this.ambushCooldown) return;
     
+    // A tiger asleep in the open may be found by a nearby prowler
+    if (tiger.isSleeping && !tiger.sleepingInDen) {
+      this.checkSleepingAmbush(tiger);
+    }
+    
     // Spawn new ambushers based on tiger evolution stage
     const spawnRates = this.getSpawnRatesForTiger(tiger);
     
@@ -387,18 +403,73 @@ export class AmbushSystem {
    * Get spawn rates based on tiger evolution stage
    */
   getSpawnRatesForTiger(tiger) {
-    const stage = tiger.evolutionStage;
-    
-    switch (stage) {
-      case 'Young':
-        return { crocodile: 0.15, leopard: 0.10 };
-      case 'Adult':
-        return { crocodile: 0.25, leopard: 0.20 };
-      case 'Alpha':
-        return { crocodile: 0.30, leopard: 0.25 };
-      default:
-        return { crocodile: 0.15, leopard: 0.10 };
+    const ratesByTier = [
+      { crocodile: 0.15, leopard: 0.10 }, // Young
+      { crocodile: 0.25, leopard: 0.20 }, // Adult
+      { crocodile: 0.30, leopard: 0.25 }  // Alpha and beyond
+    ];
+    
+    const tier = getEvolutionTier(tiger.evolutionStage);
+    const rates = tier === null ? ratesByTier[0] : ratesByTier[Math.min(tier, ratesByTier.length - 1)];
+    
+    // Sleeping changes the odds: nothing finds a den, everything finds the open
+    if (tiger.isSleeping) {
+      const multiplier = tiger.sleepingInDen ? 0 : this.sleepSpawnMultiplier;
+      return {
+        crocodile: rates.crocodile * multiplier,
+        leopard: rates.leopard * multiplier
+      };
+    }
+    return rates;
+  }
+  
+  /**
+   * Let the nearest ambusher attack a tiger sleeping away from a den
+   */
+  checkSleepingAmbush(tiger) {
+    let nearest = null;
+    let nearestDistance = this.sleepAmbushRange;
+    
+    for (const ambusher of this.getActiveAmbushers()) {
+      if (ambusher.state === 'cooldown') continue;
+      const dx = ambusher.position.x - tiger.position.x;
+      const dz = ambusher.position.z - tiger.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance < nearestDistance) {
+        nearest = ambusher;
+        nearestDistance = distance;
+      }
+    }
+    
+    if (!nearest || Math.random() >= this.sleepAmbushChance) return false;
+    
+    console.log(`💤 ${nearest.constructor.name} found the tiger asleep in the open!`);
+    this.handleSuccessfulAmbush(nearest, tiger);
+    return true;
+  }
+  
+  /**
+   * Startle hidden ambushers within earshot of a roar
+   * @param {Object} roar - { position, radius, tier } from the roar ability
+   * @returns {number} Number of ambushers driven out of hiding
+   */
+  handleRoar(roar) {
+    let startled = 0;
+    
+    for (const ambusher of this.getActiveAmbushers()) {
+      const dx = ambusher.position.x - roar.position.x;
+      const dz = ambusher.position.z - roar.position.z;
+      if (Math.sqrt(dx * dx + dz * dz) > roar.radius) continue;
+      
+      if (ambusher.startle && ambusher.startle()) {
+        startled++;
+      }
+    }
+    
+    if (startled > 0) {
+      console.log(`🐯 Roar startled ${startled} ambusher(s) out of hiding`);
     }
+    return startled;
   }
   
   /**
@@ -0,0 +1,824 @@
+import * as THREE from 'three';
+
+/**
+ * Response curves - map a 0-1 input to a 0-1 score factor
+ */
+export const CURVES = {
+  linear: (x) => x,
+  quadratic: (x) => x * x,
+  sqrt: (x) => Math.sqrt(x),
+  inverse: (x) => 1 - x,
+  inverseQuadratic: (x) => (1 - x) * (1 - x),
+  step: (x, threshold = 0.5) => (x >= threshold ? 1 : 0)
+};
+
+// Action states that count as calm (free to be drawn to carcasses, etc.)
+export const CALM_STATES = ['idle', 'grazing', 'drinking', 'moving', 'followingHerd'];
+
+function targetPoint(target) {
+  return target && target.position ? target.position : target;
+}
+
+function stop(animal) {
+  animal.velocity.set(0, 0, 0);
+}
+
+function face(animal, point) {
+  if (!point) return;
+  animal.rotation.y = Math.atan2(point.x - animal.position.x, point.z - animal.position.z);
+}
+
+function setHeading(animal, direction, speedFactor) {
+  animal.velocity.copy(direction).multiplyScalar(animal.speed * speedFactor);
+  animal.rotation.y = Math.atan2(direction.x, direction.z);
+}
+
+function moveToward(animal, point, speedFactor, stopDistance = 0) {
+  const direction = new THREE.Vector3(point.x - animal.position.x, 0, point.z - animal.position.z);
+  const distance = direction.length();
+  if (distance <= stopDistance || distance === 0) {
+    stop(animal);
+    face(animal, point);
+    return;
+  }
+  setHeading(animal, direction.divideScalar(distance), speedFactor);
+}
+
+function moveAwayFrom(animal, point, speedFactor) {
+  const direction = new THREE.Vector3(animal.position.x - point.x, 0, animal.position.z - point.z);
+  if (direction.lengthSq() === 0) {
+    direction.set(Math.sin(animal.rotation.y), 0, Math.cos(animal.rotation.y));
+  }
+  setHeading(animal, direction.normalize(), speedFactor);
+}
+
+/**
+ * Walk to a point - straight there when the way is clear, otherwise along an
+ * A* route around water and cliffs, planned again once the point has moved
+ * well away from where the route was planned to
+ */
+function navigateTo(animal, ai, point, speedFactor, stopDistance = 0) {
+  const grid = ai.navigation;
+  if (!grid || grid.hasClearLine(animal.position, point)) {
+    ai.path = null;
+    moveToward(animal, point, speedFactor, stopDistance);
+    return;
+  }
+
+  if (!ai.path || Math.hypot(ai.path.goal.x - point.x, ai.path.goal.z - point.z) > ai.repathDistance) {
+    ai.path = { goal: { x: point.x, z: point.z }, waypoints: grid.findPath(animal.position, point) || [], index: 0 };
+  }
+
+  const path = ai.path;
+  const arrived = (waypoint) => Math.hypot(waypoint.x - animal.position.x, waypoint.z - animal.position.z) <= grid.cellSize / 2;
+  while (path.index < path.waypoints.length - 1 && arrived(path.waypoints[path.index])) {
+    path.index++;
+  }
+
+  const waypoint = path.waypoints[path.index];
+  if (!waypoint) {
+    // No way there
+    stop(animal);
+    face(animal, point);
+    return;
+  }
+  moveToward(animal, waypoint, speedFactor, path.index === path.waypoints.length - 1 ? stopDistance : 0);
+}
+
+/**
+ * Run from a threat toward open ground, turning aside from water and cliffs
+ */
+function navigateAwayFrom(animal, ai, point, speedFactor) {
+  if (!ai.navigation) {
+    moveAwayFrom(animal, point, speedFactor);
+    return;
+  }
+
+  const away = new THREE.Vector3(animal.position.x - point.x, 0, animal.position.z - point.z);
+  if (away.lengthSq() === 0) {
+    away.set(Math.sin(animal.rotation.y), 0, Math.cos(animal.rotation.y));
+  }
+  const escape = ai.navigation.findEscapePoint(animal.position, away.normalize(), animal.fleeDistance);
+  if (escape) {
+    navigateTo(animal, ai, escape, speedFactor);
+  } else {
+    moveAwayFrom(animal, point, speedFactor);
+  }
+}
+
+/**
+ * Wandering herd members follow their leader, who walks the herd's heading
+ */
+function wanderWithHerd(animal, herd) {
+  const leader = herd.leader;
+  if (!leader || leader === animal) {
+    setHeading(animal, herd.steer(animal, herd.heading), 0.4);
+    return;
+  }
+
+  const toLeader = new THREE.Vector3(leader.position.x - animal.position.x, 0, leader.position.z - animal.position.z);
+  if (toLeader.length() > herd.flocking.neighbourRadius / 3) {
+    setHeading(animal, herd.steer(animal, toLeader.normalize()), 0.5);
+  } else if (leader.velocity.lengthSq() > 0.01) {
+    setHeading(animal, herd.steer(animal, leader.velocity.clone().setY(0).normalize()), 0.4);
+  } else {
+    stop(animal);
+  }
+}
+
+/**
+ * What each action does
+ *
+ * state is the aiState shown while the action runs (and what
+ * Animal.setAIState() forces), minDuration how long the animal commits to
+ * it before choosing again, steer(animal, ai, deltaTime) sets the velocity
+ * and done(animal) can end it early.
+ */
+export const ACTIONS = {
+  rest: {
+    state: 'idle',
+    minDuration: 2,
+    steer: (animal, ai, deltaTime) => {
+      stop(animal);
+      animal.restoreStamina(5 * deltaTime);
+    }
+  },
+  graze: {
+    state: 'grazing',
+    minDuration: 3,
+    steer: (animal, ai, deltaTime) => {
+      // Walk over to a grass patch if one is known, otherwise nibble where it stands
+      const { grassSpot, onGrass } = ai.senses;
+      if (grassSpot && !onGrass) {
+        moveToward(animal, grassSpot, 0.35);
+        return;
+      }
+      animal.velocity.multiplyScalar(0.1);
+      ai.satisfy('hunger', 0.08 * deltaTime);
+    }
+  },
+  drink: {
+    state: 'drinking',
+    minDuration: 3,
+    steer: (animal, ai, deltaTime) => {
+      // Walk down to the shore, then drink
+      const { waterSpot, nearWater } = ai.senses;
+      if (nearWater) {
+        stop(animal);
+        ai.satisfy('thirst', 0.15 * deltaTime);
+      } else if (waterSpot) {
+        moveToward(animal, waterSpot, 0.5);
+      } else {
+        stop(animal);
+      }
+    }
+  },
+  wander: {
+    state: 'moving',
+    minDuration: 3,
+    steer: (animal, ai, deltaTime) => {
+      if (animal.herd && animal.herd.getLivingMembers().length > 1) {
+        wanderWithHerd(animal, animal.herd);
+        return;
+      }
+
+      // Keep a heading for 2-4 seconds before picking a new one, preferring
+      // headings toward open ground
+      animal.movementTimer = (animal.movementTimer || 0) + deltaTime;
+      if (!animal.movementDirection || animal.movementTimer > 2 + Math.random() * 2) {
+        for (let attempt = 0; attempt < 4; attempt++) {
+          animal.movementDirection = new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5).normalize();
+          const ahead = animal.position.clone().addScaledVector(animal.movementDirection, ai.wanderLookahead);
+          if (!ai.navigation || ai.navigation.isWalkable(ahead.x, ahead.z)) break;
+        }
+        animal.movementTimer = 0;
+      }
+      if (ai.navigation) {
+        navigateTo(animal, ai, animal.position.clone().addScaledVector(animal.movementDirection, ai.wanderLookahead), 0.5);
+      } else {
+        setHeading(animal, animal.movementDirection, 0.5);
+      }
+    }
+  },
+  followHerd: {
+    state: 'followingHerd',
+    minDuration: 2,
+    steer: (animal, ai) => {
+      const center = ai.senses.herdCenter;
+      if (center && animal.herd && animal.distanceTo(center) > 5) {
+        const toCenter = new THREE.Vector3(center.x - animal.position.x, 0, center.z - animal.position.z).normalize();
+        setHeading(animal, animal.herd.steer(animal, toCenter), 0.6);
+      } else if (center) {
+        moveToward(animal, center, 0.6, 5);
+      } else {
+        stop(animal);
+      }
+    }
+  },
+  investigate: {
+    state: 'investigating',
+    minDuration: 3,
+    steer: (animal, ai) => {
+      if (ai.disturbancePosition) {
+        moveToward(animal, ai.disturbancePosition, 0.3, 8);
+      } else {
+        stop(animal);
+      }
+    },
+    done: (animal) => !animal.ai.disturbancePosition
+  },
+  alert: {
+    state: 'alert',
+    minDuration: 1,
+    steer: (animal, ai) => {
+      stop(animal);
+      face(animal, targetPoint(animal.target) || ai.disturbancePosition);
+    }
+  },
+  flee: {
+    state: 'fleeing',
+    minDuration: 4,
+    steer: (animal, ai, deltaTime) => {
+      // An alarmed herd bolts together in one escape direction
+      const threat = targetPoint(animal.target) || ai.disturbancePosition;
+      if (animal.herd && animal.herd.alarm) {
+        setHeading(animal, animal.herd.steer(animal, animal.herd.alarm.direction), 0.8);
+      } else if (threat) {
+        navigateAwayFrom(animal, ai, threat, 0.8);
+      }
+      animal.consumeStamina(20 * deltaTime);
+    }
+  },
+  attack: {
+    state: 'aggressive',
+    minDuration: 2,
+    steer: (animal, ai) => {
+      const target = targetPoint(animal.target);
+      if (target) {
+        navigateTo(animal, ai, target, 0.7);
+      }
+    }
+  },
+  charge: {
+    state: 'charging',
+    minDuration: 3,
+    steer: (animal, ai, deltaTime) => {
+      // Head down, straight at the threat (AnimalSystem.updateCharges lands the blow)
+      const target = targetPoint(animal.target);
+      if (target) {
+        moveToward(animal, target, 1.0);
+      }
+      animal.consumeStamina(15 * deltaTime);
+    },
+    done: (animal) => !animal.target
+  },
+  seekRefuge: {
+    state: 'takingRefuge',
+    minDuration: 4,
+    steer: (animal, ai) => {
+      // Run for the species' refuge - a tree to climb or water to stand at
+      // bay in - and hold it facing the threat; with none in reach, just run
+      const refuge = ai.senses.refuge;
+      const threat = targetPoint(animal.target);
+      if (!refuge) {
+        if (threat) {
+          navigateAwayFrom(animal, ai, threat, 0.8);
+        }
+        return;
+      }
+      if (Math.hypot(refuge.x - animal.position.x, refuge.z - animal.position.z) > 2) {
+        moveToward(animal, refuge, 0.9);
+        return;
+      }
+      stop(animal);
+      face(animal, threat);
+      animal.perched = ai.profile.refuge === 'tree';
+    }
+  },
+  perch: {
+    state: 'perching',
+    minDuration: 8,
+    steer: (animal, ai, deltaTime) => {
+      // Climb the nearest tree and sit in it (AnimalSystem holds it up there)
+      const tree = ai.senses.refuge;
+      if (!animal.perched && tree && Math.hypot(tree.x - animal.position.x, tree.z - animal.position.z) > 2) {
+        moveToward(animal, tree, 0.4);
+        return;
+      }
+      stop(animal);
+      animal.perched = animal.perched || Boolean(tree);
+      animal.restoreStamina(5 * deltaTime);
+    }
+  },
+  flush: {
+    state: 'flushing',
+    minDuration: 1.5,
+    steer: (animal, ai, deltaTime) => {
+      // A short burst of flight away from the threat (AnimalSystem lifts the bird off the ground)
+      const threat = targetPoint(animal.target) || ai.disturbancePosition;
+      if (threat) {
+        moveAwayFrom(animal, threat, 1.3);
+      }
+      animal.consumeStamina(30 * deltaTime);
+    }
+  },
+  scavenge: {
+    state: 'scavenging',
+    minDuration: Infinity,
+    steer: (animal) => {
+      // Walk to the carcass, then stand still and feed (see AnimalSystem.updateScavengers)
+      if (animal.scavengeTarget) {
+        moveToward(animal, animal.scavengeTarget.position, 0.6, 2.0);
+      }
+    },
+    done: (animal) => {
+      if (!animal.scavengeTarget || !animal.scavengeTarget.carcass || animal.scavengeTarget.carcass.isDepleted()) {
+        animal.scavengeTarget = null;
+        return true;
+      }
+      return false;
+    }
+  },
+  prowl: {
+    state: 'prowling',
+    minDuration: 4,
+    steer: (animal, ai) => {
+      // Head for ground where prey is plentiful (see AnimalSystem.findPreyArea)
+      if (ai.senses.preyArea) {
+        moveToward(animal, ai.senses.preyArea, 0.4, 10);
+      } else {
+        stop(animal);
+      }
+    }
+  },
+  hunt: {
+    state: 'hunting',
+    minDuration: 3,
+    steer: (animal, ai) => {
+      // Creep up on the prey, then charge the last 15 units
+      const prey = ai.senses.prey;
+      if (!prey) {
+        stop(animal);
+        return;
+      }
+      navigateTo(animal, ai, prey.position, animal.distanceTo(prey.position) > 15 ? 0.3 : 1.0);
+    },
+    done: (animal) => !animal.ai.senses.prey || !animal.ai.senses.prey.isAlive()
+  },
+  feed: {
+    state: 'feeding',
+    minDuration: 3,
+    steer: (animal) => {
+      // Walk to the kill, then stand still and eat (see AnimalSystem.updatePredators)
+      if (animal.kill) {
+        moveToward(animal, animal.kill.position, 0.5, 2.0);
+      } else {
+        stop(animal);
+      }
+    },
+    done: (animal) => !animal.kill || animal.ai.needs.hunger <= 0.05
+  },
+  patrol: {
+    state: 'patrolling',
+    minDuration: 5,
+    steer: (animal) => {
+      // Walk the home range's waypoints in turn (see TigerIdentity)
+      const identity = animal.identity;
+      if (!identity) {
+        stop(animal);
+        return;
+      }
+      const waypoint = identity.getNextWaypoint();
+      if (Math.hypot(waypoint.x - animal.position.x, waypoint.z - animal.position.z) <= 5) {
+        identity.advancePatrol();
+      }
+      moveToward(animal, identity.getNextWaypoint(), 0.4);
+    }
+  },
+  approach: {
+    state: 'approaching',
+    minDuration: 3,
+    steer: (animal) => {
+      const target = targetPoint(animal.target);
+      if (target) {
+        moveToward(animal, target, 0.5, 3);
+      }
+    }
+  },
+  follow: {
+    state: 'friendly',
+    minDuration: 15,
+    steer: (animal) => {
+      const target = targetPoint(animal.target);
+      if (target) {
+        moveToward(animal, target, 0.6, 5);
+      }
+    }
+  },
+  standGround: {
+    state: 'dominant',
+    minDuration: 3,
+    steer: (animal) => {
+      stop(animal);
+      face(animal, targetPoint(animal.target));
+    }
+  },
+  retreat: {
+    state: 'retreating',
+    minDuration: 5,
+    steer: (animal, ai) => {
+      const threat = targetPoint(animal.target);
+      if (threat) {
+        navigateAwayFrom(animal, ai, threat, 0.6);
+      } else {
+        setHeading(animal, new THREE.Vector3(Math.sin(animal.rotation.y), 0, Math.cos(animal.rotation.y)), 0.6);
+      }
+    }
+  }
+};
+
+// Predators eat their kill while hungry, hunt prey they can sense and
+// otherwise prowl toward ground where prey is plentiful
+const PREDATOR_ACTIONS = {
+  feed: { weight: 2.5, considerations: [{ input: 'hunger', curve: 'step', threshold: 0.1 }, { input: 'kill' }] },
+  hunt: { weight: 1.5, considerations: [{ input: 'hunger', curve: 'sqrt' }, { input: 'prey', floor: 0.5 }, { input: 'health', curve: 'sqrt' }] },
+  prowl: { weight: 0.6, considerations: [{ input: 'hunger', curve: 'sqrt' }, { input: 'preyArea' }] }
+};
+
+const TIGER_AI = {
+  needs: { hunger: 0.002, thirst: 0.004 },
+  momentum: 1.2,
+  randomness: 0.3,
+  actions: {
+    ...PREDATOR_ACTIONS,
+    attack: { weight: 5, considerations: [{ input: 'fight' }] },
+    patrol: { weight: 0.7, considerations: [{ input: 'patrol' }] },
+    drink: { weight: 1.2, considerations: [{ input: 'thirst', curve: 'sqrt' }, { input: 'water' }] },
+    rest: { weight: 0.6, considerations: [{ input: 'fatigue', curve: 'sqrt', floor: 0.4 }] },
+    investigate: { weight: 0.8, considerations: [{ input: 'disturbance' }] },
+    wander: { weight: 0.4 }
+  }
+};
+
+/**
+ * Utility scoring per species - tune behavior here, not in ACTIONS
+ *
+ * needs sets how fast hunger and thirst grow per second (0 = sated, 1 =
+ * desperate). momentum multiplies the running action's score so animals
+ * don't dither, and randomness jitters scores so a herd doesn't act in
+ * lockstep. An action scores its weight times each consideration, where a
+ * consideration passes one input through a curve (raised to at least floor,
+ * default 0). Inputs are all 0-1: hunger, thirst, fatigue, health, threat
+ * (how close a seen threat is), safety (1 - threat), disturbance (something
+ * heard or glimpsed), danger (the greater of threat and disturbance), water
+ * (1 at the shore, less for water still to walk to), grass (likewise for
+ * grass patches), herdDistance, refuge (the species' refuge is in reach),
+ * and for predators kill (a kill with meat left), prey (how close the chosen
+ * prey is) and preyArea (somewhere prey is plentiful is known), and for
+ * resident wild tigers patrol (it has a home range to walk) and fight (a
+ * territorial fight with the player is under way).
+ *
+ * refuge names where a species hides ('tree' or 'water', found by
+ * AnimalSystem), and groupDefense makes an alarmed herd turn on the threat
+ * instead of bolting.
+ *
+ * A species only chooses the actions listed here; the others (scavenge,
+ * approach, ...) run when AnimalSystem forces them with setAIState().
+ */
+export const SPECIES_AI = {
+  deer: {
+    needs: { hunger: 0.004, thirst: 0.006 },
+    momentum: 1.2,
+    randomness: 0.3,
+    actions: {
+      flee: { weight: 3, considerations: [{ input: 'threat', curve: 'sqrt' }] },
+      alert: { weight: 1.5, considerations: [{ input: 'disturbance' }, { input: 'threat', curve: 'inverse' }] },
+      graze: { weight: 1, considerations: [{ input: 'hunger', curve: 'sqrt' }, { input: 'grass', floor: 0.5 }, { input: 'safety', curve: 'quadratic' }] },
+      drink: { weight: 1.2, considerations: [{ input: 'thirst', curve: 'sqrt' }, { input: 'water' }, { input: 'safety', curve: 'quadratic' }] },
+      rest: { weight: 0.5, considerations: [{ input: 'fatigue', curve: 'sqrt', floor: 0.4 }, { input: 'safety', curve: 'quadratic' }] },
+      followHerd: { weight: 1.2, considerations: [{ input: 'herdDistance' }] },
+      investigate: { weight: 0.4, considerations: [{ input: 'disturbance' }, { input: 'threat', curve: 'inverse' }] },
+      wander: { weight: 0.3 }
+    }
+  },
+  rabbit: {
+    needs: { hunger: 0.006, thirst: 0.006 },
+    momentum: 1.1,
+    randomness: 0.5,
+    actions: {
+      flee: { weight: 4, considerations: [{ input: 'threat', curve: 'sqrt' }] },
+      alert: { weight: 2, considerations: [{ input: 'disturbance' }, { input: 'threat', curve: 'inverse' }] },
+      graze: { weight: 1, considerations: [{ input: 'hunger', curve: 'sqrt' }, { input: 'grass', floor: 0.5 }, { input: 'safety', curve: 'quadratic' }] },
+      drink: { weight: 1, considerations: [{ input: 'thirst', curve: 'sqrt' }, { input: 'water' }, { input: 'safety', curve: 'quadratic' }] },
+      rest: { weight: 0.5, considerations: [{ input: 'fatigue', curve: 'sqrt', floor: 0.4 }, { input: 'safety', curve: 'quadratic' }] },
+      followHerd: { weight: 0.5, considerations: [{ input: 'herdDistance' }] },
+      wander: { weight: 0.4 }
+    }
+  },
+  boar: {
+    needs: { hunger: 0.005, thirst: 0.005 },
+    momentum: 1.2,
+    randomness: 0.3,
+    actions: {
+      // Boars charge a threat that gets too close, unless badly hurt
+      attack: { weight: 3, considerations: [{ input: 'threat', curve: 'step', threshold: 0.7 }, { input: 'health' }] },
+      flee: { weight: 2.5, considerations: [{ input: 'threat', curve: 'sqrt' }] },
+      graze: { weight: 1, considerations: [{ input: 'hunger', curve: 'sqrt' }, { input: 'grass', floor: 0.5 }, { input: 'safety', curve: 'quadratic' }] },
+      drink: { weight: 1.2, considerations: [{ input: 'thirst', curve: 'sqrt' }, { input: 'water' }, { input: 'safety', curve: 'quadratic' }] },
+      rest: { weight: 0.5, considerations: [{ input: 'fatigue', curve: 'sqrt', floor: 0.4 }, { input: 'safety', curve: 'quadratic' }] },
+      followHerd: { weight: 0.8, considerations: [{ input: 'herdDistance' }] },
+      investigate: { weight: 0.8, considerations: [{ input: 'disturbance' }, { input: 'threat', curve: 'inverse' }] },
+      wander: { weight: 0.3 }
+    }
+  },
+  buffalo: {
+    needs: { hunger: 0.004, thirst: 0.007 },
+    momentum: 1.3,
+    randomness: 0.2,
+    groupDefense: true,
+    actions: {
+      // Buffalo charge a threat that comes close and only run when badly hurt
+      charge: { weight: 3, considerations: [{ input: 'threat', curve: 'step', threshold: 0.4 }, { input: 'health', curve: 'sqrt' }] },
+      flee: { weight: 2.5, considerations: [{ input: 'threat', curve: 'sqrt' }, { input: 'health', curve: 'inverseQuadratic' }] },
+      alert: { weight: 1.5, considerations: [{ input: 'danger' }] },
+      graze: { weight: 1, considerations: [{ input: 'hunger', curve: 'sqrt' }, { input: 'grass', floor: 0.5 }, { input: 'safety', curve: 'quadratic' }] },
+      drink: { weight: 1.4, considerations: [{ input: 'thirst', curve: 'sqrt' }, { input: 'water' }, { input: 'safety', curve: 'quadratic' }] },
+      rest: { weight: 0.5, considerations: [{ input: 'fatigue', curve: 'sqrt', floor: 0.4 }, { input: 'safety', curve: 'quadratic' }] },
+      followHerd: { weight: 1.5, considerations: [{ input: 'herdDistance' }] },
+      investigate: { weight: 0.6, considerations: [{ input: 'disturbance' }, { input: 'threat', curve: 'inverse' }] },
+      wander: { weight: 0.3 }
+    }
+  },
+  sambar: {
+    needs: { hunger: 0.004, thirst: 0.007 },
+    momentum: 1.2,
+    randomness: 0.3,
+    refuge: 'water',
+    actions: {
+      // Sambar make for water and stand at bay there, running only when it is out of reach
+      seekRefuge: { weight: 3.5, considerations: [{ input: 'threat', curve: 'sqrt' }, { input: 'refuge' }] },
+      flee: { weight: 3, considerations: [{ input: 'threat', curve: 'sqrt' }] },
+      alert: { weight: 1.5, considerations: [{ input: 'disturbance' }, { input: 'threat', curve: 'inverse' }] },
+      graze: { weight: 1, considerations: [{ input: 'hunger', curve: 'sqrt' }, { input: 'grass', floor: 0.5 }, { input: 'safety', curve: 'quadratic' }] },
+      drink: { weight: 1.3, considerations: [{ input: 'thirst', curve: 'sqrt' }, { input: 'water' }, { input: 'safety', curve: 'quadratic' }] },
+      rest: { weight: 0.5, considerations: [{ input: 'fatigue', curve: 'sqrt', floor: 0.4 }, { input: 'safety', curve: 'quadratic' }] },
+      followHerd: { weight: 1, considerations: [{ input: 'herdDistance' }] },
+      investigate: { weight: 0.4, considerations: [{ input: 'disturbance' }, { input: 'threat', curve: 'inverse' }] },
+      wander: { weight: 0.3 }
+    }
+  },
+  langur: {
+    needs: { hunger: 0.005, thirst: 0.004 },
+    momentum: 1.3,
+    randomness: 0.3,
+    refuge: 'tree',
+    actions: {
+      // Langurs live up in the trees, coming down to feed and drink and
+      // scrambling back up at the first sign of danger
+      seekRefuge: { weight: 4, considerations: [{ input: 'threat', curve: 'sqrt' }, { input: 'refuge' }] },
+      flee: { weight: 2, considerations: [{ input: 'threat', curve: 'sqrt' }] },
+      perch: { weight: 1.1, considerations: [{ input: 'refuge' }, { input: 'safety', floor: 0.5 }] },
+      graze: { weight: 1.2, considerations: [{ input: 'hunger', curve: 'sqrt' }, { input: 'grass', floor: 0.5 }, { input: 'safety', curve: 'quadratic' }] },
+      drink: { weight: 1.2, considerations: [{ input: 'thirst', curve: 'sqrt' }, { input: 'water' }, { input: 'safety', curve: 'quadratic' }] },
+      followHerd: { weight: 0.8, considerations: [{ input: 'herdDistance' }] },
+      wander: { weight: 0.2 }
+    }
+  },
+  peafowl: {
+    needs: { hunger: 0.006, thirst: 0.005 },
+    momentum: 1.1,
+    randomness: 0.4,
+    actions: {
+      // Flighty - anything heard or seen sends them running, and a close
+      // threat makes them take wing while they have the energy
+      flush: { weight: 5, considerations: [{ input: 'threat', curve: 'step', threshold: 0.6 }, { input: 'fatigue', curve: 'inverse' }] },
+      flee: { weight: 4, considerations: [{ input: 'danger', curve: 'sqrt' }] },
+      graze: { weight: 1, considerations: [{ input: 'hunger', curve: 'sqrt' }, { input: 'grass', floor: 0.5 }, { input: 'safety', curve: 'quadratic' }] },
+      drink: { weight: 1, considerations: [{ input: 'thirst', curve: 'sqrt' }, { input: 'water' }, { input: 'safety', curve: 'quadratic' }] },
+      rest: { weight: 0.4, considerations: [{ input: 'fatigue', curve: 'sqrt', floor: 0.4 }, { input: 'safety', curve: 'quadratic' }] },
+      followHerd: { weight: 0.6, considerations: [{ input: 'herdDistance' }] },
+      wander: { weight: 0.4 }
+    }
+  },
+  leopard: {
+    needs: { hunger: 0.003, thirst: 0.004 },
+    momentum: 1.3,
+    randomness: 0.2,
+    actions: {
+      // Leopards go for the tiger while healthy and slink off when wounded
+      attack: { weight: 2.5, considerations: [{ input: 'threat', curve: 'sqrt' }, { input: 'health', curve: 'sqrt' }] },
+      flee: { weight: 2.5, considerations: [{ input: 'threat', curve: 'sqrt' }, { input: 'health', curve: 'inverseQuadratic' }] },
+      ...PREDATOR_ACTIONS,
+      drink: { weight: 1.2, considerations: [{ input: 'thirst', curve: 'sqrt' }, { input: 'water' }] },
+      rest: { weight: 0.6, considerations: [{ input: 'fatigue', curve: 'sqrt', floor: 0.4 }] },
+      investigate: { weight: 1, considerations: [{ input: 'disturbance' }, { input: 'threat', curve: 'inverse' }] },
+      wander: { weight: 0.3 }
+    }
+  },
+  male_tiger: TIGER_AI,
+  female_tiger: TIGER_AI
+};
+
+/**
+ * AnimalAI - Utility AI that picks one animal's actions from its needs and perception
+ */
+export class AnimalAI {
+  constructor(animal) {
+    this.animal = animal;
+    this.profile = SPECIES_AI[animal.type] || SPECIES_AI.deer;
+
+    // Needs start partly grown so animals don't all graze at once
+    this.needs = { hunger: Math.random() * 0.3, thirst: Math.random() * 0.3 };
+
+    // Perception - threat and disturbance fade once nothing new is noticed
+    this.threat = 0;
+    this.threatDecay = 0.25; // Per second
+    this.disturbance = 0;
+    this.disturbancePosition = null;
+    this.disturbanceDecay = 0.2;
+    this.senses = {
+      nearWater: false,
+      waterSpot: null, // Shore to walk to for a drink
+      onGrass: false,
+      grassSpot: null, // Grass patch to walk to for grazing
+      herdCenter: null,
+      herdDistance: 0,
+      prey: null, // Animal a predator has picked to hunt
+      preyCloseness: 0,
+      preyArea: null, // Where a predator expects to find prey
+      refuge: null // Tree or shore the species hides at, if in reach
+    };
+
+    // Routes around water and cliffs (see NavigationGrid)
+    this.navigation = null; // Set by AnimalSystem
+    this.path = null; // { goal, waypoints, index } while walking a planned route
+    this.repathDistance = 8; // How far the destination may move before the route is planned again
+    this.wanderLookahead = 15; // How far ahead a wandering animal checks for open ground
+
+    // Current action
+    this.action = 'rest';
+    this.actionTime = 0;
+    this.holdTime = ACTIONS.rest.minDuration;
+    this.interrupted = false;
+    this.lastScores = {};
+  }
+
+  /**
+   * A threat was seen at a distance; close threats interrupt the current action
+   * @param {THREE.Vector3} position - Followed while the threat is remembered
+   */
+  noticeThreat(position, distance) {
+    const threat = Math.max(0, Math.min(1, 1 - distance / this.animal.fleeDistance));
+    if (threat > this.threat + 0.15) {
+      this.interrupted = true;
+    }
+    this.threat = Math.max(this.threat, threat);
+    this.animal.setTarget(position);
+  }
+
+  /**
+   * Something was heard or glimpsed without being made out
+   */
+  noticeDisturbance(position, strength = 0.5) {
+    if (strength > this.disturbance + 0.15) {
+      this.interrupted = true;
+    }
+    this.disturbance = Math.max(this.disturbance, Math.min(1, strength));
+    this.disturbancePosition = position.clone();
+  }
+
+  /**
+   * Another animal's alarm call was heard - a calm animal stops and looks
+   * toward the caller, and a strong call leaves it disturbed enough that
+   * flighty species run
+   */
+  hearAlarmCall(position, strength) {
+    this.noticeDisturbance(position, strength);
+    
+    const state = this.animal.aiState;
+    if (this.animal.perched || (!CALM_STATES.includes(state) && state !== 'investigating')) return;
+    this.animal.setTarget(position.clone());
+    this.startAction('alert');
+    this.interrupted = false;
+  }
+  
+  /**
+   * Surroundings gathered by AnimalSystem
+   * @param {Object} senses - { nearWater, waterSpot, onGrass, grassSpot, herdCenter, herdDistance, prey, preyCloseness, preyArea, refuge }
+   */
+  sense(senses) {
+    Object.assign(this.senses, senses);
+  }
+
+  satisfy(need, amount) {
+    this.needs[need] = Math.max(0, this.needs[need] - amount);
+  }
+
+  /**
+   * Run an action chosen from outside (roars, scavenging, tiger encounters)
+   * for at least its minimum duration
+   */
+  force(state) {
+    const id = Object.keys(ACTIONS).find(actionId => ACTIONS[actionId].state === state);
+    if (!id) return;
+    this.startAction(id);
+  }
+
+  startAction(id) {
+    this.action = id;
+    this.actionTime = 0;
+    this.holdTime = ACTIONS[id].minDuration;
+    this.animal.aiState = ACTIONS[id].state;
+  }
+
+  getInputs() {
+    const animal = this.animal;
+    return {
+      hunger: this.needs.hunger,
+      thirst: this.needs.thirst,
+      fatigue: animal.maxStamina > 0 ? 1 - animal.stamina / animal.maxStamina : 0,
+      health: animal.maxHealth > 0 ? animal.health / animal.maxHealth : 0,
+      threat: this.threat,
+      safety: 1 - this.threat,
+      disturbance: this.disturbance,
+      danger: Math.max(this.threat, this.disturbance),
+      water: this.senses.nearWater ? 1 : (this.senses.waterSpot ? 0.6 : 0),
+      grass: this.senses.onGrass ? 1 : (this.senses.grassSpot ? 0.8 : 0),
+      herdDistance: this.senses.herdDistance,
+      kill: animal.kill && animal.kill.carcass && !animal.kill.carcass.isDepleted() ? 1 : 0,
+      prey: this.senses.prey ? this.senses.preyCloseness : 0,
+      preyArea: this.senses.preyArea ? 1 : 0,
+      refuge: this.senses.refuge ? 1 : 0,
+      patrol: animal.identity ? 1 : 0,
+      fight: animal.fight ? 1 : 0
+    };
+  }
+
+  /**
+   * Utility of one of the species' actions (0 if the species never chooses it)
+   */
+  scoreAction(id, inputs = this.getInputs()) {
+    const scoring = this.profile.actions[id];
+    if (!scoring) return 0;
+
+    let score = scoring.weight;
+    for (const consideration of scoring.considerations || []) {
+      const curve = CURVES[consideration.curve || 'linear'];
+      const floor = consideration.floor || 0;
+      const value = Math.max(0, Math.min(1, inputs[consideration.input] ?? 0));
+      score *= floor + (1 - floor) * curve(value, consideration.threshold);
+    }
+    return score;
+  }
+
+  /**
+   * Score the species' actions and switch to the best one
+   */
+  decide() {
+    const inputs = this.getInputs();
+    let best = null;
+    let bestScore = -Infinity;
+
+    this.lastScores = {};
+    for (const id of Object.keys(this.profile.actions)) {
+      let score = this.scoreAction(id, inputs);
+      this.lastScores[id] = score;
+
+      score *= 1 + (Math.random() - 0.5) * this.profile.randomness;
+      if (id === this.action) {
+        score *= this.profile.momentum;
+      }
+      if (score > bestScore) {
+        best = id;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      this.startAction(best);
+    }
+    return best;
+  }
+
+  update(deltaTime) {
+    const needRates = this.profile.needs;
+    this.needs.hunger = Math.min(1, this.needs.hunger + needRates.hunger * deltaTime);
+    this.needs.thirst = Math.min(1, this.needs.thirst + needRates.thirst * deltaTime);
+
+    this.threat = Math.max(0, this.threat - this.threatDecay * deltaTime);
+    this.disturbance = Math.max(0, this.disturbance - this.disturbanceDecay * deltaTime);
+    if (this.disturbance === 0) {
+      this.disturbancePosition = null;
+    }
+
+    // Choose again once the action has run its course, or something new was noticed
+    this.actionTime += deltaTime;
+    const action = ACTIONS[this.action];
+    if (this.interrupted || this.actionTime >= this.holdTime || (action.done && action.done(this.animal))) {
+      this.interrupted = false;
+      this.decide();
+    }
+
+    ACTIONS[this.action].steer(this.animal, this, deltaTime);
+  }
+}
@@ -1,4 +1,12 @@
 import { Animal } from '../entities/Animal.js';
+import { Carcass } from '../entities/Carcass.js';
+import { Herd } from '../entities/Herd.js';
+import { TigerIdentity } from '../entities/TigerIdentity.js';
+import { CALM_STATES } from './AnimalAI.js';
+import { PopulationSystem } from './PopulationSystem.js';
+import { NavigationGrid } from './NavigationGrid.js';
+import { getAttackPattern } from './Combat.js';
+import { getSoundDamping } from './Hearing.js';
 import * as THREE from 'three';
 
 export class AnimalSystem {
@@ -10,12 +18,16 @@ export class AnimalSystem {
     
     // Callback for game events
     this.onAnimalEaten = null;
+    this.onTigersMated = null;
+    this.onRivalEvent = null;
+    this.onAlarmCall = null; // (caller, listeners) when an animal gives the tiger away
+    this.onTigerAttacked = null; // (animal, attack, damage) as an attack lands; damage is 0 if it missed
     
     // Animal management
     this.animals = [];
-    this.maxAnimals = 20;
+    this.maxAnimals = 20; // Performance ceiling; regional carrying capacity normally binds first
     this.spawnCooldown = 0;
-    this.spawnInterval = 5.0; // 5 seconds between spawns
+    this.spawnInterval = 30.0; // Seconds between resident tigers returning to their ranges
     
     // Performance optimization
     this.updateTimer = 0;
@@ -26,12 +38,106 @@ export class AnimalSystem {
     // Material caching
     this.materialCache = new Map();
     
+    // Carcasses and scavenging
+    this.biteSize = 20; // Meat eaten per bite by the tiger
+    this.scavengerTypes = ['leopard', 'boar'];
+    this.scavengeRadius = 60; // How far scavengers smell a kill
+    this.guardRadius = 12; // A tiger this close keeps scavengers away
+    this.scavengeBiteRate = 4; // Meat per second eaten by a scavenger
+    this.grabRange = 4; // How close the tiger must be to pick up a carcass
+    this.coverRadius = 6; // Vegetation this close hides a cached carcass
+    this.coverScavengeFactor = 0.4; // Scavenge radius multiplier for hidden carcasses
+    
+    // What animals sense around them for the utility AI (see AnimalAI)
+    this.drinkRange = 6; // Distance from a water edge close enough to drink
+    this.grazeRange = 3; // Distance from a grass patch close enough to graze
+    this.forageRadius = 150; // How far animals look for water and grass
+    this.needThreshold = 0.3; // Thirst or hunger at which animals go looking
+    this.herdRadius = 60; // Distance from the herd at which a straggler most wants to rejoin
+    this.refugeRadius = 60; // How far animals will run for a tree or water to hide at
+    this.perchHeight = 12; // How high up its tree a perched animal sits
+    this.flushHeight = 3; // How high a flushed bird flies
+    this.groupDefenseHealth = 0.4; // Share of health below which a herd member runs instead of charging
+    
+    // AI predators hunting other animals
+    this.predatorDiet = {
+      leopard: ['deer', 'rabbit', 'langur', 'peafowl'],
+      male_tiger: ['deer', 'boar', 'sambar', 'buffalo'],
+      female_tiger: ['deer', 'boar', 'rabbit', 'sambar', 'peafowl']
+    };
+    this.huntRadius = 80; // How far predators sense prey
+    this.stalkDetectionFactor = 0.5; // Share of its detection radius at which prey spots a stalker
+    this.predatorAttackInterval = 1.0; // Seconds between a predator's blows
+    this.predatorBiteRate = 6; // Meat per second a predator eats from its kill
+    this.predatorMealSize = 50; // Meat that takes a predator from starving to sated
+    this.defendRadius = 15; // Intruders this close to a kill are driven off
+    this.preyAreaSize = 60; // Cell size when looking for prey-rich ground
+    
+    // Melee with the tiger - each attack of an animal's pattern is wound up
+    // first, so the tiger can dodge it or get out of reach (see ANIMAL_ATTACKS)
+    this.fightRetreatHealth = 0.3; // Share of health at which either tiger in a territorial fight gives up
+    this.fightBreakOffDistance = 25; // A player this far from its rival has fled the fight
+    this.fightCooldown = 60; // Seconds before a rival squares up to the player again
+    
+    // Resident wild tigers - their identities survive saves (see TigerIdentity)
+    this.wildTigers = [];
+    this.nextWildTigerId = 1;
+    this.maxWildTigers = 4;
+    this.homeRangeRadius = 70;
+    this.homeRangeSpacing = 100; // Minimum distance between home range centres
+    
+    // Alarm calls - animals that spot the tiger warn everything within earshot
+    this.alarmCalls = {
+      langur: { radius: 100, strength: 1.0 }, // Langur barks carry furthest and every species heeds them
+      deer: { radius: 80, strength: 0.9 },
+      sambar: { radius: 80, strength: 0.9 },
+      peafowl: { radius: 60, strength: 0.7 },
+      default: { radius: 40, strength: 0.5 }
+    };
+    this.alarmCallCooldown = 10; // Seconds before the same animal calls again
+    
+    // Hearing - the tiger's noise (see Hearing.js) is a second way to be detected
+    this.hearingDetectionThreshold = 0.5; // Hearing strength at which an animal knows it is the tiger
+    
+    // Danger map - wildlife remembers where animals were attacked and killed
+    this.dangerMap = new Map(); // "cellX,cellZ" -> danger, 0-1
+    this.dangerCellSize = 40;
+    this.dangerPerKill = 0.5;
+    this.dangerPerAttack = 0.15;
+    this.dangerHalfLife = 600; // Seconds for a cell's danger to halve
+    this.dangerAvoidThreshold = 0.4; // Danger that calm prey steer out of and won't graze or drink in
+    this.dangerDetectionBonus = 0.75; // Detection radius multiplier at full danger is 1 + this
+    this.desperateNeed = 0.85; // Hunger or thirst at which prey risk a dangerous spot anyway
+    
+    // Herds of group-spawned prey
+    this.herds = [];
+    this.nextHerdId = 1;
+    this.routeProbeDistance = 20; // How far ahead herd routes are checked for water and cliffs
+    
+    // The player's scent-marked territory (see TerritorySystem)
+    this.territorySystem = null;
+    
+    // Scent - prey smell the tiger from further off downwind of it (see WindSystem)
+    this.windSystem = null;
+    this.scentRadius = 25; // How far prey smell the tiger in still air
+    this.scentDetectionThreshold = 0.5; // Scent strength at which an animal knows it is the tiger
+    
+    // Births, ageing and deaths against each region's carrying capacity
+    this.populationSystem = new PopulationSystem(terrain, waterSystem, vegetationSystem);
+    
+    // Walkable ground and routes around water and cliffs
+    this.navigationGrid = new NavigationGrid(terrain, waterSystem);
+    
     // Animal type configuration
     this.animalTypes = [
-      { type: 'deer', weight: 0.25, groupSize: [2, 5] },
-      { type: 'rabbit', weight: 0.2, groupSize: [1, 3] },
-      { type: 'boar', weight: 0.15, groupSize: [1, 2] },
-      { type: 'leopard', weight: 0.1, groupSize: [1, 1] },
+      { type: 'deer', weight: 0.16, groupSize: [2, 5] },
+      { type: 'rabbit', weight: 0.12, groupSize: [1, 3] },
+      { type: 'boar', weight: 0.1, groupSize: [1, 2] },
+      { type: 'buffalo', weight: 0.06, groupSize: [3, 6] },
+      { type: 'sambar', weight: 0.08, groupSize: [1, 3] },
+      { type: 'langur', weight: 0.06, groupSize: [3, 6] },
+      { type: 'peafowl', weight: 0.06, groupSize: [1, 4] },
+      { type: 'leopard', weight: 0.06, groupSize: [1, 1] },
       { type: 'male_tiger', weight: 0.15, groupSize: [1, 1] }, // Increased from 0.075
       { type: 'female_tiger', weight: 0.15, groupSize: [1, 1] } // Increased from 0.075
     ];
@@ -40,6 +146,14 @@ export class AnimalSystem {
     this.initializeSystem();
   }
   
+  setTerritorySystem(territorySystem) {
+    this.territorySystem = territorySystem;
+  }
+  
+  setWindSystem(windSystem) {
+    this.windSystem = windSystem;
+  }
+  
   initializeSystem() {
     console.log('🦌 AnimalSystem: Initializing animal system...');
     
@@ -88,22 +202,156 @@ export class AnimalSystem {
     const animalType = this.selectRandomAnimalType();
     const groupSize = this.getRandomGroupSize(animalType);
     
+    // Wild tigers are residents returning to their home ranges, not passers-by
+    if (animalType.type === 'male_tiger' || animalType.type === 'female_tiger') {
+      const wildTiger = this.spawnWildTiger(animalType.type);
+      return wildTiger ? [wildTiger] : null;
+    }
+    
     // Find valid spawn position
     const spawnPosition = this.findValidSpawnPosition();
     if (!spawnPosition) return null;
     
-    // Spawn group of animals
+    return this.spawnGroup(animalType.type, spawnPosition, groupSize);
+  }
+  
+  /**
+   * A group of adults of one type arriving from outside
+   */
+  spawnGroup(type, position, groupSize) {
     const newAnimals = [];
     for (let i = 0; i < groupSize; i++) {
-      const animal = this.createAnimal(animalType.type, spawnPosition, i);
+      const animal = this.createAnimal(type, position, i);
       if (animal) {
+        animal.age = this.populationSystem.getRandomAdultAge(type);
         newAnimals.push(animal);
       }
     }
     
+    // Prey that spawn together stay together
+    if (newAnimals.length > 1 && newAnimals[0].behaviorType === 'prey') {
+      this.createHerd(newAnimals);
+    }
+    
     return newAnimals;
   }
   
+  createHerd(animals) {
+    const herd = new Herd(this.nextHerdId++, animals[0].type);
+    animals.forEach(animal => herd.addMember(animal));
+    this.herds.push(herd);
+    console.log(`🦌 AnimalSystem: ${animals.length} ${herd.type} formed herd #${herd.id}`);
+    return herd;
+  }
+  
+  /**
+   * Bring back a resident tiger that isn't in the world, or settle a new one
+   * while there is room for another home range
+   */
+  spawnWildTiger(type) {
+    let identity = this.wildTigers.find(candidate => !candidate.animal);
+    if (!identity) {
+      if (this.wildTigers.length >= this.maxWildTigers) return null;
+      identity = this.createWildTigerIdentity(type);
+      if (!identity) return null;
+    }
+    return this.spawnResident(identity);
+  }
+  
+  spawnResident(identity) {
+    const home = new THREE.Vector3(identity.home.x, 0, identity.home.z);
+    const animal = this.createAnimal(identity.type, home, 0);
+    identity.applyTo(animal);
+    console.log(`🐅 AnimalSystem: ${identity.name} (level ${identity.level} ${identity.type}) is patrolling its home range`);
+    return animal;
+  }
+  
+  /**
+   * A new resident with a home range clear of the others and a patrol loop around it
+   * @returns {TigerIdentity|null} Null if no free ground was found
+   */
+  createWildTigerIdentity(type) {
+    let home = null;
+    for (let attempt = 0; attempt < 10 && !home; attempt++) {
+      const position = this.findValidSpawnPosition();
+      if (!position) break;
+      const crowded = this.wildTigers.some(other =>
+        Math.hypot(other.home.x - position.x, other.home.z - position.z) < this.homeRangeSpacing);
+      if (!crowded) {
+        home = position;
+      }
+    }
+    if (!home) return null;
+    
+    // Up to five walkable waypoints around the centre
+    const patrol = [];
+    const startAngle = Math.random() * Math.PI * 2;
+    for (let i = 0; i < 5; i++) {
+      const angle = startAngle + (i / 5) * Math.PI * 2;
+      const x = home.x + Math.cos(angle) * this.homeRangeRadius * 0.7;
+      const z = home.z + Math.sin(angle) * this.homeRangeRadius * 0.7;
+      if (this.isValidSpawnPosition(x, z)) {
+        patrol.push({ x, z });
+      }
+    }
+    
+    const identity = TigerIdentity.create(
+      this.nextWildTigerId++,
+      type,
+      { x: home.x, z: home.z, radius: this.homeRangeRadius },
+      patrol,
+      this.wildTigers.map(other => other.name)
+    );
+    this.wildTigers.push(identity);
+    return identity;
+  }
+  
+  /**
+   * A resident that died is gone for good - its range is free for a newcomer
+   */
+  forgetWildTiger(identity) {
+    const index = this.wildTigers.indexOf(identity);
+    if (index === -1) return;
+    
+    this.wildTigers.splice(index, 1);
+    identity.animal = null;
+    console.log(`🐅 AnimalSystem: ${identity.name} has died`);
+  }
+  
+  updateWildTigers() {
+    for (const identity of [...this.wildTigers]) {
+      if (identity.animal && !identity.animal.isAlive()) {
+        this.forgetWildTiger(identity);
+      }
+    }
+  }
+  
+  getWildTigerSaveData() {
+    return this.wildTigers.map(identity => identity.toJSON());
+  }
+  
+  /**
+   * Replace the resident wild tigers with saved ones, each back in its home range
+   */
+  loadWildTigers(data = []) {
+    for (const animal of this.animals.filter(a => a.species === 'tiger' && a.isAlive())) {
+      this.removeAnimal(animal);
+    }
+    
+    this.wildTigers = data.map(saved => new TigerIdentity(saved));
+    this.nextWildTigerId = this.wildTigers.reduce((next, identity) => Math.max(next, identity.id + 1), 1);
+    this.wildTigers.forEach(identity => this.spawnResident(identity));
+    
+    console.log(`🐅 AnimalSystem: Restored ${this.wildTigers.length} resident wild tiger(s)`);
+  }
+  
+  announceRival(message) {
+    console.log(`🐅 ${message}`);
+    if (this.onRivalEvent) {
+      this.onRivalEvent(message);
+    }
+  }
+  
   selectRandomAnimalType() {
     const rand = Math.random();
     let cumulative = 0;
@@ -157,6 +405,9 @@ export class AnimalSystem {
     const slope = this.terrain.getSlope(x, z);
     if (slope > 0.6) return false;
     
+    // Animals seldom settle where others were recently killed
+    if (Math.random() < this.getDangerAt(x, z)) return false;
+    
     // Check water proximity
     if (this.waterSystem) {
       const waterBodies = this.waterSystem.getWaterBodies();
@@ -202,6 +453,7 @@ export class AnimalSystem {
     const y = this.terrain.getHeightAt(x, z) + 1.0;
     
     animal.setPosition(x, y, z);
+    animal.ai.navigation = this.navigationGrid;
     
     // Add to scene
     this.scene.add(animal.getMesh());
@@ -250,27 +502,169 @@ export class AnimalSystem {
     this.updateTimer += deltaTime;
     if (this.updateTimer < this.updateInterval) return;
     
+    const elapsed = this.updateTimer;
     this.updateTimer = 0;
     
-    // Update spawn cooldown
-    this.spawnCooldown -= deltaTime;
-    
-    // Spawn new animals if needed
+    // Resident tigers drift back into their home ranges
+    this.spawnCooldown -= elapsed;
     if (this.spawnCooldown <= 0 && this.animals.length < this.maxAnimals) {
-      this.spawnAnimal();
+      this.spawnWildTiger(Math.random() < 0.5 ? 'male_tiger' : 'female_tiger');
       this.spawnCooldown = this.spawnInterval;
     }
     
+    // Remember fresh attacks and kills, forget old ones
+    this.updateDangerMap(elapsed);
+    
+    // Births, old age, starvation and newcomers
+    this.updatePopulation(elapsed);
+    
     // Update all animals
     this.updateAnimals(deltaTime, tiger);
     
-    // Remove dead animals
-    this.removeDeadAnimals();
+    // Forget resident tigers that have died
+    this.updateWildTigers();
+    
+    // Shared alarms, leaders and routes for herds
+    this.updateHerds(elapsed);
+    
+    // Callers get their voice back for the next alarm
+    this.updateAlarmCalls(elapsed);
+    
+    // Attacks on the tiger land or miss, and territorial fights are settled
+    this.updateMelee(elapsed, tiger);
+    this.updateTigerFights(elapsed);
+    
+    // Predators strike their prey, eat and defend their kills
+    this.updatePredators(elapsed, tiger);
+    
+    // Charging buffalo gore the tiger
+    this.updateCharges(tiger);
+    
+    // Rot carcasses, feed scavengers and remove finished remains
+    this.updateCarcasses(elapsed, tiger);
     
     // Update spatial grid
     this.updateSpatialGrid();
   }
   
+  /**
+   * Carry out what the population model decided: old and starving animals
+   * die where they stand, leaving carcasses, young are born beside a parent
+   * and newcomers wander into understocked regions
+   */
+  updatePopulation(elapsed) {
+    const events = this.populationSystem.update(elapsed, this.animals);
+    
+    for (const { animal, cause } of events.deaths) {
+      if (!animal.isAlive()) continue;
+      this.populationSystem.recordDeath(animal, cause);
+      this.killAnimal(animal);
+      console.log(`🦌 AnimalSystem: A ${animal.type} died (${cause === 'age' ? 'old age' : 'starvation'})`);
+    }
+    
+    for (const { parent } of events.births) {
+      if (this.animals.length >= this.maxAnimals) break;
+      // Young are lost more often on dangerous ground
+      if (parent.isAlive() && Math.random() >= this.getDangerAt(parent.position.x, parent.position.z)) {
+        this.breed(parent);
+      }
+    }
+    
+    for (const arrival of events.arrivals) {
+      if (this.animals.length >= this.maxAnimals) break;
+      this.spawnArrival(arrival);
+    }
+  }
+  
+  breed(parent) {
+    const young = this.createAnimal(parent.type, parent.position, 1);
+    young.age = 0;
+    
+    if (parent.herd) {
+      parent.herd.addMember(young);
+    } else if (parent.behaviorType === 'prey') {
+      this.createHerd([parent, young]);
+    }
+    
+    console.log(`🍼 AnimalSystem: A young ${parent.type} was born`);
+    return young;
+  }
+  
+  /**
+   * A group wandering into a region - somewhere walkable inside it
+   */
+  spawnArrival({ type, region }) {
+    const size = this.populationSystem.regionSize;
+    let position = null;
+    for (let attempt = 0; attempt < 10 && !position; attempt++) {
+      const x = region.minX + Math.random() * size;
+      const z = region.minZ + Math.random() * size;
+      if (this.isValidSpawnPosition(x, z)) {
+        position = { x, z };
+      }
+    }
+    if (!position) return null;
+    
+    const animalType = this.animalTypes.find(entry => entry.type === type);
+    const newAnimals = this.spawnGroup(type, position, animalType ? this.getRandomGroupSize(animalType) : 1);
+    console.log(`🦌 AnimalSystem: ${newAnimals.length} ${type} wandered into region (${region.col}, ${region.row})`);
+    return newAnimals;
+  }
+  
+  /**
+   * The tracked species' living animals, for saving; resident tigers are saved separately
+   */
+  getPopulationSaveData() {
+    return {
+      ...this.populationSystem.toJSON(),
+      animals: this.getPopulationMembers().map(animal => ({
+        type: animal.type,
+        x: animal.position.x,
+        z: animal.position.z,
+        age: animal.age,
+        herd: animal.herd ? animal.herd.id : null
+      })),
+      danger: [...this.dangerMap].map(([key, danger]) => ({ key, danger }))
+    };
+  }
+  
+  /**
+   * Replace the living wildlife with a saved population, regrouping herds
+   */
+  loadPopulation(data) {
+    for (const animal of this.getPopulationMembers()) {
+      this.removeAnimal(animal);
+    }
+    this.populationSystem.load(data);
+    this.dangerMap = new Map((data && data.danger || []).map(({ key, danger }) => [key, danger]));
+    if (!data) return;
+    
+    const herds = new Map();
+    for (const saved of data.animals || []) {
+      const animal = this.createAnimal(saved.type, saved, 0);
+      animal.age = saved.age || 0;
+      if (saved.herd !== null && saved.herd !== undefined) {
+        herds.set(saved.herd, [...(herds.get(saved.herd) || []), animal]);
+      }
+    }
+    herds.forEach(members => {
+      if (members.length > 1) {
+        this.createHerd(members);
+      }
+    });
+    
+    console.log(`🦌 AnimalSystem: Restored ${(data.animals || []).length} animals on day ${Math.floor(this.populationSystem.day)}`);
+  }
+  
+  getPopulationMembers() {
+    return this.animals.filter(animal =>
+      animal.isAlive() && !animal.identity && this.populationSystem.species[animal.type]);
+  }
+  
+  getEcologyReport() {
+    return this.populationSystem.getReport(this.animals);
+  }
+  
   updateAnimals(deltaTime, tiger) {
     for (const animal of this.animals) {
       if (!animal.isAlive()) continue;
@@ -278,14 +672,23 @@ export class AnimalSystem {
       // Check tiger proximity
       if (tiger) {
         this.checkTigerProximity(animal, tiger.position, tiger);
+        this.checkTerritory(animal, tiger);
       }
       
-      // Update animal AI and movement
-      this.updateAnimalMovement(animal, deltaTime, tiger);
+      // Calm prey move off ground where animals have been killed
+      this.avoidDanger(animal);
       
-      // Update animal state
+      // Water and herd mates nearby
+      this.senseSurroundings(animal);
+      
+      // Let the animal's AI choose and carry out an action, then move
       animal.update(deltaTime);
       
+      // Animals committed to attacking go for the tiger once in reach
+      if (tiger && animal.aiState === 'aggressive') {
+        this.attackTiger(animal, tiger);
+      }
+      
       // Keep animal on terrain
       this.keepOnTerrain(animal);
     }
@@ -296,9 +699,10 @@ export class AnimalSystem {
     
     // Calculate stealth-modified detection radius
     const stealthEffectiveness = tiger.getStealthEffectiveness();
-    const baseDetectionRadius = animal.detectionRadius;
+    const baseDetectionRadius = animal.detectionRadius *
+      (1 + this.dangerDetectionBonus * this.getDangerAt(animal.position.x, animal.position.z));
     const stealthModifier = Math.max(0.3, 1.0 - (stealthEffectiveness / 100));
-    const effectiveDetectionRadius = baseDetectionRadius * stealthModifier;
+    const effectiveDetectionRadius = baseDetectionRadius * stealthModifier * this.getSkillDetectionModifier(tiger);
     
     // Check if tiger is approaching from behind (stealth bonus)
     const isApproachingFromBehind = this.isApproachingFromBehind(animal, tigerPosition, tiger);
@@ -317,37 +721,221 @@ export class AnimalSystem {
       }
     }
     
-    // Detection and fear responses (only if can see)
-    if (canSee) {
-      // console.log(`🦌 ${animal.type} detected tiger at distance ${distance.toFixed(1)}`);
-      
-      // Special handling for wild tigers
+    // Hearing and smell - a loud or strong-smelling tiger close by is as good
+    // as seen, a faint one only disturbs
+    const heard = this.getHearingStrength(animal, tigerPosition, tiger.noise || 0, distance);
+    const smelled = this.getScentStrength(animal, tigerPosition, distance);
+    const detected = canSee || heard >= this.hearingDetectionThreshold || smelled >= this.scentDetectionThreshold;
+    
+    // Detection responses - wild tigers deal with the player directly, other
+    // animals' AI weighs up the threat (or something it couldn't make out)
+    if (detected) {
       if (animal.behaviorType === 'territorial') {
         this.handleTigerInteraction(animal, tiger, distance);
-      } else if (animal.behaviorType === 'prey') {
-        animal.setAIState('alert');
-        
-        if (distance <= animal.fleeDistance) {
-          animal.setAIState('fleeing');
-          animal.setTarget(tigerPosition);
-          // console.log(`🦌 ${animal.type} fleeing from tiger!`);
+      } else {
+        animal.ai.noticeThreat(tigerPosition, distance);
+        if (animal.behaviorType !== 'predator') {
+          this.giveAlarmCall(animal);
         }
-      } else if (animal.behaviorType === 'predator') {
-        animal.setAIState('aggressive');
-        animal.setTarget(tigerPosition);
-        console.log(`🦌 ${animal.type} becoming aggressive toward tiger!`);
       }
+    } else if ((distance <= effectiveDetectionRadius || heard > 0 || smelled > 0) && animal.behaviorType !== 'territorial') {
+      const glimpse = Math.max(0, 1 - distance / effectiveDetectionRadius);
+      animal.ai.noticeDisturbance(tigerPosition, Math.max(glimpse, heard, smelled));
     }
     
     // Return detection status for hunting mechanics
     return {
-      detected: canSee,
+      detected: detected,
       distance: distance,
       effectiveDetectionRadius: effectiveDetectionRadius,
-      lineOfSight: canSee
+      lineOfSight: canSee,
+      heard: heard,
+      smelled: smelled
     };
   }
 
+  /**
+   * Count down each animal's alarm call cooldown in game time
+   */
+  updateAlarmCalls(elapsed) {
+    for (const animal of this.animals) {
+      animal.alarmCallCooldown = Math.max(0, animal.alarmCallCooldown - elapsed);
+    }
+  }
+
+  /**
+   * Warn every animal within earshot of the caller, whatever its species;
+   * a call heard close by, or from a langur or deer, counts for more
+   * @returns {Array} The animals that heard it
+   */
+  giveAlarmCall(caller) {
+    if (caller.alarmCallCooldown > 0) return [];
+    caller.alarmCallCooldown = this.alarmCallCooldown;
+    
+    const call = this.alarmCalls[caller.type] || this.alarmCalls.default;
+    const listeners = this.getAnimalsNear(caller.position, call.radius).filter(listener =>
+      listener !== caller && listener.isAlive() && listener.behaviorType !== 'territorial');
+    
+    for (const listener of listeners) {
+      const falloff = 1 - 0.5 * listener.distanceTo(caller.position) / call.radius;
+      listener.ai.hearAlarmCall(caller.position, call.strength * falloff);
+    }
+    
+    console.log(`📢 ${caller.type} gives an alarm call - ${listeners.length} animal(s) heard it`);
+    if (this.onAlarmCall) {
+      this.onAlarmCall(caller, listeners);
+    }
+    return listeners;
+  }
+  
+  /**
+   * React to the player's scent marks: rivals entering marked ground respect
+   * or challenge it once, prey steer out of heavily marked ground
+   */
+  checkTerritory(animal, tiger) {
+    if (!this.territorySystem) return;
+    
+    const { x, z } = animal.position;
+    const strength = this.territorySystem.getStrengthAt(x, z);
+    
+    if (animal.behaviorType === 'territorial') {
+      if (strength < this.territorySystem.claimThreshold) {
+        animal.scentResponse = null; // Left the territory - decide again next time
+        return;
+      }
+      if (animal.gender !== tiger.gender) return;
+      
+      if (!animal.scentResponse) {
+        animal.scentResponse = animal.respondToScent(tiger, strength);
+        if (animal.scentResponse === 'challenge') {
+          animal.setAIState('aggressive');
+          animal.setTarget(tiger.position);
+          console.log(`🌳 ${animal.type} is challenging the player's territory!`);
+        } else {
+          console.log(`🌳 ${animal.type} smelled the player's marks and is leaving the territory`);
+        }
+      }
+      
+      // A rival that respects the marks keeps heading out until it is off them
+      if (animal.scentResponse === 'respect') {
+        this.steerAway(animal, this.territorySystem.getAwayDirection(x, z));
+      }
+    } else if (animal.behaviorType === 'prey') {
+      if (strength < this.territorySystem.heavyThreshold || animal.aiState === 'fleeing') return;
+      this.steerAway(animal, this.territorySystem.getAwayDirection(x, z));
+    }
+  }
+  
+  steerAway(animal, away) {
+    if (!away) return;
+    
+    animal.setAIState('moving');
+    animal.movementDirection = away;
+    animal.movementTimer = 0;
+    
+    // The whole herd turns away, not just the member that caught the scent
+    if (animal.herd) {
+      animal.herd.heading.copy(away);
+      animal.herd.headingTimer = 6;
+    }
+  }
+  
+  getDangerCellKey(x, z) {
+    return `${Math.floor(x / this.dangerCellSize)},${Math.floor(z / this.dangerCellSize)}`;
+  }
+  
+  /**
+   * How dangerous the ground at a position is remembered to be (0 when nothing happened there)
+   */
+  getDangerAt(x, z) {
+    return this.dangerMap.get(this.getDangerCellKey(x, z)) || 0;
+  }
+  
+  recordDanger(x, z, amount) {
+    const key = this.getDangerCellKey(x, z);
+    this.dangerMap.set(key, Math.min(1, (this.dangerMap.get(key) || 0) + amount));
+  }
+  
+  /**
+   * Mark the ground where animals were hurt or killed since the last update,
+   * and let every cell's danger fade by half each dangerHalfLife
+   */
+  updateDangerMap(elapsed) {
+    const fade = Math.pow(0.5, elapsed / this.dangerHalfLife);
+    for (const [key, danger] of this.dangerMap) {
+      if (danger * fade < 0.01) {
+        this.dangerMap.delete(key);
+      } else {
+        this.dangerMap.set(key, danger * fade);
+      }
+    }
+    
+    for (const animal of this.animals) {
+      // Only blows from an attacker count - old age, starvation and bleeding don't
+      if (animal.lastAttacker && animal.health < animal.knownHealth) {
+        const amount = animal.isAlive() ? this.dangerPerAttack : this.dangerPerKill;
+        this.recordDanger(animal.position.x, animal.position.z, amount);
+        animal.lastAttacker = null;
+      }
+      animal.knownHealth = animal.health;
+    }
+  }
+  
+  /**
+   * Direction toward the least dangerous neighbouring cell
+   * @returns {THREE.Vector3|null} Normalized direction, or null if no neighbour is safer
+   */
+  getSafestDirection(x, z) {
+    const cellX = Math.floor(x / this.dangerCellSize);
+    const cellZ = Math.floor(z / this.dangerCellSize);
+    let best = null;
+    let bestDanger = this.getDangerAt(x, z);
+    
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        const danger = this.dangerMap.get(`${cellX + dx},${cellZ + dz}`) || 0;
+        if (danger < bestDanger) {
+          best = { dx, dz };
+          bestDanger = danger;
+        }
+      }
+    }
+    if (!best) return null;
+    
+    const targetX = (cellX + best.dx + 0.5) * this.dangerCellSize;
+    const targetZ = (cellZ + best.dz + 0.5) * this.dangerCellSize;
+    const direction = new THREE.Vector3(targetX - x, 0, targetZ - z);
+    return direction.lengthSq() > 0 ? direction.normalize() : null;
+  }
+  
+  /**
+   * Calm prey that find themselves on dangerous ground head for safer cells
+   */
+  avoidDanger(animal) {
+    if (animal.behaviorType !== 'prey' || !CALM_STATES.includes(animal.aiState)) return;
+    
+    const { x, z } = animal.position;
+    if (this.getDangerAt(x, z) < this.dangerAvoidThreshold) return;
+    this.steerAway(animal, this.getSafestDirection(x, z));
+  }
+  
+  /**
+   * Whether a grazing or drinking spot is on ground the animal is too wary to use
+   */
+  isTooDangerous(spot, need) {
+    return spot && need < this.desperateNeed && this.getDangerAt(spot.x, spot.z) >= this.dangerAvoidThreshold;
+  }
+  
+  getSkillDetectionModifier(tiger) {
+    if (!tiger.getSkillMultiplier) return 1.0;
+    
+    let modifier = tiger.getSkillMultiplier('detectionRadius');
+    if (this.waterSystem && this.waterSystem.isInWater(tiger.position.x, tiger.position.z)) {
+      modifier *= tiger.getSkillMultiplier('swimDetectionRadius');
+    }
+    return modifier;
+  }
+
   isApproachingFromBehind(animal, tigerPosition, tiger) {
     // Calculate the direction the animal is facing
     const animalForward = {
@@ -419,6 +1007,27 @@ export class AnimalSystem {
     return true; // Clear line of sight
   }
 
+  /**
+   * How clearly an animal hears a noise - 1 right beside it, 0 out of earshot.
+   * Louder noises carry further and vegetation in between muffles them
+   */
+  getHearingStrength(animal, position, noise, distance = animal.distanceTo(position)) {
+    if (noise <= 0) return 0;
+    
+    const damping = getSoundDamping(animal.position, position, (x, z) => this.getVegetationDensity(x, z));
+    const range = animal.hearingRadius * noise * damping;
+    return Math.max(0, 1 - distance / range);
+  }
+  
+  /**
+   * How strongly an animal smells the tiger - scent carries further downwind
+   * and barely at all upwind
+   */
+  getScentStrength(animal, tigerPosition, distance = animal.distanceTo(tigerPosition)) {
+    const wind = this.windSystem ? this.windSystem.getScentRangeMultiplier(tigerPosition, animal.position) : 1;
+    return Math.max(0, 1 - distance / (this.scentRadius * wind));
+  }
+  
   getVegetationDensity(x, z) {
     // Simple vegetation density calculation
     // In a real implementation, this would check actual vegetation positions
@@ -431,113 +1040,596 @@ export class AnimalSystem {
     return Math.max(0, Math.min(1, density));
   }
   
-  updateAnimalMovement(animal, deltaTime, tiger) {
-    switch (animal.aiState) {
-      case 'moving':
-        this.handleMovingBehavior(animal, deltaTime);
-        break;
-      case 'fleeing':
-        this.handleFleeingBehavior(animal, deltaTime);
-        break;
-      case 'aggressive':
-        this.handleAggressiveBehavior(animal, deltaTime, tiger);
-        break;
-      case 'grazing':
-        this.handleGrazingBehavior(animal, deltaTime);
-        break;
-      default:
-        // Idle behavior - occasional random movement
-        if (Math.random() < 0.1) {
-          this.handleIdleBehavior(animal, deltaTime);
-        }
-        break;
+  /**
+   * Tell an animal's AI about water, grass and herd mates around it
+   */
+  senseSurroundings(animal) {
+    const { x, z } = animal.position;
+    const { needs, senses } = animal.ai;
+    const nearWater = this.waterSystem ? this.waterSystem.getDistanceToWaterEdge(x, z) <= this.drinkRange : false;
+    
+    // Thirsty or hungry animals pick a shore or grass patch and keep it until sated,
+    // unless the spot is on dangerous ground they aren't yet desperate enough to risk
+    let waterSpot = needs.thirst < this.needThreshold ? null : (senses.waterSpot || this.findDrinkingSpot(x, z));
+    let grassSpot = needs.hunger < this.needThreshold ? null : (senses.grassSpot || this.findGrassSpot(x, z));
+    if (this.isTooDangerous(waterSpot, needs.thirst)) waterSpot = null;
+    if (this.isTooDangerous(grassSpot, needs.hunger)) grassSpot = null;
+    const onGrass = grassSpot ? Math.hypot(grassSpot.x - x, grassSpot.z - z) <= this.grazeRange : false;
+    
+    const herdCenter = animal.herd ? animal.herd.getCenter(animal) : null;
+    const herdDistance = herdCenter ? Math.min(1, animal.distanceTo(herdCenter) / this.herdRadius) : 0;
+    
+    const refuge = animal.ai.profile.refuge ? this.findRefuge(animal) : null;
+    
+    const sensed = { nearWater, waterSpot, onGrass, grassSpot, herdCenter, herdDistance, refuge };
+    if (this.predatorDiet[animal.type]) {
+      this.sensePrey(animal, sensed);
+    }
+    
+    animal.ai.sense(sensed);
+  }
+  
+  /**
+   * A hungry predator keeps to the prey it picked while it stays alive and in
+   * range, otherwise picks the nearest; with no prey around it heads for
+   * prey-rich ground
+   */
+  /**
+   * The nearest tree a climber can escape up, or shore a wader can stand at
+   * bay at, within refugeRadius
+   * @returns {THREE.Vector3|null}
+   */
+  findRefuge(animal) {
+    const { x, z } = animal.position;
+    if (animal.ai.profile.refuge === 'tree') {
+      const tree = this.vegetationSystem ? this.vegetationSystem.getNearestTree(x, z, this.refugeRadius) : null;
+      return tree ? new THREE.Vector3(tree.position.x, 0, tree.position.z) : null;
     }
+    
+    const shore = this.findDrinkingSpot(x, z);
+    return shore && Math.hypot(shore.x - x, shore.z - z) <= this.refugeRadius ? shore : null;
   }
   
-  handleMovingBehavior(animal, deltaTime) {
-    // More dynamic movement with direction persistence
-    if (!animal.movementDirection) {
-      animal.movementDirection = new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        0,
-        (Math.random() - 0.5) * 2
-      ).normalize();
-      animal.movementTimer = 0;
+  sensePrey(predator, sensed) {
+    const { needs, senses } = predator.ai;
+    if (needs.hunger < this.needThreshold) {
+      Object.assign(sensed, { prey: null, preyCloseness: 0, preyArea: null });
+      return;
+    }
+    
+    let prey = senses.prey;
+    if (!prey || !prey.isAlive() || predator.distanceTo(prey.position) > this.huntRadius) {
+      prey = this.findPrey(predator);
     }
     
-    animal.movementTimer += deltaTime;
+    let preyArea = null;
+    if (!prey) {
+      const reached = senses.preyArea && predator.distanceTo(senses.preyArea) <= this.preyAreaSize / 4;
+      preyArea = senses.preyArea && !reached ? senses.preyArea : this.findPreyArea(predator);
+    }
+    
+    Object.assign(sensed, {
+      prey,
+      preyCloseness: prey ? 1 - predator.distanceTo(prey.position) / this.huntRadius : 0,
+      preyArea
+    });
+  }
+  
+  findPrey(predator) {
+    const diet = this.predatorDiet[predator.type];
+    let closest = null;
+    let closestDistance = this.huntRadius;
     
-    // Change direction every 2-4 seconds
-    if (animal.movementTimer > 2 + Math.random() * 2) {
-      animal.movementDirection = new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        0,
-        (Math.random() - 0.5) * 2
-      ).normalize();
-      animal.movementTimer = 0;
+    for (const animal of this.animals) {
+      if (!animal.isAlive() || animal.perched || !diet.includes(animal.type)) continue;
+      
+      const distance = animal.distanceTo(predator.position);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closest = animal;
+      }
     }
     
-    const speed = animal.speed * 0.5; // Increased speed
-    animal.velocity.copy(animal.movementDirection.clone().multiplyScalar(speed));
+    return closest;
   }
   
-  handleFleeingBehavior(animal, deltaTime) {
-    if (!animal.target) return;
+  /**
+   * Centre of the preyAreaSize cell holding the most of a predator's prey
+   * @returns {THREE.Vector3|null} Null if none of its prey are left
+   */
+  findPreyArea(predator) {
+    const diet = this.predatorDiet[predator.type];
+    const cells = new Map();
+    
+    for (const animal of this.animals) {
+      if (!animal.isAlive() || !diet.includes(animal.type)) continue;
+      
+      const cellX = Math.floor(animal.position.x / this.preyAreaSize);
+      const cellZ = Math.floor(animal.position.z / this.preyAreaSize);
+      const key = `${cellX},${cellZ}`;
+      const cell = cells.get(key) || { cellX, cellZ, count: 0 };
+      cell.count++;
+      cells.set(key, cell);
+    }
     
-    // Flee away from tiger
-    const fleeDirection = new THREE.Vector3()
-      .copy(animal.position)
-      .sub(animal.target)
-      .normalize();
+    let best = null;
+    for (const cell of cells.values()) {
+      if (!best || cell.count > best.count) {
+        best = cell;
+      }
+    }
+    if (!best) return null;
     
-    const fleeSpeed = animal.speed * 0.8;
-    animal.velocity.copy(fleeDirection.multiplyScalar(fleeSpeed));
+    const x = (best.cellX + 0.5) * this.preyAreaSize;
+    const z = (best.cellZ + 0.5) * this.preyAreaSize;
+    return new THREE.Vector3(x, this.terrain.getHeightAt(x, z), z);
+  }
+  
+  updatePredators(elapsed, tiger) {
+    for (const predator of this.animals) {
+      if (!predator.isAlive() || !this.predatorDiet[predator.type]) continue;
+      
+      if (predator.aiState === 'hunting') {
+        this.updateHunt(predator);
+      }
+      if (predator.kill) {
+        this.updateKill(predator, elapsed, tiger);
+      }
+    }
+  }
+  
+  /**
+   * Prey that spots the stalker runs (its herd's alarm does the rest);
+   * prey the predator catches up with is struck until it falls
+   */
+  updateHunt(predator) {
+    const prey = predator.ai.senses.prey;
+    if (!prey || !prey.isAlive()) return;
+    
+    const distance = predator.distanceTo(prey.position);
+    if (distance <= prey.detectionRadius * this.stalkDetectionFactor) {
+      prey.ai.noticeThreat(predator.position, distance);
+    }
     
-    // Consume stamina while fleeing
-    animal.consumeStamina(20 * deltaTime);
+    if (distance <= predator.attackRange && this.strike(predator, prey) && !prey.isAlive()) {
+      this.claimKill(predator, prey);
+    }
+  }
+  
+  /**
+   * Hit a target if the predator's attack has recovered
+   * @returns {boolean} Whether a blow was struck
+   */
+  strike(predator, target) {
+    if (predator.attackCooldown > 0) return false;
+    
+    predator.attackCooldown = this.predatorAttackInterval;
+    target.takeDamage(predator.power * predator.statusEffects.getMultiplier('attackDamage'), predator);
+    return true;
+  }
+  
+  claimKill(predator, prey) {
+    const carcass = this.getCarcass(prey);
+    carcass.killer = predator;
+    predator.kill = prey;
+    predator.ai.sense({ prey: null, preyCloseness: 0 });
+    predator.setAIState('feeding');
+    console.log(`🐆 ${predator.type} brought down a ${prey.type}`);
+  }
+  
+  releaseKill(predator) {
+    if (predator.kill && predator.kill.carcass && predator.kill.carcass.killer === predator) {
+      predator.kill.carcass.killer = null;
+    }
+    predator.kill = null;
   }
   
-  handleAggressiveBehavior(animal, deltaTime, tiger) {
-    if (!animal.target) return;
+  /**
+   * Eat from the kill, and drive the player off it - or give it up when too
+   * badly hurt, outrun or done with it
+   */
+  updateKill(predator, elapsed, tiger) {
+    const kill = predator.kill;
+    const carcass = kill.carcass;
+    if (!carcass || carcass.isDepleted() || !this.animals.includes(kill) ||
+        predator.distanceTo(kill.position) > this.defendRadius * 2) {
+      this.releaseKill(predator);
+      return;
+    }
     
-    // Move toward tiger (for predators)
-    const approachDirection = new THREE.Vector3()
-      .copy(animal.target)
-      .sub(animal.position)
-      .normalize();
+    if (tiger && tiger.isAlive() && kill.distanceTo(tiger.position) <= this.defendRadius) {
+      if (predator.health / predator.maxHealth < 0.3) {
+        console.log(`🐆 Wounded ${predator.type} abandons its ${kill.type} kill`);
+        this.releaseKill(predator);
+        predator.setTarget(tiger.position);
+        predator.setAIState('fleeing');
+        return;
+      }
+      
+      if (predator.aiState !== 'aggressive') {
+        console.log(`🐆 ${predator.type} defends its ${kill.type} kill!`);
+        predator.setTarget(tiger.position);
+        predator.setAIState('aggressive');
+      }
+      this.attackTiger(predator, tiger);
+      return;
+    }
     
-    const approachSpeed = animal.speed * 0.7; // Increased speed for aggressive animals
-    animal.velocity.copy(approachDirection.multiplyScalar(approachSpeed));
+    if (predator.aiState === 'feeding' && predator.distanceTo(kill.position) <= 2.5) {
+      const eaten = carcass.takeBite(this.predatorBiteRate * elapsed);
+      predator.ai.satisfy('hunger', eaten / this.predatorMealSize);
+      if (carcass.isDepleted()) {
+        console.log(`🐆 ${predator.type} finished its ${kill.type} kill`);
+        this.removeAnimal(kill);
+      }
+    }
+  }
+  
+  /**
+   * Whether the predator that made a kill is still close enough to defend it
+   */
+  isDefendedByKiller(carcassAnimal) {
+    const killer = carcassAnimal.carcass.killer;
+    return !!killer && killer.isAlive() && killer.distanceTo(carcassAnimal.position) <= this.defendRadius;
+  }
+  
+  /**
+   * Nearest spot on the bank of a lake, pond or river
+   * @returns {THREE.Vector3|null} Null if there is no water within forageRadius
+   */
+  findDrinkingSpot(x, z) {
+    if (!this.waterSystem) return null;
+    
+    const bankOffset = this.drinkRange / 2; // Stand on the bank, not in the water
+    let nearest = null;
+    let nearestDistance = this.forageRadius;
+    
+    // A point bankOffset beyond the water's edge, on the animal's side
+    const consider = (edgeX, edgeZ, halfWidth) => {
+      let dx = x - edgeX;
+      let dz = z - edgeZ;
+      const length = Math.sqrt(dx * dx + dz * dz);
+      if (length === 0) {
+        dx = 1;
+        dz = 0;
+      } else {
+        dx /= length;
+        dz /= length;
+      }
+      const spotX = edgeX + dx * (halfWidth + bankOffset);
+      const spotZ = edgeZ + dz * (halfWidth + bankOffset);
+      const distance = Math.hypot(spotX - x, spotZ - z);
+      if (distance <= nearestDistance) {
+        nearest = { x: spotX, z: spotZ };
+        nearestDistance = distance;
+      }
+    };
     
-    // Try to attack if close enough
-    if (tiger && animal.canAttack(tiger)) {
-      console.log(`🦌 ${animal.type} attempting to attack tiger`);
-      animal.attack(tiger);
+    for (const waterBody of this.waterSystem.getWaterBodies()) {
+      if (waterBody.center) {
+        consider(waterBody.center.x, waterBody.center.z, waterBody.radius);
+      } else if (waterBody.path) {
+        // Closest point on each river segment
+        for (let i = 0; i < waterBody.path.length - 1; i++) {
+          const start = waterBody.path[i];
+          const end = waterBody.path[i + 1];
+          const segmentX = end.x - start.x;
+          const segmentZ = end.z - start.z;
+          const lengthSq = segmentX * segmentX + segmentZ * segmentZ;
+          const t = lengthSq > 0 ?
+            Math.max(0, Math.min(1, ((x - start.x) * segmentX + (z - start.z) * segmentZ) / lengthSq)) : 0;
+          consider(start.x + segmentX * t, start.z + segmentZ * t, (start.width + end.width) / 4);
+        }
+      }
     }
+    
+    return nearest ? new THREE.Vector3(nearest.x, this.terrain.getHeightAt(nearest.x, nearest.z), nearest.z) : null;
   }
   
-  handleGrazingBehavior(animal, deltaTime) {
-    // Slow, small movements while grazing
-    animal.velocity.multiplyScalar(0.1);
+  /**
+   * Nearest grass patch to graze on
+   * @returns {THREE.Vector3|null} Null if there is no grass within forageRadius
+   */
+  findGrassSpot(x, z) {
+    if (!this.vegetationSystem || !this.vegetationSystem.getNearestGrassPatch) return null;
+    const patch = this.vegetationSystem.getNearestGrassPatch(x, z, this.forageRadius);
+    return patch ? patch.position.clone() : null;
   }
   
-  handleIdleBehavior(animal, deltaTime) {
-    // Occasional small movements with more frequency
-    if (Math.random() < 0.3) { // Increased from 0.1
-      const wanderSpeed = animal.speed * 0.3; // Increased speed
-      const direction = new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        0,
-        (Math.random() - 0.5) * 2
-      ).normalize();
+  /**
+   * Drop dead members, raise a shared alarm when a member bolts and steer the herd's route
+   */
+  updateHerds(elapsed) {
+    for (const herd of [...this.herds]) {
+      for (const member of [...herd.members]) {
+        if (!member.isAlive()) {
+          herd.removeMember(member);
+        }
+      }
+      if (herd.isEmpty()) {
+        this.herds.splice(this.herds.indexOf(herd), 1);
+        continue;
+      }
+      
+      const center = herd.getCenter();
+      
+      if (!herd.alarm) {
+        const spotter = herd.members.find(member => member.target &&
+          ['fleeing', 'charging', 'takingRefuge'].includes(member.aiState));
+        if (spotter) {
+          this.raiseHerdAlarm(herd, spotter, center);
+        }
+      } else if (herd.updateAlarm(elapsed)) {
+        // Calm again - let each member choose what to do (regrouping first, if scattered)
+        herd.members.forEach(member => { member.ai.interrupted = true; });
+        console.log(`🦌 Herd #${herd.id} calmed down and is regrouping`);
+      } else {
+        herd.members.forEach(member => {
+          if (!['fleeing', 'aggressive', 'charging', 'takingRefuge'].includes(member.aiState)) {
+            member.setTarget(herd.alarm.threat);
+            member.setAIState(this.getAlarmResponse(member));
+          }
+        });
+      }
+      
+      // Every few seconds the herd drifts a new way, around water and cliffs
+      herd.headingTimer -= elapsed;
+      if (herd.headingTimer <= 0) {
+        const turn = (Math.random() - 0.5) * Math.PI / 2;
+        const preferred = herd.heading.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), turn);
+        herd.heading.copy(this.chooseRouteDirection(center, preferred));
+        herd.headingTimer = 6 + Math.random() * 4;
+      }
+    }
+  }
+  
+  /**
+   * Alarm the whole herd and send it away from the threat along open ground -
+   * or, for buffalo, turn it on the threat
+   */
+  raiseHerdAlarm(herd, spotter, center) {
+    const threatPosition = spotter.target.position || spotter.target;
+    const away = new THREE.Vector3(center.x - threatPosition.x, 0, center.z - threatPosition.z);
+    if (away.lengthSq() === 0) {
+      away.copy(herd.heading);
+    }
+    const direction = this.chooseRouteDirection(center, away.normalize());
+    herd.raiseAlarm(threatPosition, direction);
+    herd.heading.copy(direction);
+    
+    for (const member of herd.members) {
+      if (member.aiState !== 'aggressive') {
+        // The spotter's fear spreads to the rest of the herd
+        member.ai.threat = Math.max(member.ai.threat, spotter.ai.threat);
+        member.setTarget(threatPosition);
+        member.setAIState(this.getAlarmResponse(member));
+      }
+    }
+    const defending = spotter.ai.profile.groupDefense;
+    console.log(`🦌 Herd #${herd.id} (${herd.members.length} ${herd.type}) ${defending ? 'turns on the threat' : 'bolts'}!`);
+  }
+  
+  /**
+   * How an alarmed herd member reacts: charge with the herd, make for its
+   * refuge, or run
+   */
+  getAlarmResponse(member) {
+    const profile = member.ai.profile;
+    if (profile.groupDefense && member.health / member.maxHealth >= this.groupDefenseHealth) {
+      return 'charging';
+    }
+    if (profile.refuge && member.ai.senses.refuge) {
+      return 'takingRefuge';
+    }
+    return 'fleeing';
+  }
+  
+  /**
+   * Charging animals that reach the tiger attack it
+   */
+  updateCharges(tiger) {
+    for (const animal of this.animals) {
+      if (!animal.isAlive() || animal.aiState !== 'charging' || this.predatorDiet[animal.type]) continue;
+      
+      this.attackTiger(animal, tiger);
+    }
+  }
+  
+  /**
+   * Wind up the next attack of an animal's pattern on the tiger, once its
+   * last attack has recovered and the tiger is within reach
+   * @returns {boolean} Whether an attack was started
+   */
+  attackTiger(animal, tiger) {
+    if (!tiger || !tiger.isAlive() || animal.melee || animal.attackCooldown > 0) return false;
+    
+    const pattern = getAttackPattern(animal.type);
+    const attack = pattern[animal.meleeStep % pattern.length];
+    if (animal.distanceTo(tiger.position) > attack.reach) return false;
+    
+    animal.meleeStep++;
+    animal.melee = { attack, elapsed: 0 };
+    console.log(`⚔️ ${animal.type} winds up a ${attack.name}`);
+    return true;
+  }
+  
+  /**
+   * Recover from attacks, and land those whose windup is over
+   */
+  updateMelee(elapsed, tiger) {
+    for (const animal of this.animals) {
+      animal.attackCooldown = Math.max(0, (animal.attackCooldown || 0) - elapsed);
+      if (!animal.melee) continue;
+      
+      if (!animal.isAlive()) {
+        animal.melee = null;
+        continue;
+      }
+      
+      animal.melee.elapsed += elapsed;
+      const attack = animal.melee.attack;
+      if (animal.melee.elapsed < attack.windup) continue;
+      
+      animal.melee = null;
+      animal.attackCooldown = attack.recovery;
+      if (tiger && tiger.isAlive()) {
+        this.landAttack(animal, attack, tiger);
+      }
+    }
+  }
+  
+  /**
+   * An attack at the end of its windup hits unless the tiger is dodging or
+   * has got out of reach
+   * @returns {number} Damage dealt
+   */
+  landAttack(animal, attack, tiger) {
+    let damage = 0;
+    
+    if (tiger.combat && tiger.combat.isDodging()) {
+      console.log(`💨 Tiger dodges the ${animal.type}'s ${attack.name}`);
+    } else if (animal.distanceTo(tiger.position) > attack.reach) {
+      console.log(`💨 The ${animal.type}'s ${attack.name} misses - tiger out of reach`);
+    } else {
+      damage = animal.power * attack.damage * animal.statusEffects.getMultiplier('attackDamage');
+      tiger.takeDamage(damage, animal);
+      console.log(`⚔️ ${animal.type}'s ${attack.name} hits the tiger for ${damage.toFixed(1)}`);
+      
+      if (attack.injury && tiger.injure) {
+        tiger.injure(attack.injury.part, attack.injury.severity, animal.type);
+      }
+      
+      if (attack.knockback) {
+        const dx = tiger.position.x - animal.position.x;
+        const dz = tiger.position.z - animal.position.z;
+        const distance = Math.hypot(dx, dz) || 1;
+        tiger.position.x += dx / distance * attack.knockback;
+        tiger.position.z += dz / distance * attack.knockback;
+      }
+    }
+    
+    if (this.onTigerAttacked) {
+      this.onTigerAttacked(animal, attack, damage);
+    }
+    return damage;
+  }
+  
+  /**
+   * Settle territorial fights once one side gives up: a rival beaten down to
+   * fightRetreatHealth retreats (if it is still alive), while a player beaten
+   * as far - or one that ran - leaves the rival dominant. A rival that
+   * strayed off the fight by itself settles nothing.
+   */
+  updateTigerFights(elapsed) {
+    for (const wildTiger of this.animals) {
+      wildTiger.fightCooldown = Math.max(0, wildTiger.fightCooldown - elapsed);
+      if (!wildTiger.fight) continue;
+      
+      const { opponent: player, origin } = wildTiger.fight;
+      const rivalShare = wildTiger.health / wildTiger.maxHealth;
+      const playerShare = player.health / player.maxHealth;
+      
+      if (!wildTiger.isAlive() || rivalShare < this.fightRetreatHealth) {
+        this.endTigerFight(wildTiger, player, true, playerShare - rivalShare);
+      } else if (!player.isAlive() || playerShare < this.fightRetreatHealth) {
+        this.endTigerFight(wildTiger, player, false, rivalShare - playerShare);
+      } else if (wildTiger.distanceTo(player.position) > this.fightBreakOffDistance) {
+        if (origin.distanceTo(player.position) > origin.distanceTo(wildTiger.position)) {
+          this.endTigerFight(wildTiger, player, false, rivalShare - playerShare);
+        } else {
+          wildTiger.fight = null;
+          wildTiger.fightCooldown = this.fightCooldown;
+          console.log(`⚔️ The ${wildTiger.gender} tiger broke off the fight`);
+        }
+      }
+    }
+  }
+  
+  /**
+   * @param {number} lead - How far ahead on health the winner finished, as a share
+   */
+  endTigerFight(wildTiger, playerTiger, playerWins, lead) {
+    wildTiger.fight = null;
+    wildTiger.fightCooldown = this.fightCooldown;
+    
+    // A rival that only narrowly lost comes back stronger (see TigerIdentity)
+    const identity = wildTiger.identity;
+    if (identity) {
+      identity.recordFight(!playerWins, Math.abs(lead) * 100);
+    }
+    
+    if (playerWins && !wildTiger.isAlive()) {
+      console.log(`⚔️ Player tiger defeated ${wildTiger.gender} tiger decisively!`);
+      playerTiger.gainExperience(100);
+      
+      if (identity) {
+        this.announceRival(`You killed ${identity.name}!`);
+      }
+    } else if (playerWins) {
+      wildTiger.setAIState('retreating');
+      wildTiger.setTarget(null);
+      console.log(`⚔️ Player tiger won! ${wildTiger.gender} tiger retreats.`);
+      playerTiger.gainExperience(50);
+      
+      if (identity) {
+        this.announceRival(identity.grudge ?
+          `${identity.name} retreats, but it will be back stronger` :
+          `${identity.name} retreats and won't forget this defeat`);
+      }
+    } else {
+      wildTiger.setAIState('dominant');
+      console.log(`⚔️ Player tiger lost the fight to the ${wildTiger.gender} tiger`);
+      
+      if (identity) {
+        this.announceRival(`${identity.name} beat you (${identity.fights.won} win${identity.fights.won === 1 ? '' : 's'} against you)`);
+      }
+    }
+  }
+  
+  /**
+   * The walkable direction closest to the preferred one - checks a point
+   * ahead for water, steep slopes and the edge of the world
+   * @param {THREE.Vector3} preferred - Normalized, flat direction
+   */
+  chooseRouteDirection(origin, preferred) {
+    const up = new THREE.Vector3(0, 1, 0);
+    const offsets = [0, Math.PI / 6, -Math.PI / 6, Math.PI / 3, -Math.PI / 3, Math.PI / 2, -Math.PI / 2];
+    
+    for (const offset of offsets) {
+      const direction = preferred.clone().applyAxisAngle(up, offset);
+      const x = origin.x + direction.x * this.routeProbeDistance;
+      const z = origin.z + direction.z * this.routeProbeDistance;
       
-      animal.velocity.copy(direction.multiplyScalar(wanderSpeed));
+      if (!this.navigationGrid.isWalkable(x, z)) continue;
+      return direction;
     }
+    
+    // Boxed in - turn back
+    return preferred.clone().negate();
   }
   
   keepOnTerrain(animal) {
+    // Perched animals stay up their tree until they choose to do something
+    // else; flushed birds are briefly airborne
+    if (animal.perched && animal.aiState !== 'perching' && animal.aiState !== 'takingRefuge') {
+      animal.perched = false;
+    }
+    const lift = animal.perched ? this.perchHeight : (animal.aiState === 'flushing' ? this.flushHeight : 0);
+    
+    // Animals that blunder into water or up a cliff are stopped at the edge;
+    // birds in flight pass over
+    if (!lift && this.isBlocked(animal.position.x, animal.position.z)) {
+      if (animal.lastOpenPosition) {
+        animal.position.x = animal.lastOpenPosition.x;
+        animal.position.z = animal.lastOpenPosition.z;
+        animal.velocity.set(0, 0, 0);
+      }
+    } else {
+      animal.lastOpenPosition = { x: animal.position.x, z: animal.position.z };
+    }
+    
     const terrainHeight = this.terrain.getHeightAt(animal.position.x, animal.position.z);
-    animal.position.y = terrainHeight + 1.0;
+    animal.position.y = terrainHeight + 1.0 + lift;
     
     // Keep within terrain bounds
     const halfSize = this.terrain.width / 2;
@@ -545,46 +1637,233 @@ export class AnimalSystem {
     animal.position.z = Math.max(-halfSize, Math.min(halfSize, animal.position.z));
   }
   
-  removeDeadAnimals() {
-    const currentTime = Date.now();
-    
+  /**
+   * Whether a point is under water or too steep to walk
+   */
+  isBlocked(x, z) {
+    if (this.waterSystem && this.waterSystem.isInWater(x, z)) return true;
+    return !this.terrain.isWalkable(x, z);
+  }
+  
+  /**
+   * Follow a regenerated terrain: new water and grass to live off, and new
+   * ground to find routes across
+   */
+  updateTerrain(waterSystem) {
+    this.waterSystem = waterSystem;
+    this.populationSystem.waterSystem = waterSystem;
+    this.populationSystem.computeCapacities();
+    this.navigationGrid.rebuild(waterSystem);
+  }
+  
+  /**
+   * Carcass for a dead animal, created the first time it is needed
+   */
+  getCarcass(animal) {
+    if (!animal.carcass) {
+      animal.carcass = new Carcass(animal);
+      console.log(`🦌 AnimalSystem: ${animal.type} died, carcass holds ${animal.carcass.meat} meat`);
+    }
+    return animal.carcass;
+  }
+  
+  updateCarcasses(elapsed, tiger) {
     for (let i = this.animals.length - 1; i >= 0; i--) {
       const animal = this.animals[i];
+      if (animal.isAlive()) continue;
       
-      if (!animal.isAlive()) {
-        // Set death time if not already set
-        if (!animal.deathTime) {
-          animal.deathTime = currentTime;
-          console.log(`🦌 AnimalSystem: ${animal.type} died, will be removed in 30 seconds`);
-          
-          // Change appearance to indicate it's dead (make it grayer)
-          const mesh = animal.getMesh();
-          if (mesh && mesh.material) {
-            mesh.material.color.multiplyScalar(0.7); // Make it darker
-          }
+      const carcass = this.getCarcass(animal);
+      carcass.update(elapsed);
+      
+      // A dragged carcass travels with the tiger's jaw
+      if (carcass.isCarried()) {
+        this.followCarrier(animal, carcass.carrier);
+      }
+      
+      // Remains shrink as they are eaten
+      const mesh = animal.getMesh();
+      if (mesh && !carcass.isCarried()) {
+        mesh.scale.setScalar(0.6 + 0.4 * carcass.getMeatRatio());
+      }
+      
+      if (carcass.isExpired()) {
+        console.log(`🦌 AnimalSystem: ${animal.type} carcass rotted away`);
+        this.removeAnimal(animal);
+      }
+    }
+    
+    this.updateScavengers(elapsed, tiger);
+  }
+  
+  /**
+   * Draw leopards and boars to unguarded kills and let them feed
+   */
+  updateScavengers(elapsed, tiger) {
+    const carcassAnimals = this.animals.filter(animal => animal.carcass && !animal.carcass.isDepleted() && !animal.carcass.isCarried());
+    
+    for (const carcassAnimal of carcassAnimals) {
+      const carcass = carcassAnimal.carcass;
+      const guarded = (tiger && tiger.isAlive() && carcassAnimal.distanceTo(tiger.position) <= this.guardRadius) ||
+        this.isDefendedByKiller(carcassAnimal);
+      
+      // Drop scavengers that were chased off or distracted
+      if (carcass.scavenger && (guarded || !carcass.scavenger.isAlive() || carcass.scavenger.aiState !== 'scavenging')) {
+        if (carcass.scavenger.aiState === 'scavenging') {
+          carcass.scavenger.setAIState('idle');
         }
-        
-        // Remove after 30 seconds (30000ms) to give tiger time to eat
-        const timeSinceDeath = currentTime - animal.deathTime;
-        if (timeSinceDeath > 30000) {
-          // Remove from scene
-          this.scene.remove(animal.getMesh());
-          
-          // Remove from spatial grid
-          this.removeFromSpatialGrid(animal);
-          
-          // Dispose resources
-          animal.dispose();
-          
-          // Remove from array
-          this.animals.splice(i, 1);
-          
-          console.log(`🦌 AnimalSystem: Removed dead ${animal.type} after 30 seconds (remaining: ${this.animals.length})`);
+        carcass.scavenger.scavengeTarget = null;
+        carcass.scavenger = null;
+      }
+      
+      if (guarded) continue;
+      
+      if (!carcass.scavenger) {
+        carcass.scavenger = this.findScavenger(carcassAnimal);
+        if (carcass.scavenger) {
+          carcass.scavenger.scavengeTarget = carcassAnimal;
+          carcass.scavenger.setAIState('scavenging');
+          console.log(`🦴 ${carcass.scavenger.type} is drawn to an unguarded ${carcassAnimal.type} carcass`);
+        }
+        continue;
+      }
+      
+      // Feed once the scavenger reaches the carcass
+      if (carcass.scavenger.distanceTo(carcassAnimal.position) <= 2.5) {
+        carcass.takeBite(this.scavengeBiteRate * elapsed);
+        if (carcass.isDepleted()) {
+          console.log(`🦴 ${carcass.scavenger.type} finished the ${carcassAnimal.type} carcass`);
+          carcass.scavenger.scavengeTarget = null;
+          carcass.scavenger.setAIState('idle');
+          this.removeAnimal(carcassAnimal);
         }
       }
     }
   }
   
+  findScavenger(carcassAnimal) {
+    let closest = null;
+    // Kills cached in dense vegetation are harder to smell out
+    let closestDistance = this.scavengeRadius * (carcassAnimal.carcass.inCover ? this.coverScavengeFactor : 1);
+    
+    for (const animal of this.animals) {
+      if (!animal.isAlive() || !this.scavengerTypes.includes(animal.type)) continue;
+      if (animal.scavengeTarget || !CALM_STATES.includes(animal.aiState)) continue;
+      
+      const distance = animal.distanceTo(carcassAnimal.position);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closest = animal;
+      }
+    }
+    
+    return closest;
+  }
+  
+  /**
+   * Pick up the nearest carcass in the tiger's jaw
+   * @returns {Animal|null} The carried carcass's animal
+   */
+  pickUpCarcass(tiger, tigerModel) {
+    if (tiger.carriedCarcass) return null;
+    
+    let closest = null;
+    let closestDistance = this.grabRange;
+    for (const animal of this.animals) {
+      if (animal.isAlive() || (animal.carcass && (animal.carcass.isDepleted() || animal.carcass.isCarried()))) continue;
+      
+      const distance = animal.distanceTo(tiger.position);
+      if (distance <= closestDistance) {
+        closestDistance = distance;
+        closest = animal;
+      }
+    }
+    if (!closest) return null;
+    
+    const carcass = this.getCarcass(closest);
+    carcass.carrier = tiger;
+    carcass.carrierModel = tigerModel;
+    carcass.inCover = false;
+    tiger.carriedCarcass = carcass;
+    
+    const mesh = closest.getMesh();
+    this.scene.remove(mesh);
+    mesh.scale.setScalar(0.6 + 0.4 * carcass.getMeatRatio());
+    tigerModel.attachToJaw(mesh);
+    
+    console.log(`🦷 Tiger picked up a ${closest.type} carcass (${carcass.getWeight().toFixed(0)} kg)`);
+    return closest;
+  }
+  
+  /**
+   * Drop the tiger's carried carcass where it stands
+   * @returns {Animal|null} The dropped carcass's animal
+   */
+  dropCarcass(tiger) {
+    const carcass = tiger.carriedCarcass;
+    if (!carcass) return null;
+    
+    const animal = carcass.animal;
+    this.followCarrier(animal, tiger);
+    
+    const mesh = carcass.carrierModel ? carcass.carrierModel.detachFromJaw() : animal.getMesh();
+    if (mesh) {
+      mesh.position.copy(animal.position);
+      mesh.rotation.set(0, tiger.rotation.y, Math.PI);
+      this.scene.add(mesh);
+    }
+    
+    carcass.carrier = null;
+    carcass.carrierModel = null;
+    tiger.carriedCarcass = null;
+    
+    carcass.inCover = this.vegetationSystem ?
+      this.vegetationSystem.isNearVegetation(animal.position.x, animal.position.z, this.coverRadius) :
+      false;
+    
+    console.log(`🦷 Tiger dropped the ${animal.type} carcass${carcass.inCover ? ' in cover' : ' in the open'}`);
+    return animal;
+  }
+  
+  /**
+   * Keep a carried carcass's position just ahead of its carrier
+   */
+  followCarrier(animal, tiger) {
+    const heading = tiger.rotation ? tiger.rotation.y : 0;
+    const x = tiger.position.x + Math.sin(heading) * 2.0;
+    const z = tiger.position.z + Math.cos(heading) * 2.0;
+    animal.position.set(x, this.terrain.getHeightAt(x, z) + 0.5, z);
+  }
+  
+  getCarcassSaveData() {
+    return this.animals
+      .filter(animal => !animal.isAlive())
+      .map(animal => this.getCarcass(animal).toJSON());
+  }
+  
+  /**
+   * Replace current carcasses with saved ones
+   */
+  loadCarcasses(carcassData = []) {
+    for (const animal of this.animals.filter(a => !a.isAlive())) {
+      this.removeAnimal(animal);
+    }
+    
+    for (const data of carcassData) {
+      const animal = new Animal(data.type);
+      animal.setPosition(data.position.x, data.position.y, data.position.z);
+      animal.health = 0;
+      animal.setState('dead');
+      animal.flipUpsideDown();
+      animal.carcass = new Carcass(animal, data);
+      
+      this.scene.add(animal.getMesh());
+      this.animals.push(animal);
+      this.addToSpatialGrid(animal);
+    }
+    
+    console.log(`🦴 AnimalSystem: Restored ${carcassData.length} carcass(es)`);
+  }
+  
   updateSpatialGrid() {
     // Clear and rebuild spatial grid
     this.spatialGrid.clear();
@@ -629,58 +1908,9 @@ export class AnimalSystem {
   }
 
   // Hunting mechanics
-  getHuntableAnimals(tiger) {
-    const huntRange = tiger.getAttackRange();
-    const nearbyAnimals = this.getAnimalsNear(tiger.position, huntRange);
-    
-    console.log(`🎯 AnimalSystem: Tiger attack range: ${huntRange}, nearby animals: ${nearbyAnimals.length}`);
-    
-    // Debug: show all animals and their distances
-    console.log(`🎯 AnimalSystem: All animals in system:`);
-    this.animals.forEach((animal, index) => {
-      const distance = tiger.distanceTo(animal.position);
-      console.log(`  ${index + 1}. ${animal.type} at distance ${distance.toFixed(1)} (alive: ${animal.isAlive()})`);
-    });
-    
-    const huntableAnimals = nearbyAnimals.filter(animal => {
-      const isAlive = animal.isAlive();
-      const canAttack = tiger.canAttack(animal);
-      const distance = tiger.distanceTo(animal.position);
-      console.log(`🎯 AnimalSystem: ${animal.type} at distance ${distance.toFixed(1)} - alive: ${isAlive}, can attack: ${canAttack}`);
-      return isAlive && canAttack;
-    });
-    
-    return huntableAnimals;
-  }
-
-  attemptHunt(tiger) {
-    const huntableAnimals = this.getHuntableAnimals(tiger);
-    
-    console.log(`🎯 AnimalSystem: Found ${huntableAnimals.length} huntable animals`);
-    
-    if (huntableAnimals.length === 0) return false;
-    
-    // Choose closest animal
-    let closestAnimal = huntableAnimals[0];
-    let closestDistance = tiger.distanceTo(closestAnimal.position);
-    
-    for (const animal of huntableAnimals) {
-      const distance = tiger.distanceTo(animal.position);
-      if (distance < closestDistance) {
-        closestDistance = distance;
-        closestAnimal = animal;
-      }
-    }
-    
-    console.log(`🎯 AnimalSystem: Attempting to hunt closest ${closestAnimal.type} at distance ${closestDistance.toFixed(1)}`);
-    
-    // Attempt to hunt the closest animal
-    return tiger.hunt(closestAnimal);
-  }
-
   hasDeadAnimalsNearby(position, range) {
     const nearbyAnimals = this.getAnimalsNear(position, range);
-    return nearbyAnimals.some(animal => !animal.isAlive());
+    return nearbyAnimals.some(animal => !animal.isAlive() && !(animal.carcass && animal.carcass.isDepleted()));
   }
 
   attemptEat(tiger) {
@@ -715,21 +1945,85 @@ export class AnimalSystem {
     
     console.log(`🍖 AnimalSystem: Attempting to eat closest ${closestAnimal.type} at distance ${closestDistance.toFixed(1)}`);
     
-    // Eat the animal (gain 20 hunger)
-    tiger.feed(20);
+    // Take one bite; spoiled meat is less nourishing and may make the tiger sick
+    const carcass = this.getCarcass(closestAnimal);
+    const eaten = carcass.takeBite(this.biteSize);
+    const nutrition = eaten * carcass.getNutritionMultiplier();
+    tiger.feed(nutrition);
+    console.log(`🍖 AnimalSystem: Tiger ate ${eaten.toFixed(0)} ${carcass.getDecayState()} meat (+${nutrition.toFixed(0)} hunger, ${carcass.meat.toFixed(0)} left)`);
+    
+    if (tiger.applyStatusEffect && Math.random() < carcass.getSicknessChance()) {
+      tiger.applyStatusEffect('poisoned', { source: 'rotten meat' });
+      console.log(`🤢 AnimalSystem: The ${closestAnimal.type} meat made the tiger sick`);
+    }
     
-    // Remove the eaten animal from the system
-    this.removeAnimal(closestAnimal);
+    // Remove the carcass once all its meat is gone
+    if (carcass.isDepleted()) {
+      this.removeAnimal(closestAnimal);
+    }
     
-    // Trigger auto-save callback if set
+    // Trigger auto-save callback if set, saying whether this bite opened or finished the carcass
     if (this.onAnimalEaten) {
-      this.onAnimalEaten(closestAnimal);
+      this.onAnimalEaten(closestAnimal, carcass, {
+        firstBite: carcass.bitesTaken === 1,
+        finished: carcass.isDepleted()
+      });
     }
     
     return true;
   }
 
   removeAnimal(animal) {
+    // Release a scavenger that was heading for this carcass
+    if (animal.carcass && animal.carcass.scavenger) {
+      animal.carcass.scavenger.scavengeTarget = null;
+      if (animal.carcass.scavenger.aiState === 'scavenging') {
+        animal.carcass.scavenger.setAIState('idle');
+      }
+      animal.carcass.scavenger = null;
+    }
+    
+    // Its killer no longer has a kill to defend, and a dead predator's kill is up for grabs
+    if (animal.carcass && animal.carcass.killer) {
+      this.releaseKill(animal.carcass.killer);
+    }
+    if (animal.kill) {
+      this.releaseKill(animal);
+    }
+    
+    // Take a carried carcass out of the tiger's jaw
+    if (animal.carcass && animal.carcass.isCarried()) {
+      if (animal.carcass.carrierModel) {
+        animal.carcass.carrierModel.detachFromJaw();
+      }
+      animal.carcass.carrier.carriedCarcass = null;
+      animal.carcass.carrier = null;
+      animal.carcass.carrierModel = null;
+    }
+    
+    // A resident tiger leaving the world alive can come back; a dead one is forgotten
+    if (animal.identity) {
+      if (animal.isAlive()) {
+        animal.identity.animal = null;
+      } else {
+        this.forgetWildTiger(animal.identity);
+      }
+    }
+    
+    // A dead animal counts against its region's population, even if eaten at once
+    if (!animal.isAlive()) {
+      this.populationSystem.recordDeath(animal);
+    }
+    
+    // Leave its herd
+    if (animal.herd) {
+      const herd = animal.herd;
+      herd.removeMember(animal);
+      if (herd.isEmpty()) {
+        this.herds.splice(this.herds.indexOf(herd), 1);
+      }
+    }
+    
     // Remove from scene
     this.scene.remove(animal.getMesh());
     
@@ -769,6 +2063,30 @@ export class AnimalSystem {
   }
   
   handleTigerInteraction(wildTiger, playerTiger, distance) {
+    // A fight under way is settled by updateTigerFights
+    if (wildTiger.fight) return;
+    
+    // Rivals remember past fights: one beaten soundly keeps its distance,
+    // one nursing a grudge comes looking for a rematch
+    const identity = wildTiger.identity;
+    if (identity && wildTiger.gender === playerTiger.gender) {
+      const attitude = identity.getAttitude();
+      if (attitude === 'avoid') {
+        if (wildTiger.aiState !== 'retreating') {
+          this.announceRival(`${identity.name} remembers losing to you and slinks away`);
+          wildTiger.setAIState('retreating');
+          wildTiger.setTarget(playerTiger);
+        }
+        return;
+      }
+      if (attitude === 'rematch' && distance > 4.0 && wildTiger.aiState !== 'approaching' && wildTiger.aiState !== 'aggressive') {
+        this.announceRival(`${identity.name} is back for a rematch - level ${identity.level} now!`);
+        wildTiger.setAIState('approaching');
+        wildTiger.setTarget(playerTiger);
+        return;
+      }
+    }
+    
     const interactionType = wildTiger.getInteractionType(playerTiger);
     
     if (!interactionType || interactionType === 'neutral') return;
@@ -788,6 +2106,10 @@ export class AnimalSystem {
           
           console.log(`💕 ${matingResult.message}`);
           
+          if (this.onTigersMated) {
+            this.onTigersMated(wildTiger, matingResult.parent);
+          }
+          
           // Wild tiger becomes friendly and follows for a while
           wildTiger.setAIState('friendly');
           wildTiger.setTarget(playerTiger);
@@ -799,39 +2121,13 @@ export class AnimalSystem {
       }
       
     } else if (interactionType === 'fight') {
-      // Territorial fighting
+      // Territorial fighting - played out blow by blow until one side gives up
+      if (wildTiger.fightCooldown > 0) return;
+      
       if (distance <= 4.0) { // Close enough to fight
-        const fightResult = wildTiger.initiateFight(playerTiger);
-        
-        console.log(`⚔️ Territorial fight! Player power: ${fightResult.playerPower}, Wild tiger power: ${fightResult.wildTigerPower}`);
-        
-        if (fightResult.playerWins) {
-          // Player wins - wild tiger retreats or dies
-          if (fightResult.powerDifference > 50) {
-            // Decisive victory - wild tiger dies
-            wildTiger.health = 0;
-            console.log(`⚔️ Player tiger defeated ${wildTiger.gender} tiger decisively!`);
-            
-            // Player gains experience and territory bonus
-            playerTiger.gainExperience(100);
-          } else {
-            // Close fight - wild tiger retreats
-            wildTiger.setAIState('retreating');
-            wildTiger.setTarget(null);
-            wildTiger.health = Math.max(1, wildTiger.health - 30);
-            console.log(`⚔️ Player tiger won! ${wildTiger.gender} tiger retreats.`);
-            
-            // Player gains some experience
-            playerTiger.gainExperience(50);
-          }
-        } else {
-          // Player loses - takes damage
-          const damage = Math.min(50, fightResult.powerDifference);
-          playerTiger.takeDamage(damage, wildTiger);
-          console.log(`⚔️ Player tiger lost fight! Taking ${damage} damage.`);
-          
-          // Wild tiger becomes dominant
-          wildTiger.setAIState('dominant');
+        wildTiger.initiateFight(playerTiger);
+        if (identity) {
+          this.announceRival(`${identity.name} attacks!`);
         }
       } else {
         // Approach for fighting
@@ -841,6 +2137,40 @@ export class AnimalSystem {
     }
   }
   
+  /**
+   * Spread a roar: prey flees, wild tigers back off or come to challenge
+   * @param {Object} roar - { position, radius, tier } from the roar ability
+   * @param {Array} animals - Animals within earshot; found from the radius if omitted
+   * @returns {Object} Counts of animals that fled, backed off and challenged
+   */
+  handleRoar(roar, playerTiger, animals = null) {
+    const result = { fled: 0, backedOff: 0, challenged: 0 };
+    
+    for (const animal of animals || this.getAnimalsNear(roar.position, roar.radius)) {
+      if (!animal.isAlive()) continue;
+      
+      if (animal.behaviorType === 'territorial') {
+        if (animal.respondToRoar(playerTiger) === 'backOff') {
+          animal.setAIState('fleeing');
+          animal.setTarget(roar.position);
+          result.backedOff++;
+        } else {
+          animal.setAIState('aggressive');
+          animal.setTarget(playerTiger.position);
+          result.challenged++;
+        }
+      } else if (animal.behaviorType === 'prey' || animal.behaviorType === 'neutral') {
+        // A fleeing scavenger is released from its carcass by updateScavengers
+        animal.setAIState('fleeing');
+        animal.setTarget(roar.position);
+        result.fled++;
+      }
+    }
+    
+    console.log(`🐯 Roar: ${result.fled} fled, ${result.backedOff} tigers backed off, ${result.challenged} challenged`);
+    return result;
+  }
+  
   // Cleanup
   dispose() {
     // Remove all animals from scene
@@ -851,6 +2181,7 @@ export class AnimalSystem {
     
     // Clear arrays and maps
     this.animals = [];
+    this.herds = [];
     this.spatialGrid.clear();
     this.materialCache.clear();
     
@@ -0,0 +1,365 @@
+/**
+ * Melee move definitions
+ *
+ * Every move runs through three timing windows, in seconds: windup (gathering
+ * to strike), active (when blows land, or a dodge can't be touched) and
+ * recovery (before the next move). cost is stamina paid when the move starts.
+ * Blows hit up to maxTargets animals within reach, inside arc either side of
+ * the tiger's heading, for damage times the tiger's attack damage. leap is how
+ * far the tiger travels over the active window. A bite that lands holds on
+ * (see hold) until the bite key is released, the grip fails or stamina runs
+ * out; bigger animals shake loose sooner.
+ */
+export const COMBAT_MOVES = {
+  swipe: {
+    name: 'Swipe',
+    windup: 0.1,
+    active: 0.15,
+    recovery: 0.25,
+    cost: 8,
+    reach: 5,
+    arc: Math.PI / 3,
+    damage: 0.6,
+    maxTargets: 2
+  },
+  bite: {
+    name: 'Bite',
+    windup: 0.3,
+    active: 0.2,
+    recovery: 0.4,
+    cost: 15,
+    reach: 4.5,
+    arc: Math.PI / 6,
+    damage: 1.0,
+    maxTargets: 1,
+    hold: {
+      interval: 0.5, // Seconds between shakes of a held animal
+      damage: 0.4, // Attack damage per second while holding
+      cost: 10, // Stamina per second while holding
+      duration: 4 // Longest grip on an animal no stronger than the tiger
+    }
+  },
+  pounce: {
+    name: 'Pounce',
+    windup: 0.35,
+    active: 0.4,
+    recovery: 0.6,
+    cost: 30,
+    reach: 4,
+    arc: Math.PI / 4,
+    damage: 1.5,
+    maxTargets: 1,
+    leap: 10
+  },
+  dodge: {
+    name: 'Dodge',
+    windup: 0.05,
+    active: 0.35,
+    recovery: 0.3,
+    cost: 15,
+    leap: 5
+  }
+};
+
+/**
+ * How animals fight the tiger: the attacks each one cycles through.
+ *
+ * windup is the telegraph - the tiger can dodge or back out of reach before
+ * the attack lands. reach is how close the tiger must still be when it does,
+ * damage a multiplier on the animal's power and recovery the pause before its
+ * next attack. injury wounds the tiger on a hit (see Injuries.js), knockback
+ * shoves it away.
+ */
+const TIGER_ATTACKS = [
+  { name: 'swipe', windup: 0.25, reach: 4, damage: 0.3, recovery: 0.6, injury: { part: 'eyes', severity: 0.05 } },
+  { name: 'swipe', windup: 0.25, reach: 4, damage: 0.3, recovery: 0.6, injury: { part: 'eyes', severity: 0.05 } },
+  { name: 'bite', windup: 0.5, reach: 3.5, damage: 0.6, recovery: 1.0, injury: { part: 'jaw', severity: 0.15 } },
+  { name: 'pounce', windup: 0.7, reach: 5, damage: 0.8, recovery: 1.5, knockback: 3 }
+];
+
+export const ANIMAL_ATTACKS = {
+  deer: [
+    { name: 'kick', windup: 0.4, reach: 3.5, damage: 0.5, recovery: 1.2 }
+  ],
+  rabbit: [
+    { name: 'scratch', windup: 0.2, reach: 2.5, damage: 1.0, recovery: 0.8 }
+  ],
+  boar: [
+    { name: 'tusk slash', windup: 0.3, reach: 3, damage: 0.8, recovery: 0.8, injury: { part: 'legs', severity: 0.1 } },
+    { name: 'gore', windup: 0.6, reach: 3.5, damage: 1.2, recovery: 1.5, injury: { part: 'legs', severity: 0.2 }, knockback: 3 }
+  ],
+  buffalo: [
+    { name: 'hook', windup: 0.6, reach: 4, damage: 0.8, recovery: 1.4, injury: { part: 'legs', severity: 0.2 }, knockback: 4 },
+    { name: 'trample', windup: 0.8, reach: 3, damage: 1.0, recovery: 2.0 }
+  ],
+  sambar: [
+    { name: 'antler rake', windup: 0.5, reach: 4, damage: 0.8, recovery: 1.2, injury: { part: 'eyes', severity: 0.1 } },
+    { name: 'kick', windup: 0.4, reach: 3.5, damage: 0.6, recovery: 1.0 }
+  ],
+  langur: [
+    { name: 'bite', windup: 0.2, reach: 2.5, damage: 1.0, recovery: 0.7 }
+  ],
+  peafowl: [
+    { name: 'spur', windup: 0.2, reach: 2.5, damage: 1.0, recovery: 0.8 }
+  ],
+  leopard: [
+    { name: 'swipe', windup: 0.2, reach: 3, damage: 0.4, recovery: 0.5, injury: { part: 'eyes', severity: 0.05 } },
+    { name: 'swipe', windup: 0.2, reach: 3, damage: 0.4, recovery: 0.5, injury: { part: 'eyes', severity: 0.05 } },
+    { name: 'throat bite', windup: 0.5, reach: 3, damage: 0.8, recovery: 1.2, injury: { part: 'jaw', severity: 0.15 } }
+  ],
+  male_tiger: TIGER_ATTACKS,
+  female_tiger: TIGER_ATTACKS
+};
+
+export function getAttackPattern(type) {
+  return ANIMAL_ATTACKS[type] || ANIMAL_ATTACKS.deer;
+}
+
+function getForward(tiger) {
+  const rotationY = tiger.rotation ? tiger.rotation.y : 0;
+  return { x: Math.sin(rotationY), z: Math.cos(rotationY) };
+}
+
+/**
+ * Living candidates within reach and arc of the tiger's heading, closest first
+ */
+function findTargets(tiger, reach, arc, candidates) {
+  const forward = getForward(tiger);
+  const hits = [];
+
+  for (const candidate of candidates) {
+    if (!candidate.isAlive()) continue;
+
+    const dx = candidate.position.x - tiger.position.x;
+    const dz = candidate.position.z - tiger.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance > reach) continue;
+
+    const along = distance === 0 ? 1 : (dx * forward.x + dz * forward.z) / distance;
+    if (Math.acos(Math.max(-1, Math.min(1, along))) <= arc) {
+      hits.push({ candidate, distance });
+    }
+  }
+
+  return hits.sort((a, b) => a.distance - b.distance).map(hit => hit.candidate);
+}
+
+/**
+ * Combat - The tiger's melee moves in progress and the animal held in its jaws
+ */
+export class Combat {
+  constructor(tiger) {
+    this.tiger = tiger;
+    this.move = null; // { id, phase, elapsed, direction, multiplier, hits }
+    this.held = null; // Animal held by a bite
+    this.holdTime = 0;
+    this.holdTimer = 0;
+  }
+
+  /**
+   * Why a move cannot start right now, or null if it can
+   */
+  getBlockReason(id) {
+    if (!COMBAT_MOVES[id]) return 'unknown move';
+    if (this.move) return `${COMBAT_MOVES[this.move.id].name} still under way`;
+    if (this.tiger.stamina < COMBAT_MOVES[id].cost) return 'not enough stamina';
+    return null;
+  }
+
+  canStart(id) {
+    return this.getBlockReason(id) === null;
+  }
+
+  isBusy() {
+    return this.move !== null;
+  }
+
+  /**
+   * Whether the tiger is inside a dodge's active window, where attacks miss it
+   */
+  isDodging() {
+    return this.move !== null && this.move.id === 'dodge' && this.move.phase === 'active';
+  }
+
+  isHolding() {
+    return this.held !== null;
+  }
+
+  /**
+   * Start a move; its blows land once the windup is over. Starting any move
+   * lets go of a held animal.
+   * @param {Object} context - side (1 left, -1 right, 0 back) for a dodge, and the tigerModel to act it out on
+   * @returns {boolean} Whether the move started
+   */
+  start(id, context = {}) {
+    const reason = this.getBlockReason(id);
+    if (reason) {
+      console.log(`⚔️ ${COMBAT_MOVES[id] ? COMBAT_MOVES[id].name : id} failed - ${reason}`);
+      return false;
+    }
+
+    const definition = COMBAT_MOVES[id];
+    this.releaseHold();
+    this.tiger.consumeStamina(definition.cost);
+
+    // Crouched strikes keep the stealth bonus; pounces gain from running skills
+    let multiplier = definition.damage || 0;
+    if (this.tiger.state === 'crouching') {
+      multiplier *= 1.5 * this.tiger.getSkillMultiplier('stealthAttackDamage');
+    }
+    if (id === 'pounce') {
+      multiplier *= this.tiger.getSkillMultiplier('runningAttackDamage');
+    }
+
+    this.move = {
+      id,
+      phase: 'windup',
+      elapsed: 0,
+      direction: this.getMoveDirection(id, context.side || 0),
+      multiplier,
+      hits: []
+    };
+
+    if (context.tigerModel) {
+      context.tigerModel.playCombatMove(id, definition.windup, this.getDuration(id), context.side || 0);
+    }
+
+    console.log(`⚔️ ${definition.name}`);
+    return true;
+  }
+
+  getDuration(id) {
+    const definition = COMBAT_MOVES[id];
+    return definition.windup + definition.active + definition.recovery;
+  }
+
+  /**
+   * Which way a move carries the tiger: pounces ahead, dodges aside or back
+   */
+  getMoveDirection(id, side) {
+    const forward = getForward(this.tiger);
+    if (id !== 'dodge') return forward;
+    if (side === 0) return { x: -forward.x, z: -forward.z };
+    return { x: forward.z * side, z: -forward.x * side };
+  }
+
+  /**
+   * Advance the current move and any bite hold
+   * @param {Object} context - candidates the tiger can hit, and the tigerModel
+   * @returns {Array} Blows landed: { move, target, damage, killed }
+   */
+  update(deltaTime, context = {}) {
+    const hits = [];
+    this.updateHold(deltaTime, context, hits);
+
+    const move = this.move;
+    if (!move) return hits;
+
+    const definition = COMBAT_MOVES[move.id];
+    move.elapsed += deltaTime;
+
+    if (move.phase === 'windup' && move.elapsed >= definition.windup) {
+      move.phase = 'active';
+      move.elapsed -= definition.windup;
+    }
+
+    if (move.phase === 'active') {
+      const activeTime = Math.min(move.elapsed, definition.active) - Math.max(0, move.elapsed - deltaTime);
+      this.updateActive(move, definition, Math.max(0, activeTime), context, hits);
+      if (move.elapsed >= definition.active) {
+        move.phase = 'recovery';
+        move.elapsed -= definition.active;
+      }
+    }
+
+    if (move.phase === 'recovery' && move.elapsed >= definition.recovery) {
+      this.move = null;
+    }
+
+    return hits;
+  }
+
+  updateActive(move, definition, deltaTime, context, hits) {
+    // A pounce stops where it lands on its target
+    if (definition.leap && move.hits.length === 0) {
+      const step = definition.leap / definition.active * deltaTime;
+      this.tiger.position.x += move.direction.x * step;
+      this.tiger.position.z += move.direction.z * step;
+    }
+
+    if (!definition.damage || move.hits.length >= definition.maxTargets) return;
+
+    const candidates = (context.candidates || []).filter(candidate => !move.hits.includes(candidate));
+    const targets = findTargets(this.tiger, definition.reach, definition.arc, candidates)
+      .slice(0, definition.maxTargets - move.hits.length);
+
+    for (const target of targets) {
+      move.hits.push(target);
+      const damage = this.tiger.attack(target, move.multiplier);
+      hits.push({ move: move.id, target, damage, killed: !target.isAlive() });
+
+      if (move.id === 'bite' && target.isAlive()) {
+        this.startHold(target);
+      }
+    }
+
+    if (targets.length > 0 && context.tigerModel) {
+      context.tigerModel.playHitImpact();
+    }
+  }
+
+  startHold(target) {
+    this.held = target;
+    this.holdTime = 0;
+    this.holdTimer = 0;
+    if (target.setMovementLocked) {
+      target.setMovementLocked(true);
+    }
+    console.log(`🦷 Tiger holds on to the ${target.type}`);
+  }
+
+  /**
+   * Shake a held animal every hold interval until the grip fails
+   */
+  updateHold(deltaTime, context, hits) {
+    const held = this.held;
+    if (!held) return;
+
+    const hold = COMBAT_MOVES.bite.hold;
+    this.holdTime += deltaTime;
+    this.holdTimer += deltaTime;
+    this.tiger.consumeStamina(hold.cost * deltaTime);
+
+    // Animals stronger than the tiger shake loose sooner
+    const grip = hold.duration * Math.min(1, this.tiger.power / Math.max(1, held.power || 0));
+    const distance = Math.hypot(held.position.x - this.tiger.position.x, held.position.z - this.tiger.position.z);
+    if (!held.isAlive() || this.tiger.stamina <= 0 || this.holdTime >= grip ||
+        distance > COMBAT_MOVES.bite.reach * 2) {
+      this.releaseHold();
+      return;
+    }
+
+    if (this.holdTimer < hold.interval) return;
+    this.holdTimer -= hold.interval;
+
+    const damage = this.tiger.attack(held, hold.damage * hold.interval);
+    hits.push({ move: 'bite', target: held, damage, killed: !held.isAlive() });
+    if (context.tigerModel) {
+      context.tigerModel.playCombatMove('shake', 0, hold.interval);
+    }
+    if (!held.isAlive()) {
+      this.releaseHold();
+    }
+  }
+
+  releaseHold() {
+    const held = this.held;
+    if (!held) return;
+
+    this.held = null;
+    if (held.setMovementLocked) {
+      held.setMovementLocked(false);
+    }
+    console.log(`🦷 Tiger lets go of the ${held.type}`);
+  }
+}
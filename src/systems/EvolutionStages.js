@@ -0,0 +1,143 @@
+/**
+ * Evolution stage definitions
+ *
+ * Each stage lists the stages it can evolve from, the level it unlocks at,
+ * optional requirements, the stat changes applied on evolving, the abilities
+ * it grants and how the tiger model should look. Stages are checked in table
+ * order, so mutations that share a parent with a regular stage are listed first.
+ *
+ * Stat changes: flat values are added (maxHealth, maxHunger, maxStamina,
+ * stealth, power, speed), powerMultiplier scales power after flat changes.
+ * Tier is the stage's rough strength, used by systems that scale with the
+ * tiger (ambush spawn rates, crocodile bite damage) instead of stage names.
+ */
+export const EVOLUTION_STAGES = [
+  {
+    id: 'Young',
+    name: 'Young',
+    tier: 0,
+    icon: '🐯',
+    from: [],
+    level: 1,
+    stats: {},
+    abilities: [],
+    model: { scale: 1.0 }
+  },
+  {
+    id: 'Adult',
+    name: 'Adult',
+    tier: 1,
+    icon: '🐅',
+    from: ['Young'],
+    level: 10,
+    stats: { maxHealth: 10, maxHunger: 10, maxStamina: 15 },
+    abilities: [],
+    model: { scale: 1.2 }
+  },
+  {
+    // Mutation: Adults who invested in stealth turn into pale ghost tigers
+    id: 'Ghost',
+    name: 'Ghost',
+    tier: 1,
+    icon: '👻',
+    from: ['Adult'],
+    level: 20,
+    mutation: true,
+    requires: { skills: { softPaws: 3 } },
+    stats: { maxStamina: 20, stealth: 25 },
+    abilities: [],
+    model: { scale: 1.25, fur: 0xe8e8e8, stripes: 0x333333 }
+  },
+  {
+    id: 'Alpha',
+    name: 'Alpha',
+    tier: 2,
+    icon: '🔴',
+    from: ['Adult', 'Ghost'],
+    level: 30,
+    stats: { maxHealth: 10, maxHunger: 10, maxStamina: 15, stealth: 20, powerMultiplier: 2 },
+    abilities: ['laserBreath'],
+    model: { scale: 1.4, fur: 0x0d0d0d, stripes: 0x3399ff, glow: 0x0066ff }
+  },
+  {
+    id: 'Elder',
+    name: 'Elder',
+    tier: 3,
+    icon: '🌕',
+    from: ['Alpha'],
+    level: 50,
+    stats: { maxHealth: 40, maxHunger: 20, maxStamina: -20, stealth: 10 },
+    abilities: ['laserBreath'],
+    model: { scale: 1.45, fur: 0x5a5a5a, stripes: 0xc0c0c0, glow: 0xc0c0c0 }
+  },
+  {
+    id: 'Legendary',
+    name: 'Legendary',
+    tier: 4,
+    icon: '⭐',
+    from: ['Elder'],
+    level: 75,
+    stats: { maxHealth: 50, maxStamina: 50, powerMultiplier: 1.5 },
+    abilities: ['laserBreath'],
+    model: { scale: 1.6, fur: 0x1a1a1a, stripes: 0xffd700, glow: 0xffaa00 }
+  }
+];
+
+export const INITIAL_EVOLUTION_STAGE = 'Young';
+
+/**
+ * Look up a stage definition by id
+ */
+export function getEvolutionStage(stageId) {
+  return EVOLUTION_STAGES.find(stage => stage.id === stageId) || null;
+}
+
+/**
+ * Strength tier of a stage, or null for unknown stages
+ */
+export function getEvolutionTier(stageId) {
+  const stage = getEvolutionStage(stageId);
+  return stage ? stage.tier : null;
+}
+
+/**
+ * Check a stage's extra requirements against a tiger
+ */
+export function meetsStageRequirements(stage, tiger) {
+  const requires = stage.requires;
+  if (!requires) return true;
+
+  if (requires.gender && tiger.gender !== requires.gender) {
+    return false;
+  }
+
+  if (requires.skills) {
+    if (!tiger.skillTree) return false;
+    for (const [skillId, rank] of Object.entries(requires.skills)) {
+      if (tiger.skillTree.getRank(skillId) < rank) return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Find the stage a tiger should evolve into next, or null
+ */
+export function getNextEvolutionStage(tiger) {
+  return EVOLUTION_STAGES.find(stage =>
+    stage.from.includes(tiger.evolutionStage) &&
+    tiger.level >= stage.level &&
+    meetsStageRequirements(stage, tiger)
+  ) || null;
+}
+
+/**
+ * Level of the next regular (non-mutation) stage after the given stage
+ */
+export function getNextEvolutionLevel(stageId) {
+  const levels = EVOLUTION_STAGES
+    .filter(stage => stage.from.includes(stageId) && !stage.mutation)
+    .map(stage => stage.level);
+  return levels.length > 0 ? Math.min(...levels) : null;
+}
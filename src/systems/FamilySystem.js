@@ -0,0 +1,296 @@
+import * as THREE from 'three';
+import { Cub } from '../entities/Cub.js';
+import { Tiger } from '../entities/Tiger.js';
+
+const CUB_NAMES = [
+  'Raja', 'Sher', 'Bagh', 'Shakti', 'Kali', 'Rani', 'Veer', 'Tara',
+  'Arjun', 'Mira', 'Kesari', 'Durga', 'Vikram', 'Asha', 'Rudra', 'Nila'
+];
+
+/**
+ * FamilySystem - Pregnancy, cub companions and heirs across generations
+ */
+export class FamilySystem {
+  constructor(scene, terrain) {
+    this.scene = scene;
+    this.terrain = terrain;
+
+    // Pregnancy after mating with a wild tiger
+    this.pregnancy = null; // { elapsed, duration, mate }
+    this.pregnancyDuration = 120; // seconds
+    this.maxLitterSize = 3;
+
+    // Share of each parent's stat bonus (above a newborn's base) passed to cubs
+    this.inheritanceRate = 0.25;
+    this.inheritedStatNames = ['maxHealth', 'maxStamina', 'maxHunger', 'power', 'stealth'];
+    this.furMutationRange = 0.06;
+
+    this.cubs = [];
+    this.maxCubs = 6;
+
+    // Lineage of player tigers
+    this.generation = 1;
+    this.currentName = 'Founder';
+    this.ancestors = [];
+
+    // Callbacks
+    this.onCubsBorn = null;
+  }
+
+  isPregnant() {
+    return this.pregnancy !== null;
+  }
+
+  /**
+   * Start a pregnancy after the player mates with a wild tiger
+   * @param {Tiger} playerTiger
+   * @param {Object} mate - Parent info returned by Animal.attemptMating()
+   */
+  startPregnancy(playerTiger, mate) {
+    if (this.isPregnant() || this.cubs.length >= this.maxCubs) {
+      return false;
+    }
+
+    this.pregnancy = {
+      elapsed: 0,
+      duration: this.pregnancyDuration,
+      mate: { ...mate }
+    };
+
+    console.log(`🤰 Pregnancy started with a wild ${mate.gender} tiger - cubs due in ${this.pregnancyDuration}s`);
+    return true;
+  }
+
+  update(deltaTime, playerTiger) {
+    // Pregnancy timer
+    if (this.pregnancy) {
+      this.pregnancy.elapsed += deltaTime;
+      if (this.pregnancy.elapsed >= this.pregnancy.duration) {
+        this.giveBirth(playerTiger);
+      }
+    }
+
+    // Cubs follow the player tiger and grow
+    for (const cub of this.cubs) {
+      cub.update(deltaTime, playerTiger, this.terrain);
+    }
+  }
+
+  giveBirth(playerTiger) {
+    const mate = this.pregnancy.mate;
+    this.pregnancy = null;
+
+    const litterSize = Math.min(
+      1 + Math.floor(Math.random() * this.maxLitterSize),
+      this.maxCubs - this.cubs.length
+    );
+
+    const newborns = [];
+    for (let i = 0; i < litterSize; i++) {
+      const cub = this.createCub(playerTiger, mate);
+      cub.position.set(playerTiger.position.x + (Math.random() - 0.5) * 2, playerTiger.position.y, playerTiger.position.z - 2);
+      this.addCub(cub);
+      newborns.push(cub);
+    }
+
+    console.log(`🐾 ${litterSize} cub(s) born: ${newborns.map(c => `${c.name} (${c.gender})`).join(', ')}`);
+
+    if (this.onCubsBorn) {
+      this.onCubsBorn(newborns);
+    }
+    return newborns;
+  }
+
+  createCub(playerTiger, mate) {
+    const gender = Math.random() < 0.5 ? 'male' : 'female';
+
+    return new Cub({
+      name: this.pickCubName(),
+      gender,
+      generation: this.generation + 1,
+      inheritedStats: this.inheritStats(playerTiger, mate, gender),
+      traits: this.inheritTraits(playerTiger.traits, mate.traits),
+      followOffset: this.getFollowOffset(this.cubs.length)
+    });
+  }
+
+  /**
+   * Cub stats start from a newborn of its gender, plus part of each parent's bonus
+   */
+  inheritStats(playerTiger, mate, gender) {
+    const baseline = this.getNewbornStats(gender);
+    const stats = {};
+
+    for (const stat of this.inheritedStatNames) {
+      const base = baseline[stat];
+      const playerBonus = Math.max(0, (playerTiger[stat] || base) - base);
+      const mateBonus = Math.max(0, (mate[stat] || base) - base);
+      stats[stat] = Math.round(base + (playerBonus + mateBonus) * this.inheritanceRate);
+    }
+
+    return stats;
+  }
+
+  getNewbornStats(gender) {
+    const newborn = new Tiger(gender);
+    const stats = {};
+    for (const stat of this.inheritedStatNames) {
+      stats[stat] = newborn[stat];
+    }
+    return stats;
+  }
+
+  /**
+   * Blend parent fur colors with a small random mutation
+   */
+  inheritTraits(parentTraits = {}, mateTraits = {}) {
+    const blend = (a, b) => {
+      const color = new THREE.Color(a).lerp(new THREE.Color(b), Math.random());
+      color.offsetHSL(
+        (Math.random() - 0.5) * this.furMutationRange * 0.5,
+        0,
+        (Math.random() - 0.5) * this.furMutationRange
+      );
+      return color.getHex();
+    };
+
+    return {
+      furColor: blend(parentTraits.furColor ?? 0xff6600, mateTraits.furColor ?? 0xff6600),
+      stripeColor: Math.random() < 0.5 ? (parentTraits.stripeColor ?? 0x000000) : (mateTraits.stripeColor ?? 0x000000)
+    };
+  }
+
+  pickCubName() {
+    const usedNames = new Set([
+      this.currentName,
+      ...this.cubs.map(cub => cub.name),
+      ...this.ancestors.map(ancestor => ancestor.name)
+    ]);
+    const available = CUB_NAMES.filter(name => !usedNames.has(name));
+    const pool = available.length > 0 ? available : CUB_NAMES;
+    return pool[Math.floor(Math.random() * pool.length)];
+  }
+
+  /**
+   * Spread cubs in a loose line behind the player
+   */
+  getFollowOffset(index) {
+    const side = index % 2 === 0 ? 1 : -1;
+    return new THREE.Vector3(side * (1.5 + index * 0.5), 0, -4 - index * 1.5);
+  }
+
+  addCub(cub) {
+    this.cubs.push(cub);
+    if (this.scene) {
+      this.scene.add(cub.getMesh());
+    }
+  }
+
+  removeCub(cub) {
+    const index = this.cubs.indexOf(cub);
+    if (index === -1) return;
+
+    this.cubs.splice(index, 1);
+    if (this.scene) {
+      this.scene.remove(cub.getMesh());
+    }
+  }
+
+  /**
+   * Oldest adult cub, or null if none can take over
+   */
+  getHeir() {
+    const adults = this.cubs.filter(cub => cub.isAdult());
+    if (adults.length === 0) return null;
+    return adults.reduce((oldest, cub) => (cub.age > oldest.age ? cub : oldest));
+  }
+
+  hasHeir() {
+    return this.getHeir() !== null;
+  }
+
+  /**
+   * Record the dead tiger in the lineage and turn the heir into the new player tiger
+   * @returns {Tiger|null} The heir's tiger, or null if there is no adult cub
+   */
+  succeed(deadTiger) {
+    const heir = this.getHeir();
+    if (!heir) return null;
+
+    this.ancestors.push({
+      name: this.currentName,
+      generation: this.generation,
+      gender: deadTiger.gender,
+      level: deadTiger.level,
+      evolutionStage: deadTiger.evolutionStage
+    });
+
+    const tiger = heir.createTiger();
+    this.removeCub(heir);
+    heir.dispose();
+
+    this.generation = heir.generation;
+    this.currentName = heir.name;
+    this.pregnancy = null;
+
+    // Remaining cubs close up the follow line behind their new leader
+    this.cubs.forEach((cub, index) => {
+      cub.followOffset = this.getFollowOffset(index);
+    });
+
+    console.log(`👑 ${heir.name} (generation ${this.generation}) takes over from ${this.ancestors[this.ancestors.length - 1].name}`);
+    return tiger;
+  }
+
+  getStatus() {
+    return {
+      generation: this.generation,
+      name: this.currentName,
+      pregnancyRemaining: this.pregnancy ? Math.max(0, this.pregnancy.duration - this.pregnancy.elapsed) : null,
+      cubCount: this.cubs.length,
+      adultCubCount: this.cubs.filter(cub => cub.isAdult()).length
+    };
+  }
+
+  toJSON() {
+    return {
+      generation: this.generation,
+      currentName: this.currentName,
+      ancestors: this.ancestors.map(ancestor => ({ ...ancestor })),
+      pregnancy: this.pregnancy ? {
+        elapsed: this.pregnancy.elapsed,
+        duration: this.pregnancy.duration,
+        mate: { ...this.pregnancy.mate }
+      } : null,
+      cubs: this.cubs.map(cub => cub.toJSON())
+    };
+  }
+
+  load(data) {
+    this.reset();
+    if (!data) return;
+
+    this.generation = data.generation || 1;
+    this.currentName = data.currentName || 'Founder';
+    this.ancestors = (data.ancestors || []).map(ancestor => ({ ...ancestor }));
+    this.pregnancy = data.pregnancy ? { ...data.pregnancy, mate: { ...data.pregnancy.mate } } : null;
+    (data.cubs || []).forEach(cubData => this.addCub(Cub.fromJSON(cubData)));
+
+    console.log(`🐾 Family restored: generation ${this.generation}, ${this.cubs.length} cub(s)${this.pregnancy ? ', pregnant' : ''}`);
+  }
+
+  reset() {
+    for (const cub of [...this.cubs]) {
+      this.removeCub(cub);
+      cub.dispose();
+    }
+    this.pregnancy = null;
+    this.generation = 1;
+    this.currentName = 'Founder';
+    this.ancestors = [];
+  }
+
+  dispose() {
+    this.reset();
+  }
+}
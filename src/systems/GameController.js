@@ -12,9 +12,15 @@ import { AnimalSystem } from './AnimalSystem.js';
 import { UISystem } from './UISystem.js';
 import { GameSave } from './GameSave.js';
 import { MainMenu } from './MainMenu.js';
+import { GameOverScreen } from './GameOverScreen.js';
 import { ScentTrailSystem } from './ScentTrailSystem.js';
 import { TigerTraceSystem } from './TigerTraceSystem.js';
 import { AmbushSystem } from './AmbushSystem.js';
+import { getEvolutionStage } from './EvolutionStages.js';
+import { FamilySystem } from './FamilySystem.js';
+import { TerritorySystem } from './TerritorySystem.js';
+import { WindSystem } from './WindSystem.js';
+import { ABILITY_BAR } from './Abilities.js';
 
 export class GameController {
   constructor(scene, canvas) {
@@ -35,10 +41,27 @@ export class GameController {
     this.underwaterSystemReady = false;
     this.gameInitialized = false;
     this.totalPlayTime = 0;
+    
+    // Death sequence: death animation, then the game-over screen
+    this.isTigerDead = false;
+    this.deathTimer = 0;
+    this.gameOverDelay = 2.5; // seconds of death animation before the screen appears
+    
+    // Dens: the last den slept in is the respawn point; sleep speeds up world time
+    this.respawnDen = null;
+    this.sleepTimeScale = 4.0;
 
-    // Initialize save system and main menu
+    // Initialize save system, main menu and game-over screen
     this.gameSave = new GameSave();
     this.mainMenu = new MainMenu();
+    this.gameOverScreen = new GameOverScreen();
+    this.gameOverScreen.setOnRestart(() => this.restartAfterDeath());
+    this.gameOverScreen.setOnLoadSave(() => this.loadAfterDeath());
+    this.gameOverScreen.setOnRespawn(() => this.respawnAtDen());
+    this.gameOverScreen.setOnMainMenu(() => {
+      this.gameOverScreen.hide();
+      this.showMainMenu();
+    });
     
     // Show main menu first
     this.showMainMenu();
@@ -83,9 +106,12 @@ export class GameController {
     this.animalSystem = new AnimalSystem(this.scene, this.terrain, this.waterSystem, this.vegetationSystem);
     console.log('🦌 GameController: Animal system created');
     
-    // Set up animal system callback for auto-save
-    this.animalSystem.onAnimalEaten = (animal) => {
+    // Set up animal system callback for auto-save, once per carcass on its first bite
+    this.animalSystem.onAnimalEaten = (animal, carcass, bite) => {
+      if (!bite.firstBite) return;
+      
       console.log(`🍖 Tiger ate a ${animal.type}! Auto-saving...`);
+      this.tiger.huntsSuccessful++;
       const success = this.autosaveGame('prey_eaten');
       if (success && this.uiSystem) {
         this.uiSystem.showSaveStatus(`Game saved after eating ${animal.type}`);
@@ -97,8 +123,50 @@ export class GameController {
     this.ambushSystem.initialize();
     console.log('🎯 GameController: Ambush system created and initialized');
 
+    // Create family system (pregnancy, cubs and heirs)
+    this.familySystem = new FamilySystem(this.scene, this.terrain);
+    this.animalSystem.onTigersMated = (wildTiger, parentInfo) => {
+      this.familySystem.startPregnancy(this.tiger, parentInfo);
+    };
+    this.animalSystem.onRivalEvent = (message) => {
+      this.showSaveNotification(`🐅 ${message}`);
+    };
+    this.animalSystem.onAlarmCall = (caller) => {
+      if (this.uiSystem) {
+        this.uiSystem.showCoverBlown(caller.type);
+      }
+    };
+    this.animalSystem.onTigerAttacked = (animal, attack, damage) => {
+      if (damage > 0 && this.tigerModel) {
+        this.tigerModel.playHitReaction();
+      }
+    };
+    this.familySystem.onCubsBorn = (cubs) => {
+      const success = this.autosaveGame('cubs_born');
+      if (success && this.uiSystem) {
+        this.uiSystem.showSaveStatus(`${cubs.length} cub(s) born! Game saved`);
+      }
+    };
+    console.log('🐾 GameController: Family system created');
+
+    // Create territory system (scent marks on trees)
+    this.territorySystem = new TerritorySystem(this.scene, this.vegetationSystem);
+    this.animalSystem.setTerritorySystem(this.territorySystem);
+
+    // Create wind system (carries the tiger's scent, sways the grass)
+    this.windSystem = new WindSystem();
+    this.animalSystem.setWindSystem(this.windSystem);
+    this.ambushSystem.setWindSystem(this.windSystem);
+    this.vegetationSystem.setWindSystem(this.windSystem);
+    console.log('🌬️ GameController: Wind system created');
+
     // Create UI system
     this.uiSystem = new UISystem();
+    this.uiSystem.onSkillSelected = (skillId) => {
+      if (this.tiger.unlockSkill(skillId)) {
+        this.uiSystem.updateStats(this.tiger);
+      }
+    };
     console.log('🎮 GameController: UI system created');
 
     // Create scent trail system
@@ -160,6 +228,15 @@ export class GameController {
     this.totalPlayTime += deltaTime;
 
     try {
+      // After death only the death animation and camera keep running
+      if (this.isTigerDead) {
+        this.updateDeathSequence(deltaTime);
+        return;
+      }
+      
+      // World time runs faster while the tiger sleeps
+      const worldDeltaTime = deltaTime * this.getTimeScale();
+      
       // Update systems in correct order
       this.input.update(deltaTime);
       
@@ -170,7 +247,20 @@ export class GameController {
       this.movementSystem.update(deltaTime);
       
       // Update tiger logic
-      this.tiger.update(deltaTime);
+      this.tiger.update(worldDeltaTime);
+      
+      // Melee moves land their blows and bites keep their hold
+      this.updateCombat(worldDeltaTime);
+      
+      // Pass control to an adult cub when the player tiger dies; without an heir the game is over
+      if (!this.tiger.isAlive()) {
+        if (this.familySystem && this.familySystem.hasHeir()) {
+          this.passControlToHeir();
+        } else {
+          this.handleTigerDeath();
+          return;
+        }
+      }
       
       // Sync tiger state to model
       this.syncTigerToModel();
@@ -178,6 +268,11 @@ export class GameController {
       // Update 3D model
       this.tigerModel.update(deltaTime);
       
+      // Shift the wind before the grass sways with it
+      if (this.windSystem) {
+        this.windSystem.update(worldDeltaTime);
+      }
+      
       // Update vegetation system (for wind effects, etc.)
       if (this.vegetationSystem) {
         this.vegetationSystem.update(deltaTime);
@@ -190,24 +285,55 @@ export class GameController {
       
       // Update animal system (for wildlife behavior)
       if (this.animalSystem) {
-        this.animalSystem.update(deltaTime, this.tiger);
+        this.animalSystem.update(worldDeltaTime, this.tiger);
       }
       
       // Update ambush system (for predator ambushes)
       if (this.ambushSystem) {
-        this.ambushSystem.update(deltaTime, this.tiger);
+        this.ambushSystem.update(worldDeltaTime, this.tiger);
+      }
+      
+      // Update family system (pregnancy and cub companions)
+      if (this.familySystem) {
+        this.familySystem.update(worldDeltaTime, this.tiger);
+      }
+      
+      // Fade scent marks and note whether the tiger is on its own ground
+      if (this.territorySystem) {
+        this.territorySystem.update(worldDeltaTime);
+        this.tiger.inOwnTerritory = this.territorySystem.isInTerritory(this.tiger.position.x, this.tiger.position.z);
       }
       
       // Update UI system (for stats display)
       if (this.uiSystem) {
         this.uiSystem.updateStats(this.tiger);
+        if (this.tiger.abilities) {
+          this.uiSystem.updateAbilityBar(this.tiger.abilities.getBarState());
+        }
+        if (this.familySystem) {
+          this.uiSystem.updateFamily(this.familySystem.getStatus());
+        }
+        if (this.windSystem) {
+          this.uiSystem.updateWind(this.windSystem, this.tiger);
+        }
+        if (this.territorySystem && this.uiSystem.isTerritoryMapVisible) {
+          this.uiSystem.updateTerritoryMap(this.territorySystem, this.tiger, this.terrain.getBounds(),
+            this.vegetationSystem ? this.vegetationSystem.getDens() : []);
+        }
+        if (this.animalSystem && this.uiSystem.isEcologyViewVisible) {
+          this.uiSystem.updateEcologyView(this.animalSystem.getEcologyReport(), this.tiger, this.terrain.getBounds());
+        }
         
         // Update action context
         if (!this.isUnderwater) {
-          if (this.isNearWater(this.tiger.position)) {
+          if (this.tiger.isSleeping) {
+            this.uiSystem.showActionContext('sleeping');
+          } else if (this.isNearWater(this.tiger.position)) {
             this.uiSystem.showActionContext('drink');
           } else if (this.animalSystem && this.animalSystem.hasDeadAnimalsNearby(this.tiger.position, 5.0)) {
             this.uiSystem.showActionContext('eat');
+          } else if (this.getDenAtTiger()) {
+            this.uiSystem.showActionContext('den');
           } else {
             this.uiSystem.hideActionContext();
           }
@@ -263,6 +389,11 @@ export class GameController {
 
   teleportToUnderwaterTerrain() {
     if (!this.isUnderwater && this.underwaterSystemReady) {
+      // Carcasses stay on the surface
+      if (this.animalSystem && this.tiger.carriedCarcass) {
+        this.animalSystem.dropCarcass(this.tiger);
+      }
+      
       // Teleport to underwater terrain
       this.isUnderwater = true;
       this.underwaterSystem.activate();
@@ -420,7 +551,6 @@ export class GameController {
       isDiving: this.input.isDiving(), // R key for diving in water
       isHunting: this.input.isHunting(), // Z key for hunting
       isInteracting: this.input.isInteracting(), // E key for eating
-      isUsingLaserBreath: this.input.isUsingLaserBreath(), // L key for laser breath (Alpha only)
       isUnderwaterMode: this.isUnderwater
     };
 
@@ -460,39 +590,86 @@ export class GameController {
       movementInput.isJumping = false;
     }
 
-    // Handle hunting
-    if (movementInput.isHunting && this.animalSystem && !this.isUnderwater) {
-      // Z key: Attempt to hunt nearby animals and ambushers (only on surface)
-      console.log('🎯 Hunt key pressed! Attempting to hunt...');
-      console.log(`🎯 Tiger position: (${this.tiger.position.x.toFixed(1)}, ${this.tiger.position.y.toFixed(1)}, ${this.tiger.position.z.toFixed(1)})`);
-      console.log(`🎯 Tiger evolution stage: ${this.tiger.evolutionStage}`);
-      console.log(`🎯 Tiger attack range: ${this.tiger.getAttackRange()}`);
-      console.log(`🎯 Total animals in system: ${this.animalSystem.getAnimalCount()}`);
-      
-      const huntSuccess = this.attemptHuntAllTargets(this.tiger);
-      if (huntSuccess) {
-        console.log('🎯 Hunt successful!');
-      } else {
-        console.log('🎯 Hunt failed - no targets in range');
+    // Handle grabbing/dropping a carcass (C key, once per press)
+    const grabKey = this.input.isGrabbingCarcass ? this.input.isGrabbingCarcass() : false;
+    if (grabKey && !this.wasGrabKeyPressed && this.animalSystem && !this.isUnderwater) {
+      if (this.tiger.carriedCarcass) {
+        this.animalSystem.dropCarcass(this.tiger);
+      } else if (!this.animalSystem.pickUpCarcass(this.tiger, this.tigerModel)) {
+        console.log('🦷 No carcass in reach to pick up');
       }
-    } else if (movementInput.isHunting && this.isUnderwater) {
-      console.log('🎯 Hunt key pressed but tiger is underwater - hunting disabled');
-    } else if (movementInput.isHunting && !this.animalSystem) {
-      console.log('🎯 Hunt key pressed but animal system not available');
-    }
-
-    // Handle laser breath
-    if (movementInput.isUsingLaserBreath && this.animalSystem && !this.isUnderwater) {
-      // L key: Use laser breath (Alpha tigers only, only on surface)
-      console.log('🔴 Laser breath key pressed! Attempting laser attack...');
-      const animals = this.animalSystem.getAnimals();
-      const laserSuccess = this.tiger.useLaserBreath(animals, this.tigerModel);
-      if (laserSuccess) {
-        console.log('🔴 Laser breath successful!');
+    }
+    this.wasGrabKeyPressed = grabKey;
+
+    // Handle sleeping (N key, once per press); moving also wakes the tiger
+    const sleepKey = this.input.isTogglingSleep ? this.input.isTogglingSleep() : false;
+    if (sleepKey && !this.wasSleepKeyPressed) {
+      if (this.tiger.isSleeping) {
+        this.tiger.wakeUp();
       } else {
-        console.log('🔴 Laser breath failed - no targets hit or tiger not Alpha');
+        this.startSleeping();
       }
     }
+    this.wasSleepKeyPressed = sleepKey;
+
+    // Handle scent-marking the nearest tree (X key, once per press)
+    const markKey = this.input.isScentMarking ? this.input.isScentMarking() : false;
+    if (markKey && !this.wasMarkKeyPressed && this.territorySystem && !this.isUnderwater) {
+      this.territorySystem.markTree(this.tiger);
+    }
+    this.wasMarkKeyPressed = markKey;
+
+    // Handle territory map toggle (O key, once per press)
+    const mapKey = this.input.isTogglingTerritoryMap ? this.input.isTogglingTerritoryMap() : false;
+    if (mapKey && !this.wasMapKeyPressed && this.uiSystem) {
+      this.uiSystem.toggleTerritoryMap();
+    }
+    this.wasMapKeyPressed = mapKey;
+    
+    if (this.tiger.isSleeping && (Math.abs(movementInput.direction.z) > 0.1 || Math.abs(movementInput.rotation) > 0.1 || movementInput.isJumping)) {
+      this.tiger.wakeUp();
+    }
+
+    // Handle melee (once per press; surface only): Z swipes, or pounces at a
+    // run, V bites and holds on while held, Q dodges aside with A/D or back
+    const attackKey = movementInput.isHunting;
+    const biteKey = this.input.isBiting ? this.input.isBiting() : false;
+    const dodgeKey = this.input.isDodging ? this.input.isDodging() : false;
+    const attackPressed = (attackKey && !this.wasAttackKeyPressed) || (biteKey && !this.wasBiteKeyPressed);
+    if (attackPressed && this.tiger.carriedCarcass) {
+      console.log('🎯 Attack key pressed but the tiger is carrying a carcass - drop it first (C)');
+    } else if (attackPressed && this.isUnderwater) {
+      console.log('🎯 Attack key pressed but tiger is underwater - fighting disabled');
+    } else if (!this.isUnderwater) {
+      if (attackKey && !this.wasAttackKeyPressed) {
+        this.startCombatMove(this.tiger.state === 'running' ? 'pounce' : 'swipe');
+      } else if (biteKey && !this.wasBiteKeyPressed) {
+        this.startCombatMove('bite');
+      }
+      if (dodgeKey && !this.wasDodgeKeyPressed) {
+        this.startCombatMove('dodge', { side: Math.sign(movementInput.rotation) });
+      }
+    }
+    if (!biteKey && this.tiger.combat.isHolding()) {
+      this.tiger.combat.releaseHold();
+    }
+    this.wasAttackKeyPressed = attackKey;
+    this.wasBiteKeyPressed = biteKey;
+    this.wasDodgeKeyPressed = dodgeKey;
+
+    // Handle abilities (1-4 keys, once per press; surface only)
+    const abilitySlot = this.input.getAbilitySlot ? this.input.getAbilitySlot() : -1;
+    if (abilitySlot !== -1 && abilitySlot !== this.lastAbilitySlot && !this.isUnderwater) {
+      this.useAbility(ABILITY_BAR[abilitySlot]);
+    }
+    this.lastAbilitySlot = abilitySlot;
+
+    // Handle skill panel toggle (K key, once per press)
+    const skillPanelKey = this.input.isTogglingSkillPanel();
+    if (skillPanelKey && !this.wasSkillPanelKeyPressed && this.uiSystem) {
+      this.uiSystem.toggleSkillPanel(this.tiger);
+    }
+    this.wasSkillPanelKeyPressed = skillPanelKey;
 
     // Handle interaction (E key)
     if (movementInput.isInteracting && !this.isUnderwater) {
@@ -576,6 +753,78 @@ export class GameController {
     }
   }
 
+  /**
+   * Put the tiger to sleep; in a den this also sets the respawn point and autosaves
+   */
+  startSleeping() {
+    if (this.isUnderwater || this.movementSystem.isSwimming) {
+      console.log('💤 Cannot sleep in the water');
+      return false;
+    }
+    
+    if (this.animalSystem && this.tiger.carriedCarcass) {
+      this.animalSystem.dropCarcass(this.tiger);
+    }
+    
+    const den = this.getDenAtTiger();
+    if (!this.tiger.sleep(den !== null)) return false;
+    
+    if (den) {
+      this.respawnDen = den;
+      this.autosaveGame('den_rest');
+      if (this.uiSystem) {
+        this.uiSystem.showSaveStatus('Resting in den - game saved');
+      }
+    } else if (this.uiSystem) {
+      this.uiSystem.showSaveStatus('Sleeping in the open - predators may find you');
+    }
+    return true;
+  }
+
+  /**
+   * Start a melee move, acted out on the tiger model (see Combat.js)
+   */
+  startCombatMove(moveId, context = {}) {
+    return this.tiger.combat.start(moveId, { ...context, tigerModel: this.tigerModel });
+  }
+
+  /**
+   * Land the blows of the move under way on animals and ambushers in reach
+   */
+  updateCombat(deltaTime) {
+    const candidates = [
+      ...(this.animalSystem ? this.animalSystem.getAnimals().filter(animal => !animal.perched) : []), // Out of reach up a tree
+      ...(this.ambushSystem ? this.ambushSystem.getActiveAmbushers() : [])
+    ];
+    
+    for (const hit of this.tiger.combat.update(deltaTime, { candidates, tigerModel: this.tigerModel })) {
+      if (hit.killed) {
+        console.log(`🎯 ${hit.move} killed the ${hit.target.type || hit.target.constructor.name}!`);
+      }
+    }
+  }
+
+  /**
+   * Use an ability, giving it the animals, model and systems it may act on
+   */
+  useAbility(abilityId) {
+    return this.tiger.useAbility(abilityId, {
+      candidates: this.animalSystem ? this.animalSystem.getAnimals() : [],
+      tigerModel: this.tigerModel,
+      animalSystem: this.animalSystem,
+      ambushSystem: this.ambushSystem
+    });
+  }
+
+  getDenAtTiger() {
+    if (!this.vegetationSystem || !this.vegetationSystem.getDenAt) return null;
+    return this.vegetationSystem.getDenAt(this.tiger.position.x, this.tiger.position.z);
+  }
+
+  getTimeScale() {
+    return this.tiger && this.tiger.isSleeping ? this.sleepTimeScale : 1;
+  }
+
   syncTigerToModel() {
     // Sync position
     this.tigerModel.setPosition(
@@ -592,20 +841,16 @@ export class GameController {
     // Sync animation based on tiger state
     this.tigerModel.playAnimation(this.tiger.state);
 
+    // Fade the model while the stealth cloak lasts
+    if (this.tiger.hasStatusEffect && this.tigerModel.setCloaked) {
+      this.tigerModel.setCloaked(this.tiger.hasStatusEffect('cloaked'));
+    }
+
     // Handle evolution changes
     if (this.tiger.evolutionStage !== this.tigerModel.evolutionStage) {
       try {
         console.log(`🔄 Evolution detected: ${this.tigerModel.evolutionStage} -> ${this.tiger.evolutionStage}`);
-        switch (this.tiger.evolutionStage) {
-          case 'Adult':
-            this.tigerModel.evolveToAdult();
-            console.log('🟤 Adult evolution completed');
-            break;
-          case 'Alpha':
-            this.tigerModel.evolveToAlpha();
-            console.log('🔴 Alpha evolution completed');
-            break;
-        }
+        this.tigerModel.applyEvolutionStage(this.tiger.evolutionStage);
       } catch (error) {
         console.error('❌ Error during evolution:', error);
         // Reset to prevent infinite loop
@@ -663,8 +908,28 @@ export class GameController {
     }
     
 
-    // Reset tiger to starting state
-    this.tiger = new Tiger();
+    // Reset family and lineage
+    if (this.familySystem) {
+      this.familySystem.reset();
+    }
+    
+    // Clear scent marks
+    if (this.territorySystem) {
+      this.territorySystem.reset();
+    }
+    
+    // Forget rival wild tigers; new residents settle in as animals spawn
+    if (this.animalSystem) {
+      this.animalSystem.loadWildTigers([]);
+    }
+    
+    // Start the wildlife calendar over, with capacities from the new vegetation,
+    // let wildlife forget where it was hunted and survey the new ground
+    if (this.animalSystem) {
+      this.animalSystem.populationSystem.reset();
+      this.animalSystem.dangerMap.clear();
+      this.animalSystem.navigationGrid.rebuild();
+    }
     
     // Reset movement system
     this.movementSystem.reset();
@@ -672,16 +937,12 @@ export class GameController {
     // Reset camera
     this.camera.reset();
     
-    // Reset tiger model
-    this.tigerModel.dispose();
-    this.scene.remove(this.tigerModel.getMesh());
-    
-    this.tigerModel = new TigerModel();
-    this.scene.add(this.tigerModel.getMesh());
+    // Reset tiger and model to starting state
+    const gender = this.selectedGender || 'male';
+    this.replacePlayerTiger(new Tiger(gender), new TigerModel(gender));
+    this.isTigerDead = false;
     
     // Re-establish connections
-    this.camera.setTarget(this.tigerModel);
-    this.movementSystem.tiger = this.tiger;
     this.movementSystem.setTerrain(this.terrain);
     
     // Position tiger on terrain
@@ -691,6 +952,109 @@ export class GameController {
     this.syncTigerToModel();
   }
 
+  passControlToHeir() {
+    const heir = this.familySystem.succeed(this.tiger);
+    if (!heir) return false;
+    
+    // Replace the player tiger and its model with the heir's
+    this.replacePlayerTiger(heir, new TigerModel(heir.gender, heir.traits));
+    this.syncTigerToModel();
+    
+    if (this.uiSystem) {
+      this.uiSystem.showSaveStatus(`${this.familySystem.currentName} continues the bloodline`);
+    }
+    this.autosaveGame('heir_succession');
+    
+    console.log(`👑 Control passed to heir ${this.familySystem.currentName} (${heir.gender})`);
+    return true;
+  }
+
+  /**
+   * Swap in a new player tiger and model, re-pointing the camera and movement at them
+   */
+  replacePlayerTiger(tiger, tigerModel) {
+    // Let go of a carried carcass before the old model is disposed
+    if (this.animalSystem && this.tiger.carriedCarcass) {
+      this.animalSystem.dropCarcass(this.tiger);
+    }
+    this.tiger.combat.releaseHold();
+    
+    this.scene.remove(this.tigerModel.getMesh());
+    this.tigerModel.dispose();
+    
+    this.tiger = tiger;
+    this.tigerModel = tigerModel;
+    this.scene.add(this.tigerModel.getMesh());
+    
+    this.camera.setTarget(this.tigerModel);
+    this.movementSystem.tiger = this.tiger;
+  }
+
+  /**
+   * Start the death sequence once the player tiger dies with no heir
+   */
+  handleTigerDeath() {
+    if (this.isTigerDead) return;
+    
+    this.isTigerDead = true;
+    this.deathTimer = 0;
+    console.log(`💀 Tiger died: ${this.tiger.getCauseOfDeath()}`);
+    
+    this.syncTigerToModel();
+    if (this.animalSystem && this.tiger.carriedCarcass) {
+      this.animalSystem.dropCarcass(this.tiger);
+    }
+    this.tigerModel.playDeathAnimation();
+    
+    if (this.input) {
+      this.input.resetAllKeys();
+    }
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    if (this.uiSystem) {
+      this.uiSystem.updateStats(this.tiger);
+      this.uiSystem.hideActionContext();
+    }
+  }
+
+  updateDeathSequence(deltaTime) {
+    this.deathTimer += deltaTime;
+    this.tigerModel.update(deltaTime);
+    this.camera.update(deltaTime);
+    
+    if (this.deathTimer >= this.gameOverDelay && !this.gameOverScreen.isVisible) {
+      this.isPaused = true;
+      const hasSave = this.gameSave.hasSavedGame();
+      this.gameOverScreen.show(this.tiger.getLifetimeStats(), hasSave, hasSave && this.respawnDen !== null);
+    }
+  }
+
+  restartAfterDeath() {
+    this.gameOverScreen.hide();
+    this.startNewGame(this.tiger.gender);
+  }
+
+  loadAfterDeath() {
+    this.gameOverScreen.hide();
+    this.continueGame();
+  }
+
+  /**
+   * Load the last save and wake up rested in the last den slept in
+   */
+  respawnAtDen() {
+    this.gameOverScreen.hide();
+    this.continueGame();
+    if (!this.respawnDen) return;
+    
+    this.placeTigerAtDen(this.respawnDen);
+    this.tiger.health = this.tiger.maxHealth;
+    this.tiger.stamina = this.tiger.maxStamina;
+    this.syncTigerToModel();
+    console.log(`🪨 Respawned at ${this.respawnDen.type} den`);
+  }
+
   // Make debug function globally accessible
   exposeDebugAPI() {
     if (typeof window !== 'undefined') {
@@ -734,15 +1098,20 @@ export class GameController {
           console.log(`🎯 Added ${amount} XP. Tiger level: ${this.tiger.level}, XP: ${this.tiger.experience}, Stage: ${this.tiger.evolutionStage}`);
         },
         evolveToAdult: () => {
-          this.tiger.level = this.tiger.adultLevel;
+          this.tiger.level = getEvolutionStage('Adult').level;
           this.tiger.evolve();
           console.log(`🐅 Forced evolution to Adult! Level: ${this.tiger.level}, Stage: ${this.tiger.evolutionStage}`);
         },
         evolveToAlpha: () => {
-          this.tiger.level = this.tiger.alphaLevel;
+          this.tiger.level = getEvolutionStage('Alpha').level;
           this.tiger.evolve();
           console.log(`🐅 Forced evolution to Alpha! Level: ${this.tiger.level}, Stage: ${this.tiger.evolutionStage}`);
         },
+        setLevel: (level) => {
+          this.tiger.level = level;
+          this.tiger.evolve();
+          console.log(`🐅 Level set to ${this.tiger.level}, Stage: ${this.tiger.evolutionStage}`);
+        },
         testSave: () => {
           console.log('🎮 Testing manual save...');
           const success = this.autosaveGame('manual_test');
@@ -916,6 +1285,24 @@ export class GameController {
           });
           
           return { crocodiles: crocodiles.length, leopards: leopards.length };
+        },
+        toggleEcologyView: () => {
+          if (!this.uiSystem) return false;
+          this.uiSystem.toggleEcologyView();
+          return this.uiSystem.isEcologyViewVisible;
+        },
+        getEcology: () => {
+          if (!this.animalSystem) {
+            console.log('❌ AnimalSystem not initialized');
+            return null;
+          }
+          
+          const report = this.animalSystem.getEcologyReport();
+          console.log(`🌿 Day ${report.day.toFixed(1)} populations:`, report.totals);
+          report.regions.forEach((region, i) => {
+            console.log(`  ${i+1}. (${region.minX}, ${region.minZ}) prey ${region.prey}/${region.capacity}${region.watered ? '' : ' dry'}, kills ${region.kills}${region.depleted ? ' - depleted' : ''}`);
+          });
+          return report;
         }
       };
       console.log('🔍 Debug API exposed: window.tigerGame');
@@ -945,6 +1332,9 @@ export class GameController {
       console.log('  window.tigerGame.listCrocodileStates() - Show all crocodile states and positions');
       console.log('  window.tigerGame.getTigerAwareness() - Check tiger awareness level');
       console.log('  window.tigerGame.listAllAmbushers() - List all active ambushers with details');
+      console.log('  === ECOLOGY DEBUG ===');
+      console.log('  window.tigerGame.getEcology() - Log populations and carrying capacity by region');
+      console.log('  window.tigerGame.toggleEcologyView() - Show or hide the ecology map');
     }
   }
 
@@ -972,6 +1362,20 @@ export class GameController {
       this.ambushSystem.dispose();
     }
 
+    // Clean up family system
+    if (this.familySystem) {
+      this.familySystem.dispose();
+    }
+
+    // Clean up territory system
+    if (this.territorySystem) {
+      this.territorySystem.dispose();
+    }
+    
+    if (this.gameOverScreen) {
+      this.gameOverScreen.dispose();
+    }
+
     // Clean up scent trail system
     if (this.scentTrailSystem) {
       this.scentTrailSystem.dispose();
@@ -1026,6 +1430,7 @@ export class GameController {
     this.vegetationSystem = null;
     this.animalSystem = null;
     this.ambushSystem = null;
+    this.familySystem = null;
     this.scentTrailSystem = null;
     this.uiSystem = null;
     this.waterSystem = null;
@@ -1200,6 +1605,13 @@ export class GameController {
     }
   }
 
+  placeTigerAtDen(den) {
+    const { x, z } = den.position;
+    const terrainHeight = this.terrain.getHeightAt(x, z);
+    this.tiger.position.set(x, terrainHeight + 1.0, z);
+    this.tigerModel.setPosition(x, terrainHeight + 1.0, z);
+  }
+
   regenerateTerrain(seed) {
     if (this.terrain) {
       this.terrain.generateHeightmap(seed);
@@ -1230,67 +1642,16 @@ export class GameController {
         this.movementSystem.setWaterSystem(this.waterSystem);
       }
 
+      // Carrying capacity and animal routes follow the new grass, water and slopes
+      if (this.animalSystem) {
+        this.animalSystem.updateTerrain(this.waterSystem);
+      }
 
       // Reposition tiger on new terrain
       this.positionTigerOnTerrain();
     }
   }
 
-  /**
-   * Attempt to hunt both regular animals and ambushers
-   */
-  attemptHuntAllTargets(tiger) {
-    // First try regular animals
-    const animalHuntSuccess = this.animalSystem.attemptHunt(tiger);
-    if (animalHuntSuccess) {
-      return true;
-    }
-
-    // If no regular animals, try ambushers
-    if (this.ambushSystem) {
-      const ambushers = this.ambushSystem.getActiveAmbushers();
-      console.log(`🎯 GameController: Found ${ambushers.length} active ambushers to target`);
-      
-      if (ambushers.length === 0) return false;
-      
-      // Find ambushers within attack range
-      const attackRange = tiger.getAttackRange();
-      const huntableAmbushers = ambushers.filter(ambusher => {
-        const distance = tiger.position.distanceTo(ambusher.position);
-        const isAlive = ambusher.isAlive();
-        console.log(`🎯 GameController: ${ambusher.constructor.name} at distance ${distance.toFixed(1)} - alive: ${isAlive}, in range: ${distance <= attackRange}`);
-        return isAlive && distance <= attackRange;
-      });
-      
-      if (huntableAmbushers.length === 0) return false;
-      
-      // Attack the closest ambusher
-      let closestAmbusher = huntableAmbushers[0];
-      let closestDistance = tiger.position.distanceTo(closestAmbusher.position);
-      
-      for (const ambusher of huntableAmbushers) {
-        const distance = tiger.position.distanceTo(ambusher.position);
-        if (distance < closestDistance) {
-          closestDistance = distance;
-          closestAmbusher = ambusher;
-        }
-      }
-      
-      // Execute attack on ambusher
-      console.log(`🎯 GameController: Tiger attacking ${closestAmbusher.constructor.name}!`);
-      
-      const attackSuccess = tiger.attack(closestAmbusher);
-      if (!attackSuccess) {
-        console.log(`🎯 GameController: Tiger attack on ${closestAmbusher.constructor.name} failed`);
-        return false;
-      }
-      
-      return true;
-    }
-    
-    return false;
-  }
-
   // Main Menu and Save/Load System
   showMainMenu() {
     console.log('🎮 Showing main menu...');
@@ -1333,8 +1694,9 @@ export class GameController {
       this.reset();
     }
     
-    // Clear any existing save
+    // Clear any existing save and respawn point
     this.gameSave.deleteSavedGame();
+    this.respawnDen = null;
     
     // Reset play time
     this.totalPlayTime = 0;
@@ -1366,6 +1728,10 @@ export class GameController {
       this.initializeSystems();
       this.setupConnections();
       this.gameInitialized = true;
+    } else {
+      // Start from a fresh tiger of the saved gender (the current one may be dead)
+      this.replacePlayerTiger(new Tiger(this.selectedGender), new TigerModel(this.selectedGender));
+      this.isTigerDead = false;
     }
     
     // Apply saved game state to the tiger
@@ -1383,14 +1749,9 @@ export class GameController {
   }
 
   saveGame() {
-    if (!this.gameInitialized) return false;
+    if (!this.gameInitialized || this.isTigerDead) return false;
     
-    const gameState = {
-      tiger: this.tiger,
-      terrain: this.terrain,
-      isUnderwater: this.isUnderwater,
-      totalPlayTime: this.totalPlayTime
-    };
+    const gameState = this.buildGameState();
     
     return this.gameSave.saveGame(gameState);
   }
@@ -1427,6 +1788,8 @@ export class GameController {
         this.tiger.hunger = saveData.tiger.hunger !== undefined ? saveData.tiger.hunger : 100;
         this.tiger.maxHunger = saveData.tiger.maxHunger !== undefined ? saveData.tiger.maxHunger : 100;
         this.tiger.thirst = saveData.tiger.thirst !== undefined ? saveData.tiger.thirst : 100;
+        if (saveData.tiger.power !== undefined) this.tiger.power = saveData.tiger.power;
+        if (saveData.tiger.stealth !== undefined) this.tiger.stealth = saveData.tiger.stealth;
         this.tiger.level = saveData.tiger.level !== undefined ? saveData.tiger.level : 1;
         this.tiger.experience = saveData.tiger.experience !== undefined ? saveData.tiger.experience : 0;
         this.tiger.evolutionStage = saveData.tiger.evolutionStage || 'Young';
@@ -1435,6 +1798,55 @@ export class GameController {
         this.tiger.totalKills = saveData.tiger.totalKills !== undefined ? saveData.tiger.totalKills : 0;
         this.tiger.totalDistance = saveData.tiger.totalDistance !== undefined ? saveData.tiger.totalDistance : 0;
         this.tiger.timeAlive = saveData.tiger.timeAlive !== undefined ? saveData.tiger.timeAlive : 0;
+        
+        // Restore skill points and unlocked skills (older saves have none)
+        if (saveData.tiger.skillTree && this.tiger.skillTree) {
+          this.tiger.skillTree.load(saveData.tiger.skillTree);
+        }
+        
+        // Restore wounds
+        if (this.tiger.injuries) {
+          this.tiger.injuries.load(saveData.tiger.injuries || null);
+        }
+        
+        // Restore timed status effects
+        if (this.tiger.statusEffects) {
+          this.tiger.statusEffects.load(saveData.tiger.statusEffects || null);
+        }
+        
+        // Restore inherited fur colors
+        if (saveData.tiger.traits) {
+          this.tiger.traits = { ...saveData.tiger.traits };
+          this.tigerModel.applyFurTraits(this.tiger.traits);
+        }
+      }
+      
+      // Restore lineage, pregnancy and cubs
+      if (this.familySystem) {
+        this.familySystem.load(saveData.family || null);
+      }
+      
+      // Restore kills and their remaining meat
+      if (this.animalSystem) {
+        this.animalSystem.loadCarcasses(saveData.carcasses || []);
+      }
+      
+      // Restore resident wild tigers and their memories of past fights
+      if (this.animalSystem && saveData.wildTigers) {
+        this.animalSystem.loadWildTigers(saveData.wildTigers);
+      }
+      
+      // Restore the wildlife population and its in-game day
+      if (this.animalSystem && saveData.population) {
+        this.animalSystem.loadPopulation(saveData.population);
+      }
+      
+      // Restore the den respawn point
+      this.respawnDen = saveData.respawnDen || null;
+      
+      // Restore scent-marked territory
+      if (this.territorySystem) {
+        this.territorySystem.load(saveData.territory || []);
       }
       
       // Restore terrain state
@@ -1463,15 +1875,26 @@ export class GameController {
     }
   }
 
-  autosaveGame(reason = 'auto') {
-    if (!this.gameInitialized) return false;
-    
-    const gameState = {
+  buildGameState() {
+    return {
       tiger: this.tiger,
       terrain: this.terrain,
       isUnderwater: this.isUnderwater,
-      totalPlayTime: this.totalPlayTime
+      totalPlayTime: this.totalPlayTime,
+      family: this.familySystem ? this.familySystem.toJSON() : null,
+      carcasses: this.animalSystem ? this.animalSystem.getCarcassSaveData() : [],
+      respawnDen: this.respawnDen,
+      territory: this.territorySystem ? this.territorySystem.toJSON() : [],
+      wildTigers: this.animalSystem ? this.animalSystem.getWildTigerSaveData() : [],
+      population: this.animalSystem ? this.animalSystem.getPopulationSaveData() : null
     };
+  }
+
+  autosaveGame(reason = 'auto') {
+    // Never overwrite the last save with a dead tiger
+    if (!this.gameInitialized || this.isTigerDead) return false;
+    
+    const gameState = this.buildGameState();
     
     return this.gameSave.autosave(gameState, reason);
   }
@@ -1536,6 +1959,18 @@ export class GameController {
       this.animalSystem.dispose();
     }
     
+    if (this.familySystem) {
+      this.familySystem.dispose();
+    }
+    
+    if (this.territorySystem) {
+      this.territorySystem.dispose();
+    }
+    
+    if (this.gameOverScreen) {
+      this.gameOverScreen.dispose();
+    }
+    
     if (this.underwaterSystem) {
       this.underwaterSystem.dispose();
     }
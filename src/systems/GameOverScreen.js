@@ -0,0 +1,234 @@
+export class GameOverScreen {
+  constructor() {
+    this.isVisible = false;
+    this.selectedOption = 'restart';
+    this.container = null;
+    this.buttons = {};
+    this.hasSave = false;
+    this.hasDen = false;
+    this.onRestart = null;
+    this.onRespawn = null;
+    this.onLoadSave = null;
+    this.onMainMenu = null;
+
+    this.boundKeyDown = (e) => this.handleKeyDown(e);
+
+    this.initializeScreen();
+    document.addEventListener('keydown', this.boundKeyDown);
+  }
+
+  initializeScreen() {
+    this.container = document.createElement('div');
+    this.container.id = 'game-over-screen';
+    this.container.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: radial-gradient(circle, rgba(60,0,0,0.75) 0%, rgba(0,0,0,0.92) 100%);
+      display: none;
+      flex-direction: column;
+      justify-content: center;
+      align-items: center;
+      z-index: 1000;
+      font-family: 'Courier New', monospace;
+      color: #e6e6e6;
+      text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+    `;
+
+    const title = document.createElement('h1');
+    title.textContent = 'Your Tiger Has Died';
+    title.style.cssText = `
+      font-size: 3rem;
+      margin-bottom: 0.5rem;
+      color: #cc3333;
+      letter-spacing: 2px;
+    `;
+
+    this.causeDisplay = document.createElement('h2');
+    this.causeDisplay.style.cssText = `
+      font-size: 1.2rem;
+      margin-bottom: 2rem;
+      color: #d4b8b8;
+      font-weight: normal;
+    `;
+
+    this.statsDisplay = document.createElement('div');
+    this.statsDisplay.style.cssText = `
+      margin-bottom: 2rem;
+      padding: 1rem 2rem;
+      background: rgba(0,0,0,0.4);
+      border-radius: 8px;
+      min-width: 300px;
+      border: 1px solid rgba(255,255,255,0.1);
+    `;
+
+    const options = document.createElement('div');
+    options.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 1rem;
+      min-width: 300px;
+    `;
+
+    this.buttons.respawn = this.createButton('Respawn at Den', 'respawn');
+    this.buttons.restart = this.createButton('Restart', 'restart');
+    this.buttons.load = this.createButton('Load Last Save', 'load');
+    this.buttons.menu = this.createButton('Main Menu', 'menu');
+    Object.values(this.buttons).forEach(button => options.appendChild(button));
+
+    this.container.appendChild(title);
+    this.container.appendChild(this.causeDisplay);
+    this.container.appendChild(this.statsDisplay);
+    this.container.appendChild(options);
+    document.body.appendChild(this.container);
+  }
+
+  createButton(text, value) {
+    const button = document.createElement('div');
+    button.textContent = text;
+    button.dataset.value = value;
+    button.style.cssText = `
+      padding: 1rem 2rem;
+      font-size: 1.3rem;
+      background: rgba(255,255,255,0.1);
+      border: 2px solid rgba(255,255,255,0.2);
+      border-radius: 8px;
+      cursor: pointer;
+      text-align: center;
+      user-select: none;
+    `;
+
+    button.addEventListener('mouseenter', () => this.selectOption(value));
+    button.addEventListener('click', () => {
+      this.selectOption(value);
+      this.confirmSelection();
+    });
+
+    return button;
+  }
+
+  handleKeyDown(e) {
+    if (!this.isVisible) return;
+
+    const options = this.getAvailableOptions();
+    const index = options.indexOf(this.selectedOption);
+
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'w':
+      case 'W':
+        e.preventDefault();
+        this.selectOption(options[(index - 1 + options.length) % options.length]);
+        break;
+      case 'ArrowDown':
+      case 's':
+      case 'S':
+        e.preventDefault();
+        this.selectOption(options[(index + 1) % options.length]);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        this.confirmSelection();
+        break;
+    }
+  }
+
+  getAvailableOptions() {
+    const options = ['restart', 'load', 'menu'];
+    if (this.hasDen) options.unshift('respawn');
+    return this.hasSave ? options : options.filter(option => option !== 'load');
+  }
+
+  selectOption(option) {
+    if (!this.getAvailableOptions().includes(option)) return;
+
+    this.selectedOption = option;
+    for (const [value, button] of Object.entries(this.buttons)) {
+      const available = this.getAvailableOptions().includes(value);
+      const selected = value === option;
+      button.style.opacity = available ? '1' : '0.4';
+      button.style.background = selected ? 'rgba(204,51,51,0.4)' : 'rgba(255,255,255,0.1)';
+      button.style.borderColor = selected ? '#cc3333' : 'rgba(255,255,255,0.2)';
+    }
+  }
+
+  confirmSelection() {
+    switch (this.selectedOption) {
+      case 'respawn':
+        if (this.hasDen && this.onRespawn) this.onRespawn();
+        break;
+      case 'restart':
+        if (this.onRestart) this.onRestart();
+        break;
+      case 'load':
+        if (this.hasSave && this.onLoadSave) this.onLoadSave();
+        break;
+      case 'menu':
+        if (this.onMainMenu) this.onMainMenu();
+        break;
+    }
+  }
+
+  formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = Math.floor(seconds % 60);
+    return `${minutes}m ${remainder.toString().padStart(2, '0')}s`;
+  }
+
+  /**
+   * Show the screen with the dead tiger's lifetime stats
+   * @param {Object} stats - From Tiger.getLifetimeStats()
+   * @param {boolean} hasSave - Whether "Load Last Save" is available
+   * @param {boolean} hasDen - Whether "Respawn at Den" is available
+   */
+  show(stats, hasSave = false, hasDen = false) {
+    this.hasSave = hasSave;
+    this.hasDen = hasDen;
+    this.causeDisplay.textContent = stats.causeOfDeath || 'Unknown causes';
+    this.statsDisplay.innerHTML = `
+      <p><strong>Time Alive:</strong> ${this.formatTime(stats.timeAlive || 0)}</p>
+      <p><strong>Level:</strong> ${stats.level} (${stats.evolutionStage})</p>
+      <p><strong>Successful Hunts:</strong> ${stats.huntsSuccessful || 0}</p>
+      <p><strong>Total Kills:</strong> ${stats.totalKills || 0}</p>
+      <p><strong>Distance Travelled:</strong> ${Math.round(stats.totalDistance || 0)}m</p>
+    `;
+
+    this.isVisible = true;
+    this.container.style.display = 'flex';
+    this.selectOption(hasDen ? 'respawn' : 'restart');
+
+    console.log(`💀 Game over: ${stats.causeOfDeath}`);
+  }
+
+  hide() {
+    this.isVisible = false;
+    this.container.style.display = 'none';
+  }
+
+  dispose() {
+    if (this.container) {
+      document.body.removeChild(this.container);
+      this.container = null;
+    }
+    document.removeEventListener('keydown', this.boundKeyDown);
+  }
+
+  // Callback setters
+  setOnRestart(callback) {
+    this.onRestart = callback;
+  }
+
+  setOnLoadSave(callback) {
+    this.onLoadSave = callback;
+  }
+
+  setOnRespawn(callback) {
+    this.onRespawn = callback;
+  }
+
+  setOnMainMenu(callback) {
+    this.onMainMenu = callback;
+  }
+}
@@ -27,6 +27,8 @@ export class GameSave {
           maxStamina: gameState.tiger.maxStamina,
           hunger: gameState.tiger.hunger,
           maxHunger: gameState.tiger.maxHunger,
+          power: gameState.tiger.power,
+          stealth: gameState.tiger.stealth,
           thirst: gameState.tiger.thirst,
           level: gameState.tiger.level,
           experience: gameState.tiger.experience,
@@ -35,8 +37,18 @@ export class GameSave {
           huntsSuccessful: gameState.tiger.huntsSuccessful || 0,
           totalKills: gameState.tiger.totalKills || 0,
           totalDistance: gameState.tiger.totalDistance || 0,
-          timeAlive: gameState.tiger.timeAlive || 0
+          timeAlive: gameState.tiger.timeAlive || 0,
+          skillTree: gameState.tiger.skillTree ? gameState.tiger.skillTree.toJSON() : null,
+          traits: gameState.tiger.traits ? { ...gameState.tiger.traits } : null,
+          injuries: gameState.tiger.injuries ? gameState.tiger.injuries.toJSON() : null,
+          statusEffects: gameState.tiger.statusEffects ? gameState.tiger.statusEffects.toJSON() : null
         },
+        family: gameState.family || null,
+        carcasses: gameState.carcasses || [],
+        respawnDen: gameState.respawnDen || null,
+        territory: gameState.territory || [],
+        wildTigers: gameState.wildTigers || [],
+        population: gameState.population || null,
         terrain: {
           seed: gameState.terrain?.seed || 12345,
           isUnderwater: gameState.isUnderwater || false
@@ -105,6 +117,8 @@ export class GameSave {
         evolutionStage: saveData.tiger.evolutionStage,
         experience: saveData.tiger.experience,
         huntsSuccessful: saveData.tiger.huntsSuccessful || 0,
+        tigerName: saveData.family ? saveData.family.currentName : null,
+        generation: saveData.family ? saveData.family.generation : 1,
         totalPlayTime: saveData.gameStats.totalPlayTime || 0,
         gamesPlayed: saveData.gameStats.gamesPlayed || 0
       };
@@ -0,0 +1,22 @@
+/**
+ * Hearing - How far the tiger's movement noise carries (see MovementSystem.updateNoise)
+ *
+ * Shared by animals (AnimalSystem) and ambushers (AmbushDetector) so both hear
+ * the same way: a noise of 1 carries a listener's full hearing radius in the
+ * open, less through vegetation.
+ */
+export const VEGETATION_SOUND_DAMPING = 0.6; // Share of hearing range lost behind a solid wall of vegetation
+
+/**
+ * Share of a sound's range left after the vegetation on the line between two positions
+ * @param {Function} getDensity - Vegetation density (0-1) at (x, z)
+ */
+export function getSoundDamping(from, to, getDensity) {
+  const samples = 5;
+  let density = 0;
+  for (let i = 1; i <= samples; i++) {
+    const t = i / (samples + 1);
+    density += getDensity(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t);
+  }
+  return 1 - VEGETATION_SOUND_DAMPING * (density / samples);
+}
@@ -0,0 +1,122 @@
+/**
+ * Body part definitions
+ * A wound's severity (0-1) scales the part's penalty: a fully wounded part
+ * multiplies its effect by (1 - maxPenalty).
+ */
+export const BODY_PARTS = {
+  legs: {
+    name: 'Legs',
+    icon: '🦵',
+    effect: 'speed',
+    maxPenalty: 0.5
+  },
+  jaw: {
+    name: 'Jaw',
+    icon: '🦷',
+    effect: 'attackDamage',
+    maxPenalty: 0.6
+  },
+  eyes: {
+    name: 'Eyes',
+    icon: '👁️',
+    effect: 'detectionRadius',
+    maxPenalty: 0.6
+  }
+};
+
+/**
+ * Injuries - Tracks localized wounds on the tiger's body parts
+ */
+export class Injuries {
+  constructor() {
+    this.wounds = {}; // part -> { severity, source }
+    this.restingHealRate = 0.02; // severity healed per second while resting
+  }
+
+  /**
+   * Wound a body part; repeated wounds stack up to full severity
+   */
+  addWound(part, severity, source = 'unknown') {
+    if (!BODY_PARTS[part]) {
+      console.warn(`⚠️ Unknown body part: ${part}`);
+      return;
+    }
+
+    const current = this.getSeverity(part);
+    this.wounds[part] = {
+      severity: Math.min(1, current + severity),
+      source
+    };
+
+    console.log(`🩸 ${BODY_PARTS[part].name} wounded by ${source} (severity ${(this.wounds[part].severity * 100).toFixed(0)}%)`);
+  }
+
+  getSeverity(part) {
+    return this.wounds[part] ? this.wounds[part].severity : 0;
+  }
+
+  hasWounds() {
+    return Object.keys(this.wounds).length > 0;
+  }
+
+  /**
+   * Combined multiplier from every wounded part with the given effect
+   */
+  getMultiplier(effect) {
+    let multiplier = 1.0;
+    for (const [part, wound] of Object.entries(this.wounds)) {
+      const bodyPart = BODY_PARTS[part];
+      if (bodyPart.effect === effect) {
+        multiplier *= 1 - bodyPart.maxPenalty * wound.severity;
+      }
+    }
+    return multiplier;
+  }
+
+  /**
+   * Heal wounds over time; only resting lets wounds close
+   */
+  heal(deltaTime, isResting) {
+    if (!isResting) return;
+
+    for (const part of Object.keys(this.wounds)) {
+      this.wounds[part].severity -= this.restingHealRate * deltaTime;
+      if (this.wounds[part].severity <= 0) {
+        delete this.wounds[part];
+        console.log(`🩹 ${BODY_PARTS[part].name} wound healed`);
+      }
+    }
+  }
+
+  /**
+   * Wounds as a list for display
+   */
+  getWoundList() {
+    return Object.entries(this.wounds).map(([part, wound]) => ({
+      part,
+      name: BODY_PARTS[part].name,
+      icon: BODY_PARTS[part].icon,
+      severity: wound.severity,
+      source: wound.source
+    }));
+  }
+
+  toJSON() {
+    const wounds = {};
+    for (const [part, wound] of Object.entries(this.wounds)) {
+      wounds[part] = { ...wound };
+    }
+    return wounds;
+  }
+
+  load(data) {
+    this.wounds = {};
+    if (!data) return;
+
+    for (const [part, wound] of Object.entries(data)) {
+      if (BODY_PARTS[part] && wound.severity > 0) {
+        this.wounds[part] = { severity: Math.min(1, wound.severity), source: wound.source || 'unknown' };
+      }
+    }
+  }
+}
@@ -19,12 +19,22 @@ export class InputSystem {
       left_underwater: false,
       right_underwater: false,
       hunt: false,
+      bite: false,
+      dodge: false,
       Escape: false,
       scentTrail: false,
       tigerTrace: false,
       mateTrail: false,
       diving: false,
-      laserBreath: false
+      skillPanel: false,
+      grabCarcass: false,
+      sleep: false,
+      scentMark: false,
+      territoryMap: false,
+      ability1: false,
+      ability2: false,
+      ability3: false,
+      ability4: false
     };
     
     // Double-press detection for M key
@@ -167,14 +177,18 @@ export class InputSystem {
         break;
       case 'KeyQ':
         this.keys.left_underwater = true; // Q = rotate left underwater
+        this.keys.dodge = true; // Q = dodge on land
         break;
       case 'KeyE':
         this.keys.right_underwater = true; // E = rotate right underwater
         break;
       case 'KeyZ':
-        this.keys.hunt = true; // Z = hunt/attack
+        this.keys.hunt = true; // Z = swipe (pounce when running)
         console.log('🎯 Z key pressed - hunt = true');
         break;
+      case 'KeyV':
+        this.keys.bite = true; // V = bite, held to keep hold
+        break;
       case 'KeyM':
         this.handleMKeyPress();
         break;
@@ -186,9 +200,26 @@ export class InputSystem {
         this.keys.Escape = true; // Escape = menu
         console.log('🎮 Escape key pressed - menu toggle');
         break;
-      case 'KeyL':
-        this.keys.laserBreath = true; // L = laser breath (Alpha only)
-        console.log('🔴 L key pressed - laser breath = true');
+      case 'KeyK':
+        this.keys.skillPanel = true; // K = skill tree panel
+        break;
+      case 'KeyC':
+        this.keys.grabCarcass = true; // C = grab/drop carcass
+        break;
+      case 'KeyN':
+        this.keys.sleep = true; // N = sleep/wake
+        break;
+      case 'KeyX':
+        this.keys.scentMark = true; // X = scent-mark a tree
+        break;
+      case 'KeyO':
+        this.keys.territoryMap = true; // O = territory map
+        break;
+      case 'Digit1':
+      case 'Digit2':
+      case 'Digit3':
+      case 'Digit4':
+        this.keys[`ability${event.code.slice(-1)}`] = true; // 1-4 = ability bar slots
         break;
     }
     
@@ -274,14 +305,18 @@ export class InputSystem {
         break;
       case 'KeyQ':
         this.keys.left_underwater = false; // Q = rotate left underwater
+        this.keys.dodge = false; // Q = dodge on land
         break;
       case 'KeyE':
         this.keys.right_underwater = false; // E = rotate right underwater
         break;
       case 'KeyZ':
-        this.keys.hunt = false; // Z = hunt/attack
+        this.keys.hunt = false; // Z = swipe (pounce when running)
         console.log('🎯 Z key released - hunt = false');
         break;
+      case 'KeyV':
+        this.keys.bite = false; // V = bite, held to keep hold
+        break;
       case 'KeyM':
         this.keys.scentTrail = false; // M = prey scent trail
         this.keys.tigerTrace = false; // MM = tiger trace
@@ -295,9 +330,26 @@ export class InputSystem {
         this.keys.Escape = false; // Escape = menu
         console.log('🎮 Escape key released');
         break;
-      case 'KeyL':
-        this.keys.laserBreath = false; // L = laser breath (Alpha only)
-        console.log('🔴 L key released - laser breath = false');
+      case 'KeyK':
+        this.keys.skillPanel = false; // K = skill tree panel
+        break;
+      case 'KeyC':
+        this.keys.grabCarcass = false; // C = grab/drop carcass
+        break;
+      case 'KeyN':
+        this.keys.sleep = false; // N = sleep/wake
+        break;
+      case 'KeyX':
+        this.keys.scentMark = false; // X = scent-mark a tree
+        break;
+      case 'KeyO':
+        this.keys.territoryMap = false; // O = territory map
+        break;
+      case 'Digit1':
+      case 'Digit2':
+      case 'Digit3':
+      case 'Digit4':
+        this.keys[`ability${event.code.slice(-1)}`] = false; // 1-4 = ability bar slots
         break;
     }
     
@@ -416,12 +468,46 @@ export class InputSystem {
     return this.keys.hunt;
   }
 
+  isBiting() {
+    return this.keys.bite;
+  }
+
+  isDodging() {
+    return this.keys.dodge;
+  }
+
   isUsingTigerTrace() {
     return this.keys.tigerTrace;
   }
 
-  isUsingLaserBreath() {
-    return this.keys.laserBreath;
+  isTogglingSkillPanel() {
+    return this.keys.skillPanel;
+  }
+
+  isGrabbingCarcass() {
+    return this.keys.grabCarcass;
+  }
+
+  isTogglingSleep() {
+    return this.keys.sleep;
+  }
+
+  isScentMarking() {
+    return this.keys.scentMark;
+  }
+
+  isTogglingTerritoryMap() {
+    return this.keys.territoryMap;
+  }
+
+  /**
+   * Ability bar slot (0-3) whose key is held, or -1
+   */
+  getAbilitySlot() {
+    for (let slot = 0; slot < 4; slot++) {
+      if (this.keys[`ability${slot + 1}`]) return slot;
+    }
+    return -1;
   }
 
   isPointerLocked() {
@@ -507,8 +593,18 @@ export class InputSystem {
       forward_underwater: false,
       backward_underwater: false,
       hunt: false,
-      laserBreath: false,
-      scentTrail: false
+      bite: false,
+      dodge: false,
+      scentTrail: false,
+      skillPanel: false,
+      grabCarcass: false,
+      sleep: false,
+      scentMark: false,
+      territoryMap: false,
+      ability1: false,
+      ability2: false,
+      ability3: false,
+      ability4: false
     };
     this.physicalKeys.clear();
     this.resetVirtualMovement();
@@ -545,10 +641,20 @@ export class InputSystem {
       forward_underwater: this.physicalKeys.has('KeyG'),
       backward_underwater: this.physicalKeys.has('KeyB'),
       hunt: this.physicalKeys.has('KeyZ'),
+      bite: this.physicalKeys.has('KeyV'),
+      dodge: this.physicalKeys.has('KeyQ'),
       scentTrail: this.physicalKeys.has('KeyM'),
       mateTrail: this.physicalKeys.has('KeyU'),
       diving: this.physicalKeys.has('KeyR'),
-      laserBreath: this.physicalKeys.has('KeyL')
+      skillPanel: this.physicalKeys.has('KeyK'),
+      grabCarcass: this.physicalKeys.has('KeyC'),
+      sleep: this.physicalKeys.has('KeyN'),
+      scentMark: this.physicalKeys.has('KeyX'),
+      territoryMap: this.physicalKeys.has('KeyO'),
+      ability1: this.physicalKeys.has('Digit1'),
+      ability2: this.physicalKeys.has('Digit2'),
+      ability3: this.physicalKeys.has('Digit3'),
+      ability4: this.physicalKeys.has('Digit4')
     };
     
     let hasStuckKeys = false;
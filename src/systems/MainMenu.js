@@ -499,6 +499,7 @@ export class MainMenu {
         <p><strong>Evolution:</strong> ${this.saveInfo.evolutionStage}</p>
         <p><strong>Experience:</strong> ${this.saveInfo.experience}</p>
         <p><strong>Hunts:</strong> ${this.saveInfo.huntsSuccessful}</p>
+        ${this.saveInfo.generation > 1 ? `<p><strong>Bloodline:</strong> ${this.saveInfo.tigerName}, generation ${this.saveInfo.generation}</p>` : ''}
         <p><strong>Last Saved:</strong> ${this.saveInfo.lastSaved}</p>
         <p><strong>Play Time:</strong> ${this.formatTime(this.saveInfo.totalPlayTime)}</p>
       `;
@@ -42,6 +42,18 @@ export class MovementSystem {
     this.rotationInput = 0; // Current rotation input (-1 to 1)
     this.rotationSpeed = 3.0; // Rotation speed in radians per second
     this.minimumMovementThreshold = 0.01; // Prevent micro-movements
+
+    // Noise the tiger makes, which animals and ambushers hear (see AnimalSystem.getHearingStrength)
+    this.noiseLevels = {
+      idle: 0,
+      crouching: 0.15,
+      walking: 0.4,
+      running: 1.0,
+      jumping: 0.8, // Take-off and landing
+      splashing: 0.9 // Wading or swimming
+    };
+    this.surfaceNoise = { grass: 0.7, sand: 0.9, dirt: 1.0, rock: 1.4 }; // Loudness multiplier underfoot
+    this.noiseSource = 'idle';
   }
 
   setWaterSystem(waterSystem) {
@@ -82,6 +94,11 @@ export class MovementSystem {
     // This allows jumping in shallow water near shores
     this.isSwimming = isInWater && waterDepth > 1.5;
 
+    // Swimming leaves the tiger soaked for a while after leaving the water
+    if (this.isSwimming && this.tiger.applyStatusEffect) {
+      this.tiger.applyStatusEffect('soaked');
+    }
+
     // Log swimming state changes
     if (wasSwimming !== this.isSwimming) {
       console.log(`🏊 SWIMMING STATE: ${wasSwimming ? 'Swimming' : 'Land'} -> ${this.isSwimming ? 'Swimming' : 'Land'} (depth: ${waterDepth.toFixed(1)})`);
@@ -139,12 +156,27 @@ export class MovementSystem {
 
     // Apply movement modifiers
     if (this.isSwimming) {
-      speed *= this.swimSpeedMultiplier;
+      speed *= this.swimSpeedMultiplier * this.getSkillMultiplier('swimSpeed');
       // No running or crouching while swimming
     } else if (this.isRunning) {
-      speed *= this.runSpeedMultiplier;
+      speed *= this.runSpeedMultiplier * this.getSkillMultiplier('runSpeed');
     } else if (this.isCrouching) {
-      speed *= this.crouchSpeedMultiplier;
+      speed *= this.crouchSpeedMultiplier * this.getSkillMultiplier('crouchSpeed');
+    }
+
+    // Wounded legs slow every gait
+    if (this.tiger.getInjuryMultiplier) {
+      speed *= this.tiger.getInjuryMultiplier('speed');
+    }
+
+    // Status effects (exhausted, soaked, enraged, ...)
+    if (this.tiger.getStatusMultiplier) {
+      speed *= this.tiger.getStatusMultiplier('speed');
+    }
+
+    // Dragging a carcass
+    if (this.tiger.getCarryingSpeedMultiplier) {
+      speed *= this.tiger.getCarryingSpeedMultiplier();
     }
 
     // Reduce speed based on stamina (when stamina < 30%)
@@ -157,6 +189,11 @@ export class MovementSystem {
     return speed;
   }
 
+  getSkillMultiplier(effectName) {
+    // Tigers without a skill tree (e.g. test doubles) move at base rates
+    return this.tiger.getSkillMultiplier ? this.tiger.getSkillMultiplier(effectName) : 1.0;
+  }
+
   updateRotation(deltaTime) {
     // Tank controls - direct rotation based on A/D input
     if (Math.abs(this.rotationInput) > this.minimumMovementThreshold) {
@@ -414,12 +451,57 @@ export class MovementSystem {
     }
 
     this.tiger.setState(newState);
+    this.tiger.isMoving = this.isMoving;
+  }
+
+  /**
+   * Work out how much noise the tiger is making from what it is doing and
+   * the ground underfoot, and leave it on the tiger for listeners
+   */
+  updateNoise() {
+    const { x, z } = this.tiger.position;
+    const inWater = this.isSwimming || (this.waterSystem ? this.waterSystem.isInWater(x, z) : false);
+
+    if (inWater && (this.isMoving || this.isSwimming)) {
+      this.noiseSource = 'splashing';
+    } else if (!this.isGrounded) {
+      this.noiseSource = 'jumping';
+    } else if (!this.isMoving) {
+      this.noiseSource = 'idle';
+    } else if (this.isCrouching) {
+      this.noiseSource = 'crouching';
+    } else if (this.isRunning) {
+      this.noiseSource = 'running';
+    } else {
+      this.noiseSource = 'walking';
+    }
+
+    let noise = this.noiseLevels[this.noiseSource];
+    if (this.noiseSource !== 'splashing') {
+      noise *= this.getSurfaceNoise(x, z);
+    }
+    this.tiger.noise = noise;
+    return noise;
+  }
+
+  /**
+   * Loudness multiplier of the ground at a position - soft on grass, loud on rock
+   */
+  getSurfaceNoise(x, z) {
+    if (!this.terrain || !this.terrain.getTextureWeights) return 1;
+
+    const weights = this.terrain.getTextureWeights(x, z);
+    let multiplier = 0;
+    for (const [surface, weight] of Object.entries(weights)) {
+      multiplier += weight * (this.surfaceNoise[surface] ?? 1);
+    }
+    return multiplier;
   }
 
   consumeStamina(deltaTime) {
     // Only consume stamina when running and moving
     if (this.isRunning && this.isMoving) {
-      const staminaCost = 5; // Stamina per second when running
+      const staminaCost = 5 * this.getSkillMultiplier('runStaminaCost'); // Stamina per second when running
       this.tiger.consumeStamina(staminaCost * deltaTime);
     }
   }
@@ -454,9 +536,17 @@ export class MovementSystem {
     // Update position
     this.updatePosition(deltaTime);
 
+    // Track lifetime distance for the game-over stats
+    if (this.tiger.totalDistance !== undefined) {
+      this.tiger.totalDistance += Math.hypot(this.tiger.position.x - prevPosition.x, this.tiger.position.z - prevPosition.z);
+    }
+
     // Update tiger state
     this.updateTigerState();
 
+    // How loud that was
+    this.updateNoise();
+
     // Consume stamina if needed
     this.consumeStamina(deltaTime);
 
@@ -538,6 +628,9 @@ export class MovementSystem {
     this.isUnderwaterMode = false;
     this.isInsideLog = false;
     this.targetRotation = 0;
+    this.noiseSource = 'idle';
+    this.tiger.noise = 0;
+    this.tiger.isMoving = false;
     if (this.tiger && this.tiger.rotation) {
       this.tiger.rotation.y = 0;
     }
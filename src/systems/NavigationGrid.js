@@ -0,0 +1,297 @@
+import * as THREE from 'three';
+
+const DIAGONAL = Math.SQRT2;
+
+/**
+ * Binary min-heap of cell indices ordered by score, A*'s open set
+ */
+class OpenSet {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(index, score) {
+    const items = this.items;
+    items.push({ index, score });
+    let child = items.length - 1;
+    while (child > 0) {
+      const parent = (child - 1) >> 1;
+      if (items[parent].score <= items[child].score) break;
+      [items[parent], items[child]] = [items[child], items[parent]];
+      child = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let parent = 0;
+      for (;;) {
+        const left = parent * 2 + 1;
+        const right = left + 1;
+        let smallest = parent;
+        if (left < items.length && items[left].score < items[smallest].score) smallest = left;
+        if (right < items.length && items[right].score < items[smallest].score) smallest = right;
+        if (smallest === parent) break;
+        [items[parent], items[smallest]] = [items[smallest], items[parent]];
+        parent = smallest;
+      }
+    }
+    return top.index;
+  }
+}
+
+/**
+ * NavigationGrid - Where animals can walk, and routes around what they can't
+ *
+ * The world is split into square cells. A cell is blocked when its centre is
+ * under water or too steep to walk (Terrain.isWalkable); open cells cost more
+ * the steeper they are, so routes keep to level ground. findPath() runs A*
+ * over each cell's eight neighbours and straightens the result into as few
+ * waypoints as it can.
+ *
+ * AnimalSystem owns the grid and rebuilds it whenever the terrain or water
+ * changes.
+ */
+export class NavigationGrid {
+  constructor(terrain, waterSystem = null) {
+    this.terrain = terrain;
+    this.waterSystem = waterSystem;
+
+    this.cellSize = 8;
+    this.slopeCost = 4; // Extra cost of crossing a cell at slope 1 over flat ground
+    this.maxSearchNodes = 3000; // Cells A* may expand before giving up on a route
+    this.goalSearchRings = 4; // How far around a blocked goal to look for open ground
+
+    this.columns = 0;
+    this.blocked = null; // Per cell, 1 for water or cliffs
+    this.costs = null; // Per cell movement cost
+
+    this.rebuild();
+  }
+
+  /**
+   * Survey every cell again, after the terrain was regenerated or the water replaced
+   */
+  rebuild(waterSystem = this.waterSystem) {
+    this.waterSystem = waterSystem;
+    this.halfSize = this.terrain.width / 2;
+    this.columns = Math.max(1, Math.ceil(this.terrain.width / this.cellSize));
+
+    const count = this.columns * this.columns;
+    this.blocked = new Uint8Array(count);
+    this.costs = new Float32Array(count);
+
+    let blockedCount = 0;
+    for (let index = 0; index < count; index++) {
+      const { x, z } = this.getCellCenter(index);
+      const inWater = this.waterSystem ? this.waterSystem.isInWater(x, z) : false;
+      if (inWater || !this.terrain.isWalkable(x, z)) {
+        this.blocked[index] = 1;
+        blockedCount++;
+        continue;
+      }
+      this.costs[index] = 1 + this.terrain.getSlope(x, z) * this.slopeCost;
+    }
+
+    console.log(`🧭 NavigationGrid: ${this.columns}x${this.columns} cells, ${blockedCount} blocked by water or cliffs`);
+  }
+
+  /**
+   * @returns {number} Index of the cell holding a position, or -1 off the map
+   */
+  getCellIndex(x, z) {
+    const col = Math.floor((x + this.halfSize) / this.cellSize);
+    const row = Math.floor((z + this.halfSize) / this.cellSize);
+    if (col < 0 || row < 0 || col >= this.columns || row >= this.columns) return -1;
+    return row * this.columns + col;
+  }
+
+  getCellCenter(index) {
+    const col = index % this.columns;
+    const row = Math.floor(index / this.columns);
+    return {
+      x: -this.halfSize + (col + 0.5) * this.cellSize,
+      z: -this.halfSize + (row + 0.5) * this.cellSize
+    };
+  }
+
+  isWalkable(x, z) {
+    const index = this.getCellIndex(x, z);
+    return index >= 0 && !this.blocked[index];
+  }
+
+  /**
+   * Whether an animal can walk straight from one point to another
+   */
+  hasClearLine(from, to) {
+    const distance = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.ceil(distance / (this.cellSize / 2));
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      if (!this.isWalkable(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Nearest open cell to a blocked one, searching outward ring by ring
+   * @returns {number} Cell index, or -1 if there is none within goalSearchRings
+   */
+  findNearestOpenCell(index) {
+    const col = index % this.columns;
+    const row = Math.floor(index / this.columns);
+
+    for (let ring = 1; ring <= this.goalSearchRings; ring++) {
+      for (let dz = -ring; dz <= ring; dz++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue;
+          const c = col + dx;
+          const r = row + dz;
+          if (c < 0 || r < 0 || c >= this.columns || r >= this.columns) continue;
+          const candidate = r * this.columns + c;
+          if (!this.blocked[candidate]) return candidate;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * A* route between two points around water and cliffs. A blocked goal is
+   * swapped for the nearest open ground; the start may be blocked, so an
+   * animal that strayed into water can find its way out.
+   * @returns {THREE.Vector3[]|null} Waypoints ending at the goal, or null if there is no route
+   */
+  findPath(from, to) {
+    const start = this.getCellIndex(from.x, from.z);
+    let goal = this.getCellIndex(to.x, to.z);
+    if (start < 0 || goal < 0) return null;
+
+    const goalOpen = !this.blocked[goal];
+    if (!goalOpen) {
+      goal = this.findNearestOpenCell(goal);
+      if (goal < 0) return null;
+    }
+
+    const cells = start === goal ? [goal] : this.search(start, goal);
+    if (!cells) return null;
+
+    const points = cells.map(index => this.getCellCenter(index));
+    if (goalOpen) {
+      points[points.length - 1] = { x: to.x, z: to.z };
+    }
+    return this.straighten(from, points).map(point => new THREE.Vector3(point.x, 0, point.z));
+  }
+
+  /**
+   * @returns {number[]|null} Cell indices from the one after start to goal
+   */
+  search(start, goal) {
+    const columns = this.columns;
+    const goalCol = goal % columns;
+    const goalRow = Math.floor(goal / columns);
+    const heuristic = (index) => {
+      const dx = Math.abs(index % columns - goalCol);
+      const dz = Math.abs(Math.floor(index / columns) - goalRow);
+      return Math.max(dx, dz) + (DIAGONAL - 1) * Math.min(dx, dz);
+    };
+
+    const costSoFar = new Map([[start, 0]]);
+    const cameFrom = new Map();
+    const closed = new Set();
+    const open = new OpenSet();
+    open.push(start, heuristic(start));
+
+    while (open.size > 0 && closed.size < this.maxSearchNodes) {
+      const current = open.pop();
+      if (current === goal) break;
+      if (closed.has(current)) continue;
+      closed.add(current);
+
+      const col = current % columns;
+      const row = Math.floor(current / columns);
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dz === 0) continue;
+          const c = col + dx;
+          const r = row + dz;
+          if (c < 0 || r < 0 || c >= columns || r >= columns) continue;
+          const next = r * columns + c;
+          if (this.blocked[next] || closed.has(next)) continue;
+          // No cutting the corner of a blocked cell
+          if (dx !== 0 && dz !== 0 && (this.blocked[row * columns + c] || this.blocked[r * columns + col])) continue;
+
+          const stepCost = (dx !== 0 && dz !== 0 ? DIAGONAL : 1) *
+            ((this.costs[current] || 1) + this.costs[next]) / 2;
+          const cost = costSoFar.get(current) + stepCost;
+          if (cost < (costSoFar.get(next) ?? Infinity)) {
+            costSoFar.set(next, cost);
+            cameFrom.set(next, current);
+            open.push(next, cost + heuristic(next));
+          }
+        }
+      }
+    }
+
+    if (!cameFrom.has(goal)) return null;
+
+    const cells = [];
+    for (let index = goal; index !== start; index = cameFrom.get(index)) {
+      cells.push(index);
+    }
+    return cells.reverse();
+  }
+
+  /**
+   * Drop every waypoint that can be skipped by walking straight past it
+   */
+  straighten(from, points) {
+    const waypoints = [];
+    let anchor = from;
+    let i = 0;
+    while (i < points.length) {
+      let furthest = i;
+      for (let j = points.length - 1; j > i; j--) {
+        if (this.hasClearLine(anchor, points[j])) {
+          furthest = j;
+          break;
+        }
+      }
+      waypoints.push(points[furthest]);
+      anchor = points[furthest];
+      i = furthest + 1;
+    }
+    return waypoints;
+  }
+
+  /**
+   * Somewhere open to run to, as close to the preferred direction as the
+   * ground allows - turning up to a right angle either way for a straight run,
+   * otherwise open ground dead ahead that a route can reach
+   * @returns {THREE.Vector3|null}
+   */
+  findEscapePoint(from, direction, distance) {
+    const up = new THREE.Vector3(0, 1, 0);
+    const offsets = [0, Math.PI / 6, -Math.PI / 6, Math.PI / 3, -Math.PI / 3, Math.PI / 2, -Math.PI / 2];
+
+    let fallback = null;
+    for (const offset of offsets) {
+      const heading = direction.clone().applyAxisAngle(up, offset);
+      const point = new THREE.Vector3(from.x + heading.x * distance, 0, from.z + heading.z * distance);
+      if (!this.isWalkable(point.x, point.z)) continue;
+      if (this.hasClearLine(from, point)) return point;
+      fallback = fallback || point;
+    }
+    return fallback;
+  }
+}
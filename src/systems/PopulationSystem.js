@@ -0,0 +1,326 @@
+/**
+ * PopulationSystem - Wildlife that breeds, ages and dies, region by region
+ *
+ * The world is split into square regions. Each region's carrying capacity
+ * comes from its grass patches and whether water is within reach; prey breed
+ * toward it and leopards toward a share of the prey living there. Animals age
+ * a day every dayLength seconds of world time, die of old age, and starve off
+ * when a region holds more than it can feed. A region hunted empty only
+ * refills once nothing has been killed there for recolonizeDelay days, as
+ * animals wander in from neighbouring regions.
+ *
+ * AnimalSystem owns this model and carries out the births, deaths and
+ * arrivals it asks for.
+ */
+export class PopulationSystem {
+  constructor(terrain, waterSystem = null, vegetationSystem = null) {
+    this.terrain = terrain;
+    this.waterSystem = waterSystem;
+    this.vegetationSystem = vegetationSystem;
+
+    // In-game time
+    this.dayLength = 300; // Seconds of world time in an in-game day
+    this.day = 0; // Days since the population started, fractional
+
+    // Regions and what they can feed
+    this.regionSize = 128;
+    this.preyPerGrassPatch = 0.25; // Prey each grass patch can feed
+    this.defaultForage = 4; // Prey a region feeds when there is no vegetation data
+    this.maxRegionCapacity = 8;
+    this.waterReach = 60; // A region with a water edge this close to any sample point is watered
+    this.dryRegionFactor = 0.5; // Capacity multiplier for regions without water
+    this.starvationRate = 0.5; // Share of a region's surplus that dies off per day
+    this.recolonizeDelay = 2; // Days without a kill before a depleted region takes in newcomers
+    this.arrivalRate = 0.5; // Groups wandering into an understocked region per day
+    this.regions = [];
+
+    // Life history per species - ages in days, birth rates per adult per day
+    this.species = {
+      deer: { lifespan: 20, adultAge: 2, birthRate: 0.3 },
+      rabbit: { lifespan: 8, adultAge: 0.5, birthRate: 0.8 },
+      boar: { lifespan: 16, adultAge: 2, birthRate: 0.25 },
+      buffalo: { lifespan: 25, adultAge: 3, birthRate: 0.15 },
+      sambar: { lifespan: 22, adultAge: 2, birthRate: 0.25 },
+      langur: { lifespan: 15, adultAge: 1, birthRate: 0.35 },
+      peafowl: { lifespan: 10, adultAge: 1, birthRate: 0.5 },
+      leopard: { lifespan: 30, adultAge: 4, birthRate: 0.1, predator: true, preyPerPredator: 6 }
+    };
+
+    this.countedDeaths = new WeakSet(); // Dead animals already recorded against a region
+
+    this.createRegions();
+  }
+
+  createRegions() {
+    const halfSize = this.terrain.width / 2;
+    const count = Math.max(1, Math.ceil(this.terrain.width / this.regionSize));
+
+    this.regions = [];
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) {
+        const minX = -halfSize + col * this.regionSize;
+        const minZ = -halfSize + row * this.regionSize;
+        this.regions.push({
+          col,
+          row,
+          minX,
+          minZ,
+          centerX: minX + this.regionSize / 2,
+          centerZ: minZ + this.regionSize / 2,
+          capacity: 0,
+          watered: false,
+          grassPatches: 0,
+          lastKillDay: -Infinity,
+          kills: 0, // Animals killed here, by the player or predators
+          births: {}, // Progress toward the next birth, per species
+          arrivalProgress: 0,
+          predatorArrivals: {}, // Progress toward the next predator wandering in, per species
+          starvationProgress: 0
+        });
+      }
+    }
+    this.regionColumns = count;
+    this.computeCapacities();
+  }
+
+  /**
+   * Work out how many prey each region can feed from its grass and water
+   */
+  computeCapacities() {
+    const patches = this.vegetationSystem ? this.vegetationSystem.grassPatches || [] : null;
+
+    for (const region of this.regions) {
+      region.grassPatches = patches ?
+        patches.filter(patch => this.getRegion(patch.position.x, patch.position.z) === region).length : 0;
+      region.watered = this.hasWater(region);
+
+      const forage = patches ? region.grassPatches * this.preyPerGrassPatch : this.defaultForage;
+      const capacity = Math.min(this.maxRegionCapacity, forage) * (region.watered ? 1 : this.dryRegionFactor);
+      region.capacity = Math.round(capacity);
+    }
+  }
+
+  hasWater(region) {
+    if (!this.waterSystem) return true;
+
+    for (const fx of [0.25, 0.5, 0.75]) {
+      for (const fz of [0.25, 0.5, 0.75]) {
+        const x = region.minX + fx * this.regionSize;
+        const z = region.minZ + fz * this.regionSize;
+        if (this.waterSystem.getDistanceToWaterEdge(x, z) < this.waterReach) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  getRegion(x, z) {
+    const halfSize = this.terrain.width / 2;
+    const col = Math.floor((x + halfSize) / this.regionSize);
+    const row = Math.floor((z + halfSize) / this.regionSize);
+    if (col < 0 || row < 0 || col >= this.regionColumns || row >= this.regionColumns) return null;
+    return this.regions[row * this.regionColumns + col];
+  }
+
+  getNeighbours(region) {
+    return this.regions.filter(other => other !== region &&
+      Math.abs(other.col - region.col) <= 1 && Math.abs(other.row - region.row) <= 1);
+  }
+
+  /**
+   * A random age for an adult joining the population from outside
+   */
+  getRandomAdultAge(type) {
+    const species = this.species[type];
+    if (!species) return 0;
+    return species.adultAge + Math.random() * (species.lifespan - species.adultAge) * 0.6;
+  }
+
+  isPrey(type) {
+    return this.species[type] && !this.species[type].predator;
+  }
+
+  /**
+   * Living members of each tracked species, grouped by region
+   * @returns {Map} region -> { type: [animals] }
+   */
+  census(animals) {
+    const byRegion = new Map(this.regions.map(region => [region, {}]));
+    for (const animal of animals) {
+      if (!animal.isAlive() || !this.species[animal.type]) continue;
+      const region = this.getRegion(animal.position.x, animal.position.z);
+      if (!region) continue;
+      const counts = byRegion.get(region);
+      (counts[animal.type] = counts[animal.type] || []).push(animal);
+    }
+    return byRegion;
+  }
+
+  /**
+   * Count a death against the region it happened in; kills keep newcomers away
+   * @param {string} cause - 'killed', 'age' or 'starved'
+   */
+  recordDeath(animal, cause = 'killed') {
+    if (this.countedDeaths.has(animal)) return;
+    this.countedDeaths.add(animal);
+
+    const region = this.getRegion(animal.position.x, animal.position.z);
+    if (!region || cause !== 'killed') return;
+    region.kills++;
+    region.lastKillDay = this.day;
+  }
+
+  /**
+   * Age the animals and work out what happens to the population over elapsed seconds
+   * @returns {Object} { births: [{ parent }], deaths: [{ animal, cause }], arrivals: [{ type, region, from }] }
+   */
+  update(elapsed, animals) {
+    const days = elapsed / this.dayLength;
+    this.day += days;
+
+    const events = { births: [], deaths: [], arrivals: [] };
+
+    for (const animal of animals) {
+      if (!this.species[animal.type]) continue;
+      if (!animal.isAlive()) {
+        this.recordDeath(animal);
+        continue;
+      }
+      animal.age += days;
+      if (animal.age >= this.species[animal.type].lifespan) {
+        events.deaths.push({ animal, cause: 'age' });
+      }
+    }
+
+    const census = this.census(animals);
+    for (const region of this.regions) {
+      this.updateRegion(region, census, days, events);
+    }
+
+    return events;
+  }
+
+  updateRegion(region, census, days, events) {
+    const counts = census.get(region);
+    const prey = Object.keys(counts).filter(type => this.isPrey(type))
+      .reduce((total, type) => total + counts[type].length, 0);
+
+    // Births - logistic growth toward the region's capacity
+    for (const [type, members] of Object.entries(counts)) {
+      const species = this.species[type];
+      const capacity = species.predator ? Math.floor(prey / species.preyPerPredator) : region.capacity;
+      const population = species.predator ? members.length : prey;
+      const adults = members.filter(animal => animal.age >= species.adultAge);
+      if (adults.length === 0 || population >= capacity) continue;
+
+      region.births[type] = (region.births[type] || 0) +
+        species.birthRate * adults.length * (1 - population / capacity) * days;
+      while (region.births[type] >= 1) {
+        region.births[type] -= 1;
+        events.births.push({ parent: adults[Math.floor(Math.random() * adults.length)] });
+      }
+    }
+
+    // Starvation - a region holding more prey than it can feed loses the surplus
+    if (prey > region.capacity) {
+      region.starvationProgress += (prey - region.capacity) * this.starvationRate * days;
+      const hungry = Object.keys(counts).filter(type => this.isPrey(type))
+        .flatMap(type => counts[type])
+        .sort((a, b) => b.age - a.age);
+      while (region.starvationProgress >= 1 && hungry.length > 0) {
+        region.starvationProgress -= 1;
+        events.deaths.push({ animal: hungry.shift(), cause: 'starved' });
+      }
+    } else {
+      region.starvationProgress = 0;
+    }
+
+    // Arrivals - predators follow the prey, and understocked ground left in
+    // peace is found by neighbouring animals
+    for (const [type, species] of Object.entries(this.species)) {
+      if (!species.predator || counts[type] || prey < species.preyPerPredator) continue;
+      region.predatorArrivals[type] = (region.predatorArrivals[type] || 0) + species.birthRate * days;
+      if (region.predatorArrivals[type] >= 1) {
+        region.predatorArrivals[type] -= 1;
+        events.arrivals.push({ type, region, from: null });
+      }
+    }
+
+    if (prey >= region.capacity / 2 || this.day - region.lastKillDay < this.recolonizeDelay) {
+      region.arrivalProgress = 0;
+      return;
+    }
+    region.arrivalProgress += this.arrivalRate * days;
+    if (region.arrivalProgress < 1) return;
+    region.arrivalProgress -= 1;
+
+    const sources = this.getNeighbours(region).flatMap(neighbour =>
+      Object.keys(census.get(neighbour)).filter(type => this.isPrey(type)).map(type => ({ type, from: neighbour })));
+    const source = sources.length > 0 ?
+      sources[Math.floor(Math.random() * sources.length)] : { type: 'deer', from: null };
+    events.arrivals.push({ type: source.type, region, from: source.from });
+  }
+
+  /**
+   * Totals and per-region numbers for the debug ecology view
+   */
+  getReport(animals) {
+    const census = this.census(animals);
+    const totals = {};
+    const regions = this.regions.map(region => {
+      const counts = census.get(region);
+      const populations = {};
+      for (const [type, members] of Object.entries(counts)) {
+        populations[type] = members.length;
+        totals[type] = (totals[type] || 0) + members.length;
+      }
+      const prey = Object.keys(populations).filter(type => this.isPrey(type))
+        .reduce((total, type) => total + populations[type], 0);
+      return {
+        minX: region.minX,
+        minZ: region.minZ,
+        size: this.regionSize,
+        capacity: region.capacity,
+        watered: region.watered,
+        prey,
+        populations,
+        kills: region.kills,
+        depleted: prey === 0 && this.day - region.lastKillDay < this.recolonizeDelay
+      };
+    });
+
+    return { day: this.day, totals, regions };
+  }
+
+  reset() {
+    this.day = 0;
+    this.countedDeaths = new WeakSet();
+    this.createRegions();
+  }
+
+  toJSON() {
+    return {
+      day: this.day,
+      regions: this.regions.map(region => ({
+        kills: region.kills,
+        lastKillDay: Number.isFinite(region.lastKillDay) ? region.lastKillDay : null,
+        births: { ...region.births }
+      }))
+    };
+  }
+
+  load(data) {
+    this.reset();
+    if (!data) return;
+
+    this.day = data.day || 0;
+    (data.regions || []).forEach((saved, index) => {
+      const region = this.regions[index];
+      if (!region) return;
+      region.kills = saved.kills || 0;
+      region.lastKillDay = saved.lastKillDay ?? -Infinity;
+      region.births = { ...saved.births };
+    });
+  }
+}
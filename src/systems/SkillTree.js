@@ -0,0 +1,222 @@
+/**
+ * Skill branch definitions
+ * Each skill grants its effects once per rank. Multiplier effects are summed
+ * as fractions (0.1 = +10%), flat effects (maxStamina, maxHealth) are added.
+ */
+export const SKILL_BRANCHES = {
+  stealth: {
+    name: 'Stealth',
+    icon: '🌿',
+    skills: [
+      {
+        id: 'softPaws',
+        name: 'Soft Paws',
+        description: 'Animals detect you from 8% closer per rank',
+        maxRank: 3,
+        effects: { detectionRadius: -0.08 }
+      },
+      {
+        id: 'lowProfile',
+        name: 'Low Profile',
+        description: '+15% crouching speed per rank',
+        maxRank: 2,
+        requires: 'softPaws',
+        effects: { crouchSpeed: 0.15 }
+      },
+      {
+        id: 'ambushInstinct',
+        name: 'Ambush Instinct',
+        description: '+25% damage on crouching attacks',
+        maxRank: 1,
+        requires: 'lowProfile',
+        effects: { stealthAttackDamage: 0.25 }
+      }
+    ]
+  },
+  endurance: {
+    name: 'Endurance',
+    icon: '💨',
+    skills: [
+      {
+        id: 'deepLungs',
+        name: 'Deep Lungs',
+        description: '+20 max stamina per rank',
+        maxRank: 3,
+        effects: { maxStamina: 20 }
+      },
+      {
+        id: 'steadyPace',
+        name: 'Steady Pace',
+        description: 'Running costs 15% less stamina per rank',
+        maxRank: 2,
+        requires: 'deepLungs',
+        effects: { runStaminaCost: -0.15 }
+      },
+      {
+        id: 'thickHide',
+        name: 'Thick Hide',
+        description: '+15 max health per rank',
+        maxRank: 3,
+        requires: 'steadyPace',
+        effects: { maxHealth: 15 }
+      }
+    ]
+  },
+  power: {
+    name: 'Power',
+    icon: '💪',
+    skills: [
+      {
+        id: 'strongJaws',
+        name: 'Strong Jaws',
+        description: '+10% attack damage per rank',
+        maxRank: 3,
+        effects: { attackDamage: 0.1 }
+      },
+      {
+        id: 'chargingStrike',
+        name: 'Charging Strike',
+        description: '+15% damage on running attacks per rank',
+        maxRank: 2,
+        requires: 'strongJaws',
+        effects: { runningAttackDamage: 0.15 }
+      },
+      {
+        id: 'powerfulStride',
+        name: 'Powerful Stride',
+        description: '+8% running speed per rank',
+        maxRank: 2,
+        requires: 'chargingStrike',
+        effects: { runSpeed: 0.08 }
+      }
+    ]
+  },
+  swimming: {
+    name: 'Swimming',
+    icon: '🌊',
+    skills: [
+      {
+        id: 'strongStrokes',
+        name: 'Strong Strokes',
+        description: '+12% swimming speed per rank',
+        maxRank: 3,
+        effects: { swimSpeed: 0.12 }
+      },
+      {
+        id: 'waterStalker',
+        name: 'Water Stalker',
+        description: 'Animals detect you 20% closer while swimming per rank',
+        maxRank: 2,
+        requires: 'strongStrokes',
+        effects: { swimDetectionRadius: -0.2 }
+      }
+    ]
+  }
+};
+
+/**
+ * SkillTree - Tracks skill points and unlocked skill ranks for the tiger
+ */
+export class SkillTree {
+  constructor() {
+    this.skillPoints = 0;
+    this.ranks = {}; // skillId -> rank
+  }
+
+  /**
+   * Find a skill definition by id
+   */
+  getSkill(skillId) {
+    for (const branch of Object.values(SKILL_BRANCHES)) {
+      const skill = branch.skills.find(s => s.id === skillId);
+      if (skill) return skill;
+    }
+    return null;
+  }
+
+  /**
+   * Get the current rank of a skill (0 when locked)
+   */
+  getRank(skillId) {
+    return this.ranks[skillId] || 0;
+  }
+
+  addSkillPoints(amount) {
+    this.skillPoints += amount;
+  }
+
+  /**
+   * Check whether a skill can gain another rank right now
+   */
+  canUnlock(skillId) {
+    const skill = this.getSkill(skillId);
+    if (!skill || this.skillPoints <= 0) return false;
+    if (this.getRank(skillId) >= skill.maxRank) return false;
+    if (skill.requires && this.getRank(skill.requires) === 0) return false;
+    return true;
+  }
+
+  /**
+   * Spend a skill point on a skill
+   * @returns {Object|null} The skill definition if unlocked, otherwise null
+   */
+  unlock(skillId) {
+    if (!this.canUnlock(skillId)) {
+      return null;
+    }
+
+    const skill = this.getSkill(skillId);
+    this.ranks[skillId] = this.getRank(skillId) + 1;
+    this.skillPoints--;
+
+    console.log(`🌟 Skill unlocked: ${skill.name} (rank ${this.ranks[skillId]}/${skill.maxRank}), ${this.skillPoints} points left`);
+    return skill;
+  }
+
+  /**
+   * Sum of an effect across all unlocked ranks
+   */
+  getEffect(effectName) {
+    let total = 0;
+    for (const [skillId, rank] of Object.entries(this.ranks)) {
+      const skill = this.getSkill(skillId);
+      if (skill && skill.effects[effectName] !== undefined) {
+        total += skill.effects[effectName] * rank;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Effect expressed as a multiplier (e.g. 0.2 -> 1.2)
+   */
+  getMultiplier(effectName) {
+    return Math.max(0.1, 1 + this.getEffect(effectName));
+  }
+
+  /**
+   * Serialize for saving
+   */
+  toJSON() {
+    return {
+      skillPoints: this.skillPoints,
+      ranks: { ...this.ranks }
+    };
+  }
+
+  /**
+   * Restore from saved data, ignoring unknown skills
+   */
+  load(data) {
+    if (!data) return;
+
+    this.skillPoints = data.skillPoints || 0;
+    this.ranks = {};
+    for (const [skillId, rank] of Object.entries(data.ranks || {})) {
+      const skill = this.getSkill(skillId);
+      if (skill) {
+        this.ranks[skillId] = Math.min(skill.maxRank, rank);
+      }
+    }
+  }
+}
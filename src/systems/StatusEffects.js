@@ -0,0 +1,250 @@
+/**
+ * Status effect definitions
+ *
+ * stacking: 'refresh' resets the duration, 'stack' adds a stack (up to
+ * maxStacks) and resets the duration, 'extend' adds to the remaining duration.
+ * modifiers are multipliers read through StatusEffects.getMultiplier(); for
+ * stacking effects each stack adds the modifier's difference from 1 again.
+ * Hooks receive (target, effect) where effect holds stacks, remaining and source.
+ * Effects marked persistent: false are not written to save files.
+ */
+export const STATUS_EFFECTS = {
+  bleeding: {
+    name: 'Bleeding',
+    icon: '🩸',
+    duration: 20,
+    stacking: 'stack',
+    maxStacks: 5,
+    tickInterval: 1.0,
+    onTick: (target, effect) => target.takeDamage(1.5 * effect.stacks, null, 'bleeding')
+  },
+  exhausted: {
+    name: 'Exhausted',
+    icon: '😮‍💨',
+    duration: 8,
+    stacking: 'refresh',
+    modifiers: { speed: 0.7, staminaRegen: 0.5 }
+  },
+  soaked: {
+    name: 'Soaked',
+    icon: '💦',
+    duration: 15,
+    stacking: 'refresh',
+    modifiers: { thirstDecay: 0.3, speed: 0.9 }
+  },
+  poisoned: {
+    name: 'Poisoned',
+    icon: '🤢',
+    duration: 20,
+    stacking: 'stack',
+    maxStacks: 3,
+    tickInterval: 1.0,
+    modifiers: { staminaRegen: 0.5 },
+    onTick: (target, effect) => target.takeDamage(1 * effect.stacks, null, 'poison')
+  },
+  wellFed: {
+    name: 'Well-fed',
+    icon: '🍖',
+    duration: 60,
+    stacking: 'refresh',
+    modifiers: { healthRegen: 2.0, staminaRegen: 1.25 }
+  },
+  enraged: {
+    name: 'Enraged',
+    icon: '😡',
+    duration: 12,
+    stacking: 'refresh',
+    modifiers: { attackDamage: 1.3, speed: 1.15, stealth: 0.5 }
+  },
+  dehydrated: {
+    name: 'Dehydrated',
+    icon: '🏜️',
+    duration: 1,
+    stacking: 'refresh',
+    tickInterval: 0.5,
+    onTick: (target) => target.takeDamage(1, null, 'dehydration')
+  },
+  starving: {
+    name: 'Starving',
+    icon: '🦴',
+    duration: 1,
+    stacking: 'refresh',
+    tickInterval: 0.5,
+    modifiers: { staminaRegen: 0.5 },
+    onTick: (target) => target.takeDamage(0.75, null, 'starvation')
+  },
+  cloaked: {
+    name: 'Cloaked',
+    icon: '👻',
+    duration: 10,
+    stacking: 'refresh',
+    modifiers: { stealth: 1.8, speed: 0.85 }
+  },
+  grabbed: {
+    name: 'Grabbed',
+    icon: '🐊',
+    duration: Infinity,
+    stacking: 'refresh',
+    persistent: false,
+    modifiers: { speed: 0 }
+  }
+};
+
+/**
+ * StatusEffects - Active effects on one tiger or animal
+ */
+export class StatusEffects {
+  constructor(target) {
+    this.target = target;
+    this.effects = new Map(); // id -> { id, stacks, remaining, tickTimer, source }
+  }
+
+  /**
+   * Apply (or re-apply) an effect
+   * @param {string} id - Key in STATUS_EFFECTS
+   * @param {Object} options - Optional duration, stacks and source
+   */
+  apply(id, options = {}) {
+    const definition = STATUS_EFFECTS[id];
+    if (!definition) {
+      console.warn(`⚠️ Unknown status effect: ${id}`);
+      return null;
+    }
+
+    const duration = options.duration !== undefined ? options.duration : definition.duration;
+    const existing = this.effects.get(id);
+
+    if (existing) {
+      switch (definition.stacking) {
+        case 'stack':
+          existing.stacks = Math.min(definition.maxStacks || 1, existing.stacks + (options.stacks || 1));
+          existing.remaining = Math.max(existing.remaining, duration);
+          break;
+        case 'extend':
+          existing.remaining += duration;
+          break;
+        default:
+          existing.remaining = Math.max(existing.remaining, duration);
+      }
+      if (options.source) existing.source = options.source;
+      return existing;
+    }
+
+    const effect = {
+      id,
+      stacks: Math.min(definition.maxStacks || 1, options.stacks || 1),
+      remaining: duration,
+      tickTimer: 0,
+      source: options.source || null
+    };
+    this.effects.set(id, effect);
+
+    if (definition.onApply) {
+      definition.onApply(this.target, effect);
+    }
+    return effect;
+  }
+
+  remove(id) {
+    const effect = this.effects.get(id);
+    if (!effect) return false;
+
+    this.effects.delete(id);
+    const definition = STATUS_EFFECTS[id];
+    if (definition.onExpire) {
+      definition.onExpire(this.target, effect);
+    }
+    return true;
+  }
+
+  has(id) {
+    return this.effects.has(id);
+  }
+
+  getStacks(id) {
+    const effect = this.effects.get(id);
+    return effect ? effect.stacks : 0;
+  }
+
+  /**
+   * Tick effects and expire finished ones
+   */
+  update(deltaTime) {
+    for (const effect of [...this.effects.values()]) {
+      const definition = STATUS_EFFECTS[effect.id];
+
+      if (definition.onTick && definition.tickInterval) {
+        effect.tickTimer += deltaTime;
+        while (effect.tickTimer >= definition.tickInterval) {
+          effect.tickTimer -= definition.tickInterval;
+          definition.onTick(this.target, effect);
+        }
+      }
+
+      effect.remaining -= deltaTime;
+      if (effect.remaining <= 0) {
+        this.remove(effect.id);
+      }
+    }
+  }
+
+  /**
+   * Combined multiplier of all active effects for a modifier name
+   */
+  getMultiplier(name) {
+    let multiplier = 1.0;
+    for (const effect of this.effects.values()) {
+      const modifiers = STATUS_EFFECTS[effect.id].modifiers;
+      if (modifiers && modifiers[name] !== undefined) {
+        multiplier *= 1 + (modifiers[name] - 1) * effect.stacks;
+      }
+    }
+    return Math.max(0, multiplier);
+  }
+
+  /**
+   * Active effects with display info, for the HUD
+   */
+  getActiveEffects() {
+    return [...this.effects.values()].map(effect => ({
+      id: effect.id,
+      name: STATUS_EFFECTS[effect.id].name,
+      icon: STATUS_EFFECTS[effect.id].icon,
+      stacks: effect.stacks,
+      remaining: effect.remaining
+    }));
+  }
+
+  clear() {
+    this.effects.clear();
+  }
+
+  toJSON() {
+    const saved = {};
+    for (const effect of this.effects.values()) {
+      if (STATUS_EFFECTS[effect.id].persistent === false) continue;
+      saved[effect.id] = {
+        stacks: effect.stacks,
+        remaining: effect.remaining,
+        source: effect.source
+      };
+    }
+    return saved;
+  }
+
+  load(data) {
+    this.effects.clear();
+    if (!data) return;
+
+    for (const [id, saved] of Object.entries(data)) {
+      if (!STATUS_EFFECTS[id]) continue;
+      this.effects.set(id, {
+        id,
+        stacks: saved.stacks || 1,
+        remaining: saved.remaining,
+        tickTimer: 0,
+        source: saved.source || null
+      });
+    }
+  }
+}
@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+
+/**
+ * TerritorySystem - Scent marks the tiger leaves on trees to claim ground
+ *
+ * A mark starts at full strength and fades over markDuration seconds unless
+ * the tiger marks the same tree again. Territory strength at a point is the
+ * sum of the marks around it, falling off with distance: ground above
+ * claimThreshold belongs to the tiger, and prey avoid ground above
+ * heavyThreshold.
+ */
+export class TerritorySystem {
+  constructor(scene, vegetationSystem = null) {
+    this.scene = scene;
+    this.vegetationSystem = vegetationSystem;
+
+    this.marks = []; // { x, z, strength, mesh }
+    this.markRange = 10; // How close the tiger must be to a tree to mark it
+    this.markRadius = 40; // Ground claimed around each mark
+    this.markDuration = 600; // Seconds for a fresh mark to fade away
+    this.markStaminaCost = 5;
+    this.claimThreshold = 0.5; // Strength that counts as the tiger's territory
+    this.heavyThreshold = 1.5; // Strength that prey stay away from
+
+    // Scent rings at the foot of marked trees
+    this.markGroup = new THREE.Group();
+    this.markGeometry = new THREE.RingGeometry(5, 6, 24);
+    this.markGeometry.rotateX(-Math.PI / 2);
+    this.markMaterial = new THREE.MeshBasicMaterial({
+      color: 0xFF8C00,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    if (this.scene) {
+      this.scene.add(this.markGroup);
+    }
+
+    console.log('🌳 TerritorySystem: Initialized');
+  }
+
+  /**
+   * Scent-mark the nearest tree, or refresh the mark already on it
+   * @returns {Object|null} The mark, or null if no tree is close enough
+   */
+  markTree(tiger) {
+    const tree = this.vegetationSystem ?
+      this.vegetationSystem.getNearestTree(tiger.position.x, tiger.position.z, this.markRange) : null;
+    if (!tree) {
+      console.log('🌳 No tree close enough to mark');
+      return null;
+    }
+
+    tiger.consumeStamina(this.markStaminaCost);
+
+    const existing = this.marks.find(mark =>
+      Math.abs(mark.x - tree.position.x) < 0.01 && Math.abs(mark.z - tree.position.z) < 0.01);
+    if (existing) {
+      existing.strength = 1;
+      console.log(`🌳 Refreshed scent mark at (${existing.x.toFixed(0)}, ${existing.z.toFixed(0)})`);
+      return existing;
+    }
+
+    const mark = this.addMark(tree.position.x, tree.position.z, 1, tree.position.y);
+    console.log(`🌳 Scent-marked a tree at (${mark.x.toFixed(0)}, ${mark.z.toFixed(0)}) - ${this.marks.length} marks`);
+    return mark;
+  }
+
+  addMark(x, z, strength, y = 0) {
+    const mesh = new THREE.Mesh(this.markGeometry, this.markMaterial.clone());
+    mesh.position.set(x, y + 0.2, z);
+    this.markGroup.add(mesh);
+
+    const mark = { x, z, strength, mesh };
+    this.marks.push(mark);
+    this.updateMarkMesh(mark);
+    return mark;
+  }
+
+  removeMark(mark) {
+    this.markGroup.remove(mark.mesh);
+    mark.mesh.material.dispose();
+    this.marks.splice(this.marks.indexOf(mark), 1);
+  }
+
+  updateMarkMesh(mark) {
+    mark.mesh.material.opacity = 0.6 * mark.strength;
+  }
+
+  update(deltaTime) {
+    for (const mark of [...this.marks]) {
+      mark.strength -= deltaTime / this.markDuration;
+      if (mark.strength <= 0) {
+        this.removeMark(mark);
+      } else {
+        this.updateMarkMesh(mark);
+      }
+    }
+  }
+
+  /**
+   * Combined scent strength at a position (0 when no marks are near)
+   */
+  getStrengthAt(x, z) {
+    let strength = 0;
+    for (const mark of this.marks) {
+      const dx = mark.x - x;
+      const dz = mark.z - z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance < this.markRadius) {
+        strength += mark.strength * (1 - distance / this.markRadius);
+      }
+    }
+    return strength;
+  }
+
+  isInTerritory(x, z) {
+    return this.getStrengthAt(x, z) >= this.claimThreshold;
+  }
+
+  /**
+   * Direction out of the territory from a position, away from the strongest scent
+   * @returns {THREE.Vector3|null} Normalized direction, or null outside any mark
+   */
+  getAwayDirection(x, z) {
+    const direction = new THREE.Vector3();
+    for (const mark of this.marks) {
+      const dx = x - mark.x;
+      const dz = z - mark.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance >= this.markRadius) continue;
+
+      const weight = mark.strength * (1 - distance / this.markRadius);
+      if (distance > 0) {
+        direction.x += (dx / distance) * weight;
+        direction.z += (dz / distance) * weight;
+      }
+    }
+    return direction.lengthSq() > 0 ? direction.normalize() : null;
+  }
+
+  getMarks() {
+    return this.marks;
+  }
+
+  toJSON() {
+    return this.marks.map(mark => ({ x: mark.x, y: mark.mesh.position.y - 0.2, z: mark.z, strength: mark.strength }));
+  }
+
+  load(data) {
+    this.reset();
+    (data || []).forEach(mark => this.addMark(mark.x, mark.z, mark.strength, mark.y || 0));
+    console.log(`🌳 Territory restored: ${this.marks.length} scent marks`);
+  }
+
+  reset() {
+    for (const mark of [...this.marks]) {
+      this.removeMark(mark);
+    }
+  }
+
+  dispose() {
+    this.reset();
+    if (this.scene) {
+      this.scene.remove(this.markGroup);
+    }
+    this.markGeometry.dispose();
+    this.markMaterial.dispose();
+  }
+}
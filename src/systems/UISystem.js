@@ -1,10 +1,29 @@
+import { SKILL_BRANCHES } from './SkillTree.js';
+import { getEvolutionStage, getNextEvolutionLevel } from './EvolutionStages.js';
+
 export class UISystem {
   constructor() {
     this.elements = {};
     this.isVisible = true;
     
+    // Skill tree panel
+    this.isSkillPanelVisible = false;
+    this.skillPanelSignature = null;
+    this.onSkillSelected = null; // Callback when a skill is clicked
+    
+    // Territory map overlay
+    this.isTerritoryMapVisible = false;
+    this.territoryMapSize = 320; // Canvas size in pixels
+    
+    // Debug ecology view (window.tigerGame.toggleEcologyView)
+    this.isEcologyViewVisible = false;
+    this.ecologyViewSize = 256;
+    
     // Create UI container
     this.createUI();
+    this.createSkillPanel();
+    this.createTerritoryMap();
+    this.createEcologyView();
   }
   
   createUI() {
@@ -69,6 +88,43 @@ export class UISystem {
       color: #FFFF88;
     `;
     
+    // Create injury display (wounded body parts)
+    const injuryDisplay = document.createElement('div');
+    injuryDisplay.id = 'injury-display';
+    injuryDisplay.style.cssText = `
+      margin-top: 5px;
+      font-size: 12px;
+      color: #FF6666;
+    `;
+    
+    // Create status effect icon row (bleeding, soaked, ...)
+    const statusEffectsDisplay = document.createElement('div');
+    statusEffectsDisplay.id = 'status-effects-display';
+    statusEffectsDisplay.style.cssText = `
+      margin-top: 5px;
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+    `;
+    
+    // Create family display (pregnancy and cubs)
+    const familyDisplay = document.createElement('div');
+    familyDisplay.id = 'family-display';
+    familyDisplay.style.cssText = `
+      margin-top: 5px;
+      font-size: 12px;
+      color: #FFCCEE;
+    `;
+    
+    // Create wind display (which way the tiger's scent is carried)
+    const windDisplay = document.createElement('div');
+    windDisplay.id = 'wind-display';
+    windDisplay.style.cssText = `
+      margin-top: 5px;
+      font-size: 12px;
+      color: #CCEEFF;
+    `;
+    
     // Create hunger display
     const hungerContainer = this.createStatBar('Hunger', '#FF8800', 'hunger');
     
@@ -84,6 +140,10 @@ export class UISystem {
     statsPanel.appendChild(thirstContainer);
     statsPanel.appendChild(levelDisplay);
     statsPanel.appendChild(evolutionDisplay);
+    statsPanel.appendChild(injuryDisplay);
+    statsPanel.appendChild(statusEffectsDisplay);
+    statsPanel.appendChild(familyDisplay);
+    statsPanel.appendChild(windDisplay);
     
     uiContainer.appendChild(statsPanel);
     
@@ -104,12 +164,19 @@ export class UISystem {
       <div>WASD: Move/Turn</div>
       <div>Shift: Run (pounce)</div>
       <div>Ctrl: Crouch (stealth)</div>
-      <div>Z: Hunt nearby animals</div>
+      <div>Z: Swipe (running: pounce)</div>
+      <div>V: Bite (hold V to keep your grip)</div>
+      <div>Q: Dodge (with A/D: sideways)</div>
       <div>E: Drink/Eat (context)</div>
+      <div>C: Drag/drop carcass</div>
+      <div>N: Sleep/wake (den saves)</div>
+      <div>X: Scent-mark tree, O: Territory map</div>
+      <div>1-4: Abilities</div>
       <div>M: Scent trail (find animals)</div>
       <div>MM: Tiger trail (find tigers)</div>
       <div>R: Dive underwater</div>
       <div>Space: Jump/Surface</div>
+      <div>K: Skill tree</div>
       <div>Esc: Menu</div>
     `;
     
@@ -161,13 +228,59 @@ export class UISystem {
     `;
     document.body.appendChild(actionContext);
     
+    // Create cover-blown warning, shown when animals raise the alarm
+    const coverBlown = document.createElement('div');
+    coverBlown.id = 'cover-blown';
+    coverBlown.style.cssText = `
+      position: fixed;
+      top: 80px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(120,0,0,0.8);
+      padding: 8px 16px;
+      border-radius: 20px;
+      font-family: Arial, sans-serif;
+      font-size: 14px;
+      font-weight: bold;
+      color: #FFDDDD;
+      opacity: 0;
+      transition: opacity 0.3s ease;
+      z-index: 1100;
+      pointer-events: none;
+      border: 1px solid rgba(255,80,80,0.6);
+    `;
+    document.body.appendChild(coverBlown);
+    
+    // Create ability bar
+    const abilityBar = document.createElement('div');
+    abilityBar.id = 'ability-bar';
+    abilityBar.style.cssText = `
+      position: fixed;
+      bottom: 15px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      gap: 6px;
+      z-index: 1000;
+      pointer-events: none;
+      font-family: Arial, sans-serif;
+      color: white;
+    `;
+    document.body.appendChild(abilityBar);
+    
     // Store references
     this.elements.container = uiContainer;
     this.elements.statsPanel = statsPanel;
     this.elements.levelDisplay = levelDisplay;
     this.elements.evolutionDisplay = evolutionDisplay;
+    this.elements.injuryDisplay = injuryDisplay;
+    this.elements.statusEffectsDisplay = statusEffectsDisplay;
+    this.elements.familyDisplay = familyDisplay;
+    this.elements.windDisplay = windDisplay;
     this.elements.saveStatus = saveStatus;
     this.elements.actionContext = actionContext;
+    this.elements.coverBlown = coverBlown;
+    this.elements.abilityBar = abilityBar;
   }
   
   createStatBar(label, color, id) {
@@ -232,6 +345,105 @@ export class UISystem {
     return container;
   }
   
+  /**
+   * Show one icon per active status effect, with stacks and seconds left
+   */
+  updateStatusEffects(effects) {
+    const display = this.elements.statusEffectsDisplay;
+    if (!display) return;
+    
+    const formatted = effects.map(effect => ({
+      ...effect,
+      seconds: Number.isFinite(effect.remaining) ? Math.ceil(effect.remaining) : null
+    }));
+    
+    // Only rebuild when something visible changed
+    const signature = formatted.map(e => `${e.id}:${e.stacks}:${e.seconds}`).join('|');
+    if (signature === this.statusEffectsSignature) return;
+    this.statusEffectsSignature = signature;
+    
+    display.innerHTML = '';
+    for (const effect of formatted) {
+      const icon = document.createElement('span');
+      icon.title = effect.name;
+      icon.style.cssText = `
+        background: rgba(255,255,255,0.15);
+        border-radius: 4px;
+        padding: 1px 4px;
+        font-size: 12px;
+      `;
+      const stacks = effect.stacks > 1 ? `×${effect.stacks}` : '';
+      const seconds = effect.seconds !== null ? ` ${effect.seconds}s` : '';
+      icon.textContent = `${effect.icon}${stacks}${seconds}`;
+      display.appendChild(icon);
+    }
+  }
+  
+  /**
+   * Show the ability bar slots with their keys and cooldowns
+   * @param {Array} slots - From Abilities.getBarState()
+   */
+  updateAbilityBar(slots) {
+    const bar = this.elements.abilityBar;
+    if (!bar) return;
+    
+    // Only rebuild when something visible changed
+    const signature = slots.map(s => `${s.id}:${s.unlocked}:${s.ready}:${Math.ceil(s.remaining)}`).join('|');
+    if (signature === this.abilityBarSignature) return;
+    this.abilityBarSignature = signature;
+    
+    bar.innerHTML = '';
+    for (const slot of slots) {
+      const cell = document.createElement('div');
+      cell.title = slot.name;
+      cell.style.cssText = `
+        position: relative;
+        width: 44px;
+        height: 44px;
+        background: rgba(0,0,0,0.7);
+        border: 2px solid ${slot.ready ? '#FFA500' : 'rgba(255,255,255,0.3)'};
+        border-radius: 6px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 22px;
+        opacity: ${slot.unlocked ? '1' : '0.35'};
+      `;
+      cell.textContent = slot.unlocked ? slot.icon : '🔒';
+      
+      const key = document.createElement('span');
+      key.textContent = slot.key;
+      key.style.cssText = `
+        position: absolute;
+        top: 1px;
+        left: 4px;
+        font-size: 10px;
+        font-weight: bold;
+      `;
+      cell.appendChild(key);
+      
+      // Dark overlay with seconds left while cooling down
+      if (slot.remaining > 0) {
+        const overlay = document.createElement('div');
+        overlay.textContent = `${Math.ceil(slot.remaining)}`;
+        overlay.style.cssText = `
+          position: absolute;
+          inset: 0;
+          background: rgba(0,0,0,0.6);
+          border-radius: 4px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 16px;
+          font-weight: bold;
+        `;
+        cell.appendChild(overlay);
+      }
+      
+      bar.appendChild(cell);
+    }
+  }
+  
   updateStats(tiger) {
     if (!tiger) return;
     
@@ -264,7 +476,34 @@ export class UISystem {
     this.elements.levelDisplay.textContent = `Level: ${tiger.level}`;
     
     // Update evolution stage
-    this.elements.evolutionDisplay.textContent = `Evolution: ${tiger.evolutionStage}`;
+    const stage = getEvolutionStage(tiger.evolutionStage);
+    const nextLevel = getNextEvolutionLevel(tiger.evolutionStage);
+    const stageName = stage ? `${stage.icon} ${stage.name}` : tiger.evolutionStage;
+    this.elements.evolutionDisplay.textContent = nextLevel ?
+      `Evolution: ${stageName} (next at level ${nextLevel})` :
+      `Evolution: ${stageName}`;
+    
+    // Update wounds
+    if (tiger.injuries) {
+      const wounds = tiger.injuries.getWoundList();
+      this.elements.injuryDisplay.textContent = wounds.length > 0 ?
+        `Wounds: ${wounds.map(w => `${w.icon} ${w.name} ${Math.ceil(w.severity * 100)}%`).join(' ')}${tiger.isResting() ? ' (healing)' : ''}` :
+        '';
+    }
+    
+    // Update status effect icons
+    if (tiger.statusEffects) {
+      this.updateStatusEffects(tiger.statusEffects.getActiveEffects());
+    }
+    
+    // Update skill points and panel
+    if (tiger.skillTree) {
+      const points = tiger.skillTree.skillPoints;
+      this.elements.levelDisplay.textContent = points > 0 ?
+        `Level: ${tiger.level} (${points} skill point${points === 1 ? '' : 's'} - press K)` :
+        `Level: ${tiger.level}`;
+      this.updateSkillPanel(tiger);
+    }
     
     // Change bar colors based on values
     if (healthPercent < 30) {
@@ -296,6 +535,327 @@ export class UISystem {
     }
   }
   
+  updateFamily(status) {
+    if (!status || !this.elements.familyDisplay) return;
+    
+    const parts = [];
+    if (status.generation > 1) {
+      parts.push(`${status.name}, generation ${status.generation}`);
+    }
+    if (status.pregnancyRemaining !== null) {
+      parts.push(`🤰 Cubs due in ${Math.ceil(status.pregnancyRemaining)}s`);
+    }
+    if (status.cubCount > 0) {
+      parts.push(`🐾 Cubs: ${status.cubCount} (${status.adultCubCount} grown)`);
+    }
+    
+    this.elements.familyDisplay.textContent = parts.join(' | ');
+  }
+  
+  /**
+   * Show where the wind is blowing relative to the way the tiger faces -
+   * prey downwind of the tiger smell it coming
+   */
+  updateWind(wind, tiger) {
+    if (!wind || !this.elements.windDisplay) return;
+    
+    // Angle the wind blows toward, relative to the tiger's heading (0 = the way it faces)
+    const relative = Math.atan2(Math.sin(wind.angle - tiger.rotation.y), Math.cos(wind.angle - tiger.rotation.y));
+    const arrows = ['⬆️', '↖️', '⬅️', '↙️', '⬇️', '↘️', '➡️', '↗️'];
+    const arrow = arrows[(Math.round(relative / (Math.PI / 4)) + 8) % 8];
+    
+    let from;
+    if (Math.abs(relative) <= Math.PI / 4) {
+      from = 'at your back';
+    } else if (Math.abs(relative) >= Math.PI * 3 / 4) {
+      from = 'in your face';
+    } else if (relative > 0) {
+      from = 'from the right';
+    } else {
+      from = 'from the left';
+    }
+    
+    this.elements.windDisplay.textContent = `🌬️ ${arrow} ${wind.getStrengthName()}, ${from}`;
+  }
+  
+  createSkillPanel() {
+    const skillPanel = document.createElement('div');
+    skillPanel.id = 'skill-panel';
+    skillPanel.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(0,0,0,0.85);
+      padding: 20px;
+      border-radius: 10px;
+      border: 2px solid rgba(255,165,0,0.6);
+      font-family: Arial, sans-serif;
+      color: white;
+      z-index: 1200;
+      display: none;
+      pointer-events: auto;
+    `;
+    
+    // Clicks on skill buttons are delegated to the panel
+    skillPanel.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-skill-id]');
+      if (button && this.onSkillSelected) {
+        this.onSkillSelected(button.dataset.skillId);
+      }
+    });
+    
+    document.body.appendChild(skillPanel);
+    this.elements.skillPanel = skillPanel;
+  }
+  
+  updateSkillPanel(tiger) {
+    if (!this.isSkillPanelVisible || !this.elements.skillPanel || !tiger.skillTree) return;
+    
+    // Only rebuild when points or ranks have changed
+    const skillTree = tiger.skillTree;
+    const signature = JSON.stringify(skillTree.toJSON());
+    if (signature === this.skillPanelSignature) return;
+    this.skillPanelSignature = signature;
+    
+    const branchesHtml = Object.values(SKILL_BRANCHES).map(branch => {
+      const skillsHtml = branch.skills.map(skill => {
+        const rank = skillTree.getRank(skill.id);
+        const canUnlock = skillTree.canUnlock(skill.id);
+        const color = canUnlock ? '#FFA500' : (rank > 0 ? '#88FF88' : '#777777');
+        return `
+          <div data-skill-id="${skill.id}" style="margin: 6px 0; padding: 6px; border: 1px solid ${color}; border-radius: 5px; cursor: ${canUnlock ? 'pointer' : 'default'};">
+            <div style="color: ${color}; font-weight: bold; font-size: 12px;">${skill.name} ${rank}/${skill.maxRank}</div>
+            <div style="font-size: 10px; color: #CCCCCC;">${skill.description}</div>
+          </div>
+        `;
+      }).join('');
+      
+      return `
+        <div style="width: 160px;">
+          <div style="color: #FFA500; font-weight: bold; margin-bottom: 5px;">${branch.icon} ${branch.name}</div>
+          ${skillsHtml}
+        </div>
+      `;
+    }).join('');
+    
+    this.elements.skillPanel.innerHTML = `
+      <div style="color: #FFA500; font-size: 16px; font-weight: bold; margin-bottom: 10px;">
+        Skill Tree - ${skillTree.skillPoints} point${skillTree.skillPoints === 1 ? '' : 's'} available
+      </div>
+      <div style="display: flex; gap: 12px;">${branchesHtml}</div>
+      <div style="font-size: 11px; color: #AAAAAA; margin-top: 10px;">Click a skill to spend a point. K: Close</div>
+    `;
+  }
+  
+  toggleSkillPanel(tiger = null) {
+    this.isSkillPanelVisible = !this.isSkillPanelVisible;
+    this.elements.skillPanel.style.display = this.isSkillPanelVisible ? 'block' : 'none';
+    
+    if (this.isSkillPanelVisible) {
+      // Release pointer lock so skills can be clicked
+      if (document.pointerLockElement && document.exitPointerLock) {
+        document.exitPointerLock();
+      }
+      this.skillPanelSignature = null;
+      if (tiger) {
+        this.updateSkillPanel(tiger);
+      }
+    }
+    
+    console.log(`🌟 Skill panel ${this.isSkillPanelVisible ? 'opened' : 'closed'}`);
+  }
+  
+  createTerritoryMap() {
+    const territoryMap = document.createElement('div');
+    territoryMap.id = 'territory-map';
+    territoryMap.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(0,0,0,0.85);
+      padding: 15px;
+      border-radius: 10px;
+      border: 2px solid rgba(255,140,0,0.6);
+      font-family: Arial, sans-serif;
+      color: white;
+      z-index: 1200;
+      display: none;
+      pointer-events: none;
+    `;
+    
+    const title = document.createElement('div');
+    title.style.cssText = 'color: #FF8C00; font-size: 16px; font-weight: bold; margin-bottom: 8px;';
+    territoryMap.appendChild(title);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = this.territoryMapSize;
+    canvas.height = this.territoryMapSize;
+    canvas.style.cssText = 'display: block; background: #1f3314; border-radius: 5px;';
+    territoryMap.appendChild(canvas);
+    
+    const legend = document.createElement('div');
+    legend.style.cssText = 'font-size: 11px; color: #AAAAAA; margin-top: 8px;';
+    legend.textContent = 'Orange: your territory, brown: dens, white: you. O: Close';
+    territoryMap.appendChild(legend);
+    
+    document.body.appendChild(territoryMap);
+    this.elements.territoryMap = territoryMap;
+    this.elements.territoryMapTitle = title;
+    this.elements.territoryMapCanvas = canvas;
+  }
+  
+  toggleTerritoryMap() {
+    this.isTerritoryMapVisible = !this.isTerritoryMapVisible;
+    this.elements.territoryMap.style.display = this.isTerritoryMapVisible ? 'block' : 'none';
+    console.log(`🌳 Territory map ${this.isTerritoryMapVisible ? 'opened' : 'closed'}`);
+  }
+  
+  /**
+   * Draw the claimed area, dens and the tiger on the territory map
+   * @param {TerritorySystem} territorySystem
+   * @param {Object} bounds - World bounds from Terrain.getBounds()
+   * @param {Array} dens - From VegetationSystem.getDens()
+   */
+  updateTerritoryMap(territorySystem, tiger, bounds, dens = []) {
+    if (!this.isTerritoryMapVisible) return;
+    
+    const marks = territorySystem.getMarks();
+    this.elements.territoryMapTitle.textContent =
+      `Territory - ${marks.length} scent mark${marks.length === 1 ? '' : 's'}`;
+    
+    const ctx = this.elements.territoryMapCanvas.getContext ? this.elements.territoryMapCanvas.getContext('2d') : null;
+    if (!ctx) return;
+    
+    const size = this.territoryMapSize;
+    const scale = size / Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ);
+    const toMap = (x, z) => [(x - bounds.minX) * scale, (z - bounds.minZ) * scale];
+    
+    ctx.clearRect(0, 0, size, size);
+    
+    // Claimed ground - overlapping marks add up to a brighter area
+    ctx.globalCompositeOperation = 'lighter';
+    for (const mark of marks) {
+      const [mx, mz] = toMap(mark.x, mark.z);
+      ctx.fillStyle = `rgba(255, 140, 0, ${(0.35 * mark.strength).toFixed(2)})`;
+      ctx.beginPath();
+      ctx.arc(mx, mz, territorySystem.markRadius * scale, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.globalCompositeOperation = 'source-over';
+    
+    ctx.fillStyle = '#8B5A2B';
+    for (const den of dens) {
+      const [dx, dz] = toMap(den.position.x, den.position.z);
+      ctx.fillRect(dx - 3, dz - 3, 6, 6);
+    }
+    
+    const [tx, tz] = toMap(tiger.position.x, tiger.position.z);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.arc(tx, tz, 4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  
+  createEcologyView() {
+    const ecologyView = document.createElement('div');
+    ecologyView.id = 'ecology-view';
+    ecologyView.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      background: rgba(0,0,0,0.85);
+      padding: 12px;
+      border-radius: 10px;
+      border: 2px solid rgba(120,200,80,0.6);
+      font-family: monospace;
+      font-size: 11px;
+      color: white;
+      z-index: 1100;
+      display: none;
+      pointer-events: none;
+    `;
+    
+    const title = document.createElement('div');
+    title.style.cssText = 'color: #78C850; font-size: 14px; font-weight: bold; margin-bottom: 6px;';
+    ecologyView.appendChild(title);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = this.ecologyViewSize;
+    canvas.height = this.ecologyViewSize;
+    canvas.style.cssText = 'display: block; background: #111; border-radius: 5px;';
+    ecologyView.appendChild(canvas);
+    
+    const totals = document.createElement('div');
+    totals.style.cssText = 'margin-top: 6px; color: #DDDDDD;';
+    ecologyView.appendChild(totals);
+    
+    const legend = document.createElement('div');
+    legend.style.cssText = 'margin-top: 4px; color: #AAAAAA;';
+    legend.textContent = 'prey/capacity - green: room, red: crowded, grey: depleted, ~: dry';
+    ecologyView.appendChild(legend);
+    
+    document.body.appendChild(ecologyView);
+    this.elements.ecologyView = ecologyView;
+    this.elements.ecologyViewTitle = title;
+    this.elements.ecologyViewCanvas = canvas;
+    this.elements.ecologyViewTotals = totals;
+  }
+  
+  toggleEcologyView() {
+    this.isEcologyViewVisible = !this.isEcologyViewVisible;
+    this.elements.ecologyView.style.display = this.isEcologyViewVisible ? 'block' : 'none';
+    console.log(`🌿 Ecology view ${this.isEcologyViewVisible ? 'opened' : 'closed'}`);
+  }
+  
+  /**
+   * Draw each region's prey against its carrying capacity
+   * @param {Object} report - From AnimalSystem.getEcologyReport()
+   * @param {Object} bounds - World bounds from Terrain.getBounds()
+   */
+  updateEcologyView(report, tiger, bounds) {
+    if (!this.isEcologyViewVisible) return;
+    
+    this.elements.ecologyViewTitle.textContent = `Ecology - day ${Math.floor(report.day) + 1}`;
+    this.elements.ecologyViewTotals.textContent = Object.entries(report.totals)
+      .map(([type, count]) => `${type} ${count}`).join(', ') || 'No wildlife';
+    
+    const ctx = this.elements.ecologyViewCanvas.getContext ? this.elements.ecologyViewCanvas.getContext('2d') : null;
+    if (!ctx) return;
+    
+    const size = this.ecologyViewSize;
+    const scale = size / Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ);
+    const toMap = (x, z) => [(x - bounds.minX) * scale, (z - bounds.minZ) * scale];
+    
+    ctx.clearRect(0, 0, size, size);
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'center';
+    
+    for (const region of report.regions) {
+      const [rx, rz] = toMap(region.minX, region.minZ);
+      const cell = region.size * scale;
+      
+      const fill = region.capacity > 0 ? Math.min(1.5, region.prey / region.capacity) : 1.5;
+      ctx.fillStyle = region.depleted ? 'rgba(120,120,120,0.6)' :
+        fill > 1 ? 'rgba(200,60,40,0.6)' : `rgba(60,${Math.round(80 + fill * 120)},60,0.6)`;
+      ctx.fillRect(rx + 1, rz + 1, cell - 2, cell - 2);
+      
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(`${region.prey}/${region.capacity}${region.watered ? '' : '~'}`, rx + cell / 2, rz + cell / 2);
+      if (region.kills > 0) {
+        ctx.fillStyle = '#FFAAAA';
+        ctx.fillText(`${region.kills} killed`, rx + cell / 2, rz + cell / 2 + 13);
+      }
+    }
+    
+    const [tx, tz] = toMap(tiger.position.x, tiger.position.z);
+    ctx.fillStyle = '#FF8C00';
+    ctx.beginPath();
+    ctx.arc(tx, tz, 4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  
   toggle() {
     this.isVisible = !this.isVisible;
     this.elements.container.style.display = this.isVisible ? 'block' : 'none';
@@ -325,6 +885,25 @@ export class UISystem {
     }
   }
   
+  /**
+   * Flash a warning that an animal's alarm call has given the tiger away
+   * @param {string} callerType - The species that called
+   */
+  showCoverBlown(callerType) {
+    if (!this.elements.coverBlown) return;
+    
+    this.elements.coverBlown.textContent = `⚠️ Cover blown - a ${callerType} is calling the alarm`;
+    this.elements.coverBlown.style.opacity = '1';
+    
+    // Hide after 2.5 seconds, unless another call came in meanwhile
+    clearTimeout(this.coverBlownTimeout);
+    this.coverBlownTimeout = setTimeout(() => {
+      if (this.elements.coverBlown) {
+        this.elements.coverBlown.style.opacity = '0';
+      }
+    }, 2500);
+  }
+  
   showActionContext(action) {
     if (this.elements.actionContext) {
       let text = '';
@@ -339,6 +918,14 @@ export class UISystem {
           icon = '🍖';
           text = 'Press E to Eat';
           break;
+        case 'den':
+          icon = '🪨';
+          text = 'Press N to Rest in Den';
+          break;
+        case 'sleeping':
+          icon = '💤';
+          text = 'Sleeping - Press N to Wake';
+          break;
         default:
           this.hideActionContext();
           return;
@@ -365,6 +952,22 @@ export class UISystem {
     if (this.elements.actionContext && this.elements.actionContext.parentNode) {
       this.elements.actionContext.parentNode.removeChild(this.elements.actionContext);
     }
+    clearTimeout(this.coverBlownTimeout);
+    if (this.elements.coverBlown && this.elements.coverBlown.parentNode) {
+      this.elements.coverBlown.parentNode.removeChild(this.elements.coverBlown);
+    }
+    if (this.elements.territoryMap && this.elements.territoryMap.parentNode) {
+      this.elements.territoryMap.parentNode.removeChild(this.elements.territoryMap);
+    }
+    if (this.elements.ecologyView && this.elements.ecologyView.parentNode) {
+      this.elements.ecologyView.parentNode.removeChild(this.elements.ecologyView);
+    }
+    if (this.elements.abilityBar && this.elements.abilityBar.parentNode) {
+      this.elements.abilityBar.parentNode.removeChild(this.elements.abilityBar);
+    }
+    if (this.elements.skillPanel && this.elements.skillPanel.parentNode) {
+      this.elements.skillPanel.parentNode.removeChild(this.elements.skillPanel);
+    }
     this.elements = {};
   }
 }
\ No newline at end of file
@@ -13,18 +13,22 @@ export class VegetationSystem {
     this.trees = [];
     this.bushes = [];
     this.grass = [];
+    this.grassPatches = []; // Patch centres, where prey graze
     this.foliage = [];
+    this.dens = [];
     
     // Vegetation groups for performance
     this.treeGroup = new THREE.Group();
     this.bushGroup = new THREE.Group();
     this.grassGroup = new THREE.Group();
     this.foliageGroup = new THREE.Group();
+    this.denGroup = new THREE.Group();
     
     this.scene.add(this.treeGroup);
     this.scene.add(this.bushGroup);
     this.scene.add(this.grassGroup);
     this.scene.add(this.foliageGroup);
+    this.scene.add(this.denGroup);
     
     // Vegetation parameters
     this.vegetationDensity = {
@@ -34,6 +38,11 @@ export class VegetationSystem {
       foliage: 0.1      // Additional foliage per square unit
     };
     
+    // Wind the grass and ferns lean and sway with (see WindSystem)
+    this.windSystem = null;
+    this.defaultWind = { x: 0.3, z: 0 }; // Used until a wind system is connected
+    this.windLean = 0.3; // Radians grass leans over in a full-strength wind
+    
     // Vegetation constraints
     this.constraints = {
       trees: {
@@ -59,6 +68,20 @@ export class VegetationSystem {
       }
     };
     
+    // Den placement - rock outcrops on steep ground, thickets where vegetation is dense
+    this.denConfig = {
+      maxRockDens: 3,
+      maxThicketDens: 4,
+      rockMinSlope: 0.5,
+      rockMinHeight: -2,
+      rockMaxHeight: 30,
+      rockScanSize: 16,     // Grid step when scanning for outcrops
+      thicketRadius: 12,    // Radius counted for thicket density
+      thicketMinPlants: 4,  // Trees and bushes needed within the radius
+      denRadius: 6,         // How close the tiger must be to count as in the den
+      minDenSpacing: 60
+    };
+    
     // Materials cache
     this.materials = new Map();
     this.geometries = new Map();
@@ -116,6 +139,11 @@ export class VegetationSystem {
       side: THREE.DoubleSide
     }));
     
+    // Den rock material
+    this.materials.set('denRock', new THREE.MeshLambertMaterial({
+      color: 0x6b6b66
+    }));
+    
     // Fern material
     this.materials.set('fern', new THREE.MeshLambertMaterial({
       color: 0x1e4d0c,
@@ -147,6 +175,9 @@ export class VegetationSystem {
     const grassGeometry = new THREE.PlaneGeometry(0.5, 1.5);
     this.geometries.set('grass', grassGeometry);
     
+    // Den rock geometry
+    this.geometries.set('denRock', new THREE.DodecahedronGeometry(2.5, 0));
+    
     // Fern geometry
     const fernGeometry = new THREE.PlaneGeometry(1, 2);
     this.geometries.set('fern', fernGeometry);
@@ -181,6 +212,110 @@ export class VegetationSystem {
     
     // Generate additional foliage
     this.generateFoliage(bounds, gridSize, cols, rows, rng, occupiedPositions);
+    
+    // Pick den sites from the finished terrain and vegetation
+    this.generateDens(bounds, rng);
+  }
+  
+  /**
+   * Pick den sites: rock outcrops on steep ground and dense thickets
+   */
+  generateDens(bounds, rng) {
+    const config = this.denConfig;
+    
+    // Rock outcrops - scan the terrain for steep, dry ground
+    const outcrops = [];
+    for (let x = bounds.minX + config.rockScanSize; x < bounds.maxX; x += config.rockScanSize) {
+      for (let z = bounds.minZ + config.rockScanSize; z < bounds.maxZ; z += config.rockScanSize) {
+        const height = this.terrain.getHeightAt(x, z);
+        const slope = this.terrain.getSlope(x, z);
+        if (slope < config.rockMinSlope) continue;
+        if (height < config.rockMinHeight || height > config.rockMaxHeight) continue;
+        if (this.waterSystem && this.waterSystem.isInWater(x, z)) continue;
+        outcrops.push({ x, z, score: slope });
+      }
+    }
+    
+    // Thickets - bushes with the most trees and bushes around them
+    const plants = [...this.trees, ...this.bushes];
+    const radiusSq = config.thicketRadius * config.thicketRadius;
+    const thickets = [];
+    for (const bush of this.bushes) {
+      let count = 0;
+      for (const plant of plants) {
+        const dx = plant.position.x - bush.position.x;
+        const dz = plant.position.z - bush.position.z;
+        if (dx * dx + dz * dz <= radiusSq) count++;
+      }
+      if (count >= config.thicketMinPlants) {
+        thickets.push({ x: bush.position.x, z: bush.position.z, score: count });
+      }
+    }
+    
+    this.placeDens('rock', outcrops, config.maxRockDens, rng);
+    this.placeDens('thicket', thickets, config.maxThicketDens, rng);
+    
+    console.log(`🪨 VegetationSystem: Placed ${this.dens.length} dens`);
+  }
+  
+  /**
+   * Place the best-scoring candidates as dens, keeping them spread apart
+   */
+  placeDens(type, candidates, maxCount, rng) {
+    const config = this.denConfig;
+    candidates.sort((a, b) => b.score - a.score);
+    
+    let placed = 0;
+    for (const candidate of candidates) {
+      if (placed >= maxCount) break;
+      
+      const tooClose = this.dens.some(den => {
+        const dx = den.position.x - candidate.x;
+        const dz = den.position.z - candidate.z;
+        return Math.sqrt(dx * dx + dz * dz) < config.minDenSpacing;
+      });
+      if (tooClose) continue;
+      
+      this.createDen(type, candidate.x, candidate.z, rng);
+      placed++;
+    }
+  }
+  
+  /**
+   * Create a den; rock outcrops get a ring of boulders, thickets are marked by their plants
+   */
+  createDen(type, x, z, rng) {
+    const height = this.terrain.getHeightAt(x, z);
+    const den = {
+      id: `den_${this.dens.length}`,
+      type,
+      position: { x, y: height, z },
+      radius: this.denConfig.denRadius
+    };
+    
+    if (type === 'rock') {
+      const rockGeometry = this.geometries.get('denRock');
+      const rockMaterial = this.materials.get('denRock');
+      const rockCount = 4 + Math.floor(rng() * 3);
+      
+      for (let i = 0; i < rockCount; i++) {
+        // Leave a gap in the ring as the entrance
+        const angle = (i / rockCount) * Math.PI * 1.6;
+        const rockX = x + Math.cos(angle) * den.radius * 0.8;
+        const rockZ = z + Math.sin(angle) * den.radius * 0.8;
+        const rock = new THREE.Mesh(rockGeometry, rockMaterial);
+        const scale = 0.7 + rng() * 0.6;
+        rock.scale.set(scale, scale * (0.8 + rng() * 0.6), scale);
+        rock.position.set(rockX, this.terrain.getHeightAt(rockX, rockZ) + scale, rockZ);
+        rock.rotation.set(rng() * Math.PI, rng() * Math.PI, 0);
+        rock.castShadow = true;
+        rock.receiveShadow = true;
+        this.denGroup.add(rock);
+      }
+    }
+    
+    this.dens.push(den);
+    return den;
   }
   
   /**
@@ -437,8 +572,10 @@ export class VegetationSystem {
       const grassHeight = this.terrain.getHeightAt(x + offsetX, z + offsetZ);
       
       grass.position.set(x + offsetX, grassHeight + 0.75, z + offsetZ); // Grass height is fine as is
+      grass.rotation.order = 'YXZ'; // Spun last, so update() can lean it in world terms
       grass.rotation.y = rng() * Math.PI * 2;
       grass.rotation.x = (rng() - 0.5) * 0.3; // Slight tilt
+      grass.userData.tilt = grass.rotation.x;
       
       const scale = 0.7 + rng() * 0.6;
       grass.scale.setScalar(scale);
@@ -446,6 +583,8 @@ export class VegetationSystem {
       this.grassGroup.add(grass);
       this.grass.push(grass);
     }
+    
+    this.grassPatches.push({ position: new THREE.Vector3(x, height, z) });
   }
   
   /**
@@ -459,8 +598,10 @@ export class VegetationSystem {
     const fern = new THREE.Mesh(fernGeometry, fernMaterial);
     
     fern.position.set(x, height + 1, z);
+    fern.rotation.order = 'YXZ';
     fern.rotation.y = rng() * Math.PI * 2;
     fern.rotation.x = (rng() - 0.5) * 0.2;
+    fern.userData.tilt = fern.rotation.x;
     
     const scale = 0.8 + rng() * 0.4;
     fern.scale.setScalar(scale);
@@ -542,6 +683,86 @@ export class VegetationSystem {
     return false;
   }
   
+  /**
+   * Get the nearest tree to a position
+   * @param {number} maxDistance - Only return trees within this distance
+   * @returns {THREE.Group|null} Tree or null if none is close enough
+   */
+  getNearestTree(x, z, maxDistance = Infinity) {
+    let nearest = null;
+    let nearestDistance = maxDistance;
+    
+    for (const tree of this.trees) {
+      const dx = tree.position.x - x;
+      const dz = tree.position.z - z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance <= nearestDistance) {
+        nearest = tree;
+        nearestDistance = distance;
+      }
+    }
+    
+    return nearest;
+  }
+    
+  /**
+   * Get the nearest grass patch to a position
+   * @param {number} maxDistance - Only return patches within this distance
+   * @returns {Object|null} Patch ({ position }) or null if none is close enough
+   */
+  getNearestGrassPatch(x, z, maxDistance = Infinity) {
+    let nearest = null;
+    let nearestDistance = maxDistance;
+    
+    for (const patch of this.grassPatches) {
+      const dx = patch.position.x - x;
+      const dz = patch.position.z - z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance <= nearestDistance) {
+        nearest = patch;
+        nearestDistance = distance;
+      }
+    }
+    
+    return nearest;
+  }
+  
+  /**
+   * Get all dens
+   */
+  getDens() {
+    return this.dens;
+  }
+  
+  /**
+   * Get the nearest den to a position
+   * @param {number} maxDistance - Only return dens within this distance
+   * @returns {Object|null} Den or null if none is close enough
+   */
+  getNearestDen(x, z, maxDistance = Infinity) {
+    let nearest = null;
+    let nearestDistance = maxDistance;
+    
+    for (const den of this.dens) {
+      const dx = den.position.x - x;
+      const dz = den.position.z - z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance <= nearestDistance) {
+        nearest = den;
+        nearestDistance = distance;
+      }
+    }
+    
+    return nearest;
+  }
+  
+  /**
+   * Get the den at a position, if the position is inside one
+   */
+  getDenAt(x, z) {
+    return this.getNearestDen(x, z, this.denConfig.denRadius);
+  }
+  
   /**
    * Create seeded random number generator
    */
@@ -561,34 +782,43 @@ export class VegetationSystem {
     this.trees.length = 0;
     this.bushes.length = 0;
     this.grass.length = 0;
+    this.grassPatches.length = 0;
     this.foliage.length = 0;
+    this.dens.length = 0;
     
     // Clear groups
     this.treeGroup.clear();
     this.bushGroup.clear();
     this.grassGroup.clear();
     this.foliageGroup.clear();
+    this.denGroup.clear();
   }
   
   /**
    * Update vegetation system (for wind effects, growth, etc.)
    */
   update(deltaTime) {
-    // Simple wind effect for grass and leaves - could be expanded
+    // Grass and ferns lean downwind and sway faster as the wind picks up
     const time = Date.now() * 0.001;
-    const windStrength = 0.1;
+    const wind = this.windSystem ? this.windSystem.getVector() : this.defaultWind;
+    const speed = Math.hypot(wind.x, wind.z);
     
-    // Animate grass
-    this.grass.forEach((grass, index) => {
-      const windOffset = Math.sin(time + index * 0.5) * windStrength;
-      grass.rotation.z = windOffset;
-    });
+    const sway = (plant, phase, strength) => {
+      const lean = this.windLean * strength * (1 + Math.sin(time * (1 + speed * 2) + phase) * 0.5);
+      
+      // Lean toward the wind's heading, turned into the plant's own spun frame
+      const sin = Math.sin(plant.rotation.y);
+      const cos = Math.cos(plant.rotation.y);
+      plant.rotation.x = (plant.userData.tilt || 0) + lean * (wind.x * sin + wind.z * cos);
+      plant.rotation.z = -lean * (wind.x * cos - wind.z * sin);
+    };
     
-    // Animate foliage
-    this.foliage.forEach((fern, index) => {
-      const windOffset = Math.sin(time * 0.8 + index * 0.7) * windStrength * 0.5;
-      fern.rotation.z = windOffset;
-    });
+    this.grass.forEach((grass, index) => sway(grass, index * 0.5, 1));
+    this.foliage.forEach((fern, index) => sway(fern, index * 0.7, 0.5));
+  }
+  
+  setWindSystem(windSystem) {
+    this.windSystem = windSystem;
   }
   
   /**
@@ -608,7 +838,7 @@ export class VegetationSystem {
    * Get all vegetation meshes for hiding/showing
    */
   getVegetationMeshes() {
-    return [this.treeGroup, this.bushGroup, this.grassGroup, this.foliageGroup];
+    return [this.treeGroup, this.bushGroup, this.grassGroup, this.foliageGroup, this.denGroup];
   }
   
   /**
@@ -630,5 +860,6 @@ export class VegetationSystem {
     this.scene.remove(this.bushGroup);
     this.scene.remove(this.grassGroup);
     this.scene.remove(this.foliageGroup);
+    this.scene.remove(this.denGroup);
   }
 }
\ No newline at end of file
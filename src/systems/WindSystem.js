@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+/**
+ * Wrap an angle into [-PI, PI]
+ */
+function wrapAngle(angle) {
+  return angle - Math.PI * 2 * Math.round(angle / (Math.PI * 2));
+}
+
+/**
+ * WindSystem - One wind over the whole map that veers and changes strength
+ *
+ * The wind blows toward `angle`, measured like a rotation.y (0 toward +Z,
+ * PI / 2 toward +X), at a `speed` from 0 (still) to 1 (strong). Every
+ * changeInterval seconds it picks a new heading and strength and drifts
+ * toward them. Scent carries downwind: something downwind of the tiger smells
+ * it from further off, something upwind hardly at all.
+ */
+export class WindSystem {
+  constructor() {
+    this.angle = wrapAngle(Math.random() * Math.PI * 2);
+    this.speed = 0.4;
+    this.targetAngle = this.angle;
+    this.targetSpeed = this.speed;
+
+    this.changeInterval = 90; // Seconds between shifts in the wind
+    this.changeTimer = this.changeInterval;
+    this.maxVeer = Math.PI / 2; // Largest single change of heading
+    this.veerRate = 0.05; // Radians per second the wind turns toward its new heading
+    this.speedChangeRate = 0.02; // Speed per second the wind picks up or drops
+    this.minSpeed = 0.1;
+    this.maxSpeed = 1.0;
+
+    this.downwindScentBonus = 2.0; // Extra scent range directly downwind in a strong wind
+    this.upwindScentPenalty = 0.7; // Share of scent range lost directly upwind in a strong wind
+  }
+
+  update(deltaTime) {
+    this.changeTimer -= deltaTime;
+    if (this.changeTimer <= 0) {
+      this.changeTimer = this.changeInterval * (0.5 + Math.random());
+      this.targetAngle = wrapAngle(this.angle + (Math.random() * 2 - 1) * this.maxVeer);
+      this.targetSpeed = this.minSpeed + Math.random() * (this.maxSpeed - this.minSpeed);
+    }
+
+    // Turn the short way round, keeping the heading within [-PI, PI]
+    const turn = wrapAngle(this.targetAngle - this.angle);
+    this.angle = wrapAngle(this.angle + Math.sign(turn) * Math.min(Math.abs(turn), this.veerRate * deltaTime));
+
+    const change = this.targetSpeed - this.speed;
+    this.speed += Math.sign(change) * Math.min(Math.abs(change), this.speedChangeRate * deltaTime);
+  }
+
+  /**
+   * Unit vector the wind blows along
+   */
+  getDirection() {
+    return new THREE.Vector3(Math.sin(this.angle), 0, Math.cos(this.angle));
+  }
+
+  /**
+   * The wind's direction scaled by its speed
+   */
+  getVector() {
+    return this.getDirection().multiplyScalar(this.speed);
+  }
+
+  /**
+   * How far downwind of a source a point lies - 1 straight downwind, -1
+   * straight upwind, 0 across the wind
+   */
+  getDownwindFactor(source, point) {
+    const dx = point.x - source.x;
+    const dz = point.z - source.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance === 0) return 0;
+    return (dx * Math.sin(this.angle) + dz * Math.cos(this.angle)) / distance;
+  }
+
+  /**
+   * Multiplier on how far a source's scent reaches a point
+   */
+  getScentRangeMultiplier(source, point) {
+    const downwind = this.getDownwindFactor(source, point);
+    if (downwind >= 0) {
+      return 1 + this.downwindScentBonus * this.speed * downwind;
+    }
+    return 1 + this.upwindScentPenalty * this.speed * downwind;
+  }
+
+  /**
+   * Rough strength for the HUD
+   */
+  getStrengthName() {
+    if (this.speed < 0.25) return 'light air';
+    if (this.speed < 0.5) return 'breeze';
+    if (this.speed < 0.75) return 'fresh wind';
+    return 'strong wind';
+  }
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ABILITIES } from '../../systems/Abilities.js';
+import { COMBAT_MOVES } from '../../systems/Combat.js';
+import { Tiger } from '../../entities/Tiger.js';
+import { Animal } from '../../entities/Animal.js';
+
+describe('Abilities', () => {
+  let tiger;
+
+  beforeEach(() => {
+    tiger = new Tiger();
+    tiger.setPosition(0, 0, 0);
+    tiger.rotation.y = 0; // Facing +z
+  });
+
+  function animalAt(x, z) {
+    const animal = new Animal('deer');
+    animal.position.set(x, 0, z);
+    return animal;
+  }
+
+  it('should not allow locked abilities', () => {
+    expect(tiger.abilities.isUnlocked('laserBreath')).toBe(false);
+    expect(tiger.useAbility('laserBreath')).toBeNull();
+    expect(tiger.stamina).toBe(tiger.maxStamina);
+
+    tiger.level = 8;
+    expect(tiger.abilities.isUnlocked('stealthCloak')).toBe(true);
+  });
+
+  it('should only hit animals inside a cone in front of the tiger', () => {
+    tiger.evolutionStage = 'Alpha';
+    const ahead = animalAt(0, 10);
+    const behind = animalAt(0, -10);
+    const aside = animalAt(10, 2);
+    const outOfRange = animalAt(0, 30);
+
+    const result = tiger.useAbility('laserBreath', { candidates: [behind, aside, outOfRange, ahead] });
+
+    expect(result.targets).toEqual([ahead]);
+    expect(ahead.isAlive()).toBe(false);
+    expect(behind.isAlive()).toBe(true);
+  });
+
+  it('should earn experience for a laser kill like any other', () => {
+    tiger.evolutionStage = 'Alpha';
+    const deer = animalAt(0, 10);
+
+    tiger.useAbility('laserBreath', { candidates: [deer] });
+
+    expect(deer.isAlive()).toBe(false);
+    expect(tiger.totalKills).toBe(1);
+    expect(tiger.experience).toBe(deer.getExperienceReward());
+  });
+
+  it('should pounce with the combat move, which lands the blow', () => {
+    tiger.level = 3;
+    const deer = animalAt(0, 8);
+    const stamina = tiger.stamina;
+
+    expect(tiger.useAbility('pounce')).not.toBeNull();
+    expect(tiger.combat.isBusy()).toBe(true);
+    expect(tiger.stamina).toBe(stamina - COMBAT_MOVES.pounce.cost);
+    expect(tiger.abilities.getBlockReason('pounce')).toMatch(/cooldown/);
+
+    for (let i = 0; i < 10; i++) {
+      tiger.combat.update(0.1, { candidates: [deer] });
+    }
+    expect(deer.health).toBeLessThan(deer.maxHealth);
+    expect(tiger.position.z).toBeGreaterThan(0);
+  });
+
+  it('should pay stamina and respect the cooldown', () => {
+    tiger.level = 8;
+    tiger.useAbility('stealthCloak');
+
+    expect(tiger.stamina).toBe(tiger.maxStamina - ABILITIES.stealthCloak.cost);
+    expect(tiger.hasStatusEffect('cloaked')).toBe(true);
+    expect(tiger.abilities.getBlockReason('stealthCloak')).toMatch(/cooldown/);
+
+    tiger.abilities.update(ABILITIES.stealthCloak.cooldown);
+    tiger.stamina = tiger.maxStamina;
+    expect(tiger.abilities.canUse('stealthCloak')).toBe(true);
+  });
+
+  it('should report the ability bar state for the HUD', () => {
+    const bar = tiger.abilities.getBarState();
+
+    expect(bar.map(slot => slot.key)).toEqual(['1', '2', '3', '4']);
+    expect(bar.find(slot => slot.id === 'roar').ready).toBe(true);
+    expect(bar.find(slot => slot.id === 'laserBreath').unlocked).toBe(false);
+  });
+});
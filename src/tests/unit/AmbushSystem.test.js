@@ -340,6 +340,42 @@ describe('AmbushSystem', () => {
     });
   });
 
+  describe('crocodile prey', () => {
+    it('should grab a deer nearer the water than the tiger and leave the tiger unharmed', async () => {
+      // The real crocodile, without its model (the mocked one above never attacks)
+      const { CrocodileAmbush } = await vi.importActual('../../entities/CrocodileAmbush.js');
+      const createModel = vi.spyOn(CrocodileAmbush.prototype, 'createModel').mockImplementation(() => {});
+      const crocodile = new CrocodileAmbush(15, 0, 0, { type: 'lake', center: { x: 0, y: 0, z: 0 }, radius: 20 });
+
+      const deer = {
+        type: 'deer',
+        health: 100,
+        position: { x: 20, y: 0, z: 0 },
+        isAlive() { return this.health > 0; },
+        takeDamage(amount) { this.health = Math.max(0, this.health - amount); }
+      };
+      const tiger = { position: { x: 28, y: 0, z: 0 }, isAlive: () => true, takeDamage: vi.fn() };
+      ambushSystem.crocodileAmbushers = [crocodile];
+      ambushSystem.leopardAmbushers = [];
+      ambushSystem.animalSystem = { getAnimals: () => [deer] };
+      const ambushSpy = vi.spyOn(ambushSystem, 'handleSuccessfulAmbush');
+
+      let grabbed = false;
+      for (let i = 0; i < 60 && deer.isAlive(); i++) {
+        ambushSystem.updateAmbushers(0.05, tiger);
+        grabbed = grabbed || crocodile.grabbedTiger === deer;
+      }
+
+      expect(crocodile.target).toBe(deer);
+      expect(grabbed).toBe(true);
+      expect(deer.health).toBeLessThan(100);
+      expect(tiger.takeDamage).not.toHaveBeenCalled();
+      expect(ambushSpy).not.toHaveBeenCalled();
+
+      createModel.mockRestore();
+    });
+  });
+
   describe('tiger awareness', () => {
     let mockTiger;
 
@@ -398,6 +434,16 @@ describe('AmbushSystem', () => {
       expect(rates.leopard).toBe(0.20);
     });
 
+    it('should draw ambushers to a tiger sleeping in the open but not in a den', () => {
+      mockTiger.isSleeping = true;
+      expect(ambushSystem.getSpawnRatesForTiger(mockTiger).leopard).toBeCloseTo(0.10 * ambushSystem.sleepSpawnMultiplier);
+
+      mockTiger.sleepingInDen = true;
+      const rates = ambushSystem.getSpawnRatesForTiger(mockTiger);
+      expect(rates.crocodile).toBe(0);
+      expect(rates.leopard).toBe(0);
+    });
+
     it('should return correct spawn rates for Alpha tiger', () => {
       mockTiger.evolutionStage = 'Alpha';
       const rates = ambushSystem.getSpawnRatesForTiger(mockTiger);
@@ -541,6 +587,26 @@ describe('AmbushDetector', () => {
       
       expect(awareness).toBeGreaterThanOrEqual(0);
     });
+
+    it('should hear a noisy tiger less from far off and through cover', () => {
+      vi.spyOn(detector, 'getVegetationDensity').mockReturnValue(0);
+      mockTiger.noise = 1;
+      mockThreats[0].position.x = 5;
+      const near = detector.calculateMovementAwareness(mockTiger, mockThreats);
+
+      mockThreats[0].position.x = 35;
+      const far = detector.calculateMovementAwareness(mockTiger, mockThreats);
+      expect(far).toBeLessThan(near);
+
+      mockThreats[0].position.x = 5;
+      detector.getVegetationDensity.mockReturnValue(1);
+      const covered = detector.calculateMovementAwareness(mockTiger, mockThreats);
+      expect(covered).toBeLessThan(near);
+
+      // A silent tiger still gives itself away by how it moves
+      mockTiger.noise = 0;
+      expect(detector.calculateMovementAwareness(mockTiger, mockThreats)).toBeCloseTo(0.5);
+    });
   });
 
   describe('detection methods', () => {
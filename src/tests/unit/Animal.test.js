@@ -51,6 +51,22 @@ describe('Animal', () => {
       expect(animal.fleeDistance).toBe(40);
       expect(animal.attackRange).toBe(3);
     });
+
+    it('should build the jungle species with their own stats and body parts', () => {
+      const buffalo = new Animal('buffalo');
+      const peafowl = new Animal('peafowl');
+      const langur = new Animal('langur');
+
+      expect(buffalo.power).toBeGreaterThan(new Animal('boar').power);
+      expect(peafowl.speed).toBeGreaterThan(new Animal('rabbit').speed);
+      expect(peafowl.detectionRadius).toBeGreaterThan(langur.detectionRadius);
+
+      // Peafowl stand on two legs, the others on four
+      const legCount = (animal) => animal.getLegPositions().length;
+      expect(legCount(peafowl)).toBe(2);
+      expect(legCount(langur)).toBe(4);
+      expect(buffalo.getMesh().children.length).toBeGreaterThan(0);
+    });
   });
 
   describe('health management', () => {
@@ -190,6 +206,22 @@ describe('Animal', () => {
       const target = { x: 2, y: 0, z: 0 }; // Within attack range (3)
       expect(predator.canAttack(target)).toBe(true);
     });
+
+    it('should back off from a stronger roaring tiger and challenge a weaker one', () => {
+      const wildTiger = new Animal('male_tiger');
+      const playerTiger = { power: 40, level: 1 };
+      expect(wildTiger.respondToRoar(playerTiger)).toBe('challenge');
+
+      playerTiger.level = 10;
+      expect(wildTiger.respondToRoar(playerTiger)).toBe('backOff');
+    });
+
+    it('should respect strong scent marks from a tiger it would otherwise challenge', () => {
+      const wildTiger = new Animal('male_tiger');
+      const playerTiger = { power: 40, level: 2 };
+      expect(wildTiger.respondToScent(playerTiger, 0.5)).toBe('challenge');
+      expect(wildTiger.respondToScent(playerTiger, 2)).toBe('respect');
+    });
   });
 
   describe('update cycle', () => {
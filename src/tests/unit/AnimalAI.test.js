@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { ACTIONS, SPECIES_AI } from '../../systems/AnimalAI.js';
+import { Animal } from '../../entities/Animal.js';
+
+describe('AnimalAI', () => {
+  let deer;
+
+  beforeEach(() => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5); // No score jitter
+    deer = new Animal('deer');
+    deer.ai.needs.hunger = 0;
+    deer.ai.needs.thirst = 0;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should flee from a close threat and run away from it', () => {
+    const tiger = new THREE.Vector3(5, 0, 0);
+    deer.ai.noticeThreat(tiger, 5);
+
+    deer.update(0.1);
+
+    expect(deer.aiState).toBe('fleeing');
+    expect(deer.velocity.x).toBeLessThan(0);
+  });
+
+  it('should graze when hungry and only drink near water', () => {
+    deer.ai.needs.hunger = 0.8;
+    expect(deer.ai.decide()).toBe('graze');
+
+    deer.ai.needs.hunger = 0;
+    deer.ai.needs.thirst = 0.9;
+    expect(deer.ai.scoreAction('drink')).toBe(0);
+
+    deer.ai.sense({ nearWater: true });
+    expect(deer.ai.decide()).toBe('drink');
+    expect(deer.aiState).toBe('drinking');
+  });
+
+  it('should walk to the shore before drinking and to grass before grazing', () => {
+    deer.ai.needs.thirst = 0.9;
+    deer.ai.sense({ waterSpot: new THREE.Vector3(0, 0, 30) });
+
+    expect(deer.ai.decide()).toBe('drink');
+    deer.update(0.1);
+    expect(deer.velocity.z).toBeGreaterThan(0);
+    expect(deer.ai.needs.thirst).toBeGreaterThan(0.89);
+
+    deer.ai.sense({ nearWater: true });
+    deer.update(0.1);
+    expect(deer.velocity.length()).toBe(0);
+    expect(deer.ai.needs.thirst).toBeLessThan(0.9);
+
+    const hungry = new Animal('deer');
+    hungry.ai.needs.hunger = 0.8;
+    hungry.ai.needs.thirst = 0;
+    hungry.ai.sense({ grassSpot: new THREE.Vector3(-20, 0, 0) });
+    expect(hungry.ai.decide()).toBe('graze');
+    hungry.update(0.1);
+    expect(hungry.velocity.x).toBeLessThan(0);
+  });
+
+  it('should rejoin its herd when it strays', () => {
+    deer.ai.sense({ herdCenter: new THREE.Vector3(50, 0, 0), herdDistance: 0.9 });
+
+    expect(deer.ai.decide()).toBe('followHerd');
+  });
+
+  it('should let species data decide how to meet a threat', () => {
+    const boar = new Animal('boar');
+    boar.ai.noticeThreat(new THREE.Vector3(), boar.fleeDistance * 0.2);
+    expect(boar.ai.decide()).toBe('attack');
+
+    const leopard = new Animal('leopard');
+    leopard.health = leopard.maxHealth * 0.1;
+    leopard.ai.noticeThreat(new THREE.Vector3(), 10);
+    expect(leopard.ai.decide()).toBe('flee');
+
+    expect(SPECIES_AI.rabbit.actions.attack).toBeUndefined();
+  });
+
+  it('should commit to a forced action for its minimum duration', () => {
+    deer.setTarget(new THREE.Vector3(0, 0, 10));
+    deer.setAIState('approaching');
+    deer.ai.needs.hunger = 1;
+
+    deer.update(0.1);
+    expect(deer.aiState).toBe('approaching');
+
+    deer.ai.actionTime = ACTIONS.approach.minDuration;
+    deer.update(0.1);
+    expect(deer.aiState).toBe('grazing');
+  });
+});
+
+describe('AnimalAI jungle species', () => {
+  beforeEach(() => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should have buffalo charge a close threat and run only when badly hurt', () => {
+    const buffalo = new Animal('buffalo');
+    buffalo.ai.noticeThreat(new THREE.Vector3(10, 0, 0), 10);
+    expect(buffalo.ai.decide()).toBe('charge');
+
+    buffalo.update(0.1);
+    expect(buffalo.aiState).toBe('charging');
+    expect(buffalo.velocity.x).toBeGreaterThan(0);
+
+    const wounded = new Animal('buffalo');
+    wounded.health = wounded.maxHealth * 0.1;
+    wounded.ai.noticeThreat(new THREE.Vector3(10, 0, 0), 10);
+    expect(wounded.ai.decide()).toBe('flee');
+  });
+
+  it('should send langurs up a tree, both to rest and to escape', () => {
+    const langur = new Animal('langur');
+    langur.ai.needs.hunger = 0;
+    langur.ai.needs.thirst = 0;
+    langur.ai.sense({ refuge: new THREE.Vector3(0, 0, 1) });
+    expect(langur.ai.decide()).toBe('perch');
+    langur.update(0.1);
+    expect(langur.perched).toBe(true);
+
+    langur.ai.noticeThreat(new THREE.Vector3(20, 0, 0), 10);
+    expect(langur.ai.decide()).toBe('seekRefuge');
+  });
+
+  it('should have peafowl run from a mere disturbance and take wing when a threat is close', () => {
+    const peafowl = new Animal('peafowl');
+    peafowl.ai.needs.hunger = 0;
+    peafowl.ai.needs.thirst = 0;
+    peafowl.ai.noticeDisturbance(new THREE.Vector3(10, 0, 0), 0.5);
+    expect(peafowl.ai.decide()).toBe('flee');
+    peafowl.update(0.1);
+    expect(peafowl.velocity.x).toBeLessThan(0);
+
+    peafowl.ai.noticeThreat(new THREE.Vector3(10, 0, 0), 10);
+    expect(peafowl.ai.decide()).toBe('flush');
+  });
+});
@@ -0,0 +1,498 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { AnimalSystem } from '../../systems/AnimalSystem.js';
+import { WindSystem } from '../../systems/WindSystem.js';
+import { Tiger } from '../../entities/Tiger.js';
+
+// An AnimalSystem on flat, open ground, without the initial wildlife
+function createSystem(waterSystem = null, vegetationSystem = null) {
+  const scene = { add: vi.fn(), remove: vi.fn() };
+  const terrain = { width: 500, getHeightAt: () => 0, getSlope: () => 0, isWalkable: () => true };
+  return new AnimalSystem(scene, terrain, waterSystem, vegetationSystem);
+}
+
+beforeEach(() => {
+  vi.spyOn(AnimalSystem.prototype, 'spawnInitialAnimals').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('AnimalSystem predators', () => {
+  let system;
+  let leopard;
+
+  beforeEach(() => {
+    system = createSystem();
+    leopard = system.createAnimal('leopard', new THREE.Vector3(0, 0, 0), 0);
+    leopard.ai.needs.hunger = 1;
+  });
+
+  it('should hunt down nearby prey and claim the carcass', () => {
+    const deer = system.createAnimal('deer', new THREE.Vector3(2, 0, 0), 0);
+    deer.health = 10;
+
+    system.senseSurroundings(leopard);
+    expect(leopard.ai.senses.prey).toBe(deer);
+
+    leopard.setAIState('hunting');
+    system.updatePredators(0.1, null);
+
+    expect(deer.isAlive()).toBe(false);
+    expect(leopard.kill).toBe(deer);
+    expect(deer.carcass.killer).toBe(leopard);
+    expect(leopard.aiState).toBe('feeding');
+  });
+
+  it('should eat its kill and drive the player off it', () => {
+    const deer = system.createAnimal('deer', new THREE.Vector3(2, 0, 0), 0);
+    deer.health = 0;
+    system.claimKill(leopard, deer);
+
+    system.updatePredators(1, null);
+    expect(deer.carcass.meat).toBeLessThan(deer.carcass.maxMeat);
+    expect(leopard.ai.needs.hunger).toBeLessThan(1);
+    expect(system.isDefendedByKiller(deer)).toBe(true);
+
+    const tiger = { position: new THREE.Vector3(2, 1, 2), isAlive: () => true, takeDamage: vi.fn() };
+    system.updatePredators(1, tiger);
+    expect(leopard.aiState).toBe('aggressive');
+    expect(tiger.takeDamage).not.toHaveBeenCalled(); // Still winding up
+
+    system.updateMelee(1, tiger);
+    expect(tiger.takeDamage).toHaveBeenCalled();
+  });
+
+  it('should tell the player which bite opened and which finished a carcass', () => {
+    const deer = system.createAnimal('deer', new THREE.Vector3(2, 0, 0), 0);
+    deer.health = 0;
+    const tiger = {
+      position: new THREE.Vector3(0, 0, 0),
+      distanceTo(position) { return this.position.distanceTo(position); },
+      feed: vi.fn()
+    };
+    system.onAnimalEaten = vi.fn();
+
+    while (system.attemptEat(tiger)) {
+      // Eat until nothing is left
+    }
+
+    const bites = system.onAnimalEaten.mock.calls.map(([, , bite]) => bite);
+    expect(bites.length).toBeGreaterThan(1);
+    expect(bites.filter(bite => bite.firstBite)).toHaveLength(1);
+    expect(bites[0].firstBite).toBe(true);
+    expect(bites.filter(bite => bite.finished)).toHaveLength(1);
+    expect(bites[bites.length - 1].finished).toBe(true);
+  });
+
+  it('should head for the ground with the most prey when none is in range', () => {
+    [[130, 130], [140, 135], [125, 150]].forEach(([x, z]) => system.createAnimal('deer', new THREE.Vector3(x, 0, z), 0));
+    system.createAnimal('rabbit', new THREE.Vector3(-150, 0, -150), 0);
+
+    system.senseSurroundings(leopard);
+
+    expect(leopard.ai.senses.prey).toBeNull();
+    expect(leopard.ai.senses.preyArea.x).toBeGreaterThan(100);
+    expect(leopard.ai.senses.preyArea.z).toBeGreaterThan(100);
+  });
+});
+
+describe('AnimalSystem wild tigers', () => {
+  let system;
+
+  beforeEach(() => {
+    system = createSystem();
+  });
+
+  it('should settle residents in their home ranges up to the limit', () => {
+    for (let i = 0; i < system.maxWildTigers + 2; i++) {
+      system.spawnWildTiger('male_tiger');
+    }
+
+    expect(system.wildTigers.length).toBeLessThanOrEqual(system.maxWildTigers);
+    const resident = system.wildTigers[0];
+    expect(resident.animal.identity).toBe(resident);
+    expect(resident.isInHomeRange(resident.animal.position.x, resident.animal.position.z)).toBe(true);
+  });
+
+  it('should restore residents from save data and forget the dead', () => {
+    const resident = system.spawnWildTiger('female_tiger').identity;
+    resident.recordFight(false, 40);
+    const saved = JSON.parse(JSON.stringify(system.getWildTigerSaveData()));
+
+    system.loadWildTigers(saved);
+    const restored = system.wildTigers[0];
+    expect(restored.name).toBe(resident.name);
+    expect(restored.animal.isAlive()).toBe(true);
+    expect(system.getAnimalsByType('female_tiger').filter(a => a.isAlive())).toHaveLength(1);
+
+    restored.animal.health = 0;
+    system.updateWildTigers();
+    expect(system.wildTigers).toHaveLength(0);
+  });
+
+  it('should make a beaten rival back away from the player', () => {
+    const rival = system.spawnWildTiger('male_tiger');
+    rival.identity.recordFight(false, 40);
+    const player = { gender: 'male', position: rival.position.clone(), power: 50, level: 1 };
+
+    system.handleTigerInteraction(rival, player, 3);
+
+    expect(rival.aiState).toBe('retreating');
+  });
+
+  it('should keep a rival fighting until the player runs off, and only then count a loss', () => {
+    const rival = system.spawnWildTiger('male_tiger');
+    const player = new Tiger('male');
+    player.maxHealth = player.health = 10000; // Outlasts the whole fight
+    player.position.set(0, 0, 0);
+    rival.position.set(2, 0, 0);
+    vi.spyOn(player, 'takeDamage');
+
+    rival.initiateFight(player);
+    for (let i = 0; i < 100; i++) {
+      system.update(0.1, player);
+    }
+
+    expect(rival.fight).not.toBeNull();
+    expect(rival.aiState).toBe('aggressive');
+    expect(player.takeDamage.mock.calls.length).toBeGreaterThan(3);
+    expect(rival.identity.fights.won).toBe(0);
+
+    player.position.set(rival.position.x + 40, 0, rival.position.z);
+    system.update(0.1, player);
+
+    expect(rival.fight).toBeNull();
+    expect(rival.identity.fights.won).toBe(1);
+    expect(rival.fightCooldown).toBeGreaterThan(0);
+  });
+
+  it('should settle nothing when the rival strays off the fight by itself', () => {
+    const rival = system.spawnWildTiger('female_tiger');
+    const player = new Tiger('female');
+    player.position.set(0, 0, 0);
+    rival.position.set(2, 0, 0);
+
+    rival.initiateFight(player);
+    rival.position.set(40, 0, 0);
+    system.updateTigerFights(0.1);
+
+    expect(rival.fight).toBeNull();
+    expect(rival.identity.fights.won + rival.identity.fights.lost).toBe(0);
+    expect(rival.aiState).not.toBe('dominant');
+  });
+});
+
+describe('AnimalSystem population', () => {
+  let system;
+
+  beforeEach(() => {
+    system = createSystem();
+  });
+
+  it('should add young to their parent\'s herd and let the old die where they stand', () => {
+    const herd = system.spawnGroup('deer', { x: 40, z: 40 }, 2);
+    herd.forEach(deer => { deer.age = 5; });
+    const old = system.createAnimal('rabbit', new THREE.Vector3(-40, 0, -40), 0);
+    old.age = system.populationSystem.species.rabbit.lifespan;
+
+    system.updatePopulation(system.populationSystem.dayLength * 4);
+
+    expect(old.isAlive()).toBe(false);
+    const young = system.getAnimalsByType('deer').filter(deer => deer.age === 0);
+    expect(young.length).toBeGreaterThan(0);
+    expect(young[0].herd).toBe(herd[0].herd);
+  });
+
+  it('should save and restore living wildlife with ages and herds', () => {
+    const herd = system.spawnGroup('deer', { x: 40, z: 40 }, 3);
+    system.createAnimal('boar', new THREE.Vector3(-60, 0, 60), 0).age = 3;
+    const saved = JSON.parse(JSON.stringify(system.getPopulationSaveData()));
+
+    system.loadPopulation(saved);
+
+    const deer = system.getAnimalsByType('deer');
+    expect(deer).toHaveLength(3);
+    expect(deer.every(animal => !herd.includes(animal))).toBe(true);
+    expect(new Set(deer.map(animal => animal.herd)).size).toBe(1);
+    expect(deer[0].herd).not.toBeNull();
+    expect(system.getAnimalsByType('boar')[0].age).toBe(3);
+  });
+});
+
+describe('AnimalSystem jungle species', () => {
+  let system;
+
+  beforeEach(() => {
+    const vegetation = { grassPatches: [], getNearestTree: () => ({ position: { x: 30, y: 0, z: 30 } }) };
+    system = createSystem(null, vegetation);
+  });
+
+  it('should turn a buffalo herd on the threat together and gore the tiger', () => {
+    const herd = system.spawnGroup('buffalo', { x: 0, z: 0 }, 3);
+    const tiger = { position: new THREE.Vector3(2, 0, 0), isAlive: () => true, takeDamage: vi.fn() };
+    herd[0].ai.noticeThreat(tiger.position, 2);
+    herd[0].setAIState('charging');
+
+    system.updateHerds(0.1);
+    herd.forEach(buffalo => expect(buffalo.aiState).toBe('charging'));
+
+    system.updateCharges(tiger);
+    expect(tiger.takeDamage).not.toHaveBeenCalled(); // Still winding up
+
+    system.updateMelee(1, tiger);
+    expect(tiger.takeDamage).toHaveBeenCalled();
+  });
+
+  it('should miss a tiger that dodges during the windup', () => {
+    const boar = system.createAnimal('boar', new THREE.Vector3(2, 0, 0), 0);
+    let dodging = false;
+    const tiger = {
+      position: new THREE.Vector3(0, 0, 0),
+      isAlive: () => true,
+      takeDamage: vi.fn(),
+      combat: { isDodging: () => dodging }
+    };
+
+    expect(system.attackTiger(boar, tiger)).toBe(true);
+    expect(system.attackTiger(boar, tiger)).toBe(false); // One attack at a time
+    dodging = true;
+    system.updateMelee(1, tiger);
+    expect(tiger.takeDamage).not.toHaveBeenCalled();
+
+    dodging = false;
+    system.updateMelee(5, tiger); // Recover from the missed attack
+    system.attackTiger(boar, tiger);
+    system.updateMelee(1, tiger);
+    expect(tiger.takeDamage).toHaveBeenCalled();
+  });
+
+  it('should keep perched langurs up their tree and out of a predator\'s reach', () => {
+    const langur = system.createAnimal('langur', new THREE.Vector3(30, 0, 30), 0);
+    system.senseSurroundings(langur);
+    expect(langur.ai.senses.refuge.x).toBe(30);
+
+    langur.setAIState('perching');
+    langur.perched = true;
+    system.keepOnTerrain(langur);
+    expect(langur.position.y).toBeGreaterThan(system.perchHeight);
+
+    const leopard = system.createAnimal('leopard', new THREE.Vector3(25, 0, 30), 0);
+    expect(system.findPrey(leopard)).toBeNull();
+
+    langur.setAIState('grazing');
+    system.keepOnTerrain(langur);
+    expect(langur.perched).toBe(false);
+    expect(system.findPrey(leopard)).toBe(langur);
+  });
+});
+
+describe('AnimalSystem alarm calls', () => {
+  let system;
+
+  beforeEach(() => {
+    system = createSystem();
+  });
+
+  it('should put nearby animals of other species on alert facing the caller', () => {
+    const deer = system.createAnimal('deer', new THREE.Vector3(0, 0, 0), 0);
+    const boar = system.createAnimal('boar', new THREE.Vector3(30, 0, 0), 0);
+    const distant = system.createAnimal('rabbit', new THREE.Vector3(200, 0, 0), 0);
+    system.onAlarmCall = vi.fn();
+
+    const listeners = system.giveAlarmCall(deer);
+
+    expect(listeners).toEqual([boar]);
+    expect(boar.aiState).toBe('alert');
+    expect(boar.target.x).toBe(0);
+    expect(boar.ai.disturbance).toBeGreaterThan(0);
+    expect(distant.aiState).not.toBe('alert');
+    expect(system.onAlarmCall).toHaveBeenCalledWith(deer, [boar]);
+
+    // The same animal doesn't call again straight away
+    expect(system.giveAlarmCall(deer)).toEqual([]);
+    expect(system.onAlarmCall).toHaveBeenCalledTimes(1);
+
+    // ...but does once the cooldown has run out in game time
+    system.updateAlarmCalls(system.alarmCallCooldown);
+    expect(system.giveAlarmCall(deer)).toEqual([boar]);
+  });
+
+  it('should let a langur\'s call carry further and count for more than a boar\'s', () => {
+    const langur = system.createAnimal('langur', new THREE.Vector3(0, 0, 0), 0);
+    const boar = system.createAnimal('boar', new THREE.Vector3(0, 0, 100), 0);
+    const farDeer = system.createAnimal('deer', new THREE.Vector3(70, 0, 0), 0);
+    const nearDeer = system.createAnimal('deer', new THREE.Vector3(0, 0, 130), 0);
+
+    expect(system.giveAlarmCall(langur)).toContain(farDeer);
+    expect(system.giveAlarmCall(boar)).toContain(nearDeer);
+    expect(farDeer.ai.disturbance).toBeGreaterThan(nearDeer.ai.disturbance);
+  });
+});
+
+describe('AnimalSystem danger map', () => {
+  let system;
+
+  beforeEach(() => {
+    system = createSystem();
+  });
+
+  it('should remember kills and attacks where they happened and forget them over time', () => {
+    const deer = system.createAnimal('deer', new THREE.Vector3(10, 0, 10), 0);
+    const boar = system.createAnimal('boar', new THREE.Vector3(100, 0, 100), 0);
+    system.updateDangerMap(0);
+
+    const attacker = { type: 'tiger' };
+    deer.takeDamage(deer.health, attacker);
+    boar.takeDamage(5, attacker);
+    system.updateDangerMap(0.1);
+
+    const killSite = system.getDangerAt(10, 10);
+    expect(killSite).toBeGreaterThan(system.getDangerAt(100, 100));
+    expect(system.getDangerAt(100, 100)).toBeGreaterThan(0);
+    expect(system.getDangerAt(-100, -100)).toBe(0);
+
+    system.updateDangerMap(system.dangerHalfLife);
+    expect(system.getDangerAt(10, 10)).toBeCloseTo(killSite / 2, 2);
+  });
+
+  it('should make prey warier on dangerous ground and steer them off it', () => {
+    const deer = system.createAnimal('deer', new THREE.Vector3(10, 0, 10), 0);
+    const tiger = {
+      position: new THREE.Vector3(10 + deer.detectionRadius * 1.2, 0, 10),
+      getStealthEffectiveness: () => 0
+    };
+    vi.spyOn(system, 'hasLineOfSight').mockReturnValue(true);
+    vi.spyOn(system, 'isApproachingFromBehind').mockReturnValue(false);
+
+    expect(system.checkTigerProximity(deer, tiger.position, tiger).detected).toBe(false);
+
+    system.recordDanger(10, 10, 1);
+    expect(system.checkTigerProximity(deer, tiger.position, tiger).detected).toBe(true);
+
+    const grazer = system.createAnimal('deer', new THREE.Vector3(20, 0, 20), 0);
+    grazer.setAIState('grazing');
+    system.avoidDanger(grazer);
+    expect(grazer.aiState).toBe('moving');
+    expect(system.isValidSpawnPosition(20, 20)).toBe(false);
+    expect(system.isValidSpawnPosition(-150, -150)).toBe(true);
+  });
+
+  it('should save and restore the danger map with the population', () => {
+    system.recordDanger(10, 10, 0.5);
+    const saved = JSON.parse(JSON.stringify(system.getPopulationSaveData()));
+
+    system.dangerMap.clear();
+    system.loadPopulation(saved);
+
+    expect(system.getDangerAt(10, 10)).toBe(0.5);
+  });
+});
+
+describe('AnimalSystem navigation', () => {
+  let system;
+
+  beforeEach(() => {
+    const water = { isInWater: (x, z) => x > 20 && x < 60 && Math.abs(z) < 40, getWaterBodies: () => [], getDistanceToWaterEdge: () => 100 };
+    system = createSystem(water);
+  });
+
+  it('should stop animals at the water\'s edge', () => {
+    const deer = system.createAnimal('deer', new THREE.Vector3(18, 0, 0), 0);
+    system.keepOnTerrain(deer);
+
+    deer.position.x = 22;
+    deer.velocity.set(5, 0, 0);
+    system.keepOnTerrain(deer);
+
+    expect(deer.position.x).toBe(18);
+    expect(deer.velocity.x).toBe(0);
+  });
+
+  it('should chase prey across the water by a route around it', () => {
+    const leopard = system.createAnimal('leopard', new THREE.Vector3(0, 0, 0), 0);
+    leopard.ai.needs.hunger = 1;
+    leopard.ai.sense({ prey: { position: new THREE.Vector3(80, 0, 0), isAlive: () => true }, preyCloseness: 0.5 });
+    leopard.setAIState('hunting');
+
+    leopard.ai.update(0.1);
+
+    expect(leopard.ai.path.waypoints.length).toBeGreaterThan(1);
+    expect(Math.abs(leopard.velocity.z)).toBeGreaterThan(0);
+  });
+});
+
+describe('AnimalSystem hearing', () => {
+  let system;
+  let deer;
+  let tiger;
+
+  beforeEach(() => {
+    system = createSystem();
+    vi.spyOn(system, 'getVegetationDensity').mockReturnValue(0);
+    vi.spyOn(system, 'hasLineOfSight').mockReturnValue(false); // Only hearing to go on
+
+    deer = system.createAnimal('deer', new THREE.Vector3(0, 0, 0), 0);
+    tiger = { position: new THREE.Vector3(15, 0, 0), getStealthEffectiveness: () => 0, noise: 0 };
+  });
+
+  it('should detect a noisy tiger it cannot see and ignore a silent one', () => {
+    expect(system.checkTigerProximity(deer, tiger.position, tiger).detected).toBe(false);
+
+    tiger.noise = 1;
+    const result = system.checkTigerProximity(deer, tiger.position, tiger);
+    expect(result.detected).toBe(true);
+    expect(result.lineOfSight).toBe(false);
+    expect(deer.ai.threat).toBeGreaterThan(0);
+  });
+
+  it('should hear less through vegetation and only be disturbed by faint noise', () => {
+    const open = system.getHearingStrength(deer, tiger.position, 1);
+    system.getVegetationDensity.mockReturnValue(1);
+    expect(system.getHearingStrength(deer, tiger.position, 1)).toBeLessThan(open);
+
+    // Beyond sight, but within earshot of a walking tiger
+    system.getVegetationDensity.mockReturnValue(0);
+    tiger.position.set(40, 0, 0);
+    tiger.noise = 1;
+    const result = system.checkTigerProximity(deer, tiger.position, tiger);
+
+    expect(result.detected).toBe(false);
+    expect(result.heard).toBeGreaterThan(0);
+    expect(deer.ai.disturbance).toBeGreaterThan(0);
+    expect(deer.ai.threat).toBe(0);
+  });
+});
+
+describe('AnimalSystem smell', () => {
+  let system;
+  let tiger;
+
+  beforeEach(() => {
+    system = createSystem();
+    vi.spyOn(system, 'getVegetationDensity').mockReturnValue(0);
+    vi.spyOn(system, 'hasLineOfSight').mockReturnValue(false); // Only scent to go on
+
+    // A strong wind blowing toward +X
+    const wind = new WindSystem();
+    wind.angle = Math.PI / 2;
+    wind.speed = 1;
+    system.setWindSystem(wind);
+
+    tiger = { position: new THREE.Vector3(0, 0, 0), getStealthEffectiveness: () => 0, noise: 0 };
+  });
+
+  it('should smell the tiger from downwind at a range it cannot from upwind', () => {
+    const downwind = system.createAnimal('deer', new THREE.Vector3(30, 0, 0), 0);
+    const upwind = system.createAnimal('deer', new THREE.Vector3(-30, 0, 0), 0);
+
+    const downwindResult = system.checkTigerProximity(downwind, tiger.position, tiger);
+    const upwindResult = system.checkTigerProximity(upwind, tiger.position, tiger);
+
+    expect(downwindResult.detected).toBe(true);
+    expect(downwindResult.smelled).toBeGreaterThan(0);
+    expect(upwindResult.detected).toBe(false);
+    expect(upwindResult.smelled).toBe(0);
+  });
+});
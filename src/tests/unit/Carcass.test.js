@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { Carcass } from '../../entities/Carcass.js';
+import { Animal } from '../../entities/Animal.js';
+import { Tiger } from '../../entities/Tiger.js';
+
+describe('Carcass', () => {
+  it('should hold more meat for bigger species', () => {
+    const deer = new Carcass(new Animal('deer'));
+    const rabbit = new Carcass(new Animal('rabbit'));
+
+    expect(deer.meat).toBeGreaterThan(rabbit.meat);
+  });
+
+  it('should allow repeated bites until the meat runs out', () => {
+    const carcass = new Carcass(new Animal('rabbit'));
+
+    expect(carcass.takeBite(15)).toBe(15);
+    expect(carcass.isDepleted()).toBe(false);
+    expect(carcass.takeBite(15)).toBe(5);
+    expect(carcass.isDepleted()).toBe(true);
+    expect(carcass.bitesTaken).toBe(2);
+  });
+
+  it('should become less nourishing and more dangerous as it rots', () => {
+    const carcass = new Carcass(new Animal('deer'));
+    expect(carcass.getDecayState()).toBe('fresh');
+    expect(carcass.getNutritionMultiplier()).toBe(1);
+    expect(carcass.getSicknessChance()).toBe(0);
+
+    carcass.update(carcass.rotAge);
+    expect(carcass.getDecayState()).toBe('rotten');
+    expect(carcass.getNutritionMultiplier()).toBeCloseTo(0.4);
+    expect(carcass.getSicknessChance()).toBe(1);
+
+    carcass.update(carcass.maxAge);
+    expect(carcass.isExpired()).toBe(true);
+  });
+
+  it('should restore meat and age from save data', () => {
+    const original = new Carcass(new Animal('boar'));
+    original.takeBite(50);
+    original.update(100);
+    const saved = JSON.parse(JSON.stringify(original.toJSON()));
+
+    const restored = new Carcass(new Animal(saved.type), saved);
+
+    expect(restored.meat).toBe(original.meat);
+    expect(restored.maxMeat).toBe(original.maxMeat);
+    expect(restored.getDecayState()).toBe('spoiling');
+  });
+
+  it('should rot more slowly when cached in cover', () => {
+    const open = new Carcass(new Animal('deer'));
+    const cached = new Carcass(new Animal('deer'), { inCover: true });
+
+    open.update(150);
+    cached.update(150);
+
+    expect(cached.getFreshness()).toBeGreaterThan(open.getFreshness());
+  });
+
+  it('should slow a tiger dragging it, less so for stronger tigers', () => {
+    const tiger = new Tiger();
+    expect(tiger.getCarryingSpeedMultiplier()).toBe(1);
+
+    tiger.carriedCarcass = new Carcass(new Animal('deer'));
+    const youngMultiplier = tiger.getCarryingSpeedMultiplier();
+    expect(youngMultiplier).toBeLessThan(1);
+
+    tiger.power *= 2;
+    expect(tiger.getCarryingSpeedMultiplier()).toBeGreaterThan(youngMultiplier);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Tiger } from '../../entities/Tiger.js';
+import { Combat, COMBAT_MOVES, getAttackPattern } from '../../systems/Combat.js';
+
+function createTarget(x, z, health = 1000) {
+  return {
+    type: 'deer',
+    health,
+    power: 10,
+    position: { x, y: 0, z },
+    locked: false,
+    takeDamage(amount) { this.health = Math.max(0, this.health - amount); },
+    isAlive() { return this.health > 0; },
+    setMovementLocked(locked) { this.locked = locked; }
+  };
+}
+
+describe('Combat', () => {
+  let tiger;
+  let combat;
+
+  beforeEach(() => {
+    tiger = new Tiger();
+    tiger.position.set(0, 0, 0);
+    tiger.rotation.y = 0; // Facing +Z
+    combat = tiger.combat;
+  });
+
+  it('should be created with the tiger', () => {
+    expect(combat).toBeInstanceOf(Combat);
+    expect(combat.isBusy()).toBe(false);
+  });
+
+  it('should land a swipe after its windup, only on targets in front', () => {
+    const ahead = createTarget(0, 3);
+    const behind = createTarget(0, -3);
+    const stamina = tiger.stamina;
+
+    expect(combat.start('swipe')).toBe(true);
+    expect(tiger.stamina).toBe(stamina - COMBAT_MOVES.swipe.cost);
+    expect(combat.start('bite')).toBe(false); // Swipe still under way
+
+    expect(combat.update(0.05, { candidates: [ahead, behind] })).toEqual([]);
+    const hits = combat.update(0.1, { candidates: [ahead, behind] });
+    expect(hits.map(hit => hit.target)).toEqual([ahead]);
+    expect(ahead.health).toBeLessThan(1000);
+    expect(behind.health).toBe(1000);
+
+    // Each target is hit once per swipe
+    expect(combat.update(0.05, { candidates: [ahead, behind] })).toEqual([]);
+    combat.update(1, { candidates: [] });
+    expect(combat.isBusy()).toBe(false);
+  });
+
+  it('should hold on with a bite and let go when the grip fails', () => {
+    const deer = createTarget(0, 2);
+    combat.start('bite');
+    combat.update(0.35, { candidates: [deer] });
+
+    expect(combat.isHolding()).toBe(true);
+    expect(deer.locked).toBe(true);
+
+    const health = deer.health;
+    combat.update(0.5, { candidates: [deer] });
+    expect(deer.health).toBeLessThan(health);
+
+    deer.position.z = 20; // Tore free
+    combat.update(0.1, { candidates: [deer] });
+    expect(combat.isHolding()).toBe(false);
+    expect(deer.locked).toBe(false);
+  });
+
+  it('should only count as dodging in the active window', () => {
+    combat.start('dodge', { side: 1 });
+    expect(combat.isDodging()).toBe(false);
+
+    combat.update(0.1);
+    expect(combat.isDodging()).toBe(true);
+    expect(tiger.position.x).toBeGreaterThan(0); // Sprang to the left
+
+    combat.update(0.4);
+    expect(combat.isDodging()).toBe(false);
+  });
+
+  it('should refuse moves without the stamina for them', () => {
+    tiger.stamina = COMBAT_MOVES.pounce.cost - 1;
+    expect(combat.canStart('pounce')).toBe(false);
+    expect(combat.start('pounce')).toBe(false);
+    expect(combat.canStart('swipe')).toBe(true);
+  });
+
+  it('should give unknown animals a fallback attack pattern', () => {
+    expect(getAttackPattern('leopard').length).toBe(3);
+    expect(getAttackPattern('unknown')).toBe(getAttackPattern('deer'));
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { FamilySystem } from '../../systems/FamilySystem.js';
+import { Tiger } from '../../entities/Tiger.js';
+
+describe('FamilySystem', () => {
+  let familySystem;
+  let tiger;
+  let mate;
+
+  beforeEach(() => {
+    const scene = { add: vi.fn(), remove: vi.fn() };
+    const terrain = { getHeightAt: vi.fn(() => 0) };
+    familySystem = new FamilySystem(scene, terrain);
+    tiger = new Tiger('female');
+    mate = {
+      gender: 'male',
+      maxHealth: 300,
+      maxStamina: 200,
+      power: 60,
+      traits: { furColor: 0xff6600, stripeColor: 0x000000 }
+    };
+  });
+
+  it('should give birth when the pregnancy timer runs out', () => {
+    expect(familySystem.startPregnancy(tiger, mate)).toBe(true);
+    expect(familySystem.startPregnancy(tiger, mate)).toBe(false); // Already pregnant
+
+    familySystem.update(familySystem.pregnancyDuration + 1, tiger);
+
+    expect(familySystem.isPregnant()).toBe(false);
+    expect(familySystem.cubs.length).toBeGreaterThan(0);
+    expect(familySystem.cubs[0].generation).toBe(2);
+  });
+
+  it('should pass part of each parent stat bonus to cubs', () => {
+    tiger.maxHealth = 200; // +100 over a newborn
+    const stats = familySystem.inheritStats(tiger, mate, 'male');
+
+    // Newborn male: 100 health, mate +200, player +100 -> 100 + 300 * 0.25
+    expect(stats.maxHealth).toBe(175);
+    expect(stats.power).toBeGreaterThanOrEqual(new Tiger('male').power);
+  });
+
+  it('should only pass control to an adult cub', () => {
+    familySystem.startPregnancy(tiger, mate);
+    familySystem.update(familySystem.pregnancyDuration, tiger);
+    expect(familySystem.succeed(tiger)).toBeNull();
+
+    const cub = familySystem.cubs[0];
+    cub.age = cub.adultAge;
+    const heir = familySystem.succeed(tiger);
+
+    expect(heir).toBeInstanceOf(Tiger);
+    expect(heir.gender).toBe(cub.gender);
+    expect(heir.traits).toEqual(cub.traits);
+    expect(familySystem.generation).toBe(2);
+    expect(familySystem.ancestors[0].name).toBe('Founder');
+    expect(familySystem.cubs).not.toContain(cub);
+  });
+
+  it('should round-trip lineage through save data', () => {
+    familySystem.startPregnancy(tiger, mate);
+    familySystem.update(familySystem.pregnancyDuration, tiger);
+    familySystem.startPregnancy(tiger, mate);
+    const saved = JSON.parse(JSON.stringify(familySystem.toJSON()));
+
+    const restored = new FamilySystem(null, null);
+    restored.load(saved);
+
+    expect(restored.cubs.length).toBe(familySystem.cubs.length);
+    expect(restored.cubs[0].name).toBe(familySystem.cubs[0].name);
+    expect(restored.isPregnant()).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { Herd } from '../../entities/Herd.js';
+import { Animal } from '../../entities/Animal.js';
+
+describe('Herd', () => {
+  let herd;
+  let deer;
+
+  beforeEach(() => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    herd = new Herd(1, 'deer');
+    deer = [new Animal('deer'), new Animal('deer'), new Animal('deer')];
+    deer.forEach(animal => herd.addMember(animal));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should pull stragglers in and push crowded members apart', () => {
+    deer[0].position.set(0, 0, 0);
+    deer[1].position.set(20, 0, 0);
+    deer[2].position.set(20, 0, 2);
+
+    expect(herd.getFlockingForce(deer[0]).x).toBeGreaterThan(0);
+    expect(herd.getFlockingForce(deer[2]).z).toBeGreaterThan(0);
+  });
+
+  it('should hand the lead to the healthiest member when the leader is lost', () => {
+    expect(herd.isLeader(deer[0])).toBe(true);
+    deer[2].health = deer[2].maxHealth;
+    deer[1].health = deer[1].maxHealth * 0.5;
+
+    herd.removeMember(deer[0]);
+
+    expect(herd.leader).toBe(deer[2]);
+    expect(deer[0].herd).toBeNull();
+  });
+
+  it('should stay alarmed until its members have calmed down', () => {
+    herd.raiseAlarm(new THREE.Vector3(10, 0, 0), new THREE.Vector3(-1, 0, 0));
+    deer[1].ai.threat = 0.8;
+
+    expect(herd.updateAlarm(herd.alarmDuration)).toBe(false);
+    expect(herd.alarm).not.toBeNull();
+
+    deer[1].ai.threat = 0;
+    expect(herd.updateAlarm(0.1)).toBe(true);
+    expect(herd.alarm).toBeNull();
+  });
+
+  it('should bolt together in the alarm direction', () => {
+    herd.raiseAlarm(new THREE.Vector3(10, 0, 0), new THREE.Vector3(0, 0, -1));
+    deer.forEach((animal, i) => {
+      animal.position.set(i * 5, 0, 0);
+      animal.setTarget(new THREE.Vector3(10, 0, 0));
+      animal.setAIState('fleeing');
+      animal.update(0.1);
+    });
+
+    deer.forEach(animal => expect(animal.velocity.z).toBeLessThan(0));
+  });
+});
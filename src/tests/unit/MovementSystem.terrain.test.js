@@ -227,4 +227,36 @@ describe('MovementSystem Terrain Integration', () => {
       expect(movementSystem.isGrounded).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('noise', () => {
+    const moveAs = ({ isRunning = false, isCrouching = false } = {}) => {
+      movementSystem.setMovementInput({ direction: { x: 0, z: 1 }, isRunning, isCrouching, isJumping: false });
+      movementSystem.isGrounded = true;
+      return movementSystem.updateNoise();
+    };
+
+    it('should be loud running over rock and quiet creeping through grass', () => {
+      mockTerrain.getTextureWeights = vi.fn(() => ({ grass: 0, dirt: 0, rock: 1, sand: 0 }));
+      const runningOnRock = moveAs({ isRunning: true });
+
+      mockTerrain.getTextureWeights = vi.fn(() => ({ grass: 1, dirt: 0, rock: 0, sand: 0 }));
+      const walkingOnGrass = moveAs();
+      const crouchingOnGrass = moveAs({ isCrouching: true });
+
+      expect(runningOnRock).toBeGreaterThan(1);
+      expect(walkingOnGrass).toBeLessThan(movementSystem.noiseLevels.walking);
+      expect(crouchingOnGrass).toBeLessThan(walkingOnGrass);
+      expect(mockTiger.noise).toBe(crouchingOnGrass);
+    });
+
+    it('should make no noise standing still and splash through water', () => {
+      movementSystem.setMovementInput({ direction: { x: 0, z: 0 }, isRunning: false, isCrouching: false, isJumping: false });
+      expect(movementSystem.updateNoise()).toBe(0);
+
+      movementSystem.setWaterSystem({ isInWater: () => true });
+      moveAs({ isCrouching: true });
+      expect(movementSystem.noiseSource).toBe('splashing');
+      expect(mockTiger.noise).toBe(movementSystem.noiseLevels.splashing);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { NavigationGrid } from '../../systems/NavigationGrid.js';
+
+describe('NavigationGrid', () => {
+  let grid;
+  let water;
+  let terrain;
+
+  beforeEach(() => {
+    // A river wall down the middle of a 160-wide map, open only at the far north end,
+    // and a cliff in the south-east corner
+    water = { isInWater: (x, z) => Math.abs(x) < 8 && z < 48 };
+    terrain = {
+      width: 160,
+      isWalkable: (x, z) => !(x > 48 && z < -48),
+      getSlope: () => 0.1
+    };
+    grid = new NavigationGrid(terrain, water);
+  });
+
+  it('should block cells under water or too steep to walk', () => {
+    expect(grid.isWalkable(0, 0)).toBe(false);
+    expect(grid.isWalkable(60, -60)).toBe(false);
+    expect(grid.isWalkable(-40, 0)).toBe(true);
+    expect(grid.isWalkable(200, 0)).toBe(false);
+
+    expect(grid.hasClearLine({ x: -40, z: -40 }, { x: -40, z: 40 })).toBe(true);
+    expect(grid.hasClearLine({ x: -40, z: 0 }, { x: 40, z: 0 })).toBe(false);
+  });
+
+  it('should route around water and end at the goal', () => {
+    const from = new THREE.Vector3(-40, 0, -20);
+    const to = new THREE.Vector3(40, 0, -20);
+
+    const path = grid.findPath(from, to);
+
+    expect(path).not.toBeNull();
+    expect(path[path.length - 1].x).toBe(40);
+    expect(path[path.length - 1].z).toBe(-20);
+    expect(path.some(waypoint => waypoint.z >= 48)).toBe(true);
+
+    let previous = from;
+    for (const waypoint of path) {
+      expect(grid.hasClearLine(previous, waypoint)).toBe(true);
+      previous = waypoint;
+    }
+  });
+
+  it('should head for open ground beside a blocked goal and give up when walled off', () => {
+    const path = grid.findPath({ x: -40, z: 0 }, { x: -2, z: 0 });
+    const end = path[path.length - 1];
+    expect(grid.isWalkable(end.x, end.z)).toBe(true);
+    expect(end.x).toBeLessThan(0);
+
+    water.isInWater = (x) => Math.abs(x) < 8;
+    grid.rebuild();
+    expect(grid.findPath({ x: -40, z: 0 }, { x: 40, z: 0 })).toBeNull();
+  });
+
+  it('should turn an escape aside from water', () => {
+    const escape = grid.findEscapePoint(new THREE.Vector3(-20, 0, 0), new THREE.Vector3(1, 0, 0), 40);
+
+    expect(escape).not.toBeNull();
+    expect(grid.isWalkable(escape.x, escape.z)).toBe(true);
+    expect(escape.x).toBeLessThan(0);
+  });
+});
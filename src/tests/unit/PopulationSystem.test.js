@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PopulationSystem } from '../../systems/PopulationSystem.js';
+
+const makeAnimal = (type, x, z, age) => ({
+  type,
+  age,
+  position: { x, z },
+  health: 100,
+  isAlive() { return this.health > 0; }
+});
+
+describe('PopulationSystem', () => {
+  let population;
+  const terrain = { width: 256 }; // Four regions of 128
+
+  beforeEach(() => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    population = new PopulationSystem(terrain, null, null);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should set carrying capacity from grass patches and water', () => {
+    const vegetation = {
+      grassPatches: Array.from({ length: 24 }, (_, i) => ({ position: { x: -100 + i, z: -100 } }))
+        .concat(Array.from({ length: 24 }, (_, i) => ({ position: { x: 100 - i, z: -100 } })))
+    };
+    const water = { getDistanceToWaterEdge: (x) => (x < 0 ? 10 : 500) };
+    population = new PopulationSystem(terrain, water, vegetation);
+
+    const wet = population.getRegion(-100, -100);
+    const dry = population.getRegion(100, -100);
+    const barren = population.getRegion(-100, 100);
+
+    expect(wet.capacity).toBe(6);
+    expect(dry.capacity).toBe(3);
+    expect(barren.capacity).toBe(0);
+  });
+
+  it('should breed toward capacity and stop once it is reached', () => {
+    const region = population.getRegion(-50, -50);
+    const herd = [makeAnimal('deer', -50, -50, 5), makeAnimal('deer', -52, -50, 5)];
+
+    const events = population.update(population.dayLength * 4, herd);
+    expect(events.births.length).toBeGreaterThan(0);
+    expect(events.births[0].parent.type).toBe('deer');
+
+    const crowd = Array.from({ length: region.capacity }, () => makeAnimal('deer', -50, -50, 5));
+    expect(population.update(population.dayLength * 2, crowd).births).toHaveLength(0);
+  });
+
+  it('should age animals and let them die of old age', () => {
+    const rabbit = makeAnimal('rabbit', 50, 50, population.species.rabbit.lifespan - 0.5);
+
+    const events = population.update(population.dayLength, [rabbit]);
+
+    expect(rabbit.age).toBeCloseTo(population.species.rabbit.lifespan + 0.5);
+    expect(events.deaths).toContainEqual({ animal: rabbit, cause: 'age' });
+  });
+
+  it('should keep a hunted-out region empty until it has been left alone', () => {
+    const deer = makeAnimal('deer', -50, -50, 5);
+    const neighbour = makeAnimal('deer', 60, -50, 5);
+    deer.health = 0;
+
+    population.update(0.1, [deer, neighbour]);
+    const region = population.getRegion(-50, -50);
+    expect(region.kills).toBe(1);
+
+    const dayLength = population.dayLength;
+    expect(population.update(dayLength * 1.5, [neighbour]).arrivals
+      .filter(arrival => arrival.region === region)).toHaveLength(0);
+
+    const arrivals = population.update(dayLength * 3, [neighbour]).arrivals
+      .filter(arrival => arrival.region === region);
+    expect(arrivals).toHaveLength(1);
+    expect(arrivals[0].type).toBe('deer');
+  });
+
+  it('should restore the day and each region\'s hunting record', () => {
+    population.update(population.dayLength * 3, []);
+    population.recordDeath(makeAnimal('boar', 50, 50, 5));
+
+    const restored = new PopulationSystem(terrain, null, null);
+    restored.load(JSON.parse(JSON.stringify(population.toJSON())));
+
+    expect(restored.day).toBeCloseTo(3);
+    expect(restored.getRegion(50, 50).kills).toBe(1);
+    expect(restored.getRegion(50, 50).lastKillDay).toBeCloseTo(3);
+  });
+});
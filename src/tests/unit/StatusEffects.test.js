@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { StatusEffects } from '../../systems/StatusEffects.js';
+import { Tiger } from '../../entities/Tiger.js';
+
+describe('StatusEffects', () => {
+  let target;
+  let effects;
+
+  beforeEach(() => {
+    target = { takeDamage: vi.fn() };
+    effects = new StatusEffects(target);
+  });
+
+  it('should expire effects after their duration', () => {
+    effects.apply('soaked');
+    expect(effects.has('soaked')).toBe(true);
+
+    effects.update(16);
+    expect(effects.has('soaked')).toBe(false);
+  });
+
+  it('should stack up to the maximum and scale ticks by stacks', () => {
+    for (let i = 0; i < 10; i++) {
+      effects.apply('bleeding');
+    }
+    expect(effects.getStacks('bleeding')).toBe(5);
+
+    effects.update(1.0);
+    expect(target.takeDamage).toHaveBeenCalledWith(7.5, null, 'bleeding');
+  });
+
+  it('should combine multipliers from all active effects', () => {
+    effects.apply('exhausted');
+    effects.apply('soaked');
+
+    expect(effects.getMultiplier('speed')).toBeCloseTo(0.7 * 0.9);
+    expect(effects.getMultiplier('attackDamage')).toBe(1.0);
+  });
+
+  it('should not save transient effects', () => {
+    effects.apply('grabbed');
+    effects.apply('poisoned', { stacks: 2 });
+    const saved = JSON.parse(JSON.stringify(effects.toJSON()));
+
+    const restored = new StatusEffects(target);
+    restored.load(saved);
+
+    expect(restored.has('grabbed')).toBe(false);
+    expect(restored.getStacks('poisoned')).toBe(2);
+  });
+});
+
+describe('Tiger status effects', () => {
+  let tiger;
+
+  beforeEach(() => {
+    tiger = new Tiger();
+  });
+
+  it('should lock movement while grabbed', () => {
+    tiger.setMovementLocked(true);
+    expect(tiger.isMovementLocked).toBe(true);
+    expect(tiger.hasStatusEffect('grabbed')).toBe(true);
+
+    tiger.setMovementLocked(false);
+    expect(tiger.isMovementLocked).toBe(false);
+  });
+
+  it('should take dehydration damage when thirst runs out', () => {
+    tiger.thirst = 0;
+    const healthBefore = tiger.health;
+
+    tiger.update(0.1); // Applies dehydrated
+    tiger.update(0.5); // First tick
+
+    expect(tiger.hasStatusEffect('dehydrated')).toBe(true);
+    expect(tiger.health).toBeLessThan(healthBefore);
+  });
+
+  it('should slow thirst while soaked', () => {
+    tiger.applyStatusEffect('soaked');
+    tiger.update(10);
+
+    expect(tiger.thirst).toBeCloseTo(100 - 10 * tiger.thirstDecayRate * 0.3);
+  });
+
+  it('should become well-fed when hunger is full', () => {
+    tiger.hunger = 90;
+    tiger.feed(20);
+    expect(tiger.hasStatusEffect('wellFed')).toBe(true);
+  });
+});
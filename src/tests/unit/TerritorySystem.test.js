@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { TerritorySystem } from '../../systems/TerritorySystem.js';
+import { Tiger } from '../../entities/Tiger.js';
+import { Animal } from '../../entities/Animal.js';
+
+describe('TerritorySystem', () => {
+  let territory;
+  let tiger;
+  let tree;
+
+  beforeEach(() => {
+    const scene = { add: vi.fn(), remove: vi.fn() };
+    tree = { position: new THREE.Vector3(100, 0, 100) };
+    const vegetationSystem = {
+      getNearestTree: vi.fn((x, z, maxDistance) =>
+        Math.hypot(tree.position.x - x, tree.position.z - z) <= maxDistance ? tree : null)
+    };
+    territory = new TerritorySystem(scene, vegetationSystem);
+    tiger = new Tiger();
+  });
+
+  it('should only mark a tree within reach, refreshing an existing mark', () => {
+    tiger.setPosition(0, 0, 0);
+    expect(territory.markTree(tiger)).toBeNull();
+
+    tiger.setPosition(95, 0, 100);
+    territory.markTree(tiger);
+    territory.update(territory.markDuration / 2);
+    const mark = territory.markTree(tiger);
+
+    expect(territory.getMarks()).toHaveLength(1);
+    expect(mark.strength).toBe(1);
+  });
+
+  it('should claim ground around a mark that fades unless refreshed', () => {
+    tiger.setPosition(95, 0, 100);
+    territory.markTree(tiger);
+
+    expect(territory.isInTerritory(100, 110)).toBe(true);
+    expect(territory.isInTerritory(100, 100 + territory.markRadius)).toBe(false);
+
+    territory.update(territory.markDuration);
+    expect(territory.getMarks()).toHaveLength(0);
+    expect(territory.getStrengthAt(100, 100)).toBe(0);
+  });
+
+  it('should point out of the territory, away from the marks', () => {
+    territory.addMark(0, 0, 1);
+
+    const away = territory.getAwayDirection(10, 0);
+
+    expect(away.x).toBeCloseTo(1);
+    expect(away.z).toBeCloseTo(0);
+    expect(territory.getAwayDirection(200, 0)).toBeNull();
+  });
+
+  it('should restore marks and their strength from save data', () => {
+    territory.addMark(10, 20, 0.4);
+    const saved = JSON.parse(JSON.stringify(territory.toJSON()));
+
+    territory.load(saved);
+
+    expect(territory.getMarks()).toHaveLength(1);
+    expect(territory.getMarks()[0]).toMatchObject({ x: 10, z: 20, strength: 0.4 });
+  });
+
+  it('should reward kills made inside the territory', () => {
+    const outside = new Tiger();
+    const inside = new Tiger();
+    inside.inOwnTerritory = true;
+
+    outside.recordKill(new Animal('deer'));
+    inside.recordKill(new Animal('deer'));
+
+    expect(inside.experience).toBeGreaterThan(outside.experience);
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { Tiger } from '../../entities/Tiger.js';
+import { ABILITIES } from '../../systems/Abilities.js';
 
 describe('Tiger', () => {
   let tiger;
@@ -97,65 +98,269 @@ describe('Tiger', () => {
     });
 
     it('should level up when reaching experience threshold', () => {
-      const initialHealth = tiger.health;
       const initialMaxHealth = tiger.maxHealth;
-      const initialHunger = tiger.hunger;
-      const initialMaxHunger = tiger.maxHunger;
       const initialPower = tiger.power;
-      const initialStamina = tiger.stamina;
       const initialMaxStamina = tiger.maxStamina;
       
       tiger.gainExperience(100); // Level 1 -> 2 at 100 XP
       expect(tiger.level).toBe(2);
       expect(tiger.experience).toBe(0); // Reset after level up
       
-      // Check stat bonuses: +10 health, +10 hunger, +10 damage, -5 max stamina, -5 stamina
-      expect(tiger.maxHealth).toBe(initialMaxHealth + 10);
-      expect(tiger.health).toBe(initialHealth + 10);
-      expect(tiger.maxHunger).toBe(initialMaxHunger + 10);
-      expect(tiger.hunger).toBe(initialHunger + 10);
-      expect(tiger.power).toBe(initialPower + 10);
-      expect(tiger.maxStamina).toBe(initialMaxStamina - 5); // Lose 5 max stamina
-      expect(tiger.stamina).toBe(initialStamina - 5); // Lose 5 current stamina
+      // Level-ups grant a skill point instead of fixed stat bonuses
+      expect(tiger.skillTree.skillPoints).toBe(1);
+      expect(tiger.maxHealth).toBe(initialMaxHealth);
+      expect(tiger.power).toBe(initialPower);
+      expect(tiger.maxStamina).toBe(initialMaxStamina);
     });
 
     it('should evolve to Adult Tiger at level 10', () => {
       // Set level to 9 and gain experience to trigger level 10 evolution
       tiger.level = 9;
-      const baseHealth = 100 + (9 * 10); // Base + 9 level-ups of +10 health = 190
-      const basePower = 80 + (9 * 10); // Base + 9 level-ups of +10 damage = 170
-      const baseMaxStamina = 300 - (9 * 5); // Base - 9 level-ups of -5 max stamina = 255
-      tiger.maxHealth = baseHealth;
-      tiger.health = baseHealth;
-      tiger.power = basePower;
-      tiger.maxStamina = baseMaxStamina;
+      const baseHealth = tiger.maxHealth;
+      const basePower = tiger.power;
+      const baseMaxStamina = tiger.maxStamina;
       
       tiger.gainExperience(100);
       expect(tiger.level).toBe(10);
       expect(tiger.evolutionStage).toBe('Adult');
-      // Level-up: +10 health, +10 power, -5 max stamina
-      // Evolution: +10 health, +15 max stamina (net +10 after level-up penalty)
-      expect(tiger.maxHealth).toBe(baseHealth + 20); // +10 level + 10 evolution
-      expect(tiger.power).toBe(basePower + 10); // +10 level only (evolution doesn't affect power for Adult)
-      expect(tiger.maxStamina).toBe(baseMaxStamina + 10); // -5 level + 15 evolution = +10 net
+      // Evolution: +10 health, +15 max stamina, power unchanged
+      expect(tiger.maxHealth).toBe(baseHealth + 10);
+      expect(tiger.power).toBe(basePower);
+      expect(tiger.maxStamina).toBe(baseMaxStamina + 15);
     });
 
     it('should evolve to Alpha Tiger at level 30', () => {
       // Set level to 29 and gain experience to trigger level 30 evolution
       tiger.level = 29;
-      const basePower = 80 + (29 * 10); // Base + 29 level-ups of +10 damage = 370
-      const baseMaxStamina = 300 - (29 * 5); // Base - 29 level-ups of -5 max stamina = 155
-      tiger.power = basePower;
-      tiger.maxStamina = baseMaxStamina;
+      const basePower = tiger.power;
+      const baseMaxStamina = tiger.maxStamina;
       tiger.evolutionStage = 'Adult'; // Must be Adult to evolve to Alpha
       
       tiger.gainExperience(100);
       expect(tiger.level).toBe(30);
       expect(tiger.evolutionStage).toBe('Alpha');
-      // Level-up gives +10 power, then Alpha evolution doubles it = (basePower + 10) * 2
-      expect(tiger.power).toBe((basePower + 10) * 2);
-      // Max stamina: -5 from level + 15 from evolution = +10 net
-      expect(tiger.maxStamina).toBe(baseMaxStamina + 10);
+      // Alpha evolution doubles power
+      expect(tiger.power).toBe(basePower * 2);
+      expect(tiger.maxStamina).toBe(baseMaxStamina + 15);
+    });
+  });
+
+  describe('evolution stages', () => {
+    it('should evolve through every stage it qualifies for', () => {
+      tiger.level = 50;
+      tiger.evolve();
+      expect(tiger.evolutionStage).toBe('Elder');
+      expect(tiger.hasLaserBreath()).toBe(true);
+    });
+
+    it('should mutate when a stage requirement is met', () => {
+      tiger.skillTree.addSkillPoints(3);
+      tiger.unlockSkill('softPaws');
+      tiger.unlockSkill('softPaws');
+      tiger.unlockSkill('softPaws');
+      const stealth = tiger.stealth;
+      
+      tiger.level = 20;
+      tiger.evolve();
+      expect(tiger.evolutionStage).toBe('Ghost');
+      expect(tiger.stealth).toBe(stealth + 25);
+    });
+
+    it('should skip mutations whose requirements are not met', () => {
+      tiger.level = 20;
+      tiger.evolve();
+      expect(tiger.evolutionStage).toBe('Adult');
+    });
+  });
+
+  describe('injuries', () => {
+    it('should weaken attacks with a wounded jaw', () => {
+      const target = {
+        type: 'deer',
+        health: 1000,
+        position: { x: 1, y: 0, z: 0 },
+        takeDamage(amount) { this.health -= amount; },
+        isAlive() { return this.health > 0; }
+      };
+      tiger.injure('jaw', 0.5, 'male_tiger');
+      tiger.attack(target);
+      expect(target.health).toBeCloseTo(1000 - tiger.power * 0.7);
+    });
+
+    it('should shrink detection radius with wounded eyes', () => {
+      const normalRadius = tiger.getDetectionRadius();
+      tiger.injure('eyes', 1.0, 'leopard');
+      expect(tiger.getDetectionRadius()).toBeCloseTo(normalRadius * 0.4);
+    });
+
+    it('should only heal wounds while resting', () => {
+      tiger.injure('legs', 0.4, 'crocodile');
+      tiger.setState('running');
+      tiger.update(5);
+      expect(tiger.injuries.getSeverity('legs')).toBeCloseTo(0.4);
+
+      tiger.setState('idle');
+      tiger.update(10);
+      expect(tiger.injuries.getSeverity('legs')).toBeCloseTo(0.2);
+      tiger.update(20);
+      expect(tiger.injuries.hasWounds()).toBe(false);
+    });
+
+    it('should heal while asleep or crouched still, and stop once the tiger moves', () => {
+      tiger.injure('legs', 0.8, 'crocodile');
+      tiger.setState('crouching');
+      tiger.update(5);
+      expect(tiger.injuries.getSeverity('legs')).toBeCloseTo(0.7);
+
+      tiger.isMoving = true;
+      tiger.update(5);
+      expect(tiger.injuries.getSeverity('legs')).toBeCloseTo(0.7);
+
+      tiger.setState('walking');
+      tiger.update(5);
+      expect(tiger.injuries.getSeverity('legs')).toBeCloseTo(0.7);
+
+      tiger.sleep();
+      tiger.update(5);
+      expect(tiger.injuries.getSeverity('legs')).toBeLessThan(0.7);
+    });
+  });
+
+  describe('skill tree', () => {
+    it('should not unlock skills without skill points', () => {
+      expect(tiger.unlockSkill('strongJaws')).toBe(false);
+      expect(tiger.skillTree.getRank('strongJaws')).toBe(0);
+    });
+
+    it('should require the previous skill in a branch', () => {
+      tiger.skillTree.addSkillPoints(2);
+      expect(tiger.unlockSkill('chargingStrike')).toBe(false);
+      expect(tiger.unlockSkill('strongJaws')).toBe(true);
+      expect(tiger.unlockSkill('chargingStrike')).toBe(true);
+      expect(tiger.skillTree.skillPoints).toBe(0);
+    });
+
+    it('should apply flat stat skills immediately', () => {
+      const maxStamina = tiger.maxStamina;
+      tiger.skillTree.addSkillPoints(1);
+      tiger.unlockSkill('deepLungs');
+      expect(tiger.maxStamina).toBe(maxStamina + 20);
+    });
+
+    it('should increase attack damage with power skills', () => {
+      const target = {
+        type: 'deer',
+        health: 1000,
+        position: { x: 1, y: 0, z: 0 },
+        takeDamage(amount) { this.health -= amount; },
+        isAlive() { return this.health > 0; }
+      };
+      tiger.skillTree.addSkillPoints(1);
+      tiger.unlockSkill('strongJaws');
+      tiger.attack(target);
+      expect(target.health).toBeCloseTo(1000 - tiger.power * 1.1);
+    });
+
+    it('should round-trip through save data', () => {
+      tiger.skillTree.addSkillPoints(3);
+      tiger.unlockSkill('softPaws');
+      tiger.unlockSkill('softPaws');
+      
+      const restored = new Tiger();
+      restored.skillTree.load(JSON.parse(JSON.stringify(tiger.skillTree.toJSON())));
+      expect(restored.skillTree.skillPoints).toBe(1);
+      expect(restored.skillTree.getRank('softPaws')).toBe(2);
+      expect(restored.getSkillMultiplier('detectionRadius')).toBeCloseTo(0.84);
+    });
+  });
+
+  describe('survival and death', () => {
+    it('should lose health when starving', () => {
+      tiger.hunger = 0;
+      const healthBefore = tiger.health;
+
+      tiger.update(0.1); // Applies starving
+      tiger.update(0.5); // First tick
+
+      expect(tiger.hasStatusEffect('starving')).toBe(true);
+      expect(tiger.health).toBeLessThan(healthBefore);
+    });
+
+    it('should report what killed it', () => {
+      expect(tiger.getCauseOfDeath()).toBeNull();
+
+      tiger.takeDamage(tiger.health, { type: 'crocodile' });
+      expect(tiger.getCauseOfDeath()).toBe('Killed by a crocodile');
+
+      tiger.health = 1;
+      tiger.takeDamage(1, null, 'dehydration');
+      expect(tiger.getCauseOfDeath()).toBe('Died of thirst');
+    });
+
+    it('should track lifetime stats', () => {
+      const deer = {
+        type: 'deer',
+        health: 1,
+        position: { x: 1, y: 0, z: 0 },
+        isAlive() { return this.health > 0; },
+        takeDamage(amount) { this.health = Math.max(0, this.health - amount); },
+        getExperienceReward: () => 25,
+        getHealthRestoration: () => 30
+      };
+
+      tiger.attack(deer);
+      tiger.update(2);
+
+      const stats = tiger.getLifetimeStats();
+      expect(stats.totalKills).toBe(1);
+      expect(stats.timeAlive).toBe(2);
+    });
+  });
+
+  describe('sleep', () => {
+    it('should recover health and stamina faster while asleep', () => {
+      const awake = new Tiger();
+      for (const t of [tiger, awake]) {
+        t.health = 50;
+        t.consumeStamina(200);
+      }
+
+      tiger.sleep(true);
+      tiger.update(2);
+      awake.update(2);
+
+      expect(tiger.health).toBeGreaterThan(awake.health);
+      expect(tiger.stamina).toBeGreaterThan(awake.stamina);
+    });
+
+    it('should wake up when attacked but not from bleeding', () => {
+      tiger.sleep(false);
+      tiger.takeDamage(1, null, 'bleeding');
+      expect(tiger.isSleeping).toBe(true);
+
+      tiger.takeDamage(10, { type: 'leopard' });
+      expect(tiger.isSleeping).toBe(false);
+      expect(tiger.sleepingInDen).toBe(false);
+    });
+  });
+
+  describe('roar', () => {
+    it('should be louder and cost more at higher evolution stages', () => {
+      const young = tiger.getRoarStats();
+      tiger.evolutionStage = 'Alpha';
+      const alpha = tiger.getRoarStats();
+
+      expect(alpha.radius).toBeGreaterThan(young.radius);
+      expect(alpha.staminaCost).toBeGreaterThan(young.staminaCost);
+    });
+
+    it('should spend stamina and wait for the cooldown between roars', () => {
+      expect(tiger.useAbility('roar')).not.toBeNull();
+      expect(tiger.stamina).toBe(tiger.maxStamina - tiger.getRoarStats().staminaCost);
+      expect(tiger.useAbility('roar')).toBeNull();
+
+      tiger.update(ABILITIES.roar.cooldown);
+      expect(tiger.abilities.canUse('roar')).toBe(true);
     });
   });
 
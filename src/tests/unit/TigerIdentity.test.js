@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { TigerIdentity } from '../../entities/TigerIdentity.js';
+import { Animal } from '../../entities/Animal.js';
+
+describe('TigerIdentity', () => {
+  let identity;
+
+  beforeEach(() => {
+    identity = TigerIdentity.create(1, 'male_tiger', { x: 50, z: -20, radius: 70 }, [{ x: 90, z: -20 }, { x: 50, z: 20 }]);
+    identity.level = 2;
+  });
+
+  it('should scale a wild tiger with its level', () => {
+    const plain = new Animal('male_tiger');
+    const resident = new Animal('male_tiger');
+
+    identity.applyTo(resident);
+
+    expect(resident.name).toBe(identity.name);
+    expect(resident.power).toBeGreaterThan(plain.power);
+    expect(identity.animal).toBe(resident);
+  });
+
+  it('should avoid the player after a sound beating', () => {
+    const resident = new Animal('male_tiger');
+    identity.applyTo(resident);
+    identity.recordFight(false, 40);
+
+    expect(identity.getAttitude()).toBe('avoid');
+    expect(resident.respondToRoar({ power: 0, level: 0 })).toBe('backOff');
+  });
+
+  it('should come back a level stronger after a narrow loss', () => {
+    identity.recordFight(false, 5);
+
+    expect(identity.getAttitude()).toBe('rematch');
+    expect(identity.level).toBe(3);
+    expect(identity.fights.lost).toBe(1);
+  });
+
+  it('should keep its name, range, patrol and memory through a save', () => {
+    identity.recordFight(true, 10);
+    identity.advancePatrol();
+
+    const restored = new TigerIdentity(JSON.parse(JSON.stringify(identity.toJSON())));
+
+    expect(restored.name).toBe(identity.name);
+    expect(restored.home).toEqual({ x: 50, z: -20, radius: 70 });
+    expect(restored.getNextWaypoint()).toEqual({ x: 50, z: 20 });
+    expect(restored.getAttitude()).toBe('dominant');
+    expect(restored.fights.won).toBe(1);
+  });
+});
@@ -262,6 +262,34 @@ describe('VegetationSystem', () => {
     });
   });
 
+  describe('dens', () => {
+    it('should place rock dens on steep ground and thicket dens in dense vegetation', () => {
+      mockTerrain.getHeightAt.mockReturnValue(5);
+      mockTerrain.getSlope.mockImplementation((x, z) => (x > 20 && z > 20 ? 0.8 : 0.1));
+      const rng = vegetationSystem.createSeededRandom(1);
+      for (let i = 0; i < 4; i++) {
+        vegetationSystem.createBush(-30 + i * 2, -30, rng);
+      }
+
+      vegetationSystem.generateDens(mockTerrain.getBounds(), rng);
+
+      const rockDen = vegetationSystem.getDens().find(den => den.type === 'rock');
+      const thicketDen = vegetationSystem.getDens().find(den => den.type === 'thicket');
+      expect(rockDen.position.x).toBeGreaterThan(20);
+      expect(thicketDen.position.x).toBeLessThan(-20);
+      expect(vegetationSystem.denGroup.children.length).toBeGreaterThan(0);
+    });
+
+    it('should only report a den when the position is inside it', () => {
+      mockTerrain.getHeightAt.mockReturnValue(0);
+      const den = vegetationSystem.createDen('thicket', 10, 10, vegetationSystem.createSeededRandom(1));
+
+      expect(vegetationSystem.getDenAt(12, 10)).toBe(den);
+      expect(vegetationSystem.getDenAt(30, 10)).toBeNull();
+      expect(vegetationSystem.getNearestDen(30, 10)).toBe(den);
+    });
+  });
+
   describe('vegetation creation', () => {
     it('should create tree with trunk and leaves', () => {
       const rng = vegetationSystem.createSeededRandom(12345);
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { WindSystem } from '../../systems/WindSystem.js';
+
+describe('WindSystem', () => {
+  let wind;
+
+  beforeEach(() => {
+    wind = new WindSystem();
+    wind.angle = 0; // Blowing toward +Z
+    wind.speed = 1;
+  });
+
+  it('should carry scent further downwind than upwind', () => {
+    const source = new THREE.Vector3(0, 0, 0);
+
+    expect(wind.getDownwindFactor(source, new THREE.Vector3(0, 0, 10))).toBeCloseTo(1);
+    expect(wind.getDownwindFactor(source, new THREE.Vector3(0, 0, -10))).toBeCloseTo(-1);
+    expect(wind.getDownwindFactor(source, new THREE.Vector3(10, 0, 0))).toBeCloseTo(0);
+
+    expect(wind.getScentRangeMultiplier(source, new THREE.Vector3(0, 0, 10))).toBeGreaterThan(1);
+    expect(wind.getScentRangeMultiplier(source, new THREE.Vector3(0, 0, -10))).toBeLessThan(1);
+
+    wind.speed = 0;
+    expect(wind.getScentRangeMultiplier(source, new THREE.Vector3(0, 0, 10))).toBe(1);
+  });
+
+  it('should veer and change strength gradually toward a new heading', () => {
+    wind.changeTimer = 0;
+    wind.update(1);
+    wind.changeTimer = Infinity; // No further shifts while it settles
+
+    expect(Math.abs(wind.angle)).toBeLessThanOrEqual(wind.veerRate + 1e-9);
+    expect(Math.abs(wind.targetAngle)).toBeLessThanOrEqual(wind.maxVeer);
+    expect(wind.targetSpeed).toBeGreaterThanOrEqual(wind.minSpeed);
+    expect(wind.targetSpeed).toBeLessThanOrEqual(wind.maxSpeed);
+
+    for (let i = 0; i < 200; i++) {
+      wind.update(1);
+    }
+    expect(wind.angle).toBeCloseTo(wind.targetAngle);
+    expect(wind.speed).toBeCloseTo(wind.targetSpeed);
+  });
+
+  it('should veer the short way round past PI and keep its heading wrapped', () => {
+    wind.angle = Math.PI - 0.1;
+    wind.targetAngle = -Math.PI + 0.1;
+    wind.changeTimer = Infinity;
+
+    wind.update(1);
+    expect(wind.angle).toBeCloseTo(Math.PI - 0.05);
+
+    for (let i = 0; i < 10; i++) {
+      wind.update(1);
+    }
+    expect(wind.angle).toBeCloseTo(-Math.PI + 0.1);
+    expect(Math.abs(wind.angle)).toBeLessThanOrEqual(Math.PI);
+  });
+});